@@ -10,7 +10,9 @@ import fileRoutes from './routes/files.js';
 import chatRoutes from './routes/chat.js';
 import chatHistoryRoutes from './routes/chatHistory.js';
 import profileRoutes from './routes/profile.js';
-import { testGeminiConnection } from './services/gemini.js';
+import shareRoutes from './routes/share.js';
+import workspaceRoutes from './routes/workspaces.js';
+import { getLlmInfo, testLlmConnection } from './services/llm.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -23,14 +25,23 @@ app.use(cors({
     : ['http://localhost:3000', 'http://127.0.0.1:3000', 'http://localhost:5173', 'http://127.0.0.1:5173'],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Workspace-Id']
 }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use(morgan('dev'));
 
-app.use('/uploads', express.static(path.join(__dirname, '..', 'uploads')));
-app.use('/api/uploads', express.static(path.join(__dirname, '..', 'uploads')));
+// Uploaded HTML pages are downloaded, never rendered on this origin where their scripts could run
+const uploadStaticOptions = {
+  setHeaders: (res, filePath) => {
+    if (/\.html?$/i.test(filePath)) {
+      res.setHeader('Content-Disposition', 'attachment');
+      res.setHeader('Content-Security-Policy', 'sandbox');
+    }
+  }
+};
+app.use('/uploads', express.static(path.join(__dirname, '..', 'uploads'), uploadStaticOptions));
+app.use('/api/uploads', express.static(path.join(__dirname, '..', 'uploads'), uploadStaticOptions));
 
 app.get('/api/health', (req, res) => {
   res.json({
@@ -38,19 +49,23 @@ app.get('/api/health', (req, res) => {
     timestamp: new Date().toISOString(),
     services: {
       mongodb: mongoose.connection.readyState === 1 ? 'connected' : 'disconnected',
-      gemini: 'check /api/health/gemini'
-    }
+      llm: 'check /api/health/llm'
+    },
+    llm: getLlmInfo()
   });
 });
 
-app.get('/api/health/gemini', async (req, res) => {
+// /api/health/gemini is kept for existing monitors
+app.get(['/api/health/llm', '/api/health/gemini'], async (req, res) => {
+  const { provider, label, model } = getLlmInfo();
   try {
-    const isConnected = await testGeminiConnection();
+    const isConnected = await testLlmConnection();
     res.json({
       status: 'OK',
-      gemini: isConnected ? 'connected' : 'disconnected',
-      model: 'gemini-1.5-flash',
-      provider: 'Google Gemini'
+      llm: isConnected ? 'connected' : 'disconnected',
+      model,
+      provider: label,
+      providerId: provider
     });
   } catch (error) {
     const isTemporaryError = error.message.includes('503') ||
@@ -59,7 +74,9 @@ app.get('/api/health/gemini', async (req, res) => {
 
     res.status(isTemporaryError ? 200 : 500).json({
       status: isTemporaryError ? 'DEGRADED' : 'ERROR',
-      gemini: 'temporarily_unavailable',
+      llm: 'temporarily_unavailable',
+      model,
+      provider: label,
       error: error.message,
       note: isTemporaryError ? 'Service is experiencing high load but will retry automatically' : undefined
     });
@@ -71,14 +88,16 @@ app.use('/api/files', fileRoutes);
 app.use('/api/chat', chatRoutes);
 app.use('/api/chat-history', chatHistoryRoutes);
 app.use('/api/profile', profileRoutes);
+app.use('/api/workspaces', workspaceRoutes);
+app.use('/api/share', shareRoutes);
 
 app.get('/api', (_req, res) => {
   res.json({
     status: 'ok',
     name: 'DocumentAI Backend',
     version: '1.0.0',
-    aiProvider: 'Google Gemini',
-    model: 'gemini-1.5-flash',
+    aiProvider: getLlmInfo().label,
+    model: getLlmInfo().model,
     timestamp: new Date().toISOString()
   });
 });
@@ -88,8 +107,8 @@ app.get('/', (_req, res) => {
     status: 'ok',
     name: 'DocumentAI Backend',
     version: '1.0.0',
-    aiProvider: 'Google Gemini',
-    model: 'gemini-1.5-flash',
+    aiProvider: getLlmInfo().label,
+    model: getLlmInfo().model,
     timestamp: new Date().toISOString(),
     note: 'Frontend served by Vercel static output in production'
   });
@@ -0,0 +1,58 @@
+// LLM provider selection and model names, shared by the providers and the health routes.
+//   gemini - Google Gemini through @google/generative-ai
+//   openai - any OpenAI-compatible HTTP API (OpenAI, Ollama, llama.cpp server, vLLM, LM Studio)
+//   mock   - deterministic offline responses for development and tests, no key or network needed
+const PROVIDER_SETTINGS = {
+  gemini: () => ({
+    label: 'Google Gemini',
+    model: process.env.GEMINI_MODEL || 'gemini-1.5-flash',
+    embeddingModel: process.env.GEMINI_EMBEDDING_MODEL || 'text-embedding-004'
+  }),
+  openai: () => ({
+    label: 'OpenAI-compatible',
+    model: process.env.OPENAI_MODEL || 'llama3.1',
+    embeddingModel: process.env.OPENAI_EMBEDDING_MODEL || 'nomic-embed-text',
+    // Defaults to a local Ollama server
+    baseUrl: (process.env.OPENAI_BASE_URL || 'http://localhost:11434/v1').replace(/\/+$/, ''),
+    apiKey: process.env.OPENAI_API_KEY || ''
+  }),
+  mock: () => ({
+    label: 'Mock LLM',
+    model: 'mock-llm',
+    embeddingModel: 'hashing-512',
+    // JSON array of scripted replies (strings or { response, error, failAfter }), used in order before echoing
+    responses: parseMockResponses(process.env.MOCK_LLM_RESPONSES),
+    // Comma separated errors to raise on the first calls: 503, quota, invalid_key or any message
+    failures: (process.env.MOCK_LLM_FAILURES || '').split(',').map(f => f.trim()).filter(Boolean),
+    chunkDelay: parseInt(process.env.MOCK_LLM_CHUNK_DELAY) || 0,
+    retryDelay: parseInt(process.env.MOCK_LLM_RETRY_DELAY) || 0
+  })
+};
+
+function parseMockResponses(value) {
+  if (!value) return [];
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [parsed];
+  } catch {
+    return [value];
+  }
+}
+
+export const LLM_PROVIDERS = Object.keys(PROVIDER_SETTINGS);
+
+export function getLlmProviderName() {
+  const configured = (process.env.LLM_PROVIDER || 'gemini').toLowerCase();
+  if (!PROVIDER_SETTINGS[configured]) {
+    throw new Error(`Unknown LLM_PROVIDER "${configured}". Available: ${LLM_PROVIDERS.join(', ')}`);
+  }
+  return configured;
+}
+
+export function getLlmSettings(provider = getLlmProviderName()) {
+  const settings = PROVIDER_SETTINGS[provider];
+  if (!settings) {
+    throw new Error(`Unknown LLM provider "${provider}". Available: ${LLM_PROVIDERS.join(', ')}`);
+  }
+  return { provider, ...settings() };
+}
@@ -0,0 +1,38 @@
+// Default quotas of new team workspaces; admins can change them per workspace (PUT /api/workspaces/:id/quotas).
+// Personal workspaces have no quotas of their own: the owner's plan below limits them.
+const MB = 1024 * 1024;
+
+// A limit from the environment; 0 is a valid limit, only unset or invalid values use the default
+function envLimit(name, fallback) {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) || value < 0 ? fallback : value;
+}
+
+export function defaultWorkspaceQuotas() {
+  return {
+    maxDocuments: envLimit('TEAM_WORKSPACE_MAX_DOCUMENTS', 50),
+    maxStorageBytes: envLimit('TEAM_WORKSPACE_MAX_STORAGE_MB', 500) * MB
+  };
+}
+
+// Per-user quota plans, counted across all workspaces. Admins assign plans and per-user overrides
+// (PUT /api/profile/quota/:userId); null means unlimited.
+export const QUOTA_PLANS = {
+  free: {
+    maxDocuments: envLimit('FREE_PLAN_MAX_DOCUMENTS', 25),
+    maxStorageBytes: envLimit('FREE_PLAN_MAX_STORAGE_MB', 100) * MB,
+    monthlyTokens: envLimit('FREE_PLAN_MONTHLY_TOKENS', 500000)
+  },
+  pro: {
+    maxDocuments: envLimit('PRO_PLAN_MAX_DOCUMENTS', 250),
+    maxStorageBytes: envLimit('PRO_PLAN_MAX_STORAGE_MB', 1024) * MB,
+    monthlyTokens: envLimit('PRO_PLAN_MONTHLY_TOKENS', 5000000)
+  },
+  unlimited: {
+    maxDocuments: null,
+    maxStorageBytes: null,
+    monthlyTokens: null
+  }
+};
+
+export const DEFAULT_QUOTA_PLAN = QUOTA_PLANS[process.env.DEFAULT_QUOTA_PLAN] ? process.env.DEFAULT_QUOTA_PLAN : 'free';
@@ -0,0 +1,39 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Where multer stores uploads; re-indexing reads the original files back from here
+export const UPLOAD_DIR = path.join(__dirname, '..', 'uploads');
+
+// Accepted upload formats. Browsers report Markdown, RTF and CSV under several MIME types (or none),
+// so the file extension decides first and the reported type is matched against the aliases
+export const UPLOAD_TYPES = [
+  { mimeType: 'application/pdf', extensions: ['.pdf'] },
+  { mimeType: 'application/msword', extensions: ['.doc'] },
+  { mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', extensions: ['.docx'] },
+  { mimeType: 'text/plain', extensions: ['.txt'] },
+  { mimeType: 'text/markdown', extensions: ['.md', '.markdown'], aliases: ['text/x-markdown'] },
+  { mimeType: 'text/html', extensions: ['.html', '.htm'], aliases: ['application/xhtml+xml'] },
+  { mimeType: 'application/rtf', extensions: ['.rtf'], aliases: ['text/rtf', 'application/x-rtf'] },
+  // Windows browsers report .csv files as application/vnd.ms-excel when Excel is installed
+  { mimeType: 'text/csv', extensions: ['.csv'], aliases: ['application/csv', 'text/x-csv', 'text/comma-separated-values'] },
+  { mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extensions: ['.xlsx'] },
+  { mimeType: 'application/vnd.openxmlformats-officedocument.presentationml.presentation', extensions: ['.pptx'] },
+  { mimeType: 'application/vnd.oasis.opendocument.text', extensions: ['.odt'] },
+  { mimeType: 'application/vnd.oasis.opendocument.presentation', extensions: ['.odp'] },
+  { mimeType: 'application/epub+zip', extensions: ['.epub'] },
+  // Images (scans, photos of pages) are read by OCR
+  { mimeType: 'image/png', extensions: ['.png'] },
+  { mimeType: 'image/jpeg', extensions: ['.jpg', '.jpeg'], aliases: ['image/jpg', 'image/pjpeg'] },
+  { mimeType: 'image/tiff', extensions: ['.tif', '.tiff'] }
+];
+
+// Canonical type of an upload, or null when the format is not supported
+export function resolveUploadType(mimeType, filename = '') {
+  const extension = path.extname(filename).toLowerCase();
+  const type = UPLOAD_TYPES.find(t => t.extensions.includes(extension))
+    || UPLOAD_TYPES.find(t => t.mimeType === mimeType || t.aliases?.includes(mimeType));
+  return type?.mimeType || null;
+}
@@ -1,21 +1,47 @@
 import Document from '../models/Document.js';
 import ChatHistory from '../models/ChatHistory.js';
-import { generateWithGemini, generateStreamWithGemini, chatWithGemini } from '../services/gemini.js';
+import User from '../models/User.js';
+import { generateWithLlm, streamWithLlm, chatWithLlm, getLlmInfo, testLlmConnection } from '../services/llm.js';
+import { retrieveRelevantChunks } from '../services/retrieval.js';
+import { buildConversationContext, buildChatMessages, buildRetrievalQuery } from '../services/conversation.js';
+import { countTokens } from '../services/chunking.js';
+import { columnLetter } from '../services/spreadsheet.js';
+import { getConversationThread, getParentId, linkMessages } from '../services/chatTree.js';
+import { documentAccessFilter } from '../services/documentAccess.js';
+import { checkTokenBudget, recordTokenUsage, resolveUserLimits, tokensUsedThisMonth } from '../services/userQuotas.js';
+
+// "file.pdf" p.4, or "file.xlsx" sheet "Q1" rows 2-40 for spreadsheet rows
+function describeExcerpt(doc, chunk) {
+  const { page, sheet, rowStart, rowEnd } = chunk.source || {};
+  if (sheet) return `"${doc.originalName}" sheet "${sheet}" rows ${rowStart}-${rowEnd}`;
+  return `"${doc.originalName}"${page ? ` p.${page}` : ''}`;
+}
 
-// Build optimized prompt for document Q&A with instruct model
-function buildDocumentPrompt(question, docs) {
-  const context = docs
-    .map((doc, i) => {
-      const chunks = doc.chunks.slice(0, 4); // Further reduced to 4 chunks for speed
-      const content = chunks.map(chunk => 
-        chunk.text.substring(0, 500) // Limit each chunk to 500 chars
-      ).join('\n\n');
-      return `Doc${i + 1} "${doc.originalName}": ${content}`;
-    })
+// Size and columns of each spreadsheet the excerpts come from, since an excerpt only holds some rows
+function describeTables(retrieved) {
+  const tables = new Map();
+  for (const { doc, chunk } of retrieved) {
+    const sheet = doc.sheets?.find(s => s.name === chunk.source?.sheet);
+    if (!sheet) continue;
+    const columns = sheet.headers.map((title, i) => `${columnLetter(i)} ${title}`).join(', ');
+    tables.set(`${doc._id}:${sheet.name}`, `"${doc.originalName}" sheet "${sheet.name}": ${sheet.rowCount} data rows below header row ${sheet.headerRow}; columns ${columns}`);
+  }
+  return [...tables.values()];
+}
+
+// Build optimized prompt for document Q&A from the retrieved chunks, numbered for citation
+function buildDocumentPrompt(question, retrieved) {
+  const context = retrieved
+    .map(({ doc, chunk }, i) => `[${i + 1}] ${describeExcerpt(doc, chunk)}: ${chunk.text}`)
     .join('\n---\n');
 
+  const tables = describeTables(retrieved);
+  const tableContext = tables.length
+    ? `\n\nSpreadsheet excerpts list rows as "Row N: value | value" in column order. Refer to cells by sheet, column letter and row number, e.g. 'Q1'!C5.\nTables:\n${tables.map(table => `- ${table}`).join('\n')}`
+    : '';
+
   // Very concise prompt for faster processing
-  return `Based on these documents, answer the question concisely:
+  return `Based on these numbered document excerpts, answer the question concisely. Cite the excerpts you use with their number in square brackets, e.g. [1] or [2][3].${tableContext}
 
 ${context}
 
@@ -23,6 +49,35 @@ Q: ${question}
 A:`;
 }
 
+// Map the [n] markers the model used back to the retrieved chunk source ranges
+function extractCitations(answer, retrieved) {
+  const markers = [];
+  for (const match of (answer || '').matchAll(/\[(\d+(?:\s*,\s*\d+)*)\]/g)) {
+    for (const n of match[1].split(',')) {
+      const marker = parseInt(n);
+      if (marker >= 1 && marker <= retrieved.length && !markers.includes(marker)) {
+        markers.push(marker);
+      }
+    }
+  }
+
+  return markers.map(marker => {
+    const { doc, chunk } = retrieved[marker - 1];
+    return {
+      marker,
+      documentId: doc._id,
+      documentName: doc.originalName,
+      page: chunk.source?.page,
+      sheet: chunk.source?.sheet,
+      rowStart: chunk.source?.rowStart,
+      rowEnd: chunk.source?.rowEnd,
+      start: chunk.source?.start,
+      end: chunk.source?.end,
+      excerpt: chunk.text.substring(0, 300)
+    };
+  });
+}
+
 // Minimal prompt for fallback when full context times out
 function buildMinimalPrompt(question, docs) {
   const context = docs
@@ -55,9 +110,104 @@ ${content}
 Summary:`;
 }
 
+// Checked before any LLM call: why the user's monthly token budget is used up, or null
+async function tokenBudgetError(userId) {
+  if (!userId) return null;
+  const user = await User.findById(userId).select('quota tokenUsage');
+  if (!user) return null;
+  const limits = resolveUserLimits(user);
+  const error = checkTokenBudget(limits, tokensUsedThisMonth(user));
+  return error && { error, plan: limits.plan, limit: limits.monthlyTokens };
+}
+
+function findChat(chatId, userId, workspace) {
+  return ChatHistory.findOne({ _id: chatId, userId, workspaceId: workspace?._id, isActive: true });
+}
+
+// Append a question and answer to the end of the thread, or start a new chat with them.
+// With replyTo (regenerating) only the answer is added, as a new variant below that question
+async function saveChatTurn({ userId, workspaceId, chat, thread, replyTo, docs, question, type, result, citations, context }) {
+  const content = question || type;
+  const turn = [
+    !replyTo && {
+      role: 'user',
+      content,
+      timestamp: new Date()
+    },
+    {
+      role: 'assistant',
+      content: result.response,
+      timestamp: new Date(),
+      model: result.model,
+      tokens: result.tokensUsed || 0,
+      citations,
+      partial: !!result.partial
+    }
+  ].filter(Boolean);
+  const parentId = replyTo?._id || thread?.messages[thread.messages.length - 1]?._id || null;
+  const messages = linkMessages(turn, parentId);
+  const activeLeafId = messages[messages.length - 1]._id;
+
+  let saved;
+  if (chat) {
+    const update = {
+      $push: { messages: { $each: messages } },
+      $inc: { totalTokens: result.tokensUsed || 0 },
+      $set: { activeLeafId },
+      // Documents added mid-conversation join the chat's set
+      $addToSet: {
+        documentIds: { $each: docs.map(doc => doc._id) },
+        documentNames: { $each: docs.map(doc => doc.originalName) }
+      }
+    };
+    if (context) {
+      update.$set.contextSummary = {
+        text: context.summary,
+        messageCount: context.summarizedCount,
+        lastMessageId: thread.messages[context.summarizedCount - 1]?._id,
+        updatedAt: new Date()
+      };
+    }
+    saved = await ChatHistory.findByIdAndUpdate(chat._id, update, { new: true });
+  } else {
+    saved = await ChatHistory.create({
+      userId,
+      workspaceId,
+      documentIds: docs.map(doc => doc._id),
+      documentNames: docs.map(doc => doc.originalName),
+      title: content.length > 50 ? content.substring(0, 50) + '...' : content,
+      messages,
+      activeLeafId,
+      totalTokens: result.tokensUsed || 0,
+      summary: type === 'summary' ? result.response.substring(0, 200) : (question || '').substring(0, 200),
+      isActive: true
+    });
+  }
+
+  // Update document chat stats
+  await Promise.all(docs.map(doc => 
+    Document.findByIdAndUpdate(doc._id, {
+      $inc: { 'stats.chats': 1 },
+      $set: { 'stats.lastAccessed': new Date() }
+    })
+  ));
+
+  // Update user stats
+  await User.findByIdAndUpdate(userId, {
+    $inc: {
+      'stats.totalChats': chat ? 0 : 1,
+      'stats.totalTokensUsed': result.tokensUsed || 0
+    },
+    $set: { 'stats.lastActive': new Date() }
+  });
+  await recordTokenUsage(userId, result.tokensUsed || 0);
+
+  return saved;
+}
+
 export const chat = async (req, res) => {
   try {
-    const { question, documentIds, type = 'question' } = req.body;
+    const { question, documentIds, type = 'question', topK, retrievalWeights, chatId } = req.body;
     
     if (!question && type !== 'summary') {
       return res.status(400).json({ 
@@ -68,18 +218,32 @@ export const chat = async (req, res) => {
 
     console.log(`📝 Processing ${type} request from user ${req.user?.id || 'anonymous'}`);
 
+    const budget = await tokenBudgetError(req.user?.id);
+    if (budget) {
+      return res.status(429).json({ ...budget, code: 'TOKEN_BUDGET_EXCEEDED', success: false });
+    }
+
+    // Continuing a conversation: the earlier turns of its branch become context
+    const existingChat = chatId ? await findChat(chatId, req.user?.id, req.workspace) : null;
+    if (chatId && !existingChat) {
+      return res.status(404).json({ 
+        error: 'Chat not found',
+        success: false 
+      });
+    }
+    const { parentId, replyTo } = req.chatBranch || {};
+    const thread = existingChat ? getConversationThread(existingChat, parentId) : null;
+
     // Fetch relevant documents
     let docs;
     if (Array.isArray(documentIds) && documentIds.length > 0) {
-      docs = await Document.find({ 
-        _id: { $in: documentIds }, 
-        userId: req.user?.id || null 
-      });
+      docs = await Document.find({ _id: { $in: documentIds }, ...documentAccessFilter(req.user?.id, 'view', req.workspace) });
       console.log(`📄 Using ${docs.length} specified documents`);
+    } else if (existingChat) {
+      docs = await Document.find({ _id: { $in: existingChat.documentIds }, ...documentAccessFilter(req.user?.id, 'view', req.workspace) });
+      console.log(`📄 Using the ${docs.length} documents of chat ${existingChat._id}`);
     } else {
-      docs = await Document.find({ 
-        userId: req.user?.id || null 
-      }).sort({ createdAt: -1 }).limit(5);
+      docs = await Document.find(documentAccessFilter(req.user?.id, 'view', req.workspace)).sort({ createdAt: -1 }).limit(5);
       console.log(`📄 Using ${docs.length} most recent documents`);
     }
 
@@ -92,28 +256,39 @@ export const chat = async (req, res) => {
 
     // Build appropriate prompt based on request type
     let prompt;
+    let retrieved = [];
     if (type === 'summary') {
       prompt = buildSummaryPrompt(docs);
     } else {
-      prompt = buildDocumentPrompt(question, docs);
+      retrieved = await retrieveRelevantChunks(buildRetrievalQuery(question, thread), docs, { topK, weights: retrievalWeights });
+      prompt = buildDocumentPrompt(question, retrieved);
     }
 
-    // Generate AI response with Gemini with retry mechanism
+    // Generate AI response with the configured provider (retries overloads)
     let result;
+    let context = null;
     
     try {
-      console.log(`🔄 Processing with Gemini using ${docs.length} documents`);
-      result = await generateWithGemini(prompt, {
+      console.log(`🔄 Processing with ${getLlmInfo().label} using ${docs.length} documents`);
+      const generationOptions = {
         temperature: 0.2,
         topP: 0.8,
         maxTokens: 1000,
         maxRetries: 3,      // Retry up to 3 times
         baseDelay: 1500     // Start with 1.5 second delay
-      });
+      };
+
+      if (thread?.messages.length) {
+        context = await buildConversationContext(thread);
+        result = await chatWithLlm(buildChatMessages(context, prompt), generationOptions);
+        result.tokensUsed = (result.tokensUsed || 0) + context.tokensUsed;
+      } else {
+        result = await generateWithLlm(prompt, generationOptions);
+      }
       
       console.log(`✅ Generated response in ${result.responseTime}ms using ${result.tokensUsed} tokens (${result.attempts} attempts)`);
     } catch (error) {
-      console.error('❌ Gemini request failed:', error.message);
+      console.error('❌ LLM request failed:', error.message);
       
       // Provide user-friendly error messages
       if (error.message.includes('overloaded')) {
@@ -136,10 +311,37 @@ export const chat = async (req, res) => {
       throw error;
     }
 
+    const citations = extractCitations(result.response, retrieved);
+
+    // Save chat history (don't fail the request if this fails)
+    let savedChat = null;
+    try {
+      if (req.user?.id) {
+        savedChat = await saveChatTurn({
+          userId: req.user.id,
+          workspaceId: req.workspace._id,
+          chat: existingChat,
+          thread,
+          replyTo,
+          docs,
+          question,
+          type,
+          result,
+          citations,
+          context
+        });
+        console.log('💾 Chat history saved and document stats updated');
+      }
+    } catch (historyError) {
+      console.warn('⚠️ Failed to save chat history:', historyError.message);
+      // Don't fail the request, just log the warning
+    }
+
     // Prepare response data
     const responseData = {
       success: true,
       data: {
+        chatId: savedChat?._id || existingChat?._id || null,
         answer: result.response,
         type: type,
         model: result.model,
@@ -150,55 +352,20 @@ export const chat = async (req, res) => {
           name: doc.originalName,
           chunks: doc.chunks.length
         })),
+        citations,
+        retrievedChunks: retrieved.map(({ doc, chunk, score, semanticScore, keywordScore }) => ({
+          documentId: doc._id,
+          source: chunk.source,
+          score,
+          semanticScore,
+          keywordScore
+        })),
         documentCount: docs.length,
         processingTime: result.responseTime,
         timestamp: new Date().toISOString()
       }
     };
 
-    // Save chat history (don't fail the request if this fails)
-    try {
-      if (req.user?.id) {
-        const chatHistory = new ChatHistory({
-          userId: req.user.id,
-          documentId: docs[0]._id, // Primary document
-          title: (question || type).length > 50 ? (question || type).substring(0, 50) + '...' : (question || type),
-          messages: [
-            {
-              role: 'user',
-              content: question,
-              timestamp: new Date()
-            },
-            {
-              role: 'assistant',
-              content: result.response,
-              timestamp: new Date(),
-              model: result.model,
-              tokens: result.tokensUsed || 0
-            }
-          ],
-          totalTokens: result.tokensUsed || 0,
-          summary: type === 'summary' ? result.response.substring(0, 200) : (question || '').substring(0, 200),
-          isActive: true
-        });
-        
-        await chatHistory.save();
-        
-        // Update document chat stats
-        await Promise.all(docs.map(doc => 
-          Document.findByIdAndUpdate(doc._id, {
-            $inc: { 'stats.chats': 1 },
-            $set: { 'stats.lastAccessed': new Date() }
-          })
-        ));
-        
-        console.log('💾 Chat history saved and document stats updated');
-      }
-    } catch (historyError) {
-      console.warn('⚠️ Failed to save chat history:', historyError.message);
-      // Don't fail the request, just log the warning
-    }
-
     console.log(`✅ Generated ${type} response in ${result.responseTime}ms`);
     res.json(responseData);
 
@@ -206,7 +373,7 @@ export const chat = async (req, res) => {
     console.error('❌ Chat controller error:', error.message);
     
     // Handle specific error types
-    if (error.message.includes('Ollama server is not running')) {
+    if (error.message.includes('server is not running')) {
       return res.status(503).json({
         error: 'AI service is currently unavailable. Please try again later.',
         success: false,
@@ -250,10 +417,86 @@ export const summarizeDocuments = async (req, res) => {
   }
 };
 
+// Answer a past question again. The new answer is a sibling of the old one and becomes the active branch
+export const regenerateAnswer = async (req, res) => {
+  try {
+    const { chatId, messageId } = req.body;
+
+    const existingChat = await findChat(chatId, req.user?.id, req.workspace);
+    if (!existingChat) {
+      return res.status(404).json({ error: 'Chat not found', success: false });
+    }
+
+    // The answer to regenerate, or the question whose answer should be regenerated
+    const message = existingChat.messages.id(messageId);
+    const questionMessage = message?.role === 'assistant'
+      ? existingChat.messages.id(getParentId(existingChat, message._id))
+      : message;
+    if (!questionMessage) {
+      return res.status(404).json({ error: 'Message not found', success: false });
+    }
+    if (questionMessage.role !== 'user') {
+      return res.status(400).json({ error: 'Only answers to a question can be regenerated', success: false });
+    }
+
+    req.body.question = questionMessage.content;
+    req.body.type = 'question';
+    req.chatBranch = {
+      parentId: getParentId(existingChat, questionMessage._id),
+      replyTo: questionMessage
+    };
+
+    await chat(req, res);
+
+  } catch (error) {
+    console.error('❌ Regenerate error:', error.message);
+    res.status(500).json({
+      error: 'Failed to regenerate answer',
+      success: false
+    });
+  }
+};
+
+// Ask an edited version of a past question. It starts a new branch next to the original question
+export const editMessage = async (req, res) => {
+  try {
+    const { chatId, messageId, question } = req.body;
+
+    if (!question) {
+      return res.status(400).json({ error: 'Question is required', success: false });
+    }
+
+    const existingChat = await findChat(chatId, req.user?.id, req.workspace);
+    if (!existingChat) {
+      return res.status(404).json({ error: 'Chat not found', success: false });
+    }
+
+    const message = existingChat.messages.id(messageId);
+    if (!message) {
+      return res.status(404).json({ error: 'Message not found', success: false });
+    }
+    if (message.role !== 'user') {
+      return res.status(400).json({ error: 'Only questions can be edited', success: false });
+    }
+
+    req.body.type = 'question';
+    req.chatBranch = { parentId: getParentId(existingChat, message._id) };
+
+    await chat(req, res);
+
+  } catch (error) {
+    console.error('❌ Edit message error:', error.message);
+    res.status(500).json({
+      error: 'Failed to resend edited question',
+      success: false
+    });
+  }
+};
+
 // Streaming chat endpoint for real-time responses
 export const chatStream = async (req, res) => {
   try {
-    const { question, documentIds } = req.body;
+    const { question, documentIds, topK, retrievalWeights, chatId } = req.body;
     
     if (!question) {
       return res.status(400).json({ 
@@ -264,17 +507,27 @@ export const chatStream = async (req, res) => {
 
     console.log(`🌊 Processing streaming request from user ${req.user?.id || 'anonymous'}`);
 
-    // Fetch relevant documents (limit to 3 for faster streaming)
+    const budget = await tokenBudgetError(req.user?.id);
+    if (budget) {
+      return res.status(429).json({ ...budget, code: 'TOKEN_BUDGET_EXCEEDED', success: false });
+    }
+
+    const existingChat = chatId ? await findChat(chatId, req.user?.id, req.workspace) : null;
+    if (chatId && !existingChat) {
+      return res.status(404).json({ 
+        error: 'Chat not found',
+        success: false 
+      });
+    }
+
+    // Fetch relevant documents (retrieval keeps the prompt small, so search all selected ones)
     let docs;
     if (Array.isArray(documentIds) && documentIds.length > 0) {
-      docs = await Document.find({ 
-        _id: { $in: documentIds }, 
-        userId: req.user?.id || null 
-      }).limit(3);
+      docs = await Document.find({ _id: { $in: documentIds }, ...documentAccessFilter(req.user?.id, 'view', req.workspace) });
+    } else if (existingChat) {
+      docs = await Document.find({ _id: { $in: existingChat.documentIds }, ...documentAccessFilter(req.user?.id, 'view', req.workspace) });
     } else {
-      docs = await Document.find({ 
-        userId: req.user?.id || null 
-      }).sort({ createdAt: -1 }).limit(3);
+      docs = await Document.find(documentAccessFilter(req.user?.id, 'view', req.workspace)).sort({ createdAt: -1 }).limit(3);
     }
 
     if (docs.length === 0) {
@@ -284,7 +537,10 @@ export const chatStream = async (req, res) => {
       });
     }
 
-    const prompt = buildDocumentPrompt(question, docs);
+    const thread = existingChat ? getConversationThread(existingChat) : null;
+    const retrieved = await retrieveRelevantChunks(buildRetrievalQuery(question, thread), docs, { topK, weights: retrievalWeights });
+    const prompt = buildDocumentPrompt(question, retrieved);
+    const context = thread?.messages.length ? await buildConversationContext(thread) : null;
 
     // Set up Server-Sent Events
     res.writeHead(200, {
@@ -295,39 +551,106 @@ export const chatStream = async (req, res) => {
       'Access-Control-Allow-Headers': 'Cache-Control'
     });
 
+    // When the browser goes away, stop generating (saves quota) and keep what was streamed so far.
+    // res 'close' rather than req 'close': the request emits it as soon as its body has been read
+    let clientDisconnected = false;
+    const abortController = new AbortController();
+    res.on('close', () => {
+      if (!res.writableEnded) {
+        clientDisconnected = true;
+        abortController.abort();
+        console.log('⏹️ Client closed the stream, cancelling generation');
+      }
+    });
+
+    const startTime = Date.now();
+    let fullResponse = '';
+    let usage = null;
+    let streamError = null;
+
     try {
-      const stream = await generateStreamWithGemini(prompt, {
+      const { stream, response } = await streamWithLlm(context ? buildChatMessages(context, prompt) : prompt, {
         temperature: 0.2,
-        maxTokens: 1000
+        maxTokens: 1000,
+        signal: abortController.signal
       });
 
-      let fullResponse = '';
-
-      for await (const chunk of stream) {
-        const chunkText = chunk.text();
+      for await (const chunkText of stream) {
+        if (clientDisconnected) break;
         if (chunkText) {
           fullResponse += chunkText;
           res.write(`data: ${JSON.stringify({ chunk: chunkText, done: false })}\n\n`);
         }
       }
 
-      res.write(`data: ${JSON.stringify({ 
-        chunk: '', 
-        done: true, 
-        fullResponse,
-        sourceDocuments: docs.map(doc => ({
-          id: doc._id,
-          name: doc.originalName
-        }))
-      })}\n\n`);
-      res.end();
-
+      if (!clientDisconnected) {
+        usage = await response;
+      }
     } catch (error) {
-      console.error('❌ Stream error:', error);
-      res.write(`data: ${JSON.stringify({ error: error.message })}\n\n`);
-      res.end();
+      // Aborting on disconnect surfaces as an error from the stream; that one is expected
+      if (!clientDisconnected) {
+        console.error('❌ Stream error:', error);
+        streamError = error;
+      }
+    }
+
+    const partial = clientDisconnected || !!streamError;
+    const citations = extractCitations(fullResponse, retrieved);
+    let savedChat = null;
+
+    // Save whatever was answered; interrupted answers are kept and flagged as partial
+    if (req.user?.id && fullResponse) {
+      try {
+        savedChat = await saveChatTurn({
+          userId: req.user.id,
+          workspaceId: req.workspace._id,
+          chat: existingChat,
+          thread,
+          docs,
+          question,
+          type: 'question',
+          result: {
+            response: fullResponse,
+            model: usage?.model || getLlmInfo().model,
+            responseTime: Date.now() - startTime,
+            // Interrupted streams never deliver usage metadata, so estimate it
+            tokensUsed: (usage?.tokensUsed || countTokens(prompt) + countTokens(fullResponse)) + (context?.tokensUsed || 0),
+            partial
+          },
+          citations,
+          context
+        });
+        console.log(partial
+          ? `💾 Saved partial streamed answer (${clientDisconnected ? 'client disconnected' : 'stream error'})`
+          : '💾 Streamed answer saved to chat history');
+      } catch (historyError) {
+        console.warn('⚠️ Failed to save chat history:', historyError.message);
+      }
     }
 
+    // Nobody is listening any more
+    if (clientDisconnected) return;
+
+    const chatIdForClient = savedChat?._id || existingChat?._id || null;
+    if (streamError) {
+      res.write(`data: ${JSON.stringify({ error: streamError.message, chatId: chatIdForClient, partial: !!fullResponse })}\n\n`);
+      return res.end();
+    }
+
+    res.write(`data: ${JSON.stringify({ 
+      chunk: '', 
+      done: true, 
+      fullResponse,
+      chatId: chatIdForClient,
+      tokensUsed: usage?.tokensUsed || 0,
+      citations,
+      sourceDocuments: docs.map(doc => ({
+        id: doc._id,
+        name: doc.originalName
+      }))
+    })}\n\n`);
+    res.end();
+
   } catch (error) {
     console.error('❌ Streaming chat controller error:', error.message);
     res.status(500).json({
@@ -342,10 +665,10 @@ export const testAI = async (req, res) => {
   try {
     const { prompt = "Hello, how are you?" } = req.body;
     
-    console.log('🧪 Testing Gemini with minimal prompt...');
+    console.log(`🧪 Testing ${getLlmInfo().label} with minimal prompt...`);
     const startTime = Date.now();
     
-    const result = await generateWithGemini(prompt, {
+    const result = await generateWithLlm(prompt, {
       temperature: 0.1,
       maxTokens: 100
     });
@@ -362,11 +685,11 @@ export const testAI = async (req, res) => {
     });
     
   } catch (error) {
-    console.error('❌ Gemini test failed:', error.message);
+    console.error('❌ AI test failed:', error.message);
     res.status(500).json({
       success: false,
       error: error.message,
-      service: 'gemini'
+      service: getLlmInfo().provider
     });
   }
 };
@@ -374,20 +697,20 @@ export const testAI = async (req, res) => {
 // Health check endpoint for AI service
 export const healthCheck = async (req, res) => {
   try {
-    const { testGeminiConnection } = await import('../services/gemini.js');
-    await testGeminiConnection();
+    const { label, model } = getLlmInfo();
+    await testLlmConnection();
     
     res.json({
       success: true,
-      message: 'Gemini AI service is healthy',
-      model: 'gemini-1.5-flash',
-      provider: 'Google Gemini',
+      message: `${label} AI service is healthy`,
+      model,
+      provider: label,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
     res.status(503).json({
       success: false,
-      error: 'Gemini AI service is unavailable',
+      error: 'AI service is unavailable',
       details: error.message,
       timestamp: new Date().toISOString()
     });
@@ -1,59 +1,47 @@
 import fs from 'fs/promises';
 import path from 'path';
-import mammoth from 'mammoth';
 import Document from '../models/Document.js';
 import User from '../models/User.js';
 import ChatHistory from '../models/ChatHistory.js';
-import { extractPdfText } from '../services/pdf.js';
-
-const CHUNK_SIZE = 1200; // characters
-const MAX_DOCUMENTS_PER_USER = 5;
-
-function chunkText(text, filename = 'unknown') {
-  const chunks = [];
-  let i = 0;
-  let page = 1;
-  const wordsPerPage = 300; // Rough estimate
-  
-  while (i < text.length) {
-    const end = Math.min(i + CHUNK_SIZE, text.length);
-    const slice = text.slice(i, end);
-    
-    // Calculate approximate page number
-    const wordCountSoFar = Math.floor(i / 5); // Rough word count estimate
-    const currentPage = Math.floor(wordCountSoFar / wordsPerPage) + 1;
-    
-    chunks.push({ 
-      text: slice, 
-      source: { 
-        filename: filename,
-        page: currentPage,
-        start: i, 
-        end: end 
-      } 
-    });
-    i = end;
-  }
-  return chunks;
+import ChunkEmbedding from '../models/ChunkEmbedding.js';
+import { UPLOAD_DIR, resolveUploadType } from '../config/uploads.js';
+import { buildDocumentIndex, INDEX_VERSION, isIndexing, notIndexingFilter } from '../services/indexing.js';
+import { sheetsToText } from '../services/spreadsheet.js';
+import { SHARE_ROLES, documentAccessFilter, getDocumentRole } from '../services/documentAccess.js';
+import { checkWorkspaceQuota, getWorkspaceQuotaStatus, getWorkspaceUsage } from '../services/workspaces.js';
+import { checkUserUploadQuota, getUserStorageUsage, resolveUserLimits } from '../services/userQuotas.js';
+
+// Remove an upload multer already stored but that is not kept
+const discardUpload = file => fs.unlink(file.path).catch(() => {});
+
+// Serverless functions (Vercel, see vercel.json) are frozen once they answer and stopped after their
+// maxDuration, so work cannot continue in the background there
+const SERVERLESS = Boolean(process.env.VERCEL);
+
+// Uploads still indexing after this long (OCR of long scans) finish in the background: the request
+// answers 202 and the document's indexing status tells when it is ready. Serverless uploads are
+// refused instead, and the wait stays below the 10 second function limit
+const UPLOAD_INDEXING_WAIT_MS = parseInt(process.env.UPLOAD_INDEXING_WAIT_MS) || (SERVERLESS ? 7 * 1000 : 20 * 1000);
+
+// Remove an upload whose indexing failed, as if it had never been stored
+async function removeFailedUpload(doc) {
+  await Document.deleteOne({ _id: doc._id });
+  await ChunkEmbedding.deleteMany({ documentId: doc._id });
+  await fs.unlink(path.join(UPLOAD_DIR, doc.filename)).catch(() => {});
 }
 
-async function extractText(filePath, mimeType) {
-  if (mimeType === 'application/pdf' || filePath.toLowerCase().endsWith('.pdf')) {
-    return await extractPdfText(filePath);
-  }
-  if (
-    mimeType === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' ||
-    filePath.toLowerCase().endsWith('.docx')
-  ) {
-    const result = await mammoth.extractRawText({ path: filePath });
-    return result.value;
+// The promise's result, or null when it takes longer than `ms`
+async function waitFor(promise, ms) {
+  let timer;
+  try {
+    return await Promise.race([promise, new Promise(resolve => { timer = setTimeout(resolve, ms, null); })]);
+  } finally {
+    clearTimeout(timer);
   }
-  // Fallback for txt, md, code files
-  const content = await fs.readFile(filePath, 'utf8');
-  return content;
 }
 
 export const uploadFile = async (req, res) => {
+  let doc = null;
   try {
     console.log('📁 Upload request received:', {
       hasFile: !!req.file,
@@ -72,64 +60,111 @@ export const uploadFile = async (req, res) => {
       return res.status(400).json({ error: 'No file uploaded' });
     }
 
-    // Basic validation for allowed mime types
-    const allowedMime = [
-      'application/pdf',
-      'application/msword',
-      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-      'text/plain'
-    ];
-    if (!allowedMime.includes(file.mimetype)) {
+    // Basic validation for allowed file types; the canonical type is what gets stored and indexed
+    const mimeType = resolveUploadType(file.mimetype, file.originalname);
+    if (!mimeType) {
+      await discardUpload(file);
       return res.status(400).json({ error: 'Unsupported file type' });
     }
 
     // Basic size ceiling (10MB) even if multer is configured, as safeguard
     if (file.size > (10 * 1024 * 1024)) {
+      await discardUpload(file);
       return res.status(413).json({ error: 'File too large (max 10MB)' });
     }
 
-    // Check document limit for user
+    // Team workspaces have quotas on document count and storage; personal ones only the plan below
     const userId = req.user?.id;
-    let documentCount = 0;
-    
-    if (userId) {
-      documentCount = await Document.countDocuments({ userId, isActive: true });
-      console.log(`📊 Current document count for user ${userId}: ${documentCount}/${MAX_DOCUMENTS_PER_USER}`);
-      
-      if (documentCount >= MAX_DOCUMENTS_PER_USER) {
-        console.log(`🚫 Document limit reached for user ${userId}`);
-        return res.status(400).json({ 
-          error: `Document limit reached. You can upload a maximum of ${MAX_DOCUMENTS_PER_USER} documents.`,
-          limit: MAX_DOCUMENTS_PER_USER,
-          current: documentCount
+    const slotsRemaining = [];
+    if (!req.workspace.isPersonal) {
+      const { quotas } = req.workspace;
+      const usage = await getWorkspaceUsage(req.workspace._id);
+      console.log(`📊 Workspace ${req.workspace._id} usage: ${usage.documents}/${quotas.maxDocuments} documents, ${usage.storageBytes}/${quotas.maxStorageBytes} bytes`);
+
+      const quotaError = checkWorkspaceQuota(quotas, usage, file.size);
+      if (quotaError) {
+        console.log(`🚫 Quota reached in workspace ${req.workspace._id}`);
+        await discardUpload(file);
+        return res.status(403).json({
+          error: quotaError,
+          code: 'WORKSPACE_QUOTA_EXCEEDED',
+          limit: quotas.maxDocuments,
+          current: usage.documents,
+          storageLimit: quotas.maxStorageBytes,
+          storageUsed: usage.storageBytes
         });
       }
+      slotsRemaining.push(quotas.maxDocuments - (usage.documents + 1));
     }
 
-    const text = await extractText(file.path, file.mimetype);
-    const chunks = chunkText(text, file.originalname);
-    
-    // Calculate metadata
-  const wordCount = text ? text.split(/\s+/).length : 0;
-    const pages = file.mimetype === 'application/pdf' ? 
-      Math.ceil(text.length / 3000) : // Rough estimate for PDF pages
-      Math.ceil(text.length / 2500); // Rough estimate for other docs
+    // And the uploader's own plan, which counts their uploads in every workspace
+    const user = await User.findById(userId).select('quota');
+    if (user) {
+      const limits = resolveUserLimits(user);
+      const userUsage = await getUserStorageUsage(userId);
+      const planError = checkUserUploadQuota(limits, userUsage, file.size);
+      if (planError) {
+        console.log(`🚫 Plan quota reached for user ${userId} (${limits.plan})`);
+        await discardUpload(file);
+        return res.status(403).json({
+          error: planError,
+          code: 'USER_QUOTA_EXCEEDED',
+          plan: limits.plan,
+          limit: limits.maxDocuments,
+          current: userUsage.documents,
+          storageLimit: limits.maxStorageBytes,
+          storageUsed: userUsage.storageBytes
+        });
+      }
+      if (limits.maxDocuments !== null) slotsRemaining.push(limits.maxDocuments - (userUsage.documents + 1));
+    }
 
-    const doc = await Document.create({
+    // The document exists while it is indexed, so it counts towards the quotas and its status can be polled
+    doc = await Document.create({
       userId: req.user?.id || null,
+      workspaceId: req.workspace._id,
       filename: file.filename,
       originalName: file.originalname,
-      mimeType: file.mimetype,
+      mimeType,
       size: file.size,
-      chunks: chunks || [],
+      indexing: { status: 'indexing', startedAt: new Date(), progress: { stage: 'queued' } },
       metadata: {
-        pages,
-        wordCount,
-        language: 'en', // Could be detected later
-        summary: text.substring(0, 200) + '...'
+        language: 'en' // Could be detected later
       }
     });
 
+    const indexingRun = indexStoredDocument(doc, { chunking: readChunkingOptions(req.body) });
+    const result = await waitFor(indexingRun, UPLOAD_INDEXING_WAIT_MS);
+    if (result && !result.success) {
+      // Unreadable uploads are refused
+      await removeFailedUpload(doc);
+      const error = new Error(result.error);
+      error.status = result.status || 500;
+      error.code = result.code;
+      throw error;
+    }
+    if (!result && SERVERLESS) {
+      await removeFailedUpload(doc);
+      const error = new Error('This file takes too long to read on this deployment (scanned pages need OCR). Split it into smaller files, or use a server started with `npm start`, which finishes slow uploads in the background.');
+      error.status = 422;
+      error.code = 'INDEXING_TOO_SLOW';
+      throw error;
+    }
+    if (!result) {
+      // Uploads that fail in the background are removed the same way; the list then no longer shows them
+      const uploaded = doc;
+      indexingRun
+        .then(async (background) => {
+          if (background.success) return;
+          console.warn(`⚠️ Background indexing of ${uploaded.originalName} failed, removing the upload: ${background.error}`);
+          await removeFailedUpload(uploaded);
+          if (userId) {
+            await User.findByIdAndUpdate(userId, { $inc: { 'stats.documentsUploaded': -1 } });
+          }
+        })
+        .catch(error => console.error(`❌ Removing failed upload ${uploaded.originalName} failed:`, error.message));
+    }
+
     // Update user stats
     if (userId) {
       await User.findByIdAndUpdate(userId, {
@@ -138,30 +173,47 @@ export const uploadFile = async (req, res) => {
       });
     }
 
-    console.log(`✅ Document uploaded successfully: ${doc.originalName} (${doc.chunks.length} chunks)`);
+    const slots = slotsRemaining.length ? ` ${Math.min(...slotsRemaining)} slots remaining.` : '';
+    if (!result) {
+      console.log(`⏳ Document uploaded, still indexing in the background: ${doc.originalName}`);
+      return res.status(202).json({
+        id: doc._id,
+        filename: doc.filename,
+        originalName: doc.originalName,
+        indexing: { status: 'indexing' },
+        message: `Document uploaded. Its text is still being read (scanned pages take a few seconds each) and it can be used once indexing is ready.${slots}`
+      });
+    }
+
+    console.log(`✅ Document uploaded successfully: ${doc.originalName} (${result.chunks} chunks)`);
 
     res.json({ 
       id: doc._id, 
       filename: doc.filename, 
       originalName: doc.originalName,
-      chunks: doc.chunks.length,
-      metadata: doc.metadata,
-      message: `Document uploaded successfully. ${MAX_DOCUMENTS_PER_USER - (documentCount + 1)} slots remaining.`
+      chunks: result.chunks,
+      metadata: { ...result.metadata, language: doc.metadata.language },
+      indexing: result.indexing,
+      message: `Document uploaded successfully.${slots}`
     });
   } catch (e) {
     console.error('❌ Upload error:', e);
-    res.status(500).json({ error: e.message });
+    // Failed uploads are not kept
+    if (req.file && !doc) {
+      await discardUpload(req.file);
+    }
+    res.status(e.status || 500).json({ error: e.message, code: e.code });
   }
 };
 
 export const listFiles = async (req, res) => {
   try {
-    const docs = await Document.find({ 
-      userId: req.user?.id || null, 
-      isActive: true 
-    })
-    .select('_id originalName filename createdAt size metadata stats chunks')
+    // The workspace's documents and the ones shared with the user
+    const docs = await Document.find(documentAccessFilter(req.user?.id, 'view', req.workspace))
+    .select('_id userId workspaceId sharedWith originalName filename createdAt size metadata stats indexing chunks.text chunks.source')
+    .populate('userId', 'name email')
     .sort({ createdAt: -1 });
+    const { quotas, usage } = await getWorkspaceQuotaStatus(req.workspace);
     
     // Update user stats
     if (req.user?.id) {
@@ -170,8 +222,7 @@ export const listFiles = async (req, res) => {
       });
     }
     
-    const documentsWithStats = docs.map(doc => ({
-      ...doc.toObject(),
+    const documentsWithStats = docs.map(doc => serializeDocumentAccess(doc, req, {
       sizeFormatted: formatFileSize(doc.size),
       uploadedAt: doc.createdAt
     }));
@@ -184,8 +235,14 @@ export const listFiles = async (req, res) => {
     res.json({
       documents: documentsWithStats,
       total: docs.length,
-      limit: MAX_DOCUMENTS_PER_USER,
-      remaining: MAX_DOCUMENTS_PER_USER - docs.length
+      // The quotas count the workspace's documents (the owner's, for a personal workspace), not the
+      // ones shared from elsewhere. null limits are unlimited
+      used: usage.documents,
+      limit: quotas.maxDocuments,
+      remaining: quotas.maxDocuments === null ? null : Math.max(0, quotas.maxDocuments - usage.documents),
+      storageUsed: usage.storageBytes,
+      storageLimit: quotas.maxStorageBytes,
+      workspace: { id: req.workspace._id, name: req.workspace.name, role: req.workspace.role }
     });
   } catch (e) {
     res.status(500).json({ error: e.message });
@@ -197,11 +254,7 @@ export const deleteFile = async (req, res) => {
     const documentId = req.params.id;
     const userId = req.user?.id;
 
-    const doc = await Document.findOne({ 
-      _id: documentId, 
-      userId: userId,
-      isActive: true 
-    });
+    const doc = await Document.findOne({ _id: documentId, ...documentAccessFilter(userId, 'edit', req.workspace) });
     
     if (!doc) {
       return res.status(404).json({ error: 'Document not found' });
@@ -212,24 +265,40 @@ export const deleteFile = async (req, res) => {
       isActive: false,
       deletedAt: new Date()
     });
+    await ChunkEmbedding.deleteMany({ documentId });
 
-    // Delete associated chat histories
+    // Detach it from chats (including those of users it was shared with); chats left without any
+    // document are deleted with it
+    const chatIds = await ChatHistory.distinct('_id', { documentIds: documentId });
+    await ChatHistory.updateMany({ _id: { $in: chatIds } }, { $pull: { documentIds: documentId } });
+    // Names follow the documents left; another of them can have the same name
+    const remaining = await ChatHistory.find({ _id: { $in: chatIds }, 'documentIds.0': { $exists: true } }).select('documentIds');
+    const names = new Map((await Document.find({ _id: { $in: remaining.flatMap(chat => chat.documentIds) } }).select('originalName'))
+      .map(other => [String(other._id), other.originalName]));
+    if (remaining.length) {
+      await ChatHistory.bulkWrite(remaining.map(chat => ({
+        updateOne: {
+          filter: { _id: chat._id },
+          update: { $set: { documentNames: chat.documentIds.map(id => names.get(String(id))).filter(Boolean) } }
+        }
+      })));
+    }
     await ChatHistory.updateMany(
-      { documentId: documentId },
+      { _id: { $in: chatIds }, documentIds: { $size: 0 } },
       { isActive: false }
     );
 
     // Try to delete physical file
     try {
-      const filePath = path.join('uploads', doc.filename);
+      const filePath = path.join(UPLOAD_DIR, doc.filename);
       await fs.unlink(filePath);
     } catch (fileError) {
       console.warn('Could not delete physical file:', fileError.message);
     }
 
-    // Update user stats
-    if (userId) {
-      await User.findByIdAndUpdate(userId, {
+    // Update the uploader's stats, also when an editor deleted it
+    if (doc.userId) {
+      await User.findByIdAndUpdate(doc.userId, {
         $inc: { 'stats.documentsUploaded': -1 },
         $set: { 'stats.lastActive': new Date() }
       });
@@ -245,6 +314,40 @@ export const deleteFile = async (req, res) => {
   }
 };
 
+// Rebuild the extracted text from chunk offsets so citation ranges index straight into it
+function buildFullText(chunks) {
+  let fullText = '';
+  for (const chunk of chunks) {
+    const start = chunk.source?.start;
+    if (typeof start !== 'number') {
+      fullText += (fullText ? '\n\n' : '') + chunk.text;
+    } else if (start >= fullText.length) {
+      fullText = fullText.padEnd(start, ' ') + chunk.text;
+    } else {
+      // Overlapping chunk: only append the part past what we already have
+      fullText += chunk.text.slice(fullText.length - start);
+    }
+  }
+  return fullText;
+}
+
+// A document with the caller's role. Only those with full control see whom it is shared with;
+// others see the uploader, and sharedWithYou marks documents from outside the current workspace
+function serializeDocumentAccess(doc, req, extra = {}) {
+  const { userId: owner, sharedWith, ...rest } = doc.toObject();
+  const role = getDocumentRole(doc, req.user?.id, req.workspace);
+  const isUploader = String(owner?._id || owner) === String(req.user?.id);
+  return {
+    ...rest,
+    ...extra,
+    userId: owner?._id || owner,
+    role,
+    owner: isUploader || !owner ? undefined : { name: owner.name, email: owner.email },
+    sharedWithYou: String(doc.workspaceId) !== String(req.workspace?._id),
+    sharedWith: role === 'owner' ? sharedWith : undefined
+  };
+}
+
 // Helper function to format file sizes
 function formatFileSize(bytes) {
   if (bytes === 0) return '0 Bytes';
@@ -256,11 +359,8 @@ function formatFileSize(bytes) {
 
 export const getDocument = async (req, res) => {
   try {
-    const doc = await Document.findOne({ 
-      _id: req.params.id, 
-      userId: req.user?.id || null,
-      isActive: true 
-    });
+    const doc = await Document.findOne({ _id: req.params.id, ...documentAccessFilter(req.user?.id, 'view', req.workspace) })
+      .populate('userId', 'name email');
     
     if (!doc) return res.status(404).json({ error: 'Document not found' });
     
@@ -270,14 +370,313 @@ export const getDocument = async (req, res) => {
       $set: { 'stats.lastAccessed': new Date() }
     });
     
-    // Get full text content for viewer
-    const fullText = doc.chunks.map(chunk => chunk.text).join('\n\n');
+    // Get full text content for viewer; spreadsheet chunks repeat the header, so sheets are laid out again
+    const fullText = doc.sheets?.length ? sheetsToText(doc.sheets) : buildFullText(doc.chunks);
     
-    res.json({
-      ...doc.toObject(),
+    res.json(serializeDocumentAccess(doc, req, {
       fullText,
       sizeFormatted: formatFileSize(doc.size)
+    }));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+};
+
+// Progress goes out as SSE frames when the client asks for text/event-stream, otherwise only the final JSON
+function createProgressReporter(req, res) {
+  const streaming = (req.headers.accept || '').includes('text/event-stream');
+  if (streaming) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Headers': 'Cache-Control'
+    });
+  }
+
+  return {
+    progress(data) {
+      if (streaming) res.write(`data: ${JSON.stringify({ ...data, done: false })}\n\n`);
+    },
+    finish(status, body) {
+      if (streaming) {
+        res.write(`data: ${JSON.stringify({ ...body, done: true })}\n\n`);
+        return res.end();
+      }
+      res.status(status).json(body);
+    }
+  };
+}
+
+// Extract, chunk and embed one stored upload, tracking status on the document; used for new uploads
+// and re-indexing. Failures are returned with the error's status and code, never thrown
+async function indexStoredDocument(doc, { chunking, onProgress = () => {} }) {
+  const filePath = path.join(UPLOAD_DIR, doc.filename);
+  try {
+    await fs.access(filePath);
+  } catch {
+    const error = 'Original upload is no longer stored; the document has to be uploaded again';
+    await Document.findByIdAndUpdate(doc._id, {
+      $set: { 'indexing.status': 'failed', 'indexing.error': error, 'indexing.startedAt': null }
+    });
+    return { id: doc._id, success: false, error };
+  }
+
+  await Document.findByIdAndUpdate(doc._id, {
+    $set: {
+      'indexing.status': 'indexing',
+      'indexing.error': null,
+      'indexing.startedAt': new Date(),
+      'indexing.progress': { stage: 'queued' }
+    }
+  });
+
+  // Progress is stored so the status endpoint can be polled; the writes are queued so that none of
+  // them lands after the final update
+  let progressWrites = Promise.resolve();
+  try {
+    const { chunks, embeddings, sheets, contentHash, indexing, metadata } = await buildDocumentIndex(filePath, {
+      mimeType: doc.mimeType,
+      originalName: doc.originalName,
+      chunking,
+      onProgress: (progress) => {
+        onProgress({ documentId: doc._id, ...progress });
+        progressWrites = progressWrites
+          .then(() => Document.updateOne({ _id: doc._id }, { $set: { 'indexing.progress': progress } }))
+          .catch(() => {});
+      }
+    });
+
+    await progressWrites;
+    const update = { chunks, sheets, contentHash, indexing: { ...indexing, progress: null, startedAt: null } };
+    for (const [key, value] of Object.entries(metadata)) {
+      update[`metadata.${key}`] = value;
+    }
+    // A refused upload may be removed while it is still being indexed; its vectors are not stored then
+    if (!await Document.findByIdAndUpdate(doc._id, { $set: update }).select('_id')) {
+      return { id: doc._id, success: false, error: 'Document was removed while it was indexed' };
+    }
+    await ChunkEmbedding.replaceForDocument(doc._id, embeddings);
+
+    console.log(`🔄 Indexed ${doc.originalName}: ${chunks.length} chunks (index v${INDEX_VERSION})`);
+    return {
+      id: doc._id,
+      success: true,
+      chunks: chunks.length,
+      indexing,
+      metadata
+    };
+  } catch (error) {
+    console.error(`❌ Indexing failed for ${doc.originalName}:`, error.message);
+    await progressWrites;
+    await Document.findByIdAndUpdate(doc._id, {
+      $set: { 'indexing.status': 'failed', 'indexing.error': error.message, 'indexing.progress': null, 'indexing.startedAt': null }
+    });
+    return { id: doc._id, success: false, error: error.message, status: error.status, code: error.code };
+  }
+}
+
+function readChunkingOptions(body = {}) {
+  return {
+    strategy: body.chunkStrategy,
+    unit: body.chunkUnit,
+    size: body.chunkSize,
+    overlap: body.chunkOverlap
+  };
+}
+
+export const reindexDocument = async (req, res) => {
+  try {
+    const doc = await Document.findOne({ _id: req.params.id, ...documentAccessFilter(req.user?.id, 'edit', req.workspace) })
+      .select('_id filename originalName mimeType indexing');
+
+    if (!doc) return res.status(404).json({ error: 'Document not found' });
+    if (isIndexing(doc.indexing)) {
+      return res.status(409).json({ error: 'Document is already being re-indexed' });
+    }
+
+    const reporter = createProgressReporter(req, res);
+    const result = await indexStoredDocument(doc, {
+      chunking: readChunkingOptions(req.body),
+      onProgress: reporter.progress
     });
+
+    reporter.finish(result.success ? 200 : 422, result);
+  } catch (e) {
+    console.error('❌ Re-index error:', e);
+    if (res.headersSent) {
+      res.write(`data: ${JSON.stringify({ error: e.message, done: true })}\n\n`);
+      return res.end();
+    }
+    res.status(500).json({ error: e.message });
+  }
+};
+
+export const getReindexStatus = async (req, res) => {
+  try {
+    const doc = await Document.findOne({ _id: req.params.id, ...documentAccessFilter(req.user?.id, 'view', req.workspace) })
+      .select('_id originalName indexing');
+
+    if (!doc) return res.status(404).json({ error: 'Document not found' });
+
+    res.json({
+      id: doc._id,
+      originalName: doc.originalName,
+      indexing: doc.indexing,
+      currentVersion: INDEX_VERSION,
+      stale: (doc.indexing?.version || 1) < INDEX_VERSION
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+};
+
+// Admin: re-index the given documents, or every active document behind the current index version
+export const reindexAllDocuments = async (req, res) => {
+  try {
+    const { documentIds, force = false } = req.body || {};
+    const filter = { isActive: true, $and: [notIndexingFilter()] };
+
+    if (Array.isArray(documentIds) && documentIds.length) {
+      filter._id = { $in: documentIds };
+    } else if (!force) {
+      filter.$or = [
+        { 'indexing.version': { $lt: INDEX_VERSION } },
+        { 'indexing.version': { $exists: false } }
+      ];
+    }
+
+    const docs = await Document.find(filter)
+      .select('_id filename originalName mimeType indexing')
+      .sort({ createdAt: 1 });
+
+    console.log(`🔄 Bulk re-index of ${docs.length} documents requested by ${req.user?.id}`);
+
+    const reporter = createProgressReporter(req, res);
+    const results = [];
+    for (const [index, doc] of docs.entries()) {
+      reporter.progress({ documentId: doc._id, stage: 'queued', document: index + 1, totalDocuments: docs.length });
+      const result = await indexStoredDocument(doc, {
+        chunking: readChunkingOptions(req.body),
+        onProgress: (progress) => reporter.progress({ ...progress, document: index + 1, totalDocuments: docs.length })
+      });
+      results.push({ id: result.id, originalName: doc.originalName, success: result.success, chunks: result.chunks, error: result.error });
+    }
+
+    reporter.finish(200, {
+      version: INDEX_VERSION,
+      total: docs.length,
+      succeeded: results.filter(r => r.success).length,
+      failed: results.filter(r => !r.success).length,
+      results
+    });
+  } catch (e) {
+    console.error('❌ Bulk re-index error:', e);
+    if (res.headersSent) {
+      res.write(`data: ${JSON.stringify({ error: e.message, done: true })}\n\n`);
+      return res.end();
+    }
+    res.status(500).json({ error: e.message });
+  }
+};
+
+export const renameDocument = async (req, res) => {
+  try {
+    const originalName = typeof req.body?.originalName === 'string' ? req.body.originalName.trim() : '';
+    if (!originalName || originalName.length > 255) {
+      return res.status(400).json({ error: 'originalName must be 1 to 255 characters' });
+    }
+
+    const doc = await Document.findOne({ _id: req.params.id, ...documentAccessFilter(req.user?.id, 'edit', req.workspace) })
+      .select('_id originalName');
+    if (!doc) return res.status(404).json({ error: 'Document not found' });
+
+    const previousName = doc.originalName;
+    await Document.updateOne({ _id: doc._id }, { $set: { originalName } });
+    // Keep history search on the new name
+    await ChatHistory.updateMany(
+      { documentIds: doc._id, documentNames: previousName },
+      { $set: { 'documentNames.$': originalName } }
+    );
+
+    console.log(`✏️ Renamed document ${doc._id}: ${previousName} -> ${originalName}`);
+    res.json({ id: doc._id, originalName });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+};
+
+// The owner's list of users a document is shared with
+async function describeShares(doc) {
+  const users = await User.find({ _id: { $in: doc.sharedWith.map(share => share.userId) } }).select('name email');
+  return doc.sharedWith.map(share => {
+    const user = users.find(u => String(u._id) === String(share.userId));
+    return { userId: share.userId, email: user?.email, name: user?.name, role: share.role, sharedAt: share.sharedAt };
+  });
+}
+
+export const listDocumentShares = async (req, res) => {
+  try {
+    const doc = await Document.findOne({ _id: req.params.id, ...documentAccessFilter(req.user?.id, 'share', req.workspace) })
+      .select('_id sharedWith');
+    if (!doc) return res.status(404).json({ error: 'Document not found' });
+
+    res.json({ documentId: doc._id, shares: await describeShares(doc) });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+};
+
+// Share with a registered user by email, or change their role; body { email, role }
+export const shareDocument = async (req, res) => {
+  try {
+    const email = typeof req.body?.email === 'string' ? req.body.email.trim() : '';
+    const role = req.body?.role || 'viewer';
+    if (!email) return res.status(400).json({ error: 'Email required' });
+    if (!SHARE_ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${SHARE_ROLES.join(', ')}` });
+    }
+
+    const doc = await Document.findOne({ _id: req.params.id, ...documentAccessFilter(req.user?.id, 'share', req.workspace) })
+      .select('_id originalName sharedWith');
+    if (!doc) return res.status(404).json({ error: 'Document not found' });
+
+    const user = await User.findOne(User.emailFilter(email)).select('_id email');
+    if (!user) return res.status(404).json({ error: 'No registered user with that email' });
+    if (String(user._id) === String(req.user.id)) {
+      return res.status(400).json({ error: 'You already own this document' });
+    }
+
+    const existing = doc.sharedWith.find(share => String(share.userId) === String(user._id));
+    if (existing) {
+      existing.role = role;
+    } else {
+      doc.sharedWith.push({ userId: user._id, role });
+    }
+    await doc.save();
+
+    console.log(`🤝 Shared ${doc.originalName} with ${user.email} as ${role}`);
+    res.json({ documentId: doc._id, shares: await describeShares(doc) });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+};
+
+export const unshareDocument = async (req, res) => {
+  try {
+    const doc = await Document.findOne({ _id: req.params.id, ...documentAccessFilter(req.user?.id, 'share', req.workspace) })
+      .select('_id sharedWith');
+    if (!doc) return res.status(404).json({ error: 'Document not found' });
+
+    const remaining = doc.sharedWith.filter(share => String(share.userId) !== req.params.userId);
+    if (remaining.length === doc.sharedWith.length) {
+      return res.status(404).json({ error: 'Document is not shared with this user' });
+    }
+    doc.sharedWith = remaining;
+    await doc.save();
+
+    res.json({ documentId: doc._id, shares: await describeShares(doc) });
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
@@ -1,4 +1,5 @@
 import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
 
 export const authMiddleware = (req, res, next) => {
   const header = req.headers.authorization || '';
@@ -28,3 +29,22 @@ export const authMiddleware = (req, res, next) => {
     return res.status(401).json({ error: 'Invalid token' });
   }
 };
+
+// Use after authMiddleware. ADMIN_EMAILS (comma separated) bootstraps admins before any role is set
+export const requireAdmin = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user?.id).select('email role');
+    const adminEmails = (process.env.ADMIN_EMAILS || '')
+      .split(',')
+      .map(email => email.trim().toLowerCase())
+      .filter(Boolean);
+
+    if (!user || (user.role !== 'admin' && !adminEmails.includes(user.email.toLowerCase()))) {
+      console.log('❌ Admin access denied for user:', req.user?.id);
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    next();
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+};
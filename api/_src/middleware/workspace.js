@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+import Workspace from '../models/Workspace.js';
+import User from '../models/User.js';
+import { getMemberRole, getPersonalWorkspace } from '../services/workspaces.js';
+
+// Use after authMiddleware. Picks the workspace a request works in: the X-Workspace-Id header, else the
+// user's current workspace, else their personal one. Sets req.workspace = { _id, name, isPersonal, ownerId, role, quotas }
+export const workspaceMiddleware = async (req, res, next) => {
+  try {
+    const requested = req.headers['x-workspace-id'];
+    let workspace = null;
+
+    if (requested) {
+      if (mongoose.isValidObjectId(requested)) {
+        workspace = await Workspace.findOne({ _id: requested, isActive: true, 'members.userId': req.user.id });
+      }
+      if (!workspace) {
+        console.log('❌ Workspace access denied for user:', req.user.id);
+        return res.status(403).json({ error: 'You are not a member of this workspace' });
+      }
+    } else {
+      const user = await User.findById(req.user.id).select('currentWorkspaceId');
+      if (user?.currentWorkspaceId) {
+        workspace = await Workspace.findOne({ _id: user.currentWorkspaceId, isActive: true, 'members.userId': req.user.id });
+      }
+      workspace = workspace || await getPersonalWorkspace(req.user.id);
+    }
+
+    req.workspace = {
+      _id: workspace._id,
+      name: workspace.name,
+      isPersonal: workspace.isPersonal,
+      ownerId: workspace.ownerId,
+      role: getMemberRole(workspace, req.user.id),
+      quotas: workspace.quotas
+    };
+    next();
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+};
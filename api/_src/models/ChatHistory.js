@@ -1,5 +1,22 @@
 import mongoose from 'mongoose';
 
+// Links a [n] marker in an assistant answer to the chunk range it came from
+const citationSchema = new mongoose.Schema(
+  {
+    marker: { type: Number, required: true },
+    documentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Document' },
+    documentName: String,
+    page: Number,
+    sheet: String,
+    rowStart: Number,
+    rowEnd: Number,
+    start: Number,
+    end: Number,
+    excerpt: String
+  },
+  { _id: false }
+);
+
 const chatHistorySchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -7,13 +24,31 @@ const chatHistorySchema = new mongoose.Schema({
     required: true,
     index: true
   },
-  documentId: {
+  // Workspace the chat was started in; it only lists in that workspace
+  workspaceId: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'Document',
-    required: true,
-    index: true
+    ref: 'Workspace'
+  },
+  // Documents the conversation is about; questions search all of them. Editable mid-conversation
+  documentIds: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Document'
+    }],
+    validate: [ids => ids.length > 0, 'A chat needs at least one document']
   },
+  // Names of those documents, copied here so history search can match them
+  documentNames: {
+    type: [String],
+    default: []
+  },
+  // Every message variant of the chat; parentId links them into a tree (see services/chatTree.js)
   messages: [{
+    // Message this one follows, null for the first message of a branch. Older messages have none
+    // and follow the previous message in the array
+    parentId: {
+      type: mongoose.Schema.Types.ObjectId
+    },
     role: {
       type: String,
       enum: ['user', 'assistant'],
@@ -33,8 +68,18 @@ const chatHistorySchema = new mongoose.Schema({
     },
     model: {
       type: String
+    },
+    citations: [citationSchema],
+    // Streamed answer cut short by a disconnect or a stream error
+    partial: {
+      type: Boolean,
+      default: false
     }
   }],
+  // Last message of the branch the chat continues from; defaults to the last message saved
+  activeLeafId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
   title: {
     type: String,
     default: 'New Chat'
@@ -43,6 +88,14 @@ const chatHistorySchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  // Rolling summary of the older turns that no longer fit the context budget
+  contextSummary: {
+    text: { type: String, default: '' },
+    messageCount: { type: Number, default: 0 },
+    // Last summarized message, so other branches don't reuse the summary
+    lastMessageId: mongoose.Schema.Types.ObjectId,
+    updatedAt: Date
+  },
   totalTokens: {
     type: Number,
     default: 0
@@ -57,6 +110,12 @@ const chatHistorySchema = new mongoose.Schema({
 
 // Index for efficient queries
 chatHistorySchema.index({ userId: 1, createdAt: -1 });
-chatHistorySchema.index({ userId: 1, documentId: 1 });
+chatHistorySchema.index({ userId: 1, workspaceId: 1, updatedAt: -1 });
+chatHistorySchema.index({ userId: 1, documentIds: 1 });
+// History search over titles, document names and every message variant
+chatHistorySchema.index(
+  { title: 'text', documentNames: 'text', 'messages.content': 'text' },
+  { name: 'chat_history_search', weights: { title: 5, documentNames: 3, 'messages.content': 1 } }
+);
 
 export default mongoose.model('ChatHistory', chatHistorySchema);
@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+
+// Public read-only link to a chat; anyone with the token can view it until it expires or is revoked
+const chatShareSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    chatId: { type: mongoose.Schema.Types.ObjectId, ref: 'ChatHistory', required: true, index: true },
+    token: { type: String, required: true, unique: true },
+    // null for links that never expire
+    expiresAt: { type: Date, default: null },
+    revokedAt: { type: Date, default: null },
+    views: { type: Number, default: 0 },
+    lastViewedAt: { type: Date, default: null }
+  },
+  { timestamps: true }
+);
+
+// Filter for shares that can still be viewed
+chatShareSchema.statics.activeFilter = function (now = new Date()) {
+  return {
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+  };
+};
+
+export default mongoose.model('ChatShare', chatShareSchema);
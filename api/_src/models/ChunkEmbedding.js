@@ -0,0 +1,22 @@
+import mongoose from 'mongoose';
+
+// Embedding of one document chunk. Vectors live outside the Document, which would otherwise pass
+// MongoDB's 16 MB document limit for large uploads (a 768-dimension vector is ~7 KB of BSON)
+const chunkEmbeddingSchema = new mongoose.Schema({
+  documentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Document', required: true },
+  // Position of the chunk in the document's chunks array
+  chunkIndex: { type: Number, required: true },
+  vector: { type: [Number], required: true }
+});
+
+chunkEmbeddingSchema.index({ documentId: 1, chunkIndex: 1 }, { unique: true });
+
+// Replace the stored vectors of a document; `vectors` is aligned with its chunks (chunks without one
+// are skipped), or null without embeddings
+chunkEmbeddingSchema.statics.replaceForDocument = async function (documentId, vectors) {
+  await this.deleteMany({ documentId });
+  const entries = (vectors || []).flatMap((vector, chunkIndex) => (vector?.length ? [{ documentId, chunkIndex, vector }] : []));
+  if (entries.length) await this.insertMany(entries, { lean: true });
+};
+
+export default mongoose.model('ChunkEmbedding', chunkEmbeddingSchema);
@@ -8,8 +8,40 @@ const chunkSchema = new mongoose.Schema(
       page: Number,
       start: Number,
       end: Number,
+      section: String,
+      // Spreadsheet chunks: the sheet and the range of row numbers they hold
+      sheet: String,
+      rowStart: Number,
+      rowEnd: Number,
     },
-    embedding: { type: [Number], default: undefined },
+  },
+  { _id: false }
+);
+
+// A CSV or XLSX sheet; rows keep their spreadsheet row number, cells are the displayed values
+const sheetSchema = new mongoose.Schema(
+  {
+    name: String,
+    headerRow: Number,
+    headers: [String],
+    rows: [{ row: Number, cells: [String], _id: false }],
+    rowCount: Number,
+    columnCount: Number,
+    // Only the first MAX_STORED_ROWS rows are stored; the chunks cover all of them
+    truncated: { type: Boolean, default: false }
+  },
+  { _id: false }
+);
+
+// Pages read by OCR with Tesseract's confidence (0-100). Skipped pages have no text layer but were
+// not read: OCR turned off or failed, or past OCR_MAX_PAGES
+const ocrSchema = new mongoose.Schema(
+  {
+    engine: String,
+    language: String,
+    pages: [{ page: Number, confidence: Number, _id: false }],
+    averageConfidence: Number,
+    skippedPages: [Number]
   },
   { _id: false }
 );
@@ -17,17 +49,64 @@ const chunkSchema = new mongoose.Schema(
 const documentSchema = new mongoose.Schema(
   {
     userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+    // Workspace the document belongs to; its uploader is userId
+    workspaceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Workspace', index: true },
     filename: String,
     originalName: String,
     mimeType: String,
     size: Number,
+    // SHA-256 of the uploaded file
+    contentHash: { type: String, index: true },
+    // Chunk embeddings are stored in the ChunkEmbedding collection, keyed by position in this array
     chunks: [chunkSchema],
+    sheets: { type: [sheetSchema], default: undefined },
     metadata: {
       pages: { type: Number, default: 1 },
       wordCount: { type: Number, default: 0 },
       language: { type: String, default: 'en' },
-      summary: { type: String, default: '' }
+      summary: { type: String, default: '' },
+      title: { type: String, default: null },
+      author: { type: String, default: null },
+      creationDate: { type: Date, default: null },
+      // Share of printable characters in the extracted text; flagged documents may contain binary noise
+      textQuality: {
+        printableRatio: Number,
+        flagged: { type: Boolean, default: false }
+      },
+      // Set when pages were read by OCR; null for documents with a text layer throughout
+      ocr: { type: ocrSchema, default: null }
+    },
+    indexing: {
+      embeddingProvider: { type: String, default: null },
+      embeddingModel: { type: String, default: null },
+      embeddingDimensions: { type: Number, default: 0 },
+      chunking: {
+        strategy: { type: String, default: 'fixed' },
+        unit: { type: String, default: 'chars' },
+        size: { type: Number, default: 1200 },
+        overlap: { type: Number, default: 0 }
+      },
+      // Documents indexed before versioning count as version 1
+      version: { type: Number, default: 1 },
+      status: { type: String, enum: ['ready', 'indexing', 'failed'], default: 'ready' },
+      error: { type: String, default: null },
+      // When the current 'indexing' run started; runs older than INDEXING_TIMEOUT_MS were cut off
+      startedAt: { type: Date, default: null },
+      progress: {
+        stage: String,
+        processed: Number,
+        total: Number
+      },
+      indexedAt: { type: Date, default: null }
     },
+    // Other users the owner shared the document with. Viewers can chat with it; editors can also
+    // rename, re-index and delete it (see services/documentAccess.js)
+    sharedWith: [{
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+      role: { type: String, enum: ['viewer', 'editor'], default: 'viewer' },
+      sharedAt: { type: Date, default: Date.now },
+      _id: false
+    }],
     stats: {
       views: { type: Number, default: 0 },
       chats: { type: Number, default: 0 },
@@ -39,4 +118,6 @@ const documentSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+documentSchema.index({ 'sharedWith.userId': 1 });
+
 export default mongoose.model('Document', documentSchema);
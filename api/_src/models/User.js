@@ -1,10 +1,26 @@
 import mongoose from 'mongoose';
+import { DEFAULT_QUOTA_PLAN, QUOTA_PLANS } from '../config/quotas.js';
 
 const userSchema = new mongoose.Schema(
   {
     email: { type: String, required: true, unique: true, index: true },
     passwordHash: { type: String, required: true },
     name: { type: String },
+    role: { type: String, enum: ['user', 'admin'], default: 'user' },
+    // Workspace the app opens in; the personal workspace when unset
+    currentWorkspaceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Workspace', default: null },
+    // Quota plan (see config/quotas.js). Limits set here override the plan's; null keeps the plan's
+    quota: {
+      plan: { type: String, enum: Object.keys(QUOTA_PLANS), default: DEFAULT_QUOTA_PLAN },
+      maxDocuments: { type: Number, default: null },
+      maxStorageBytes: { type: Number, default: null },
+      monthlyTokens: { type: Number, default: null }
+    },
+    // LLM tokens used in the calendar month (UTC, "2025-09"); starts over when the month changes
+    tokenUsage: {
+      month: { type: String, default: null },
+      tokens: { type: Number, default: 0 }
+    },
     profile: {
       displayName: {
         type: String,
@@ -47,4 +63,9 @@ const userSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+// Filter for the user with this email, whatever its case; emails were stored as typed at sign-up
+userSchema.statics.emailFilter = function (email) {
+  return { email: new RegExp(`^${email.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i') };
+};
+
 export default mongoose.model('User', userSchema);
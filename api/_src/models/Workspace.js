@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+
+// A workspace owns documents and chats. Every user has a personal workspace; team workspaces
+// are shared by their members
+const memberSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    role: { type: String, enum: ['owner', 'admin', 'member'], default: 'member' },
+    joinedAt: { type: Date, default: Date.now }
+  },
+  { _id: false }
+);
+
+// Pending invitation of a registered or future user, matched by email when they accept
+const invitationSchema = new mongoose.Schema({
+  email: { type: String, required: true, lowercase: true, trim: true },
+  role: { type: String, enum: ['admin', 'member'], default: 'member' },
+  invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true }
+});
+
+const workspaceSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true, maxlength: 80 },
+    ownerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    isPersonal: { type: Boolean, default: false },
+    members: [memberSchema],
+    invitations: [invitationSchema],
+    // Team workspaces only; personal workspaces are limited by their owner's plan
+    quotas: {
+      maxDocuments: Number,
+      maxStorageBytes: Number
+    },
+    isActive: { type: Boolean, default: true }
+  },
+  { timestamps: true }
+);
+
+workspaceSchema.index({ 'members.userId': 1 });
+workspaceSchema.index({ 'invitations.email': 1 });
+// One personal workspace per user
+workspaceSchema.index({ ownerId: 1 }, { unique: true, partialFilterExpression: { isPersonal: true } });
+
+export default mongoose.model('Workspace', workspaceSchema);
@@ -1,6 +1,7 @@
 import { Router } from 'express';
-import { chat, chatStream, summarizeDocuments, testAI, healthCheck } from '../controllers/chatController.js';
+import { chat, chatStream, summarizeDocuments, regenerateAnswer, editMessage, testAI, healthCheck } from '../controllers/chatController.js';
 import { authMiddleware } from '../middleware/auth.js';
+import { workspaceMiddleware } from '../middleware/workspace.js';
 
 const router = Router();
 
@@ -9,9 +10,11 @@ router.get('/health', healthCheck);
 router.post('/test', testAI);
 
 // Protected chat endpoints
-router.use(authMiddleware);
+router.use(authMiddleware, workspaceMiddleware);
 router.post('/', chat);
 router.post('/stream', chatStream);
 router.post('/summarize', summarizeDocuments);
+router.post('/regenerate', regenerateAnswer);
+router.post('/edit', editMessage);
 
 export default router;
@@ -1,30 +1,63 @@
 import { Router } from 'express';
+import mongoose from 'mongoose';
 import { authMiddleware } from '../middleware/auth.js';
+import { workspaceMiddleware } from '../middleware/workspace.js';
 import ChatHistory from '../models/ChatHistory.js';
+import ChatShare from '../models/ChatShare.js';
 import Document from '../models/Document.js';
 import User from '../models/User.js';
+import { countBranches, describeActiveBranch, getActiveBranch, linkMessages, resolveBranchLeaf } from '../services/chatTree.js';
+import { buildSearchTerms, buildSnippets, findHighlights } from '../services/chatSearch.js';
+import { EXPORT_FORMATS, exportFileName, renderChatExport, renderChatsArchive } from '../services/chatExport.js';
+import { buildImportedChat, resolveDocuments, validateChatExport, validateImportedChat } from '../services/chatImport.js';
+import { documentAccessFilter } from '../services/documentAccess.js';
+import { MAX_SHARE_DAYS, createShareToken, parseExpiresInDays, serializeShare } from '../services/chatShare.js';
 
 const router = Router();
 
+// The documents with these ids the user can use in the workspace, or null unless every one of them was found
+async function findUserDocuments(userId, documentIds, workspace) {
+  const ids = [...new Set((documentIds || []).filter(Boolean).map(String))];
+  if (ids.length === 0) return null;
+  const documents = await Document.find({ _id: { $in: ids }, ...documentAccessFilter(userId, 'view', workspace) });
+  return documents.length === ids.length ? documents : null;
+}
+
+// A chat as clients see it: the active branch as `messages`, each with its alternatives
+function serializeChat(chatHistory) {
+  return {
+    ...chatHistory.toObject(),
+    messages: describeActiveBranch(chatHistory),
+    messageCount: chatHistory.messages.length,
+    branchCount: countBranches(chatHistory)
+  };
+}
+
 // Get all chat histories for a user
-router.get('/', authMiddleware, async (req, res) => {
+router.get('/', authMiddleware, workspaceMiddleware, async (req, res) => {
   try {
     const userId = req.user.id;
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
 
-    const chatHistories = await ChatHistory.find({ 
-      userId, 
-      isActive: true 
-    })
-    .populate('documentId', 'originalName filename')
+    // Optionally only the chats that include a given document
+    const filter = { userId, workspaceId: req.workspace._id, isActive: true };
+    if (req.query.documentId) {
+      if (!mongoose.isValidObjectId(req.query.documentId)) {
+        return res.status(400).json({ error: 'Invalid document id' });
+      }
+      filter.documentIds = req.query.documentId;
+    }
+
+    const chatHistories = await ChatHistory.find(filter)
+    .populate('documentIds', 'originalName filename')
     .select('title summary totalTokens createdAt updatedAt messages.timestamp')
     .sort({ updatedAt: -1 })
     .skip(skip)
     .limit(limit);
 
-    const total = await ChatHistory.countDocuments({ userId, isActive: true });
+    const total = await ChatHistory.countDocuments(filter);
 
     // Add message count to each chat
     const enrichedHistories = chatHistories.map(chat => ({
@@ -49,39 +82,388 @@ router.get('/', authMiddleware, async (req, res) => {
   }
 });
 
+// Search message contents, titles and document names, best matches first
+router.get('/search', authMiddleware, workspaceMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const query = (req.query.q || '').trim();
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+    const skip = (page - 1) * limit;
+
+    if (!query) {
+      return res.status(400).json({ error: 'Search query is required' });
+    }
+
+    const filter = { userId, workspaceId: req.workspace._id, isActive: true, $text: { $search: query } };
+    if (req.query.documentId) {
+      if (!mongoose.isValidObjectId(req.query.documentId)) {
+        return res.status(400).json({ error: 'Invalid document id' });
+      }
+      filter.documentIds = req.query.documentId;
+    }
+
+    // Chats active at some point in the range: started before `to` and last updated after `from`
+    const from = req.query.from ? new Date(req.query.from) : null;
+    const to = req.query.to ? new Date(req.query.to) : null;
+    if ((from && isNaN(from)) || (to && isNaN(to))) {
+      return res.status(400).json({ error: 'Invalid date range' });
+    }
+    if (from) filter.updatedAt = { $gte: from };
+    if (to) filter.createdAt = { $lte: to };
+
+    const [chatHistories, total] = await Promise.all([
+      ChatHistory.find(filter, { score: { $meta: 'textScore' } })
+        .populate('documentIds', 'originalName filename')
+        .select('title documentIds totalTokens createdAt updatedAt messages._id messages.role messages.content messages.timestamp')
+        .sort({ score: { $meta: 'textScore' }, updatedAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      ChatHistory.countDocuments(filter)
+    ]);
+
+    const terms = buildSearchTerms(query);
+    const results = chatHistories.map(chat => {
+      const { messages, ...rest } = chat.toObject();
+      return {
+        ...rest,
+        messageCount: messages.length,
+        titleHighlights: findHighlights(chat.title, terms),
+        snippets: buildSnippets(messages, terms)
+      };
+    });
+
+    res.json({
+      query,
+      results,
+      pagination: {
+        current: page,
+        total: Math.ceil(total / limit),
+        count: total,
+        limit
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Export all of the user's chats as a zip archive (?format=md|json|html|pdf, default md)
+router.get('/export', authMiddleware, workspaceMiddleware, async (req, res) => {
+  try {
+    const format = req.query.format || 'md';
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({ error: `Unsupported export format. Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
+
+    const chatHistories = await ChatHistory.find({ userId: req.user.id, workspaceId: req.workspace._id, isActive: true })
+      .populate('documentIds', 'originalName contentHash')
+      .sort({ updatedAt: -1 });
+
+    if (chatHistories.length === 0) {
+      return res.status(404).json({ error: 'No chats to export' });
+    }
+
+    const archive = await renderChatsArchive(chatHistories, format);
+    const date = new Date().toISOString().substring(0, 10);
+    console.log(`📦 Exported ${chatHistories.length} chats as ${format} for user ${req.user.id}`);
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="chats-${date}.zip"`
+    });
+    res.send(archive);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+const MAX_IMPORT_CHATS = 100;
+
+// Import chats from the JSON export: one export object, or an array of them.
+// Every chat gets a result; unresolved documents and citations are reported, never dropped silently
+router.post('/import', authMiddleware, workspaceMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const exports = Array.isArray(req.body) ? req.body : [req.body];
+
+    if (exports.length > MAX_IMPORT_CHATS) {
+      return res.status(400).json({ error: `At most ${MAX_IMPORT_CHATS} chats can be imported at once` });
+    }
+
+    const results = [];
+    for (const [index, data] of exports.entries()) {
+      const problems = validateChatExport(data);
+      if (problems.length > 0) {
+        results.push({ index, status: 'invalid', problems });
+        continue;
+      }
+
+      const { documents, unresolved } = await resolveDocuments(userId, data.chat?.documents, req.workspace);
+      if (documents.length === 0) {
+        results.push({
+          index,
+          status: 'unresolved',
+          error: 'None of the chat\'s documents could be found',
+          unresolved
+        });
+        continue;
+      }
+
+      const imported = buildImportedChat(data, documents, userId);
+      const fields = { ...imported.chat, workspaceId: req.workspace._id };
+      // Anything the validator missed fails this chat only, before any of it is saved
+      const schemaProblems = validateImportedChat(fields);
+      if (schemaProblems.length > 0) {
+        results.push({ index, status: 'invalid', problems: schemaProblems });
+        continue;
+      }
+      const chatHistory = await ChatHistory.create(fields);
+
+      await Document.updateMany({ _id: { $in: chatHistory.documentIds } }, {
+        $inc: { 'stats.chats': 1 }
+      });
+
+      results.push({
+        index,
+        status: 'imported',
+        chatId: chatHistory._id,
+        title: chatHistory.title,
+        messages: chatHistory.messages.length,
+        documents: documents.map(({ document, matchedBy }) => ({
+          id: document._id,
+          name: document.originalName,
+          matchedBy
+        })),
+        unresolved: [...unresolved, ...imported.unresolved]
+      });
+    }
+
+    const importedCount = results.filter(result => result.status === 'imported').length;
+    if (importedCount > 0) {
+      await User.findByIdAndUpdate(userId, {
+        $inc: { 'stats.totalChats': importedCount },
+        $set: { 'stats.lastActive': new Date() }
+      });
+      console.log(`📥 Imported ${importedCount}/${results.length} chats for user ${userId}`);
+    }
+
+    if (importedCount === 0) {
+      const allInvalid = results.every(result => result.status === 'invalid');
+      return res.status(allInvalid ? 400 : 422).json({
+        error: allInvalid ? 'Invalid chat export' : 'No chat could be linked to your documents',
+        imported: 0,
+        results
+      });
+    }
+
+    res.status(201).json({ imported: importedCount, results });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get specific chat history
-router.get('/:id', authMiddleware, async (req, res) => {
+router.get('/:id', authMiddleware, workspaceMiddleware, async (req, res) => {
   try {
     const chatHistory = await ChatHistory.findOne({
       _id: req.params.id,
       userId: req.user.id,
+      workspaceId: req.workspace._id,
       isActive: true
-    }).populate('documentId', 'originalName filename');
+    }).populate('documentIds', 'originalName filename');
 
     if (!chatHistory) {
       return res.status(404).json({ error: 'Chat history not found' });
     }
 
-    res.json(chatHistory);
+    res.json(serializeChat(chatHistory));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Create or update chat history
-router.post('/', authMiddleware, async (req, res) => {
+// Export one conversation (?format=md|json|html|pdf, default md)
+router.get('/:id/export', authMiddleware, workspaceMiddleware, async (req, res) => {
+  try {
+    const format = req.query.format || 'md';
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({ error: `Unsupported export format. Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
+
+    const chatHistory = await ChatHistory.findOne({
+      _id: req.params.id,
+      userId: req.user.id,
+      workspaceId: req.workspace._id,
+      isActive: true
+    }).populate('documentIds', 'originalName contentHash');
+
+    if (!chatHistory) {
+      return res.status(404).json({ error: 'Chat history not found' });
+    }
+
+    const content = await renderChatExport(chatHistory, format);
+    res.set({
+      'Content-Type': EXPORT_FORMATS[format].contentType,
+      'Content-Disposition': `attachment; filename="${exportFileName(chatHistory, EXPORT_FORMATS[format].extension)}"`
+    });
+    res.send(content);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create a public read-only link to a chat; body { expiresInDays } (optional)
+router.post('/:id/shares', authMiddleware, workspaceMiddleware, async (req, res) => {
   try {
-    const { documentId, messages, title } = req.body;
+    const expiresInDays = parseExpiresInDays(req.body.expiresInDays);
+    if (expiresInDays === undefined) {
+      return res.status(400).json({ error: `expiresInDays must be a number of days, at most ${MAX_SHARE_DAYS}` });
+    }
+
+    const chatHistory = await ChatHistory.findOne({
+      _id: req.params.id,
+      userId: req.user.id,
+      workspaceId: req.workspace._id,
+      isActive: true
+    }).select('title');
+
+    if (!chatHistory) {
+      return res.status(404).json({ error: 'Chat history not found' });
+    }
+
+    const share = await ChatShare.create({
+      userId: req.user.id,
+      chatId: chatHistory._id,
+      token: createShareToken(),
+      expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null
+    });
+
+    console.log(`🔗 Shared chat ${chatHistory._id}${share.expiresAt ? ` until ${share.expiresAt.toISOString()}` : ''}`);
+    res.status(201).json(serializeShare(share, chatHistory));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Active share links of a chat
+router.get('/:id/shares', authMiddleware, workspaceMiddleware, async (req, res) => {
+  try {
+    const chatHistory = await ChatHistory.findOne({
+      _id: req.params.id,
+      userId: req.user.id,
+      workspaceId: req.workspace._id,
+      isActive: true
+    }).select('title');
+
+    if (!chatHistory) {
+      return res.status(404).json({ error: 'Chat history not found' });
+    }
+
+    const shares = await ChatShare.find({ chatId: chatHistory._id, ...ChatShare.activeFilter() })
+      .sort({ createdAt: -1 });
+    res.json(shares.map(share => serializeShare(share, chatHistory)));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Revoke a share link; the link stops working immediately
+router.delete('/:id/shares/:shareId', authMiddleware, workspaceMiddleware, async (req, res) => {
+  try {
+    const share = await ChatShare.findOneAndUpdate(
+      { _id: req.params.shareId, chatId: req.params.id, userId: req.user.id, revokedAt: null },
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!share) {
+      return res.status(404).json({ error: 'Share link not found' });
+    }
+
+    res.json({ message: 'Share link revoked', share: serializeShare(share) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Switch the active branch to the newest branch through a message (e.g. another answer variant)
+router.put('/:id/branch', authMiddleware, workspaceMiddleware, async (req, res) => {
+  try {
+    const { messageId } = req.body;
+
+    const chatHistory = await ChatHistory.findOne({
+      _id: req.params.id,
+      userId: req.user.id,
+      workspaceId: req.workspace._id,
+      isActive: true
+    }).populate('documentIds', 'originalName filename');
+
+    if (!chatHistory) {
+      return res.status(404).json({ error: 'Chat history not found' });
+    }
+
+    const leafId = messageId && resolveBranchLeaf(chatHistory, messageId);
+    if (!leafId) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    chatHistory.activeLeafId = leafId;
+    await chatHistory.save();
+
+    res.json(serializeChat(chatHistory));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Replace the set of documents a chat is about; later questions search the new set
+router.put('/:id/documents', authMiddleware, workspaceMiddleware, async (req, res) => {
+  try {
+    const { documentIds } = req.body;
     const userId = req.user.id;
 
-    // Verify document belongs to user
-    const document = await Document.findOne({ 
-      _id: documentId, 
+    if (!Array.isArray(documentIds) || documentIds.length === 0) {
+      return res.status(400).json({ error: 'A chat needs at least one document' });
+    }
+
+    const chatHistory = await ChatHistory.findOne({
+      _id: req.params.id,
       userId,
-      isActive: true 
+      workspaceId: req.workspace._id,
+      isActive: true
     });
+
+    if (!chatHistory) {
+      return res.status(404).json({ error: 'Chat history not found' });
+    }
+
+    const documents = await findUserDocuments(userId, documentIds, req.workspace);
+    if (!documents) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    chatHistory.documentIds = documents.map(doc => doc._id);
+    chatHistory.documentNames = documents.map(doc => doc.originalName);
+    await chatHistory.save();
+    await chatHistory.populate('documentIds', 'originalName filename');
+
+    res.json(serializeChat(chatHistory));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create or update chat history
+router.post('/', authMiddleware, workspaceMiddleware, async (req, res) => {
+  try {
+    const { documentIds, documentId, messages, title } = req.body;
+    const userId = req.user.id;
+
+    // Verify the documents belong to user (a single documentId is still accepted)
+    const documents = await findUserDocuments(userId, documentIds || [documentId], req.workspace);
     
-    if (!document) {
+    if (!documents) {
       return res.status(404).json({ error: 'Document not found' });
     }
 
@@ -93,16 +475,20 @@ router.post('/', authMiddleware, async (req, res) => {
       messages[0].content.substring(0, 50) + '...' : 
       'New Chat');
 
+    const linkedMessages = linkMessages(messages);
     const chatHistory = await ChatHistory.create({
       userId,
-      documentId,
-      messages,
+      workspaceId: req.workspace._id,
+      documentIds: documents.map(doc => doc._id),
+      documentNames: documents.map(doc => doc.originalName),
+      messages: linkedMessages,
+      activeLeafId: linkedMessages[linkedMessages.length - 1]?._id,
       title: chatTitle,
       totalTokens
     });
 
     // Update document stats
-    await Document.findByIdAndUpdate(documentId, {
+    await Document.updateMany({ _id: { $in: chatHistory.documentIds } }, {
       $inc: { 'stats.chats': 1 }
     });
 
@@ -122,7 +508,7 @@ router.post('/', authMiddleware, async (req, res) => {
 });
 
 // Update chat history (add messages)
-router.put('/:id', authMiddleware, async (req, res) => {
+router.put('/:id', authMiddleware, workspaceMiddleware, async (req, res) => {
   try {
     const { messages, title } = req.body;
     const chatId = req.params.id;
@@ -131,6 +517,7 @@ router.put('/:id', authMiddleware, async (req, res) => {
     const chatHistory = await ChatHistory.findOne({
       _id: chatId,
       userId,
+      workspaceId: req.workspace._id,
       isActive: true
     });
 
@@ -138,14 +525,17 @@ router.put('/:id', authMiddleware, async (req, res) => {
       return res.status(404).json({ error: 'Chat history not found' });
     }
 
-    // Add new messages
+    // Add new messages to the end of the active branch
     const newTokens = messages.reduce((sum, msg) => sum + (msg.tokens || 0), 0);
+    const branch = getActiveBranch(chatHistory);
+    const linkedMessages = linkMessages(messages, branch[branch.length - 1]?._id || null);
     
     await ChatHistory.findByIdAndUpdate(chatId, {
-      $push: { messages: { $each: messages } },
+      $push: { messages: { $each: linkedMessages } },
       $inc: { totalTokens: newTokens },
       $set: { 
         title: title || chatHistory.title,
+        activeLeafId: linkedMessages[linkedMessages.length - 1]?._id || chatHistory.activeLeafId,
         updatedAt: new Date()
       }
     });
@@ -163,7 +553,7 @@ router.put('/:id', authMiddleware, async (req, res) => {
 });
 
 // Delete chat history
-router.delete('/:id', authMiddleware, async (req, res) => {
+router.delete('/:id', authMiddleware, workspaceMiddleware, async (req, res) => {
   try {
     const chatId = req.params.id;
     const userId = req.user.id;
@@ -171,6 +561,7 @@ router.delete('/:id', authMiddleware, async (req, res) => {
     const chatHistory = await ChatHistory.findOne({
       _id: chatId,
       userId,
+      workspaceId: req.workspace._id,
       isActive: true
     });
 
@@ -183,6 +574,8 @@ router.delete('/:id', authMiddleware, async (req, res) => {
       isActive: false,
       deletedAt: new Date()
     });
+    // A deleted chat is no longer shared
+    await ChatShare.updateMany({ chatId, revokedAt: null }, { $set: { revokedAt: new Date() } });
 
     res.json({ message: 'Chat history deleted successfully' });
   } catch (error) {
@@ -191,12 +584,12 @@ router.delete('/:id', authMiddleware, async (req, res) => {
 });
 
 // Get chat statistics
-router.get('/stats/summary', authMiddleware, async (req, res) => {
+router.get('/stats/summary', authMiddleware, workspaceMiddleware, async (req, res) => {
   try {
     const userId = req.user.id;
     
     const stats = await ChatHistory.aggregate([
-      { $match: { userId: userId, isActive: true } },
+      { $match: { userId: userId, workspaceId: req.workspace._id, isActive: true } },
       {
         $group: {
           _id: null,
@@ -1,17 +1,25 @@
 import { Router } from 'express';
 import multer from 'multer';
-import path from 'path';
 import fs from 'fs';
-import { fileURLToPath } from 'url';
-import { authMiddleware } from '../middleware/auth.js';
-import { uploadFile, listFiles, getDocument, deleteFile } from '../controllers/fileController.js';
+import { authMiddleware, requireAdmin } from '../middleware/auth.js';
+import { workspaceMiddleware } from '../middleware/workspace.js';
+import { UPLOAD_DIR as uploadDir, resolveUploadType } from '../config/uploads.js';
+import {
+  uploadFile,
+  listFiles,
+  getDocument,
+  deleteFile,
+  reindexDocument,
+  getReindexStatus,
+  reindexAllDocuments,
+  renameDocument,
+  listDocumentShares,
+  shareDocument,
+  unshareDocument
+} from '../controllers/fileController.js';
 
 const router = Router();
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-const uploadDir = path.join(__dirname, '..', 'uploads');
 if (!fs.existsSync(uploadDir)) {
   fs.mkdirSync(uploadDir, { recursive: true });
 }
@@ -28,13 +36,7 @@ const storage = multer.diskStorage({
 });
 
 function fileFilter(_req, file, cb) {
-  const allowed = [
-    'application/pdf',
-    'application/msword',
-    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-    'text/plain'
-  ];
-  if (!allowed.includes(file.mimetype)) {
+  if (!resolveUploadType(file.mimetype, file.originalname)) {
     return cb(new Error('Unsupported file type'));
   }
   cb(null, true);
@@ -46,11 +48,18 @@ const upload = multer({
   limits: { fileSize: 10 * 1024 * 1024 } // 10MB
 });
 
-router.use(authMiddleware);
+router.use(authMiddleware, workspaceMiddleware);
 router.get('/', listFiles);
+router.post('/reindex', requireAdmin, reindexAllDocuments);
 router.get('/:id', getDocument);
 router.post('/upload', upload.single('file'), uploadFile);
 router.delete('/:id', deleteFile);
+router.get('/:id/reindex', getReindexStatus);
+router.post('/:id/reindex', reindexDocument);
+router.put('/:id', renameDocument);
+router.get('/:id/shares', listDocumentShares);
+router.post('/:id/shares', shareDocument);
+router.delete('/:id/shares/:userId', unshareDocument);
 
 // Test endpoint to debug upload issues
 router.post('/test-upload', (req, res) => {
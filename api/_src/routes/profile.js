@@ -1,13 +1,19 @@
 import { Router } from 'express';
-import { authMiddleware } from '../middleware/auth.js';
+import mongoose from 'mongoose';
+import { authMiddleware, requireAdmin } from '../middleware/auth.js';
+import { workspaceMiddleware } from '../middleware/workspace.js';
 import User from '../models/User.js';
 import Document from '../models/Document.js';
 import ChatHistory from '../models/ChatHistory.js';
+import ChatShare from '../models/ChatShare.js';
+import { serializeShare } from '../services/chatShare.js';
+import { QUOTA_LIMITS, getUserQuota } from '../services/userQuotas.js';
+import { QUOTA_PLANS } from '../config/quotas.js';
 
 const router = Router();
 
-// Get user profile
-router.get('/', authMiddleware, async (req, res) => {
+// Get user profile; stats and recent activity cover the current workspace
+router.get('/', authMiddleware, workspaceMiddleware, async (req, res) => {
   try {
     const user = await User.findById(req.user.id).select('-passwordHash');
     
@@ -17,13 +23,14 @@ router.get('/', authMiddleware, async (req, res) => {
 
     // Get additional stats
     const [documentCount, chatCount] = await Promise.all([
-      Document.countDocuments({ userId: req.user.id, isActive: true }),
-      ChatHistory.countDocuments({ userId: req.user.id, isActive: true })
+      Document.countDocuments({ userId: req.user.id, workspaceId: req.workspace._id, isActive: true }),
+      ChatHistory.countDocuments({ userId: req.user.id, workspaceId: req.workspace._id, isActive: true })
     ]);
 
     // Get recent activity
     const recentDocuments = await Document.find({ 
       userId: req.user.id, 
+      workspaceId: req.workspace._id,
       isActive: true 
     })
     .select('originalName createdAt stats.views')
@@ -32,9 +39,10 @@ router.get('/', authMiddleware, async (req, res) => {
 
     const recentChats = await ChatHistory.find({ 
       userId: req.user.id, 
+      workspaceId: req.workspace._id,
       isActive: true 
     })
-    .populate('documentId', 'originalName')
+    .populate('documentIds', 'originalName')
     .select('title updatedAt totalTokens')
     .sort({ updatedAt: -1 })
     .limit(3);
@@ -60,7 +68,7 @@ router.get('/', authMiddleware, async (req, res) => {
 });
 
 // Get user analytics
-router.get('/analytics', authMiddleware, async (req, res) => {
+router.get('/analytics', authMiddleware, workspaceMiddleware, async (req, res) => {
   try {
     const user = await User.findById(req.user.id);
     
@@ -69,13 +77,13 @@ router.get('/analytics', authMiddleware, async (req, res) => {
     }
 
     // Get document statistics
-    const documents = await Document.find({ userId: req.user.id, isActive: true });
+    const documents = await Document.find({ userId: req.user.id, workspaceId: req.workspace._id, isActive: true });
     const totalDocuments = documents.length;
     const totalViews = documents.reduce((sum, doc) => sum + (doc.stats?.views || 0), 0);
     const totalSize = documents.reduce((sum, doc) => sum + (doc.size || 0), 0);
 
     // Get chat statistics
-    const chats = await ChatHistory.find({ userId: req.user.id, isActive: true });
+    const chats = await ChatHistory.find({ userId: req.user.id, workspaceId: req.workspace._id, isActive: true });
     const totalChats = chats.length;
     const totalTokens = chats.reduce((sum, chat) => sum + (chat.totalTokens || 0), 0);
 
@@ -83,12 +91,14 @@ router.get('/analytics', authMiddleware, async (req, res) => {
     const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
     const recentDocuments = await Document.find({
       userId: req.user.id,
+      workspaceId: req.workspace._id,
       isActive: true,
       createdAt: { $gte: thirtyDaysAgo }
     }).sort({ createdAt: -1 });
 
     const recentChats = await ChatHistory.find({
       userId: req.user.id,
+      workspaceId: req.workspace._id,
       isActive: true,
       createdAt: { $gte: thirtyDaysAgo }
     }).sort({ createdAt: -1 });
@@ -133,6 +143,87 @@ router.get('/analytics', authMiddleware, async (req, res) => {
   }
 });
 
+// Active share links of all the user's chats
+router.get('/shares', authMiddleware, async (req, res) => {
+  try {
+    const shares = await ChatShare.find({ userId: req.user.id, ...ChatShare.activeFilter() })
+      .populate({ path: 'chatId', select: 'title isActive' })
+      .sort({ createdAt: -1 });
+
+    res.json(shares
+      .filter(share => share.chatId?.isActive)
+      .map(share => serializeShare(share)));
+  } catch (error) {
+    console.error('Error fetching shares:', error);
+    res.status(500).json({ error: 'Failed to fetch shares' });
+  }
+});
+
+// The user's quota plan: limits, usage across all workspaces and what is left
+router.get('/quota', authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('quota tokenUsage');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json(await getUserQuota(user));
+  } catch (error) {
+    console.error('Error fetching quota:', error);
+    res.status(500).json({ error: 'Failed to fetch quota' });
+  }
+});
+
+// Admin: another user's quota
+router.get('/quota/:userId', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const user = mongoose.isValidObjectId(req.params.userId) && await User.findById(req.params.userId).select('email quota tokenUsage');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json({ userId: user._id, email: user.email, ...await getUserQuota(user) });
+  } catch (error) {
+    console.error('Error fetching quota:', error);
+    res.status(500).json({ error: 'Failed to fetch quota' });
+  }
+});
+
+// Admin: change a user's plan and limits; body { plan, maxDocuments, maxStorageBytes, monthlyTokens }.
+// A limit of null goes back to the plan's
+router.put('/quota/:userId', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const update = {};
+    if (req.body.plan !== undefined) {
+      if (!QUOTA_PLANS[req.body.plan]) {
+        return res.status(400).json({ error: `plan must be one of: ${Object.keys(QUOTA_PLANS).join(', ')}` });
+      }
+      update['quota.plan'] = req.body.plan;
+    }
+    for (const key of QUOTA_LIMITS) {
+      const value = req.body[key];
+      if (value === undefined) continue;
+      if (value !== null && (!Number.isInteger(value) || value < 0)) {
+        return res.status(400).json({ error: `${key} must be a non-negative integer or null` });
+      }
+      update[`quota.${key}`] = value;
+    }
+
+    const user = mongoose.isValidObjectId(req.params.userId) && await User.findByIdAndUpdate(
+      req.params.userId,
+      { $set: update },
+      { new: true }
+    ).select('email quota tokenUsage');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    console.log(`📏 Quota of ${user.email} set by admin ${req.user.id}:`, update);
+    res.json({ userId: user._id, email: user.email, ...await getUserQuota(user) });
+  } catch (error) {
+    console.error('Error updating quota:', error);
+    res.status(500).json({ error: 'Failed to update quota' });
+  }
+});
+
 // Helper function to get daily activity
 function getDailyActivity(documents, chats) {
   const activity = {};
@@ -0,0 +1,31 @@
+import { Router } from 'express';
+import ChatHistory from '../models/ChatHistory.js';
+import ChatShare from '../models/ChatShare.js';
+import { serializeSharedChat } from '../services/chatShare.js';
+
+// Unauthenticated, read-only access to shared chats
+const router = Router();
+
+// View a shared chat
+router.get('/:token', async (req, res) => {
+  try {
+    const share = await ChatShare.findOne({ token: req.params.token, ...ChatShare.activeFilter() });
+    const chatHistory = share && await ChatHistory.findOne({ _id: share.chatId, isActive: true });
+
+    if (!chatHistory) {
+      return res.status(404).json({ error: 'This share link is invalid, expired or revoked' });
+    }
+
+    await ChatShare.updateOne({ _id: share._id }, {
+      $inc: { views: 1 },
+      $set: { lastViewedAt: new Date() }
+    });
+
+    res.set('Cache-Control', 'no-store');
+    res.json(serializeSharedChat(chatHistory, share));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
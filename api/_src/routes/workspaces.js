@@ -0,0 +1,363 @@
+import { Router } from 'express';
+import mongoose from 'mongoose';
+import { authMiddleware, requireAdmin } from '../middleware/auth.js';
+import Workspace from '../models/Workspace.js';
+import User from '../models/User.js';
+import { defaultWorkspaceQuotas } from '../config/quotas.js';
+import {
+  INVITATION_DAYS,
+  canManageWorkspace,
+  getMemberRole,
+  getPersonalWorkspace,
+  getWorkspaceQuotaStatus,
+  getWorkspaceUsage,
+  serializeWorkspace
+} from '../services/workspaces.js';
+
+const router = Router();
+
+router.use(authMiddleware);
+
+// An active workspace the user is a member of, with their role; null when there is none
+async function findMembership(workspaceId, userId) {
+  if (!mongoose.isValidObjectId(workspaceId)) return null;
+  const workspace = await Workspace.findOne({ _id: workspaceId, isActive: true, 'members.userId': userId });
+  return workspace ? { workspace, role: getMemberRole(workspace, userId) } : null;
+}
+
+const pendingInvitations = workspace => workspace.invitations.filter(invitation => invitation.expiresAt > new Date());
+
+// Workspaces of the user, with the one the app opens in marked as current
+router.get('/', async (req, res) => {
+  try {
+    const personal = await getPersonalWorkspace(req.user.id);
+    const [workspaces, user] = await Promise.all([
+      Workspace.find({ isActive: true, 'members.userId': req.user.id }).sort({ isPersonal: -1, name: 1 }),
+      User.findById(req.user.id).select('currentWorkspaceId')
+    ]);
+    const currentId = String(workspaces.some(ws => String(ws._id) === String(user?.currentWorkspaceId))
+      ? user.currentWorkspaceId
+      : personal._id);
+
+    const results = await Promise.all(workspaces.map(async workspace => ({
+      ...serializeWorkspace(workspace, req.user.id, await getWorkspaceQuotaStatus(workspace)),
+      current: String(workspace._id) === currentId
+    })));
+    res.json({ workspaces: results, currentWorkspaceId: currentId });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create a team workspace; body { name }
+router.post('/', async (req, res) => {
+  try {
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    if (!name || name.length > 80) {
+      return res.status(400).json({ error: 'Workspace name must be 1 to 80 characters' });
+    }
+
+    const workspace = await Workspace.create({
+      name,
+      ownerId: req.user.id,
+      members: [{ userId: req.user.id, role: 'owner' }],
+      quotas: defaultWorkspaceQuotas()
+    });
+
+    console.log(`🏢 Workspace "${name}" created by ${req.user.id}`);
+    res.status(201).json(serializeWorkspace(workspace, req.user.id, { quotas: workspace.quotas, usage: { documents: 0, storageBytes: 0 } }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Switch the workspace the app opens in; body { workspaceId }
+router.put('/current', async (req, res) => {
+  try {
+    const membership = await findMembership(req.body.workspaceId, req.user.id);
+    if (!membership) {
+      return res.status(404).json({ error: 'Workspace not found' });
+    }
+
+    await User.findByIdAndUpdate(req.user.id, { $set: { currentWorkspaceId: membership.workspace._id } });
+    res.json(serializeWorkspace(membership.workspace, req.user.id, await getWorkspaceQuotaStatus(membership.workspace)));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Pending invitations for the user's email
+router.get('/invitations', async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('email');
+    const email = user.email.toLowerCase();
+    const workspaces = await Workspace.find({ isActive: true, 'invitations.email': email })
+      .populate('invitations.invitedBy', 'name email');
+
+    const invitations = workspaces.flatMap(workspace => pendingInvitations(workspace)
+      .filter(invitation => invitation.email === email)
+      .map(invitation => ({
+        id: invitation._id,
+        workspaceId: workspace._id,
+        workspaceName: workspace.name,
+        role: invitation.role,
+        invitedBy: invitation.invitedBy ? { name: invitation.invitedBy.name, email: invitation.invitedBy.email } : null,
+        expiresAt: invitation.expiresAt
+      })));
+    res.json(invitations);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Accept or decline an invitation addressed to the user's email
+router.post('/invitations/:invitationId/:action(accept|decline)', async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('email');
+    const workspace = mongoose.isValidObjectId(req.params.invitationId) && await Workspace.findOne({
+      isActive: true,
+      invitations: { $elemMatch: { _id: req.params.invitationId, email: user.email.toLowerCase(), expiresAt: { $gt: new Date() } } }
+    });
+
+    if (!workspace) {
+      return res.status(404).json({ error: 'Invitation not found or expired' });
+    }
+
+    const invitation = workspace.invitations.id(req.params.invitationId);
+    workspace.invitations.pull(invitation._id);
+    if (req.params.action === 'accept' && !getMemberRole(workspace, req.user.id)) {
+      workspace.members.push({ userId: req.user.id, role: invitation.role });
+    }
+    await workspace.save();
+
+    if (req.params.action === 'decline') {
+      return res.json({ message: 'Invitation declined' });
+    }
+    console.log(`🏢 ${user.email} joined workspace "${workspace.name}" as ${invitation.role}`);
+    res.json(serializeWorkspace(workspace, req.user.id, await getWorkspaceQuotaStatus(workspace)));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Workspace details; owners and admins also see the pending invitations
+router.get('/:id', async (req, res) => {
+  try {
+    const membership = await findMembership(req.params.id, req.user.id);
+    if (!membership) {
+      return res.status(404).json({ error: 'Workspace not found' });
+    }
+
+    const { workspace, role } = membership;
+    await workspace.populate('members.userId', 'name email');
+    res.json({
+      ...serializeWorkspace(workspace, req.user.id, await getWorkspaceQuotaStatus(workspace)),
+      currentUserId: req.user.id,
+      members: workspace.members.map(member => ({
+        userId: member.userId?._id,
+        name: member.userId?.name,
+        email: member.userId?.email,
+        role: member.role,
+        joinedAt: member.joinedAt
+      })),
+      invitations: canManageWorkspace(role)
+        ? pendingInvitations(workspace).map(({ _id, email, role: invitedRole, expiresAt }) => ({ id: _id, email, role: invitedRole, expiresAt }))
+        : undefined
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Rename a workspace (owners and admins); body { name }
+router.put('/:id', async (req, res) => {
+  try {
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    if (!name || name.length > 80) {
+      return res.status(400).json({ error: 'Workspace name must be 1 to 80 characters' });
+    }
+
+    const membership = await findMembership(req.params.id, req.user.id);
+    if (!membership) {
+      return res.status(404).json({ error: 'Workspace not found' });
+    }
+    if (!canManageWorkspace(membership.role)) {
+      return res.status(403).json({ error: 'Only workspace owners and admins can rename it' });
+    }
+
+    membership.workspace.name = name;
+    await membership.workspace.save();
+    res.json(serializeWorkspace(membership.workspace, req.user.id, await getWorkspaceQuotaStatus(membership.workspace)));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Admin: change a workspace's quotas; body { maxDocuments, maxStorageBytes }
+router.put('/:id/quotas', requireAdmin, async (req, res) => {
+  try {
+    const update = {};
+    for (const key of ['maxDocuments', 'maxStorageBytes']) {
+      if (req.body[key] === undefined) continue;
+      const value = Number(req.body[key]);
+      if (!Number.isInteger(value) || value < 0) {
+        return res.status(400).json({ error: `${key} must be a non-negative integer` });
+      }
+      update[`quotas.${key}`] = value;
+    }
+
+    const existing = mongoose.isValidObjectId(req.params.id) && await Workspace.findOne({ _id: req.params.id, isActive: true });
+    if (!existing) {
+      return res.status(404).json({ error: 'Workspace not found' });
+    }
+    if (existing.isPersonal) {
+      return res.status(400).json({ error: "Personal workspaces use their owner's plan; change it with PUT /api/profile/quota/:userId" });
+    }
+    const workspace = await Workspace.findByIdAndUpdate(existing._id, { $set: update }, { new: true });
+
+    console.log(`📏 Quotas of workspace ${workspace._id} set to`, workspace.quotas);
+    res.json({ id: workspace._id, quotas: workspace.quotas, usage: await getWorkspaceUsage(workspace._id) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Invite a user by email (owners and admins); body { email, role }
+router.post('/:id/invitations', async (req, res) => {
+  try {
+    const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+    const role = req.body.role || 'member';
+    if (!email) {
+      return res.status(400).json({ error: 'Email required' });
+    }
+    if (!['admin', 'member'].includes(role)) {
+      return res.status(400).json({ error: 'Role must be admin or member' });
+    }
+
+    const membership = await findMembership(req.params.id, req.user.id);
+    if (!membership) {
+      return res.status(404).json({ error: 'Workspace not found' });
+    }
+    const { workspace } = membership;
+    if (!canManageWorkspace(membership.role)) {
+      return res.status(403).json({ error: 'Only workspace owners and admins can invite members' });
+    }
+    if (workspace.isPersonal) {
+      return res.status(400).json({ error: 'Personal workspaces cannot have other members; create a team workspace' });
+    }
+
+    const invitee = await User.findOne(User.emailFilter(email)).select('_id');
+    if (invitee && getMemberRole(workspace, invitee._id)) {
+      return res.status(409).json({ error: 'This user is already a member' });
+    }
+
+    // A new invitation replaces an earlier one for the same email
+    workspace.invitations = workspace.invitations.filter(invitation => invitation.email !== email);
+    workspace.invitations.push({
+      email,
+      role,
+      invitedBy: req.user.id,
+      expiresAt: new Date(Date.now() + INVITATION_DAYS * 24 * 60 * 60 * 1000)
+    });
+    await workspace.save();
+
+    const invitation = workspace.invitations[workspace.invitations.length - 1];
+    console.log(`✉️ Invited ${email} to workspace "${workspace.name}" as ${role}`);
+    res.status(201).json({ id: invitation._id, email, role, expiresAt: invitation.expiresAt });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Withdraw an invitation (owners and admins)
+router.delete('/:id/invitations/:invitationId', async (req, res) => {
+  try {
+    const membership = await findMembership(req.params.id, req.user.id);
+    if (!membership) {
+      return res.status(404).json({ error: 'Workspace not found' });
+    }
+    if (!canManageWorkspace(membership.role)) {
+      return res.status(403).json({ error: 'Only workspace owners and admins can withdraw invitations' });
+    }
+
+    const { workspace } = membership;
+    if (!workspace.invitations.id(req.params.invitationId)) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+    workspace.invitations.pull(req.params.invitationId);
+    await workspace.save();
+    res.json({ message: 'Invitation withdrawn' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Change a member's role (owner only); body { role: admin | member }
+router.put('/:id/members/:userId', async (req, res) => {
+  try {
+    const { role } = req.body;
+    if (!['admin', 'member'].includes(role)) {
+      return res.status(400).json({ error: 'Role must be admin or member' });
+    }
+
+    const membership = await findMembership(req.params.id, req.user.id);
+    if (!membership) {
+      return res.status(404).json({ error: 'Workspace not found' });
+    }
+    if (membership.role !== 'owner') {
+      return res.status(403).json({ error: 'Only the workspace owner can change roles' });
+    }
+
+    const member = membership.workspace.members.find(m => String(m.userId) === req.params.userId);
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+    if (member.role === 'owner') {
+      return res.status(400).json({ error: 'The owner\'s role cannot be changed' });
+    }
+
+    member.role = role;
+    await membership.workspace.save();
+    res.json({ userId: member.userId, role: member.role });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Remove a member (owners and admins; admins only remove members) or leave the workspace
+router.delete('/:id/members/:userId', async (req, res) => {
+  try {
+    const membership = await findMembership(req.params.id, req.user.id);
+    if (!membership) {
+      return res.status(404).json({ error: 'Workspace not found' });
+    }
+
+    const { workspace, role } = membership;
+    const member = workspace.members.find(m => String(m.userId) === req.params.userId);
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    const leaving = req.params.userId === String(req.user.id);
+    if (member.role === 'owner') {
+      return res.status(400).json({ error: 'The owner cannot leave or be removed from the workspace' });
+    }
+    if (!leaving && !(role === 'owner' || (role === 'admin' && member.role === 'member'))) {
+      return res.status(403).json({ error: 'You cannot remove this member' });
+    }
+
+    workspace.members = workspace.members.filter(m => m !== member);
+    await workspace.save();
+    // Their documents stay in the workspace; the app opens their personal workspace next time
+    await User.updateOne(
+      { _id: member.userId, currentWorkspaceId: workspace._id },
+      { $set: { currentWorkspaceId: null } }
+    );
+
+    res.json({ message: leaving ? 'You left the workspace' : 'Member removed' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
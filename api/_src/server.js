@@ -1,6 +1,7 @@
 import mongoose from 'mongoose';
 import app from './app.js';
-import { testGeminiConnection } from './services/gemini.js';
+import { getLlmInfo, testLlmConnection } from './services/llm.js';
+import { runMigrations } from './services/migrations.js';
 console.log('🔧 Starting server initialization...');
 
 const PORT = process.env.PORT || 5000;
@@ -11,13 +12,14 @@ console.log('🔧 Starting server...');
 // Startup sequence
 async function startServer() {
   try {
-    // Test Gemini AI connection - but don't fail startup if it's down
-    console.log('🤖 Testing Gemini AI connection...');
+    // Test the AI provider connection - but don't fail startup if it's down
+    const llm = getLlmInfo();
+    console.log(`🤖 Testing ${llm.label} connection...`);
     try {
-      await testGeminiConnection();
-      console.log('✅ Gemini AI service ready');
+      await testLlmConnection();
+      console.log(`✅ ${llm.label} service ready`);
     } catch (error) {
-      console.log('⚠️ Gemini AI service unavailable during startup (this is OK)');
+      console.log(`⚠️ ${llm.label} service unavailable during startup (this is OK)`);
       console.log('📝 Reason:', error.message);
       console.log('🔄 The service will retry automatically when requests are made');
     }
@@ -30,6 +32,7 @@ async function startServer() {
       family: 4
     });
     console.log('✅ Connected to MongoDB successfully');
+    await runMigrations();
     
     const dbState = mongoose.connection.readyState;
     console.log(`📊 Database state: ${dbState === 1 ? 'Connected' : 'Not Connected'}`);
@@ -37,7 +40,7 @@ async function startServer() {
     app.listen(PORT, () => {
       console.log('🚀 Server started successfully!');
       console.log(`📍 Server running on http://localhost:${PORT}`);
-      console.log(`🤖 AI Provider: Google Gemini (gemini-1.5-flash)`);
+      console.log(`🤖 AI Provider: ${llm.label} (${llm.model})`);
       console.log(`🗄️  Database: Connected to ${MONGODB_URI}`);
       console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
       console.log('─'.repeat(60));
@@ -49,15 +52,34 @@ async function startServer() {
       console.log('   GET  /api/files           - Get user documents');
       console.log('   GET  /api/files/:id       - Get specific document');
       console.log('   DELETE /api/files/:id     - Delete document');
+      console.log('   PUT  /api/files/:id       - Rename document');
+      console.log('   POST /api/files/:id/shares - Share document with a user');
+      console.log('   POST /api/files/:id/reindex - Re-index document');
+      console.log('   POST /api/files/reindex   - Re-index stale documents (admin)');
       console.log('   GET  /api/chat-history    - Get chat history');
+      console.log('   GET  /api/chat-history/search - Search chat history');
       console.log('   POST /api/chat-history    - Create chat session');
+      console.log('   GET  /api/chat-history/:id/export - Export chat (md, json, html, pdf)');
+      console.log('   GET  /api/chat-history/export - Export all chats as zip');
+      console.log('   POST /api/chat-history/import - Import chats from JSON');
+      console.log('   PUT  /api/chat-history/:id/branch - Switch chat branch');
+      console.log('   POST /api/chat-history/:id/shares - Create share link');
+      console.log('   GET  /api/share/:token    - View shared chat (public)');
+      console.log('   PUT  /api/chat-history/:id/documents - Change chat documents');
       console.log('   DELETE /api/chat-history/:id - Delete chat');
+      console.log('   GET  /api/workspaces      - List your workspaces');
+      console.log('   POST /api/workspaces      - Create team workspace');
+      console.log('   PUT  /api/workspaces/current - Switch workspace');
+      console.log('   POST /api/workspaces/:id/invitations - Invite member');
       console.log('   GET  /api/profile         - Get user profile');
       console.log('   PUT  /api/profile         - Update profile');
       console.log('   GET  /api/profile/analytics - Get analytics');
+      console.log('   GET  /api/profile/quota   - Get quota plan and usage');
       console.log('   POST /api/chat            - Chat with documents');
       console.log('   POST /api/chat/stream     - Stream chat responses');
       console.log('   POST /api/chat/summarize  - Summarize documents');
+      console.log('   POST /api/chat/regenerate - Regenerate an answer');
+      console.log('   POST /api/chat/edit       - Edit and resend a question');
       console.log('   GET  /api/chat/health     - AI service health');
       console.log('   POST /api/chat/test       - Test AI performance');
       console.log('─'.repeat(60));
@@ -0,0 +1,57 @@
+// Okapi BM25 over an in-memory set of texts (the chunks of the selected documents)
+const K1 = 1.2;
+const B = 0.75;
+
+// Keep identifiers like "INV-2024-001" or "4.2.1" whole, and also index their parts
+export function tokenize(text) {
+  const tokens = [];
+  const words = (text || '').toLowerCase().match(/[\p{L}\p{N}]+(?:[-_./:#][\p{L}\p{N}]+)*/gu) || [];
+
+  for (const word of words) {
+    tokens.push(word);
+    const parts = word.split(/[-_./:#]/);
+    if (parts.length > 1) {
+      tokens.push(...parts.filter(Boolean));
+    }
+  }
+
+  return tokens;
+}
+
+export function createBm25Index(texts) {
+  const docs = texts.map(text => {
+    const termFreqs = new Map();
+    const tokens = tokenize(text);
+    for (const token of tokens) {
+      termFreqs.set(token, (termFreqs.get(token) || 0) + 1);
+    }
+    return { termFreqs, length: tokens.length };
+  });
+
+  const docFreqs = new Map();
+  for (const { termFreqs } of docs) {
+    for (const term of termFreqs.keys()) {
+      docFreqs.set(term, (docFreqs.get(term) || 0) + 1);
+    }
+  }
+
+  const avgLength = docs.reduce((sum, doc) => sum + doc.length, 0) / (docs.length || 1);
+
+  return {
+    score(query) {
+      const terms = [...new Set(tokenize(query))];
+
+      return docs.map(({ termFreqs, length }) => {
+        let score = 0;
+        for (const term of terms) {
+          const tf = termFreqs.get(term);
+          if (!tf) continue;
+          const df = docFreqs.get(term);
+          const idf = Math.log(1 + (docs.length - df + 0.5) / (df + 0.5));
+          score += idf * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * length / (avgLength || 1)));
+        }
+        return score;
+      });
+    }
+  };
+}
@@ -0,0 +1,116 @@
+// Reader for OLE compound files (CFB), the container of Word 97-2003 .doc files: a small FAT file
+// system whose streams are chains of sectors, with streams under 4 KB stored in 64-byte mini sectors
+
+const SIGNATURE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+const END_OF_CHAIN = 0xfffffffe;
+const FREE_SECTOR = 0xffffffff;
+const NO_STREAM = 0xffffffff;
+const HEADER_DIFAT_ENTRIES = 109;
+const DIR_ENTRY_SIZE = 128;
+const STREAM_ENTRY = 2;
+
+export function isCompoundFile(buffer) {
+  return buffer.length >= 512 && buffer.subarray(0, 8).equals(SIGNATURE);
+}
+
+// Parses the container and returns { streamNames, getStream(name) } for the top-level streams.
+// Throws on files that are not compound files or whose sector chains are broken
+export function readCompoundFile(buffer) {
+  if (!isCompoundFile(buffer)) {
+    throw new Error('Not an OLE compound file');
+  }
+
+  const sectorSize = 1 << buffer.readUInt16LE(0x1e);
+  const miniSectorSize = 1 << buffer.readUInt16LE(0x20);
+  const miniStreamCutoff = buffer.readUInt32LE(0x38);
+  const sectorCount = Math.floor((buffer.length - sectorSize) / sectorSize);
+  const sectorOffset = sector => (sector + 1) * sectorSize;
+
+  // Follows a chain through an allocation table; the length cap stops cycles in damaged files
+  const readChain = (table, start, maxLength) => {
+    const chain = [];
+    for (let sector = start; sector !== END_OF_CHAIN && sector !== FREE_SECTOR; sector = table[sector]) {
+      if (sector >= table.length || chain.length >= maxLength) {
+        throw new Error('Broken sector chain in compound file');
+      }
+      chain.push(sector);
+    }
+    return chain;
+  };
+
+  const readSectors = chain => Buffer.concat(chain.map(sector => {
+    const offset = sectorOffset(sector);
+    if (offset + sectorSize > buffer.length) throw new Error('Sector outside of compound file');
+    return buffer.subarray(offset, offset + sectorSize);
+  }));
+
+  // The FAT sectors are listed in the header, then in a chain of DIFAT sectors
+  const fatSectors = [];
+  for (let i = 0; i < HEADER_DIFAT_ENTRIES; i++) {
+    fatSectors.push(buffer.readUInt32LE(0x4c + i * 4));
+  }
+  let difatSector = buffer.readUInt32LE(0x44);
+  for (let i = buffer.readUInt32LE(0x48); i > 0 && difatSector < sectorCount; i--) {
+    const offset = sectorOffset(difatSector);
+    const entries = sectorSize / 4 - 1;
+    for (let j = 0; j < entries; j++) {
+      fatSectors.push(buffer.readUInt32LE(offset + j * 4));
+    }
+    difatSector = buffer.readUInt32LE(offset + entries * 4);
+  }
+
+  const fatCount = buffer.readUInt32LE(0x2c);
+  const fatData = readSectors(fatSectors.filter(sector => sector < sectorCount).slice(0, fatCount));
+  const fat = new Uint32Array(fatData.length / 4);
+  for (let i = 0; i < fat.length; i++) fat[i] = fatData.readUInt32LE(i * 4);
+
+  const directory = readSectors(readChain(fat, buffer.readUInt32LE(0x30), sectorCount));
+  const entries = [];
+  for (let offset = 0; offset + DIR_ENTRY_SIZE <= directory.length; offset += DIR_ENTRY_SIZE) {
+    const nameLength = Math.min(64, directory.readUInt16LE(offset + 0x40));
+    entries.push({
+      name: directory.toString('utf16le', offset, offset + Math.max(0, nameLength - 2)),
+      type: directory[offset + 0x42],
+      left: directory.readUInt32LE(offset + 0x44),
+      right: directory.readUInt32LE(offset + 0x48),
+      child: directory.readUInt32LE(offset + 0x4c),
+      start: directory.readUInt32LE(offset + 0x74),
+      // Only the low 32 bits; version 3 files may leave garbage in the high ones
+      size: directory.readUInt32LE(offset + 0x78)
+    });
+  }
+  const root = entries[0];
+  if (!root) throw new Error('Compound file has no root entry');
+
+  // Small streams live in the root entry's stream, addressed through the mini FAT
+  const miniFatData = readSectors(readChain(fat, buffer.readUInt32LE(0x3c), sectorCount));
+  const miniFat = new Uint32Array(miniFatData.length / 4);
+  for (let i = 0; i < miniFat.length; i++) miniFat[i] = miniFatData.readUInt32LE(i * 4);
+  const miniStream = root.size ? readSectors(readChain(fat, root.start, sectorCount)) : Buffer.alloc(0);
+
+  // Top-level entries are a red-black tree of siblings under the root's child
+  const topLevel = new Map();
+  const pending = [root.child];
+  const seen = new Set();
+  while (pending.length) {
+    const index = pending.pop();
+    if (index === NO_STREAM || index >= entries.length || seen.has(index)) continue;
+    seen.add(index);
+    const entry = entries[index];
+    if (entry.type === STREAM_ENTRY) topLevel.set(entry.name, entry);
+    pending.push(entry.left, entry.right);
+  }
+
+  const getStream = name => {
+    const entry = topLevel.get(name);
+    if (!entry) return null;
+    if (entry.size < miniStreamCutoff) {
+      const chain = readChain(miniFat, entry.start, miniFat.length);
+      const data = Buffer.concat(chain.map(sector => miniStream.subarray(sector * miniSectorSize, (sector + 1) * miniSectorSize)));
+      return data.subarray(0, entry.size);
+    }
+    return readSectors(readChain(fat, entry.start, sectorCount)).subarray(0, entry.size);
+  };
+
+  return { streamNames: [...topLevel.keys()], getStream };
+}
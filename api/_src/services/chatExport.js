@@ -0,0 +1,224 @@
+import PDFDocument from 'pdfkit';
+import JSZip from 'jszip';
+import { getActiveBranch } from './chatTree.js';
+
+// Conversation export for GET /api/chat-history/:id/export and the bulk zip export.
+// Markdown, HTML and PDF show the active branch; JSON keeps every message variant so it can be imported again.
+
+export const EXPORT_FORMATS = {
+  md: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+  json: { extension: 'json', contentType: 'application/json; charset=utf-8' },
+  html: { extension: 'html', contentType: 'text/html; charset=utf-8' },
+  pdf: { extension: 'pdf', contentType: 'application/pdf' }
+};
+
+export const CHAT_EXPORT_FORMAT = 'document-app-chat';
+export const CHAT_EXPORT_VERSION = 1;
+
+function formatTime(date) {
+  return date ? new Date(date).toISOString().replace('T', ' ').substring(0, 16) + ' UTC' : '';
+}
+
+function documentNames(chat) {
+  const populated = (chat.documentIds || []).filter(doc => doc?.originalName).map(doc => doc.originalName);
+  return populated.length ? populated : chat.documentNames || [];
+}
+
+// "a.pdf, p. 4" or "b.xlsx, Q1 rows 2-40" for a citation
+function describeSource(citation) {
+  const location = citation.sheet
+    ? `${citation.sheet} rows ${citation.rowStart}-${citation.rowEnd}`
+    : citation.page ? `p. ${citation.page}` : '';
+  return [citation.documentName || 'Document', location].filter(Boolean).join(', ');
+}
+
+// "time · model · tokens" under each message
+function describeMessage(msg) {
+  return [
+    formatTime(msg.timestamp),
+    msg.model,
+    msg.tokens ? `${msg.tokens} tokens` : '',
+    msg.partial ? 'interrupted' : ''
+  ].filter(Boolean).join(' · ');
+}
+
+export function exportFileName(chat, extension) {
+  const slug = (chat.title || 'chat')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .substring(0, 50) || 'chat';
+  return `${slug}-${chat._id}.${extension}`;
+}
+
+function toMarkdown(chat) {
+  const lines = [
+    `# ${chat.title}`,
+    '',
+    `- Documents: ${documentNames(chat).join(', ') || 'none'}`,
+    `- Started: ${formatTime(chat.createdAt)}`,
+    `- Last updated: ${formatTime(chat.updatedAt)}`,
+    `- Tokens used: ${chat.totalTokens || 0}`,
+    `- Exported: ${formatTime(new Date())}`,
+    ''
+  ];
+
+  for (const msg of getActiveBranch(chat)) {
+    lines.push('---', '', `### ${msg.role === 'user' ? '🧑 You' : '🤖 Assistant'}`, `_${describeMessage(msg)}_`, '', msg.content, '');
+    if (msg.citations?.length) {
+      lines.push('**Sources**', '');
+      for (const citation of msg.citations) {
+        const excerpt = citation.excerpt ? ` — "${citation.excerpt.replace(/\s+/g, ' ').trim()}"` : '';
+        lines.push(`- [${citation.marker}] ${describeSource(citation)}${excerpt}`);
+      }
+      lines.push('');
+    }
+  }
+
+  return lines.join('\n');
+}
+
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function toHtml(chat) {
+  const messages = getActiveBranch(chat).map(msg => {
+    const sources = msg.citations?.length
+      ? `<ol class="sources">${msg.citations.map(citation => `
+          <li value="${citation.marker}">${escapeHtml(describeSource(citation))}${citation.excerpt ? `<blockquote>${escapeHtml(citation.excerpt)}</blockquote>` : ''}</li>`).join('')}
+        </ol>`
+      : '';
+    return `
+    <section class="message ${msg.role}">
+      <h3>${msg.role === 'user' ? 'You' : 'Assistant'}</h3>
+      <p class="meta">${escapeHtml(describeMessage(msg))}</p>
+      <div class="content">${escapeHtml(msg.content)}</div>${sources}
+    </section>`;
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(chat.title)}</title>
+  <style>
+    body { font-family: system-ui, sans-serif; max-width: 48rem; margin: 2rem auto; padding: 0 1rem; color: #1f2937; }
+    .summary { color: #6b7280; font-size: 0.9rem; }
+    .message { border-radius: 0.75rem; padding: 1rem; margin: 1rem 0; background: #f9fafb; }
+    .message.user { background: #ecfdf5; }
+    .message h3 { margin: 0; font-size: 0.95rem; }
+    .meta { margin: 0.25rem 0 0.75rem; color: #6b7280; font-size: 0.8rem; }
+    .content { white-space: pre-wrap; line-height: 1.5; }
+    .sources { font-size: 0.85rem; color: #4b5563; }
+    blockquote { margin: 0.25rem 0; padding-left: 0.75rem; border-left: 3px solid #d1d5db; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(chat.title)}</h1>
+  <p class="summary">
+    Documents: ${escapeHtml(documentNames(chat).join(', ') || 'none')}<br>
+    Started ${escapeHtml(formatTime(chat.createdAt))} · Last updated ${escapeHtml(formatTime(chat.updatedAt))} · ${chat.totalTokens || 0} tokens<br>
+    Exported ${escapeHtml(formatTime(new Date()))}
+  </p>
+${messages}
+</body>
+</html>
+`;
+}
+
+// Every message variant with its parent, so imports can rebuild the branches
+function toJson(chat) {
+  const plain = chat.toObject ? chat.toObject() : chat;
+  return JSON.stringify({
+    format: CHAT_EXPORT_FORMAT,
+    version: CHAT_EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    chat: {
+      id: plain._id,
+      title: plain.title,
+      summary: plain.summary,
+      // Imports re-link documents by id, then by content hash
+      documents: (plain.documentIds || []).filter(Boolean).map(doc => ({
+        id: doc._id || doc,
+        name: doc.originalName,
+        contentHash: doc.contentHash
+      })),
+      totalTokens: plain.totalTokens,
+      activeLeafId: plain.activeLeafId,
+      createdAt: plain.createdAt,
+      updatedAt: plain.updatedAt
+    },
+    messages: (plain.messages || []).map((msg, i) => ({
+      id: msg._id,
+      // Older linear messages follow the previous one
+      parentId: msg.parentId !== undefined ? msg.parentId : (i > 0 ? plain.messages[i - 1]._id : null),
+      role: msg.role,
+      content: msg.content,
+      timestamp: msg.timestamp,
+      model: msg.model,
+      tokens: msg.tokens,
+      partial: msg.partial,
+      citations: msg.citations
+    }))
+  }, null, 2);
+}
+
+// Plain text PDF; the built-in Helvetica fonts only cover Latin characters
+function toPdf(chat) {
+  return new Promise((resolve, reject) => {
+    const pdf = new PDFDocument({ margin: 56, info: { Title: chat.title } });
+    const buffers = [];
+    pdf.on('data', chunk => buffers.push(chunk));
+    pdf.on('end', () => resolve(Buffer.concat(buffers)));
+    pdf.on('error', reject);
+
+    pdf.font('Helvetica-Bold').fontSize(18).text(chat.title);
+    pdf.moveDown(0.5).font('Helvetica').fontSize(9).fillColor('#6b7280')
+      .text(`Documents: ${documentNames(chat).join(', ') || 'none'}`)
+      .text(`Started ${formatTime(chat.createdAt)} · Last updated ${formatTime(chat.updatedAt)} · ${chat.totalTokens || 0} tokens`)
+      .text(`Exported ${formatTime(new Date())}`);
+
+    for (const msg of getActiveBranch(chat)) {
+      pdf.moveDown(1).fillColor('#111827').font('Helvetica-Bold').fontSize(11)
+        .text(msg.role === 'user' ? 'You' : 'Assistant');
+      pdf.font('Helvetica').fontSize(8).fillColor('#6b7280').text(describeMessage(msg));
+      pdf.moveDown(0.3).fontSize(10).fillColor('#1f2937').text(msg.content, { lineGap: 2 });
+
+      if (msg.citations?.length) {
+        pdf.moveDown(0.3).font('Helvetica-Bold').fontSize(8).fillColor('#4b5563').text('Sources');
+        pdf.font('Helvetica');
+        for (const citation of msg.citations) {
+          const excerpt = citation.excerpt ? ` - "${citation.excerpt.replace(/\s+/g, ' ').trim()}"` : '';
+          pdf.text(`[${citation.marker}] ${describeSource(citation)}${excerpt}`, { indent: 8 });
+        }
+      }
+    }
+
+    pdf.end();
+  });
+}
+
+const renderers = { md: toMarkdown, json: toJson, html: toHtml, pdf: toPdf };
+
+// Rendered chat as a string (or Buffer for PDF); chat.documentIds should be populated with names
+export async function renderChatExport(chat, format) {
+  const render = renderers[format];
+  if (!render) {
+    throw new Error(`Unsupported export format "${format}". Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+  return render(chat);
+}
+
+// All chats in one zip archive, one file per chat
+export async function renderChatsArchive(chats, format) {
+  const zip = new JSZip();
+  for (const chat of chats) {
+    zip.file(exportFileName(chat, EXPORT_FORMATS[format].extension), await renderChatExport(chat, format));
+  }
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
@@ -0,0 +1,219 @@
+import mongoose from 'mongoose';
+import ChatHistory from '../models/ChatHistory.js';
+import Document from '../models/Document.js';
+import { CHAT_EXPORT_FORMAT, CHAT_EXPORT_VERSION } from './chatExport.js';
+import { documentAccessFilter } from './documentAccess.js';
+
+// Import of the JSON chat export (see "Chat export format" in the README). Documents are not part
+// of an export, so each one is re-linked to a document the user can access by id, then by content hash.
+
+const MESSAGE_ROLES = ChatHistory.schema.path('messages').schema.path('role').enumValues;
+
+// Optional citation fields and the type the schema stores them as
+const CITATION_FIELDS = {
+  documentName: 'string',
+  page: 'number',
+  sheet: 'string',
+  rowStart: 'number',
+  rowEnd: 'number',
+  start: 'number',
+  end: 'number',
+  excerpt: 'string'
+};
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isOptional = (value, type) => value === undefined || value === null || typeof value === type;
+
+// Problems that make an export unusable, as "path: reason" strings; empty when it can be imported
+export function validateChatExport(data) {
+  if (!isObject(data)) return ['export: must be a JSON object'];
+
+  const problems = [];
+  if (data.format !== undefined && data.format !== CHAT_EXPORT_FORMAT) {
+    problems.push(`format: expected "${CHAT_EXPORT_FORMAT}"`);
+  }
+  if (data.version !== undefined && !(Number.isInteger(data.version) && data.version <= CHAT_EXPORT_VERSION)) {
+    problems.push(`version: only versions up to ${CHAT_EXPORT_VERSION} are supported`);
+  }
+  if (data.chat !== undefined && !isObject(data.chat)) {
+    problems.push('chat: must be an object');
+  } else {
+    if (data.chat?.documents !== undefined && !Array.isArray(data.chat.documents)) {
+      problems.push('chat.documents: must be an array');
+    }
+    for (const key of ['title', 'summary']) {
+      if (!isOptional(data.chat?.[key], 'string')) problems.push(`chat.${key}: must be a string`);
+    }
+    if (!isOptional(data.chat?.totalTokens, 'number')) problems.push('chat.totalTokens: must be a number');
+  }
+
+  if (!Array.isArray(data.messages) || data.messages.length === 0) {
+    problems.push('messages: must be a non-empty array');
+    return problems;
+  }
+
+  const seenIds = new Set();
+  data.messages.forEach((msg, i) => {
+    const at = `messages[${i}]`;
+    if (!isObject(msg)) {
+      problems.push(`${at}: must be an object`);
+      return;
+    }
+    if (!MESSAGE_ROLES.includes(msg.role)) {
+      problems.push(`${at}.role: "${msg.role}" is not one of ${MESSAGE_ROLES.join(', ')}`);
+    }
+    if (typeof msg.content !== 'string' || !msg.content.trim()) {
+      problems.push(`${at}.content: must be a non-empty string`);
+    }
+    // Parents have to come first, which also rules out cycles
+    if (msg.parentId !== undefined && msg.parentId !== null && !seenIds.has(String(msg.parentId))) {
+      problems.push(`${at}.parentId: "${msg.parentId}" is not the id of an earlier message`);
+    }
+    if (msg.timestamp !== undefined && isNaN(new Date(msg.timestamp))) {
+      problems.push(`${at}.timestamp: not a valid date`);
+    }
+    if (msg.tokens !== undefined && !(typeof msg.tokens === 'number' && msg.tokens >= 0)) {
+      problems.push(`${at}.tokens: must be a non-negative number`);
+    }
+    if (!isOptional(msg.model, 'string')) {
+      problems.push(`${at}.model: must be a string`);
+    }
+    if (!isOptional(msg.partial, 'boolean')) {
+      problems.push(`${at}.partial: must be true or false`);
+    }
+    if (msg.citations !== undefined && !Array.isArray(msg.citations)) {
+      problems.push(`${at}.citations: must be an array`);
+    } else {
+      (msg.citations || []).forEach((citation, j) => {
+        if (!Number.isInteger(citation?.marker)) {
+          problems.push(`${at}.citations[${j}].marker: must be an integer`);
+          return;
+        }
+        for (const [key, type] of Object.entries(CITATION_FIELDS)) {
+          if (!isOptional(citation[key], type)) problems.push(`${at}.citations[${j}].${key}: must be a ${type}`);
+        }
+      });
+    }
+    if (msg.id !== undefined) {
+      if (seenIds.has(String(msg.id))) problems.push(`${at}.id: "${msg.id}" is used twice`);
+      seenIds.add(String(msg.id));
+    }
+  });
+
+  return problems;
+}
+
+// Problems the ChatHistory schema still finds in the built chat, in the same "path: reason" form
+export function validateImportedChat(fields) {
+  const error = new ChatHistory(fields).validateSync();
+  return Object.values(error?.errors || {}).map(e => `${e.path}: ${e.message}`);
+}
+
+// Match the exported document references to the documents the user can use in the workspace
+export async function resolveDocuments(userId, references = [], workspace = null) {
+  const documents = [];
+  const unresolved = [];
+
+  for (const reference of references) {
+    const { id, contentHash, name } = isObject(reference) ? reference : { id: reference };
+    let doc = null;
+    let matchedBy = null;
+
+    if (id && mongoose.isValidObjectId(id)) {
+      doc = await Document.findOne({ _id: id, ...documentAccessFilter(userId, 'view', workspace) }).select('originalName');
+      matchedBy = 'id';
+    }
+    if (!doc && contentHash) {
+      doc = await Document.findOne({ contentHash, ...documentAccessFilter(userId, 'view', workspace) }).select('originalName');
+      matchedBy = 'contentHash';
+    }
+
+    if (doc) {
+      documents.push({ exportedId: id ? String(id) : null, document: doc, matchedBy });
+    } else {
+      unresolved.push({
+        type: 'document',
+        id: id || null,
+        name: name || null,
+        contentHash: contentHash || null,
+        reason: 'No matching document by id or content hash; upload it first'
+      });
+    }
+  }
+
+  return { documents, unresolved };
+}
+
+// New ChatHistory fields for a valid export. Message ids are replaced; parent links and citations follow.
+export function buildImportedChat(data, documents, userId) {
+  const newIds = new Map();
+  const documentIds = new Map(documents.filter(d => d.exportedId).map(d => [d.exportedId, d.document._id]));
+  const unresolved = [];
+
+  let previousId = null;
+  const messages = data.messages.map((msg, i) => {
+    const _id = new mongoose.Types.ObjectId();
+    if (msg.id !== undefined) newIds.set(String(msg.id), _id);
+
+    // Without a parentId the message follows the previous one, like chats saved before branching
+    const parentId = msg.parentId === undefined ? previousId : (msg.parentId === null ? null : newIds.get(String(msg.parentId)));
+    previousId = _id;
+
+    const citations = (msg.citations || []).map(citation => {
+      const documentId = citation.documentId ? documentIds.get(String(citation.documentId)) : undefined;
+      if (citation.documentId && !documentId) {
+        unresolved.push({
+          type: 'citation',
+          messageIndex: i,
+          marker: citation.marker,
+          documentId: citation.documentId,
+          name: citation.documentName || null,
+          reason: 'Cited document was not re-linked; the citation keeps its excerpt but cannot open the document'
+        });
+      }
+      return {
+        marker: citation.marker,
+        documentId,
+        documentName: citation.documentName,
+        page: citation.page,
+        sheet: citation.sheet,
+        rowStart: citation.rowStart,
+        rowEnd: citation.rowEnd,
+        start: citation.start,
+        end: citation.end,
+        excerpt: citation.excerpt
+      };
+    });
+
+    return {
+      _id,
+      parentId,
+      role: msg.role,
+      content: msg.content,
+      timestamp: msg.timestamp ? new Date(msg.timestamp) : new Date(),
+      tokens: msg.tokens || 0,
+      model: msg.model,
+      citations,
+      partial: !!msg.partial
+    };
+  });
+
+  // Two references can resolve to the same document
+  const linked = [...new Map(documents.map(d => [String(d.document._id), d.document])).values()];
+
+  const chat = data.chat || {};
+  const firstQuestion = messages.find(msg => msg.role === 'user')?.content || 'Imported chat';
+  return {
+    chat: {
+      userId,
+      documentIds: linked.map(doc => doc._id),
+      documentNames: linked.map(doc => doc.originalName),
+      title: chat.title || (firstQuestion.length > 50 ? firstQuestion.substring(0, 50) + '...' : firstQuestion),
+      summary: chat.summary || '',
+      messages,
+      activeLeafId: newIds.get(String(chat.activeLeafId)) || messages[messages.length - 1]._id,
+      totalTokens: typeof chat.totalTokens === 'number' ? chat.totalTokens : messages.reduce((sum, msg) => sum + msg.tokens, 0)
+    },
+    unresolved
+  };
+}
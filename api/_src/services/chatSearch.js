@@ -0,0 +1,68 @@
+// Highlighting for chat history search. MongoDB's text index finds and ranks the chats;
+// these helpers point out where the query terms occur so clients can show snippets.
+
+const SNIPPET_RADIUS = 80;
+const MAX_SNIPPETS = 3;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Words worth highlighting in a $text query: quotes are dropped, excluded (-word) terms skipped
+export function buildSearchTerms(query) {
+  const terms = (query || '')
+    .replace(/"/g, ' ')
+    .split(/\s+/)
+    .filter(term => term && !term.startsWith('-'))
+    .map(term => term.toLowerCase().replace(/^\W+|\W+$/g, ''))
+    .filter(term => term.length >= 2);
+  return [...new Set(terms)];
+}
+
+// [start, end) ranges of words starting with a term; prefixes roughly cover the index's stemming
+export function findHighlights(text, terms) {
+  if (!text || terms.length === 0) return [];
+  const pattern = new RegExp(`\\b(?:${terms.map(escapeRegExp).join('|')})\\w*`, 'gi');
+  return [...text.matchAll(pattern)].map(match => [match.index, match.index + match[0].length]);
+}
+
+// Shift highlight ranges into a substring that starts at offset
+function rebase(highlights, offset, length) {
+  return highlights
+    .filter(([start, end]) => start >= offset && end <= offset + length)
+    .map(([start, end]) => [start - offset, end - offset]);
+}
+
+// The first few message excerpts that contain a term, with highlight ranges relative to each excerpt
+export function buildSnippets(messages, terms, { maxSnippets = MAX_SNIPPETS, radius = SNIPPET_RADIUS } = {}) {
+  const snippets = [];
+  for (const msg of messages) {
+    if (snippets.length >= maxSnippets) break;
+    const highlights = findHighlights(msg.content, terms);
+    if (highlights.length === 0) continue;
+
+    const [firstStart, firstEnd] = highlights[0];
+    let start = Math.max(0, firstStart - radius);
+    let end = Math.min(msg.content.length, firstEnd + radius);
+    // Don't cut words in half
+    if (start > 0) {
+      const space = msg.content.indexOf(' ', start);
+      if (space !== -1 && space < firstStart) start = space + 1;
+    }
+    if (end < msg.content.length) {
+      const space = msg.content.lastIndexOf(' ', end);
+      if (space > firstEnd) end = space;
+    }
+
+    const prefix = start > 0 ? '…' : '';
+    const text = prefix + msg.content.substring(start, end) + (end < msg.content.length ? '…' : '');
+    snippets.push({
+      messageId: msg._id,
+      role: msg.role,
+      timestamp: msg.timestamp,
+      text,
+      highlights: rebase(highlights, start, end - start).map(([s, e]) => [s + prefix.length, e + prefix.length])
+    });
+  }
+  return snippets;
+}
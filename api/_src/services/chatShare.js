@@ -0,0 +1,61 @@
+import crypto from 'crypto';
+import { getActiveBranch } from './chatTree.js';
+
+// Public share links for chats. Viewers get the active branch with the cited excerpts, never the
+// documents themselves: no document ids, files or chunks leave the server through a share.
+
+export const MAX_SHARE_DAYS = 365;
+const SHARED_EXCERPT_LENGTH = 300;
+
+export function createShareToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+// Days until expiry from the request body: null for no expiry, undefined when invalid
+export function parseExpiresInDays(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const days = Number(value);
+  return Number.isFinite(days) && days > 0 && days <= MAX_SHARE_DAYS ? days : undefined;
+}
+
+// A share as its owner sees it
+export function serializeShare(share, chat) {
+  return {
+    id: share._id,
+    chatId: share.chatId?._id || share.chatId,
+    chatTitle: chat?.title ?? share.chatId?.title,
+    token: share.token,
+    path: `/share/${share.token}`,
+    expiresAt: share.expiresAt,
+    revokedAt: share.revokedAt,
+    views: share.views,
+    lastViewedAt: share.lastViewedAt,
+    createdAt: share.createdAt
+  };
+}
+
+// The read-only view of a shared chat
+export function serializeSharedChat(chat, share) {
+  return {
+    title: chat.title,
+    documents: chat.documentNames || [],
+    createdAt: chat.createdAt,
+    updatedAt: chat.updatedAt,
+    expiresAt: share.expiresAt,
+    messages: getActiveBranch(chat).map(msg => ({
+      role: msg.role,
+      content: msg.content,
+      timestamp: msg.timestamp,
+      partial: msg.partial,
+      citations: (msg.citations || []).map(citation => ({
+        marker: citation.marker,
+        documentName: citation.documentName,
+        page: citation.page,
+        sheet: citation.sheet,
+        rowStart: citation.rowStart,
+        rowEnd: citation.rowEnd,
+        excerpt: citation.excerpt?.substring(0, SHARED_EXCERPT_LENGTH)
+      }))
+    }))
+  };
+}
@@ -0,0 +1,125 @@
+import mongoose from 'mongoose';
+
+// A chat stores every message variant in one array. Each message points at the message it follows
+// (parentId), so a regenerated answer or an edited question becomes a sibling of the original and
+// starts its own branch. activeLeafId picks the branch the chat continues from.
+// Messages saved before branching have no parentId and simply follow the previous message.
+
+const ROOT = 'root';
+
+function parentOf(messages, index) {
+  const parentId = messages[index].parentId;
+  if (parentId !== undefined) return parentId ? String(parentId) : null;
+  return index > 0 ? String(messages[index - 1]._id) : null;
+}
+
+function indexMessages(messages = []) {
+  const nodes = new Map();
+  const children = new Map();
+  messages.forEach((msg, i) => {
+    const parentId = parentOf(messages, i);
+    nodes.set(String(msg._id), { msg, parentId });
+    const key = parentId ?? ROOT;
+    if (!children.has(key)) children.set(key, []);
+    children.get(key).push(msg);
+  });
+  return { nodes, children };
+}
+
+// Follow the newest variant down from a message until the end of its branch
+function findLeaf(tree, messageId) {
+  let id = messageId;
+  for (;;) {
+    const next = tree.children.get(id);
+    if (!next?.length) return id;
+    id = String(next[next.length - 1]._id);
+  }
+}
+
+function pathTo(tree, messageId) {
+  const path = [];
+  let id = messageId ? String(messageId) : null;
+  while (id && tree.nodes.has(id)) {
+    const node = tree.nodes.get(id);
+    path.unshift(node.msg);
+    id = node.parentId;
+  }
+  return path;
+}
+
+function activeLeaf(chat, tree) {
+  const activeId = chat.activeLeafId && String(chat.activeLeafId);
+  if (activeId && tree.nodes.has(activeId)) return findLeaf(tree, activeId);
+  const last = chat.messages?.[chat.messages.length - 1];
+  return last ? String(last._id) : null;
+}
+
+// Give new messages ids and chain them below parentId, ready to be pushed onto chat.messages
+export function linkMessages(messages, parentId = null) {
+  let parent = parentId;
+  return messages.map(msg => {
+    const linked = { ...msg, _id: new mongoose.Types.ObjectId(), parentId: parent };
+    parent = linked._id;
+    return linked;
+  });
+}
+
+export function getParentId(chat, messageId) {
+  return indexMessages(chat.messages).nodes.get(String(messageId))?.parentId ?? null;
+}
+
+// Messages from the start of the chat down to the end of the active branch
+export function getActiveBranch(chat) {
+  const tree = indexMessages(chat.messages);
+  return pathTo(tree, activeLeaf(chat, tree));
+}
+
+// Leaf of the newest branch that goes through messageId, or null for an unknown message
+export function resolveBranchLeaf(chat, messageId) {
+  const tree = indexMessages(chat.messages);
+  return tree.nodes.has(String(messageId)) ? findLeaf(tree, String(messageId)) : null;
+}
+
+// The turns a new message builds on, shaped like a chat for buildConversationContext.
+// parentId undefined continues the active branch, null starts over from the first message.
+// The stored summary is only reused when it was made from this same branch.
+export function getConversationThread(chat, parentId) {
+  const tree = indexMessages(chat.messages);
+  const messages = pathTo(tree, parentId === undefined ? activeLeaf(chat, tree) : parentId);
+
+  const summary = chat.contextSummary;
+  const lastSummarized = summary?.messageCount ? messages[summary.messageCount - 1] : null;
+  const summaryApplies = lastSummarized &&
+    (!summary.lastMessageId || String(summary.lastMessageId) === String(lastSummarized._id));
+
+  return {
+    _id: chat._id,
+    documentIds: chat.documentIds,
+    messages,
+    contextSummary: summaryApplies ? summary : null
+  };
+}
+
+// The active branch for clients, each message listing the sibling variants it can be switched to
+export function describeActiveBranch(chat) {
+  const tree = indexMessages(chat.messages);
+  return pathTo(tree, activeLeaf(chat, tree)).map(msg => {
+    const { parentId } = tree.nodes.get(String(msg._id));
+    const siblings = tree.children.get(parentId ?? ROOT).filter(sibling => sibling.role === msg.role);
+    return {
+      ...(msg.toObject ? msg.toObject() : msg),
+      parentId,
+      alternatives: {
+        index: siblings.indexOf(msg),
+        count: siblings.length,
+        messageIds: siblings.map(sibling => sibling._id)
+      }
+    };
+  });
+}
+
+// Number of distinct branches (conversation endings) in a chat
+export function countBranches(chat) {
+  const tree = indexMessages(chat.messages);
+  return chat.messages.filter(msg => !tree.children.has(String(msg._id))).length;
+}
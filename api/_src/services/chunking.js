@@ -0,0 +1,283 @@
+import { columnLetter } from './spreadsheet.js';
+
+// Chunking strategies used at upload and re-index time.
+//   fixed    - legacy fixed-size slices
+//   sentence - packs whole sentences, never crossing paragraph or page boundaries mid-sentence
+//   heading  - like sentence, but also starts a new chunk at every heading (DOCX, Markdown, HTML, RTF)
+// Every strategy labels chunks with the section (last heading) they start in. List, table and code
+// blocks reported by the extractor are split per line rather than per sentence.
+// Spreadsheets (CSV, XLSX) are always chunked by groups of rows, each repeating the sheet's header.
+export const CHUNK_STRATEGIES = ['fixed', 'sentence', 'heading'];
+export const CHUNK_UNITS = ['chars', 'tokens'];
+
+const DEFAULTS = {
+  strategy: 'sentence',
+  unit: 'chars',
+  size: { chars: 1200, tokens: 300 },
+  overlap: { chars: 150, tokens: 40 }
+};
+const MAX_SIZE = { chars: 8000, tokens: 2000 };
+const CHARS_PER_TOKEN = 4; // Rough average, used when fixed slicing is sized in tokens
+
+// Titles and abbreviations whose trailing period does not end a sentence
+const ABBREVIATION = /(?:^|[\s(])(?:Dr|Mr|Mrs|Ms|Prof|Sr|Jr|St|No|Fig|vs|etc|Inc|Ltd|Co)\.$/i;
+
+// Rough token count: words and standalone punctuation, close to what LLM tokenizers report for prose
+export function countTokens(text) {
+  return (text.match(/[\p{L}\p{N}]+|[^\s\p{L}\p{N}]/gu) || []).length;
+}
+
+function pick(value, allowed, fallback) {
+  const normalized = (value || '').toString().toLowerCase();
+  return allowed.includes(normalized) ? normalized : fallback;
+}
+
+// Validate per-upload options, falling back to env and built-in defaults
+export function resolveChunkingOptions(input = {}) {
+  const strategy = pick(input.strategy, CHUNK_STRATEGIES, pick(process.env.CHUNK_STRATEGY, CHUNK_STRATEGIES, DEFAULTS.strategy));
+  const unit = pick(input.unit, CHUNK_UNITS, pick(process.env.CHUNK_UNIT, CHUNK_UNITS, DEFAULTS.unit));
+
+  const size = Math.min(
+    Math.max(parseInt(input.size) || parseInt(process.env.CHUNK_SIZE) || DEFAULTS.size[unit], 50),
+    MAX_SIZE[unit]
+  );
+  const requestedOverlap = parseInt(input.overlap ?? process.env.CHUNK_OVERLAP);
+  const overlap = Math.min(
+    Math.max(Number.isFinite(requestedOverlap) ? requestedOverlap : DEFAULTS.overlap[unit], 0),
+    Math.floor(size / 2)
+  );
+
+  return { strategy, unit, size, overlap };
+}
+
+function detectMarkdownHeadings(text) {
+  const headings = [];
+  for (const match of text.matchAll(/^(#{1,6})[ \t]+(.+?)[ \t#]*$/gm)) {
+    headings.push({ level: match[1].length, title: match[2], start: match.index });
+  }
+  return headings;
+}
+
+function sortedHeadings(text, extracted) {
+  return (extracted.headings?.length ? extracted.headings : detectMarkdownHeadings(text))
+    .slice()
+    .sort((a, b) => a.start - b.start);
+}
+
+// Regions that chunks never cross: pages, and sections when splitting on headings
+function buildSpans(text, extracted, strategy, headings) {
+  const pages = extracted.pages?.length
+    ? extracted.pages
+    : [{ page: null, start: 0, end: text.length }];
+
+  if (strategy !== 'heading') {
+    return pages.map(p => ({ page: p.page, start: p.start, end: p.end, section: null }));
+  }
+
+  const spans = [];
+  for (const p of pages) {
+    // Section in effect at the top of the page is the last heading before it
+    let section = headings.filter(h => h.start < p.start).pop()?.title || null;
+    let start = p.start;
+    for (const heading of headings.filter(h => h.start >= p.start && h.start < p.end)) {
+      if (heading.start > start) {
+        spans.push({ page: p.page, start, end: heading.start, section });
+      }
+      start = heading.start;
+      section = heading.title;
+    }
+    spans.push({ page: p.page, start, end: p.end, section });
+  }
+  return spans;
+}
+
+// Sentence segments with absolute offsets; paragraph breaks always end a segment
+function splitSentences(text, span) {
+  const segments = [];
+  const boundary = /(?<=[.!?]["')\]]?)\s+(?=["'(\[]?[\p{Lu}\p{N}])|\n[ \t]*\n\s*/gu;
+  const body = text.slice(span.start, span.end);
+  let last = 0;
+
+  const push = (from, to) => {
+    const piece = body.slice(from, to);
+    const lead = piece.length - piece.trimStart().length;
+    const trail = piece.length - piece.trimEnd().length;
+    if (to - trail > from + lead) {
+      segments.push({ start: span.start + from + lead, end: span.start + to - trail });
+    }
+  };
+
+  for (const match of body.matchAll(boundary)) {
+    const isParagraph = match[0].includes('\n');
+    if (!isParagraph && ABBREVIATION.test(body.slice(Math.max(0, match.index - 6), match.index))) {
+      continue;
+    }
+    push(last, match.index);
+    last = match.index + match[0].length;
+  }
+  push(last, body.length);
+  return segments;
+}
+
+// Sentence segments, except inside list, table and code blocks where every line is a segment
+function splitSegments(text, span, blocks = []) {
+  const segments = [];
+  let cursor = span.start;
+
+  for (const block of blocks) {
+    const start = Math.max(block.start, span.start);
+    const end = Math.min(block.end, span.end);
+    if (start >= end) continue;
+    if (start > cursor) segments.push(...splitSentences(text, { start: cursor, end: start }));
+    for (const match of text.slice(start, end).matchAll(/\S[^\n]*/g)) {
+      segments.push({ start: start + match.index, end: start + match.index + match[0].trimEnd().length });
+    }
+    cursor = end;
+  }
+  if (cursor < span.end) segments.push(...splitSentences(text, { start: cursor, end: span.end }));
+  return segments;
+}
+
+// Break a segment that is larger than a chunk on word boundaries
+function splitOnWords(text, segment, size, measure) {
+  const pieces = [];
+  let pieceStart = null;
+  let pieceEnd = null;
+
+  for (const match of text.slice(segment.start, segment.end).matchAll(/\S+/g)) {
+    const wordStart = segment.start + match.index;
+    const wordEnd = wordStart + match[0].length;
+    if (pieceStart !== null && measure(text.slice(pieceStart, wordEnd)) > size) {
+      pieces.push({ start: pieceStart, end: pieceEnd });
+      pieceStart = null;
+    }
+    if (pieceStart === null) pieceStart = wordStart;
+    pieceEnd = wordEnd;
+  }
+  if (pieceStart !== null) pieces.push({ start: pieceStart, end: pieceEnd });
+
+  // A single "word" can still be too long (URLs, base64, tables without spaces)
+  return pieces.flatMap(piece => {
+    const pieceSize = measure(text.slice(piece.start, piece.end));
+    if (pieceSize <= size) return [piece];
+    const charsPerUnit = (piece.end - piece.start) / pieceSize;
+    return fixedRanges(piece, { unit: 'chars', size: Math.max(Math.floor(size * charsPerUnit), 1), overlap: 0 });
+  });
+}
+
+// Greedily pack segments up to the size, carrying trailing segments over as overlap
+function packSegments(text, segments, { size, overlap }, measure) {
+  const ranges = [];
+  let i = 0;
+
+  while (i < segments.length) {
+    let j = i;
+    while (j + 1 < segments.length && measure(text.slice(segments[i].start, segments[j + 1].end)) <= size) {
+      j++;
+    }
+    ranges.push({ start: segments[i].start, end: segments[j].end });
+    if (j + 1 >= segments.length) break;
+
+    let next = j + 1;
+    while (next - 1 > i && measure(text.slice(segments[next - 1].start, segments[j].end)) <= overlap) {
+      next--;
+    }
+    i = next;
+  }
+  return ranges;
+}
+
+function fixedRanges(span, { unit, size, overlap }) {
+  const charSize = unit === 'tokens' ? size * CHARS_PER_TOKEN : size;
+  const charOverlap = unit === 'tokens' ? overlap * CHARS_PER_TOKEN : overlap;
+  const ranges = [];
+
+  for (let i = span.start; i < span.end; i += charSize - charOverlap) {
+    const end = Math.min(i + charSize, span.end);
+    ranges.push({ start: i, end });
+    if (end === span.end) break;
+  }
+  return ranges;
+}
+
+// Consecutive rows of one sheet up to the chunk size, under a header line with column letters so
+// answers can name cells. Rows are records of their own, so groups do not overlap
+function chunkSheets(extracted, filename, settings, measure) {
+  const chunks = [];
+  extracted.sheets.forEach((sheet, sheetIndex) => {
+    const header = `Sheet: ${sheet.name}\nColumns: ${sheet.headers.map((title, i) => `${columnLetter(i)} ${title}`).join(' | ')}`;
+    const rows = extracted.rowRanges.filter(range => range.sheet === sheet.name);
+    let group = [];
+
+    const chunkText = (ranges) => [header, ...ranges.map(range => `Row ${range.row}: ${extracted.text.slice(range.start, range.end)}`)].join('\n');
+    const flush = () => {
+      if (!group.length) return;
+      const first = group[0];
+      const last = group[group.length - 1];
+      chunks.push({
+        text: chunkText(group),
+        source: {
+          filename,
+          page: sheetIndex + 1,
+          start: first.start,
+          end: last.end,
+          section: sheet.name,
+          sheet: sheet.name,
+          rowStart: first.row,
+          rowEnd: last.row
+        }
+      });
+      group = [];
+    };
+
+    for (const range of rows) {
+      if (group.length && measure(chunkText([...group, range])) > settings.size) flush();
+      group.push(range);
+    }
+    flush();
+  });
+  return chunks;
+}
+
+// Turn extracted text (optionally with pages and headings) into chunks with source ranges
+export function chunkDocument(extracted, filename = 'unknown', options = {}) {
+  const text = extracted.text || '';
+  const settings = resolveChunkingOptions(options);
+  const measure = settings.unit === 'tokens' ? countTokens : (s) => s.length;
+  if (extracted.sheets?.length) {
+    return { chunks: chunkSheets(extracted, filename, settings, measure), settings };
+  }
+  const wordsPerPage = 300; // Rough estimate when the format has no real pages
+  const chunks = [];
+  const headings = sortedHeadings(text, extracted);
+  const blocks = (extracted.blocks || []).slice().sort((a, b) => a.start - b.start);
+  const sectionAt = (offset) => headings.filter(h => h.start <= offset).pop()?.title;
+
+  for (const span of buildSpans(text, extracted, settings.strategy, headings)) {
+    let ranges;
+    if (settings.strategy === 'fixed') {
+      ranges = fixedRanges(span, settings);
+    } else {
+      const segments = splitSegments(text, span, blocks)
+        .flatMap(segment => measure(text.slice(segment.start, segment.end)) > settings.size
+          ? splitOnWords(text, segment, settings.size, measure)
+          : [segment]);
+      ranges = packSegments(text, segments, settings, measure);
+    }
+
+    for (const { start, end } of ranges) {
+      chunks.push({
+        text: text.slice(start, end),
+        source: {
+          filename,
+          page: span.page ?? Math.floor(start / 5 / wordsPerPage) + 1,
+          start,
+          end,
+          section: span.section || sectionAt(start) || undefined
+        }
+      });
+    }
+  }
+
+  return { chunks, settings };
+}
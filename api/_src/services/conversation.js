@@ -0,0 +1,103 @@
+import { countTokens } from './chunking.js';
+import { generateWithLlm } from './llm.js';
+
+const DEFAULT_CONTEXT_TOKENS = 2000;
+
+// Token budget for previous turns sent with each question (CHAT_CONTEXT_TOKENS)
+export function resolveContextBudget() {
+  const configured = parseInt(process.env.CHAT_CONTEXT_TOKENS);
+  return Number.isFinite(configured) && configured >= 0 ? configured : DEFAULT_CONTEXT_TOKENS;
+}
+
+// [n] markers point at excerpts from an earlier retrieval, which mean nothing in a later prompt
+function stripCitationMarkers(text) {
+  return text.replace(/\s?\[\d+\]/g, '');
+}
+
+async function summarizeTurns(previousSummary, messages) {
+  const transcript = messages
+    .map(msg => `${msg.role === 'user' ? 'User' : 'Assistant'}: ${msg.content}`)
+    .join('\n');
+
+  const prompt = `Summarize this conversation about the user's documents in a few sentences. Keep names, numbers and conclusions the user may refer back to.
+${previousSummary ? `\nEarlier summary: ${previousSummary}\n` : ''}
+${transcript}
+
+Summary:`;
+
+  return generateWithLlm(prompt, { temperature: 0.1, maxTokens: 300, maxRetries: 2 });
+}
+
+// Previous turns of a chat as LLM messages: the most recent turns that fit the budget verbatim,
+// and everything older folded into a rolling summary that is stored on the chat for next time.
+export async function buildConversationContext(chatHistory, budget = resolveContextBudget()) {
+  const messages = (chatHistory?.messages || []).map(msg => ({
+    role: msg.role,
+    content: msg.role === 'assistant' ? stripCitationMarkers(msg.content) : msg.content
+  }));
+
+  let summary = chatHistory?.contextSummary?.text || '';
+  let summarizedCount = Math.min(chatHistory?.contextSummary?.messageCount || 0, messages.length);
+  let tokensUsed = 0;
+
+  // Walk back from the latest turn while it fits, then start on a user message so turns stay paired
+  let start = messages.length;
+  let used = 0;
+  while (start > summarizedCount && used + countTokens(messages[start - 1].content) <= budget) {
+    start--;
+    used += countTokens(messages[start].content);
+  }
+  while (start < messages.length && messages[start].role !== 'user') {
+    start++;
+  }
+
+  if (start > summarizedCount) {
+    try {
+      const result = await summarizeTurns(summary, messages.slice(summarizedCount, start));
+      summary = result.response;
+      summarizedCount = start;
+      tokensUsed = result.tokensUsed || 0;
+      console.log(`🗜️ Summarized ${start} earlier messages of chat ${chatHistory._id}`);
+    } catch (error) {
+      // Older turns are simply dropped this time; summarization is retried on the next question
+      console.warn('⚠️ Conversation summarization failed:', error.message);
+    }
+  }
+
+  return {
+    summary,
+    summarizedCount,
+    messages: messages.slice(start),
+    tokensUsed
+  };
+}
+
+// Providers expect user and assistant turns to alternate
+function mergeConsecutiveRoles(messages) {
+  const merged = [];
+  for (const msg of messages) {
+    const last = merged[merged.length - 1];
+    if (last?.role === msg.role) {
+      last.content += `\n\n${msg.content}`;
+    } else {
+      merged.push({ ...msg });
+    }
+  }
+  return merged;
+}
+
+// Messages for chatWithLlm/streamWithLlm: the summary, the recent turns, then the new prompt
+export function buildChatMessages(context, prompt) {
+  const messages = mergeConsecutiveRoles([...(context?.messages || []), { role: 'user', content: prompt }]);
+  // Recent turns always start with a user message, so the summary leads the first one
+  if (context?.summary) {
+    messages[0].content = `Summary of the earlier conversation: ${context.summary}\n\n${messages[0].content}`;
+  }
+  return messages;
+}
+
+// Retrieval only sees the new question, so give follow-ups like "and the second one?" the previous question too
+export function buildRetrievalQuery(question, chatHistory) {
+  const previousQuestion = [...(chatHistory?.messages || [])].reverse().find(msg => msg.role === 'user');
+  return previousQuestion ? `${previousQuestion.content}\n${question}` : question;
+}
@@ -0,0 +1,198 @@
+import fs from 'fs/promises';
+import { isCompoundFile, readCompoundFile } from './cfb.js';
+
+// Text of Word 97-2003 .doc files ([MS-DOC]). The WordDocument stream starts with the FIB, which
+// points at the piece table (CLX) in the table stream; each piece maps a range of character
+// positions to 8-bit (cp1252) or UTF-16 text in the WordDocument stream.
+
+const WORD_IDENT = 0xa5ec;
+const MIN_WORD97_FIB = 101;
+const FLAG_ENCRYPTED = 0x0100;
+const FLAG_TABLE_STREAM_1 = 0x0200;
+// Index of the fcClx/lcbClx pair in FibRgFcLcb97
+const CLX_PAIR = 33;
+
+const cp1252 = new TextDecoder('windows-1252');
+
+function unreadable(message) {
+  const error = new Error(message);
+  error.status = 422;
+  error.code = 'UNREADABLE_DOCUMENT';
+  return error;
+}
+
+export async function extractDocText(filePath) {
+  const buffer = await fs.readFile(filePath);
+  if (!isCompoundFile(buffer)) {
+    throw unreadable('This file is not a Word 97-2003 document. Save it as .docx or PDF and upload it again.');
+  }
+
+  let container;
+  let wordDocument;
+  try {
+    container = readCompoundFile(buffer);
+    wordDocument = container.getStream('WordDocument');
+  } catch (error) {
+    throw unreadable(`This Word document is damaged and could not be read (${error.message})`);
+  }
+
+  if (!wordDocument || wordDocument.length < 0x20 || wordDocument.readUInt16LE(0) !== WORD_IDENT) {
+    throw unreadable('This file is an Office document, but not a Word document');
+  }
+
+  const nFib = wordDocument.readUInt16LE(2);
+  const flags = wordDocument.readUInt16LE(0x0a);
+  if (flags & FLAG_ENCRYPTED) {
+    throw unreadable('This Word document is password protected. Remove the password and upload it again.');
+  }
+
+  // Offsets in the header and piece table come from the file; damaged ones point past the streams
+  let raw;
+  try {
+    raw = nFib < MIN_WORD97_FIB
+      ? readWord6Text(wordDocument)
+      : readPieceTableText(wordDocument, container.getStream(flags & FLAG_TABLE_STREAM_1 ? '1Table' : '0Table'));
+  } catch (error) {
+    if (error.code === 'UNREADABLE_DOCUMENT') throw error;
+    console.warn('⚠️ Damaged Word document header or piece table:', error.message);
+    throw unreadable('This Word document is damaged and could not be read. Save it as .docx or PDF and upload it again.');
+  }
+
+  return {
+    text: cleanWordText(raw),
+    info: readSummaryInformation(container)
+  };
+}
+
+// Word 6 and 95 keep the text as one 8-bit run between fcMin and fcMac
+function readWord6Text(wordDocument) {
+  const fcMin = wordDocument.readUInt32LE(0x18);
+  const fcMac = wordDocument.readUInt32LE(0x1c);
+  return cp1252.decode(wordDocument.subarray(fcMin, Math.min(fcMac, wordDocument.length)));
+}
+
+function readPieceTableText(wordDocument, table) {
+  if (!table) throw unreadable('This Word document has no table stream');
+
+  // FibBase, then the variable-length FibRgW, FibRgLw and FibRgFcLcb blocks
+  let offset = 0x20;
+  const csw = wordDocument.readUInt16LE(offset);
+  offset += 2 + csw * 2;
+  const cslw = wordDocument.readUInt16LE(offset);
+  const rgLw = offset + 2;
+  offset = rgLw + cslw * 4;
+  const cbRgFcLcb = wordDocument.readUInt16LE(offset);
+  const rgFcLcb = offset + 2;
+  if (cslw < 11 || cbRgFcLcb <= CLX_PAIR) throw unreadable('This Word document has an unsupported file header');
+
+  // Main text, footnotes, headers, (reserved), comments and endnotes follow each other in CP order
+  const [ccpText, ccpFtn, ccpHdd, ccpMcr, ccpAtn, ccpEdn] = [3, 4, 5, 6, 7, 8].map(i => wordDocument.readInt32LE(rgLw + i * 4));
+  const endnotesStart = ccpText + ccpFtn + ccpHdd + ccpMcr + ccpAtn;
+  const ranges = [[0, ccpText], [ccpText, ccpText + ccpFtn], [endnotesStart, endnotesStart + ccpEdn]]
+    .filter(([start, end]) => end > start);
+
+  const fcClx = wordDocument.readUInt32LE(rgFcLcb + CLX_PAIR * 8);
+  const lcbClx = wordDocument.readUInt32LE(rgFcLcb + CLX_PAIR * 8 + 4);
+  const pieces = readPieces(table.subarray(fcClx, fcClx + lcbClx));
+
+  return ranges.map(([start, end]) => readCharacters(wordDocument, pieces, start, end)).join('\n\n');
+}
+
+// The CLX is formatting (Prc, type 1) entries followed by the piece table (Pcdt, type 2)
+function readPieces(clx) {
+  let offset = 0;
+  while (offset < clx.length && clx[offset] === 1) {
+    offset += 3 + clx.readInt16LE(offset + 1);
+  }
+  if (clx[offset] !== 2) throw unreadable('This Word document has no piece table');
+
+  const plc = clx.subarray(offset + 5, offset + 5 + clx.readUInt32LE(offset + 1));
+  const count = (plc.length - 4) / 12;
+  if (!Number.isInteger(count) || count < 1) throw unreadable('This Word document has a damaged piece table');
+
+  const pieces = [];
+  for (let i = 0; i < count; i++) {
+    const fcCompressed = plc.readUInt32LE((count + 1) * 4 + i * 8 + 2);
+    const compressed = (fcCompressed & 0x40000000) !== 0;
+    const fc = fcCompressed & 0x3fffffff;
+    pieces.push({
+      cpStart: plc.readUInt32LE(i * 4),
+      cpEnd: plc.readUInt32LE((i + 1) * 4),
+      compressed,
+      // Compressed pieces store one byte per character at half the stored offset
+      offset: compressed ? fc / 2 : fc
+    });
+  }
+  return pieces;
+}
+
+function readCharacters(wordDocument, pieces, start, end) {
+  let text = '';
+  for (const piece of pieces) {
+    const from = Math.max(start, piece.cpStart);
+    const to = Math.min(end, piece.cpEnd);
+    if (from >= to) continue;
+    const width = piece.compressed ? 1 : 2;
+    const byteStart = piece.offset + (from - piece.cpStart) * width;
+    const bytes = wordDocument.subarray(byteStart, byteStart + (to - from) * width);
+    text += piece.compressed ? cp1252.decode(bytes) : bytes.toString('utf16le');
+  }
+  return text;
+}
+
+// Word's control characters: paragraph and cell marks, breaks, fields and object anchors
+function cleanWordText(raw) {
+  // Fields are \x13 instructions \x14 result \x15; keep only the result
+  let text = '';
+  const fields = [];
+  for (const char of raw) {
+    if (char === '\x13') {
+      fields.push({ showing: false });
+    } else if (char === '\x14') {
+      if (fields.length) fields[fields.length - 1].showing = true;
+    } else if (char === '\x15') {
+      fields.pop();
+    } else if (fields.every(field => field.showing)) {
+      text += char;
+    }
+  }
+
+  return text
+    .replace(/\x07\x07/g, '\n') // cell mark followed by the row end mark
+    .replace(/\x07/g, '\t')
+    .replace(/\r|\x0b/g, '\n')
+    .replace(/\x0c/g, '\n\n')
+    .replace(/\x1e/g, '-')
+    .replace(/[\x00-\x06\x08\x0e-\x12\x16-\x1d\x1f]/g, '')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Title, author and creation date from the SummaryInformation property set
+function readSummaryInformation(container) {
+  const info = {};
+  try {
+    const stream = container.getStream('\u0005SummaryInformation');
+    if (!stream || stream.length < 48) return info;
+    const section = stream.readUInt32LE(44);
+    const count = stream.readUInt32LE(section + 4);
+    for (let i = 0; i < count; i++) {
+      const id = stream.readUInt32LE(section + 8 + i * 8);
+      const offset = section + stream.readUInt32LE(section + 12 + i * 8);
+      const type = stream.readUInt32LE(offset);
+      if ((id === 2 || id === 4) && type === 0x1e) {
+        // 8-bit string with its length including the terminating zero
+        const value = cp1252.decode(stream.subarray(offset + 8, offset + 8 + stream.readUInt32LE(offset + 4))).replace(/\0+$/, '').trim();
+        if (value) info[id === 2 ? 'title' : 'author'] = value;
+      } else if (id === 12 && type === 0x40) {
+        // FILETIME: 100-nanosecond intervals since 1601
+        const ticks = stream.readBigUInt64LE(offset + 4);
+        if (ticks > 0n) info.creationDate = new Date(Number(ticks / 10000n) - 11644473600000);
+      }
+    }
+  } catch (error) {
+    console.warn('⚠️ Could not read Word document properties:', error.message);
+  }
+  return info;
+}
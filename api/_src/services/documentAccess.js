@@ -0,0 +1,43 @@
+// Who may do what with a document. Documents belong to a workspace: every member can view them, and
+// their uploader and the workspace owners and admins can do everything including sharing. sharedWith
+// entries grant other users viewer (read and chat) or editor (also rename, re-index and delete) access.
+
+export const SHARE_ROLES = ['viewer', 'editor'];
+
+// Roles that include each permission
+const ROLES_ALLOWED = {
+  view: ['owner', 'editor', 'viewer'],
+  edit: ['owner', 'editor'],
+  share: ['owner']
+};
+
+const managesWorkspace = workspace => workspace?.role === 'owner' || workspace?.role === 'admin';
+
+// Query filter for the active documents a user may use with a permission (view, edit or share).
+// workspace is req.workspace; without it only the user's own uploads count as theirs
+export function documentAccessFilter(userId, permission = 'view', workspace = null) {
+  const sharedRoles = ROLES_ALLOWED[permission].filter(role => role !== 'owner');
+  const owners = [];
+  if (!workspace) {
+    owners.push({ userId: userId || null });
+  } else if (permission === 'view' || managesWorkspace(workspace)) {
+    owners.push({ workspaceId: workspace._id });
+  } else {
+    owners.push({ workspaceId: workspace._id, userId });
+  }
+  if (userId && sharedRoles.length) {
+    owners.push({ sharedWith: { $elemMatch: { userId, role: { $in: sharedRoles } } } });
+  }
+  return { isActive: true, $or: owners };
+}
+
+// The user's role on a document: owner (full control), editor, viewer, or null without access
+export function getDocumentRole(doc, userId, workspace = null) {
+  if (!userId) return null;
+  if (String(doc.userId?._id || doc.userId) === String(userId)) return 'owner';
+  const inWorkspace = workspace && String(doc.workspaceId) === String(workspace._id);
+  if (inWorkspace && managesWorkspace(workspace)) return 'owner';
+  // Members view the documents of their workspace; an editor share on top of that lets them edit
+  const sharedRole = doc.sharedWith?.find(share => String(share.userId?._id || share.userId) === String(userId))?.role;
+  return sharedRole || (inWorkspace ? 'viewer' : null);
+}
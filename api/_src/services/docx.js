@@ -0,0 +1,47 @@
+import mammoth from 'mammoth';
+
+// Extract raw text plus heading positions, which the chunker uses for section-aware splitting
+export async function extractDocxText(filePath) {
+  const [raw, html] = await Promise.all([
+    mammoth.extractRawText({ path: filePath }),
+    mammoth.convertToHtml({ path: filePath })
+  ]);
+
+  return {
+    text: raw.value,
+    headings: locateHeadings(raw.value, extractHtmlHeadings(html.value))
+  };
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+function extractHtmlHeadings(html) {
+  const headings = [];
+  for (const match of html.matchAll(/<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/g)) {
+    const title = decodeEntities(match[2].replace(/<[^>]+>/g, '')).trim();
+    if (title) {
+      headings.push({ level: parseInt(match[1]), title });
+    }
+  }
+  return headings;
+}
+
+// Headings are whole paragraphs of the raw text, so find them in document order
+function locateHeadings(text, headings) {
+  const located = [];
+  let cursor = 0;
+  for (const heading of headings) {
+    const start = text.indexOf(heading.title, cursor);
+    if (start === -1) continue;
+    located.push({ ...heading, start });
+    cursor = start + heading.title.length;
+  }
+  return located;
+}
@@ -0,0 +1,119 @@
+import { getLlmProviderName, getLlmSettings } from '../config/llm.js';
+import { embedWithLlm } from './llm.js';
+
+const LOCAL_DIMENSIONS = 512;
+
+// Registered embedding backends, selected with EMBEDDING_PROVIDER
+const backends = new Map();
+
+export function registerEmbeddingBackend(name, backend) {
+  if (typeof backend?.embed !== 'function') {
+    throw new Error(`Embedding backend "${name}" must provide an embed(texts) function`);
+  }
+  backends.set(name, backend);
+}
+
+// Hosted embeddings through the Gemini API
+registerEmbeddingBackend('gemini', {
+  model: getLlmSettings('gemini').embeddingModel,
+  embed: (texts, options = {}) => embedWithLlm(texts, {
+    taskType: options.isQuery ? 'RETRIEVAL_QUERY' : 'RETRIEVAL_DOCUMENT'
+  }, 'gemini')
+});
+
+// /embeddings on the OpenAI-compatible server (e.g. nomic-embed-text on Ollama)
+registerEmbeddingBackend('openai', {
+  model: getLlmSettings('openai').embeddingModel,
+  embed: (texts) => embedWithLlm(texts, {}, 'openai')
+});
+
+// Offline embeddings: hashed unigrams and bigrams, no network required
+registerEmbeddingBackend('local', {
+  model: `hashing-${LOCAL_DIMENSIONS}`,
+  embed: async (texts) => texts.map(hashEmbed)
+});
+
+function tokenize(text) {
+  return (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+// FNV-1a, good enough spread for feature hashing
+function hashToken(token) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < token.length; i++) {
+    hash ^= token.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function hashEmbed(text) {
+  const vector = new Array(LOCAL_DIMENSIONS).fill(0);
+  const tokens = tokenize(text);
+  const features = tokens.concat(tokens.slice(1).map((token, i) => `${tokens[i]} ${token}`));
+
+  for (const feature of features) {
+    const hash = hashToken(feature);
+    // Sign bit keeps colliding features from only ever adding up
+    vector[hash % LOCAL_DIMENSIONS] += (hash & 0x80000000) ? -1 : 1;
+  }
+
+  return normalize(vector);
+}
+
+function normalize(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm > 0 ? vector.map(value => value / norm) : vector;
+}
+
+// Default to the LLM provider's embeddings when it can serve them, otherwise stay offline
+export function getEmbeddingProvider() {
+  const configured = (process.env.EMBEDDING_PROVIDER || '').toLowerCase();
+  if (configured) return configured;
+  const llmProvider = getLlmProviderName();
+  if (llmProvider === 'openai') return 'openai';
+  if (llmProvider === 'mock') return 'local';
+  return process.env.GEMINI_API_KEY ? 'gemini' : 'local';
+}
+
+function getBackend(provider) {
+  const backend = backends.get(provider);
+  if (!backend) {
+    throw new Error(`Unknown embedding provider "${provider}". Available: ${[...backends.keys()].join(', ')}`);
+  }
+  return backend;
+}
+
+// Embed document chunks, returning vectors plus the info needed to embed queries consistently later
+export async function embedTexts(texts, options = {}) {
+  const provider = options.provider || getEmbeddingProvider();
+  const backend = getBackend(provider);
+  const vectors = texts.length > 0 ? await backend.embed(texts, options) : [];
+
+  return {
+    vectors,
+    provider,
+    model: backend.model,
+    dimensions: vectors[0]?.length || 0
+  };
+}
+
+export async function embedQuery(text, provider = getEmbeddingProvider()) {
+  const { vectors } = await embedTexts([text], { provider, isQuery: true });
+  return vectors[0];
+}
+
+export function cosineSimilarity(a, b) {
+  if (!a?.length || !b?.length || a.length !== b.length) return 0;
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+}
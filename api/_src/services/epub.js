@@ -0,0 +1,56 @@
+import { createStructuredText } from './structuredText.js';
+import { htmlToStructuredText } from './html.js';
+import { openPackage, readDublinCore, readXmlAttribute, resolvePartPath, unreadable } from './packages.js';
+
+// Text of EPUB 2 and 3 books: the XHTML documents of the spine in reading order, one page per
+// chapter (spine document with text). Title and author come from the package document.
+
+export async function extractEpubText(filePath) {
+  const pkg = await openPackage(filePath, 'This file is not an EPUB book');
+
+  const rootfile = (await pkg.read('META-INF/container.xml'))?.match(/<rootfile\s[^>]*>/)?.[0];
+  const packagePath = rootfile && readXmlAttribute(rootfile, 'full-path');
+  const packageXml = packagePath && await pkg.read(packagePath);
+  if (!packageXml) throw unreadable('This EPUB book has no package document');
+
+  // Files encrypted by DRM (font obfuscation is listed here too, but only affects fonts)
+  const encrypted = new Set();
+  for (const [tag] of ((await pkg.read('META-INF/encryption.xml')) || '').matchAll(/<(?:enc:)?CipherReference\s[^>]*>/g)) {
+    encrypted.add(resolvePartPath('', readXmlAttribute(tag, 'URI') || ''));
+  }
+
+  const manifest = {};
+  for (const [tag] of packageXml.matchAll(/<(?:opf:)?item\s[^>]*>/g)) {
+    manifest[readXmlAttribute(tag, 'id')] = {
+      path: resolvePartPath(packagePath, readXmlAttribute(tag, 'href') || ''),
+      mediaType: readXmlAttribute(tag, 'media-type'),
+      properties: readXmlAttribute(tag, 'properties') || ''
+    };
+  }
+
+  const output = createStructuredText();
+  const pages = [];
+  for (const [tag] of packageXml.matchAll(/<(?:opf:)?itemref\s[^>]*>/g)) {
+    const item = manifest[readXmlAttribute(tag, 'idref')];
+    // The navigation document only repeats the chapter titles
+    if (!item || !/html/.test(item.mediaType || '') || item.properties.includes('nav')) continue;
+    if (encrypted.has(item.path)) throw unreadable('This EPUB book is DRM protected and cannot be read');
+    const html = await pkg.read(item.path);
+    if (!html) continue;
+
+    const start = output.boundary();
+    htmlToStructuredText(html, output);
+    const end = output.boundary();
+    if (end > start) pages.push({ page: pages.length + 1, start, end });
+  }
+
+  const result = output.finish();
+  if (!result.text.trim()) throw unreadable('This EPUB book has no readable text');
+
+  return {
+    ...result,
+    pages,
+    pageCount: Math.max(pages.length, 1),
+    info: readDublinCore(packageXml)
+  };
+}
@@ -1,15 +1,12 @@
 import { GoogleGenerativeAI } from '@google/generative-ai';
+import { getLlmSettings } from '../config/llm.js';
+import { createCircuitBreaker, withRetry } from './retry.js';
 
 const API_KEY = process.env.GEMINI_API_KEY;
-const MODEL_NAME = 'gemini-1.5-flash'; // Fast model for quick responses
+const { model: MODEL_NAME, embeddingModel: EMBEDDING_MODEL_NAME } = getLlmSettings('gemini');
 
 // Simple circuit breaker to avoid hammering overloaded service
-let circuitBreaker = {
-  failureCount: 0,
-  lastFailureTime: null,
-  isOpen: false,
-  resetTimeout: 60000 // 1 minute
-};
+const circuitBreaker = createCircuitBreaker();
 
 if (process.env.NODE_ENV !== 'production') {
   console.log('🔍 Gemini module loaded - API_KEY available:', !!API_KEY);
@@ -71,129 +68,50 @@ export async function testGeminiConnection() {
 
 // Generate response using Gemini with retry mechanism
 export async function generateWithGemini(prompt, options = {}) {
-  // Check circuit breaker
-  if (circuitBreaker.isOpen) {
-    const timeSinceLastFailure = Date.now() - circuitBreaker.lastFailureTime;
-    if (timeSinceLastFailure < circuitBreaker.resetTimeout) {
-      throw new Error(`Service temporarily unavailable. Circuit breaker is open. Try again in ${Math.round((circuitBreaker.resetTimeout - timeSinceLastFailure) / 1000)} seconds.`);
-    } else {
-      // Reset circuit breaker
-      console.log('🔄 Circuit breaker reset - attempting to reconnect...');
-      circuitBreaker.isOpen = false;
-      circuitBreaker.failureCount = 0;
+  return withRetry(async (attempt) => {
+    if (!model) {
+      initializeGemini();
     }
-  }
 
-  const maxRetries = options.maxRetries || 3;
-  const baseDelay = options.baseDelay || 1000; // 1 second
-
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      if (!model) {
-        initializeGemini();
-      }
-
-      console.log(`🤖 Generating response with ${MODEL_NAME}... (Attempt ${attempt}/${maxRetries})`);
-      console.log(`📏 Prompt size: ${prompt.length} characters`);
-      
-      const startTime = Date.now();
-      
-      // Configure generation settings
-      const generationConfig = {
-        temperature: options.temperature || 0.2,
-        topP: options.topP || 0.8,
-        topK: options.topK || 40,
-        maxOutputTokens: options.maxTokens || 800,
-      };
-
-      const result = await model.generateContent({
-        contents: [{ role: 'user', parts: [{ text: prompt }] }],
-        generationConfig,
-      });
+    console.log(`🤖 Generating response with ${MODEL_NAME}... (Attempt ${attempt}/${options.maxRetries || 3})`);
+    console.log(`📏 Prompt size: ${prompt.length} characters`);
 
-      const response = await result.response;
-      const text = response.text();
-      
-      const endTime = Date.now();
-      const responseTime = endTime - startTime;
-      
-      console.log(`✅ Response generated in ${responseTime}ms on attempt ${attempt}`);
-      
-      // Reset circuit breaker on success
-      if (circuitBreaker.failureCount > 0) {
-        console.log('✅ Circuit breaker reset after successful request');
-        circuitBreaker.failureCount = 0;
-        circuitBreaker.isOpen = false;
-      }
-      
-      if (!text || text.trim().length === 0) {
-        throw new Error('Empty response from Gemini');
-      }
-
-      return {
-        response: text.trim(),
-        model: MODEL_NAME,
-        responseTime,
-        tokensUsed: response.usageMetadata?.totalTokenCount || 0,
-        attempts: attempt
-      };
-      
-    } catch (error) {
-      console.error(`❌ Gemini generation failed (Attempt ${attempt}/${maxRetries}):`, error.message);
-      
-      // Handle specific error types that shouldn't be retried
-      if (error.message.includes('API_KEY_INVALID')) {
-        throw new Error('Invalid Gemini API key. Please check your configuration.');
-      }
-      
-      if (error.message.includes('QUOTA_EXCEEDED')) {
-        throw new Error('Gemini API quota exceeded. Please try again later.');
-      }
-      
-      // Check for retryable errors (503, overloaded, rate limits, etc.)
-      const isRetryableError = 
-        error.message.includes('503 Service Unavailable') ||
-        error.message.includes('The model is overloaded') ||
-        error.message.includes('RATE_LIMIT_EXCEEDED') ||
-        error.message.includes('RESOURCE_EXHAUSTED') ||
-        error.message.includes('INTERNAL') ||
-        error.message.includes('UNAVAILABLE') ||
-        error.message.includes('DEADLINE_EXCEEDED') ||
-        error.message.includes('temporarily unavailable');
-      
-      // Update circuit breaker for overload errors
-      if (error.message.includes('503 Service Unavailable') || error.message.includes('The model is overloaded')) {
-        circuitBreaker.failureCount++;
-        circuitBreaker.lastFailureTime = Date.now();
-        
-        // Open circuit breaker after 3 consecutive overload errors
-        if (circuitBreaker.failureCount >= 3) {
-          circuitBreaker.isOpen = true;
-          console.log('🔴 Circuit breaker opened due to repeated overload errors');
-        }
-      }
-      
-      if (isRetryableError && attempt < maxRetries) {
-        const delay = baseDelay * Math.pow(2, attempt - 1); // Exponential backoff: 1s, 2s, 4s
-        const jitter = Math.random() * 1000; // Add random jitter (0-1s) to avoid thundering herd
-        const totalDelay = Math.min(delay + jitter, 10000); // Cap at 10 seconds
-        
-        console.log(`🔄 Service overloaded, retrying in ${Math.round(totalDelay)}ms... (${maxRetries - attempt} retries remaining)`);
-        await new Promise(resolve => setTimeout(resolve, totalDelay));
-        continue;
-      }
-      
-      // If this is the last attempt or non-retryable error, throw
-      if (attempt === maxRetries) {
-        console.error('❌ All retry attempts exhausted. The Gemini service may be experiencing high load.');
-      }
-      
-      throw new Error(`AI generation failed after ${attempt} attempt(s): ${error.message}`);
+    const startTime = Date.now();
+
+    // Configure generation settings
+    const generationConfig = {
+      temperature: options.temperature || 0.2,
+      topP: options.topP || 0.8,
+      topK: options.topK || 40,
+      maxOutputTokens: options.maxTokens || 800,
+    };
+
+    const result = await model.generateContent({
+      contents: [{ role: 'user', parts: [{ text: prompt }] }],
+      generationConfig,
+    });
+
+    const response = await result.response;
+    const text = response.text();
+
+    const responseTime = Date.now() - startTime;
+    console.log(`✅ Response generated in ${responseTime}ms on attempt ${attempt}`);
+
+    if (!text || text.trim().length === 0) {
+      throw new Error('Empty response from Gemini');
     }
-  }
+
+    return {
+      response: text.trim(),
+      model: MODEL_NAME,
+      responseTime,
+      tokensUsed: response.usageMetadata?.totalTokenCount || 0
+    };
+  }, { ...options, service: 'Gemini', circuitBreaker });
 }
 
-// Stream response using Gemini (for real-time responses)
+// Stream response using Gemini (for real-time responses) to a prompt or chat messages.
+// Returns { stream, response }: stream yields text pieces, response resolves with usage once the stream ends
 export async function generateStreamWithGemini(prompt, options = {}) {
   try {
     if (!model) {
@@ -209,12 +127,28 @@ export async function generateStreamWithGemini(prompt, options = {}) {
       maxOutputTokens: options.maxTokens || 800,
     };
 
+    // options.signal aborts the underlying request, e.g. when the client disconnects
     const result = await model.generateContentStream({
-      contents: [{ role: 'user', parts: [{ text: prompt }] }],
+      contents: toGeminiContents(prompt),
       generationConfig,
-    });
+    }, { signal: options.signal });
+
+    const response = result.response.then(final => ({
+      model: MODEL_NAME,
+      tokensUsed: final.usageMetadata?.totalTokenCount || 0
+    }));
+    // Stream errors surface through the iterator; don't also report them as unhandled
+    response.catch(() => {});
 
-    return result.stream;
+    return {
+      stream: (async function* () {
+        for await (const chunk of result.stream) {
+          const text = chunk.text();
+          if (text) yield text;
+        }
+      })(),
+      response
+    };
   } catch (error) {
     console.error('❌ Gemini streaming failed:', error.message);
     throw new Error(`AI streaming failed: ${error.message}`);
@@ -223,17 +157,11 @@ export async function generateStreamWithGemini(prompt, options = {}) {
 
 // Chat with conversation context support
 export async function chatWithGemini(messages, options = {}) {
-  try {
+  return withRetry(async () => {
     if (!model) {
       initializeGemini();
     }
 
-    // Convert messages to Gemini format
-    const contents = messages.map(msg => ({
-      role: msg.role === 'assistant' ? 'model' : 'user',
-      parts: [{ text: msg.content }]
-    }));
-
     const generationConfig = {
       temperature: options.temperature || 0.2,
       topP: options.topP || 0.8,
@@ -241,24 +169,73 @@ export async function chatWithGemini(messages, options = {}) {
       maxOutputTokens: options.maxTokens || 800,
     };
 
+    const startTime = Date.now();
     const result = await model.generateContent({
-      contents,
+      contents: toGeminiContents(messages),
       generationConfig,
     });
 
     const response = await result.response;
     const text = response.text();
-    
+
+    if (!text || text.trim().length === 0) {
+      throw new Error('Empty response from Gemini');
+    }
+
     return {
       response: text.trim(),
       model: MODEL_NAME,
+      responseTime: Date.now() - startTime,
       tokensUsed: response.usageMetadata?.totalTokenCount || 0
     };
+  }, { ...options, service: 'Gemini', circuitBreaker });
+}
+
+// Convert a prompt or chat messages to Gemini format
+function toGeminiContents(input) {
+  if (typeof input === 'string') {
+    return [{ role: 'user', parts: [{ text: input }] }];
+  }
+  return input.map(msg => ({
+    role: msg.role === 'assistant' ? 'model' : 'user',
+    parts: [{ text: msg.content }]
+  }));
+}
+
+// Embed a batch of texts with the Gemini embedding model
+export async function embedWithGemini(texts, options = {}) {
+  try {
+    if (!genAI) {
+      initializeGemini();
+    }
+
+    const embeddingModel = genAI.getGenerativeModel({ model: options.model || EMBEDDING_MODEL_NAME });
+    const batchSize = options.batchSize || 100; // API limit per batch request
+    const vectors = [];
+
+    for (let i = 0; i < texts.length; i += batchSize) {
+      const batch = texts.slice(i, i + batchSize);
+      const result = await embeddingModel.batchEmbedContents({
+        requests: batch.map(text => ({
+          content: { role: 'user', parts: [{ text }] },
+          taskType: options.taskType
+        }))
+      });
+      vectors.push(...result.embeddings.map(embedding => embedding.values));
+    }
+
+    return vectors;
   } catch (error) {
-    console.error('❌ Gemini chat failed:', error.message);
-    throw new Error(`AI chat failed: ${error.message}`);
+    console.error('❌ Gemini embedding failed:', error.message);
+    throw new Error(`AI embedding failed: ${error.message}`);
   }
 }
 
-// Initialize on module load
-initializeGemini();
+export async function countTokensWithGemini(text) {
+  if (!model) {
+    initializeGemini();
+  }
+
+  const { totalTokens } = await model.countTokens(text);
+  return totalTokens;
+}
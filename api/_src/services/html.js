@@ -0,0 +1,162 @@
+import fs from 'fs/promises';
+import { createStructuredText } from './structuredText.js';
+
+// Text of saved HTML pages: headings, lists, tables and <pre> blocks become structure, and page
+// furniture (scripts, styles, navigation, footers, forms) is dropped
+
+const SKIPPED = new Set(['head', 'script', 'style', 'noscript', 'template', 'svg', 'math', 'iframe', 'object', 'canvas', 'nav', 'aside', 'footer', 'form', 'select', 'button']);
+const BLOCKS = new Set(['p', 'div', 'section', 'article', 'main', 'header', 'blockquote', 'figure', 'figcaption', 'dl', 'dt', 'dd', 'address', 'hr', 'details', 'summary', 'caption', 'center', 'body', 'html']);
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', shy: '', copy: '©', reg: '®', trade: '™',
+  hellip: '…', mdash: '—', ndash: '–', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', laquo: '«', raquo: '»',
+  bull: '•', middot: '·', deg: '°', euro: '€', pound: '£', yen: '¥', cent: '¢', sect: '§', para: '¶',
+  times: '×', divide: '÷', plusmn: '±', frac12: '½', frac14: '¼', frac34: '¾', larr: '←', rarr: '→', uarr: '↑', darr: '↓'
+};
+
+export function decodeHtmlEntities(text) {
+  return text.replace(/&(#\d+|#x[\da-f]+|[a-z][a-z\d]*);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+    }
+    return NAMED_ENTITIES[name.toLowerCase()] ?? entity;
+  });
+}
+
+// Saved pages are not always UTF-8; honour a BOM or the <meta charset> declaration
+function decodeHtmlFile(buffer) {
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) return new TextDecoder('utf-16le').decode(buffer);
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) return new TextDecoder('utf-16be').decode(buffer);
+  const head = buffer.subarray(0, 4096).toString('latin1');
+  const charset = head.match(/<meta[^>]+charset\s*=\s*["']?\s*([\w-]+)/i)?.[1];
+  try {
+    return new TextDecoder(charset || 'utf-8').decode(buffer);
+  } catch {
+    return buffer.toString('utf8');
+  }
+}
+
+const readAttribute = (attributes, name) =>
+  attributes.match(new RegExp(`\\b${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'))?.slice(1).find(v => v !== undefined);
+
+export async function extractHtmlText(filePath) {
+  return htmlToStructuredText(decodeHtmlFile(await fs.readFile(filePath)));
+}
+
+// Appends to `output` when given one (the chapters of an EPUB), otherwise builds a new text
+export function htmlToStructuredText(html, output = createStructuredText()) {
+  const info = {};
+  const title = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1];
+  if (title) info.title = decodeHtmlEntities(title).replace(/\s+/g, ' ').trim() || undefined;
+  const authorMeta = html.match(/<meta[^>]+name\s*=\s*["']?author["']?[^>]*>/i)?.[0];
+  if (authorMeta) info.author = decodeHtmlEntities(readAttribute(authorMeta, 'content') || '').trim() || undefined;
+
+  const lists = [];
+  let buffer = '';
+  let heading = null;
+  let item = null;
+  let preDepth = 0;
+  let row = null;
+  let cell = null;
+
+  // Emit the text collected so far as the heading, list item or paragraph it belongs to
+  const flush = () => {
+    const content = buffer;
+    buffer = '';
+    if (heading) {
+      output.heading(heading, content);
+    } else if (item) {
+      output.line('list', `${item.marker} ${content}`, item.depth);
+      item = null;
+    } else {
+      output.paragraph(content);
+    }
+  };
+  const endCell = () => {
+    if (cell === null) return;
+    row?.push((cell + buffer).replace(/\s+/g, ' ').trim());
+    cell = null;
+    buffer = '';
+  };
+  const endRow = () => {
+    endCell();
+    if (row?.some(Boolean)) output.line('table', row.join(' | '));
+    row = null;
+  };
+
+  const tokens = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<![^>]*>|<\?[^>]*>|<(\/?)([a-zA-Z][\w:-]*)((?:"[^"]*"|'[^']*'|[^'">])*)>|([^<]+|<)/g;
+  let match;
+  while ((match = tokens.exec(html))) {
+    const [, closing, rawName, attributes, textRun] = match;
+
+    if (textRun !== undefined) {
+      const decoded = decodeHtmlEntities(textRun);
+      buffer += preDepth ? decoded : decoded.replace(/\s+/g, ' ');
+      continue;
+    }
+    if (!rawName) continue;
+
+    const name = rawName.toLowerCase();
+    if (!closing && SKIPPED.has(name) && !attributes.trim().endsWith('/')) {
+      // Jump past the element's closing tag
+      const end = new RegExp(`</${name}\\s*>`, 'ig');
+      end.lastIndex = tokens.lastIndex;
+      const found = end.exec(html);
+      tokens.lastIndex = found ? end.lastIndex : html.length;
+      continue;
+    }
+
+    if (/^h[1-6]$/.test(name) && cell === null) {
+      flush();
+      heading = closing ? null : parseInt(name[1]);
+    } else if (name === 'ul' || name === 'ol') {
+      if (cell !== null) { buffer += ' '; continue; }
+      flush();
+      if (closing) lists.pop();
+      else lists.push({ ordered: name === 'ol', counter: parseInt(readAttribute(attributes, 'start')) - 1 || 0 });
+    } else if (name === 'li') {
+      if (cell !== null) { buffer += ' '; continue; }
+      flush();
+      if (!closing) {
+        const list = lists[lists.length - 1];
+        item = {
+          depth: Math.max(lists.length - 1, 0),
+          marker: list?.ordered ? `${++list.counter}.` : '•'
+        };
+      }
+    } else if (name === 'table') {
+      if (closing) endRow();
+      else flush();
+    } else if (name === 'tr') {
+      endRow();
+      if (!closing) row = [];
+    } else if (name === 'td' || name === 'th') {
+      endCell();
+      if (!closing) {
+        if (!row) { flush(); row = []; }
+        cell = '';
+        buffer = '';
+      }
+    } else if (name === 'pre') {
+      if (cell !== null) continue;
+      if (closing) {
+        preDepth = Math.max(preDepth - 1, 0);
+        output.preformatted(buffer);
+        buffer = '';
+      } else {
+        flush();
+        preDepth++;
+      }
+    } else if (name === 'br') {
+      buffer += cell !== null ? ' ' : '\n';
+    } else if (BLOCKS.has(name)) {
+      if (cell !== null) buffer += ' ';
+      else if (!preDepth) flush();
+    }
+  }
+  endRow();
+  flush();
+
+  return { ...output.finish(), info };
+}
@@ -0,0 +1,219 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { extractPdfText } from './pdf.js';
+import { extractDocxText } from './docx.js';
+import { extractDocText } from './doc.js';
+import { extractMarkdownText } from './markdown.js';
+import { extractHtmlText } from './html.js';
+import { extractRtfText } from './rtf.js';
+import { extractCsvText, extractXlsxText } from './spreadsheet.js';
+import { extractPptxText } from './pptx.js';
+import { extractOpenDocumentText } from './opendocument.js';
+import { extractEpubText } from './epub.js';
+import { extractImageText } from './ocr.js';
+import { chunkDocument } from './chunking.js';
+import { embedTexts } from './embeddings.js';
+
+// Bump when extraction, chunking or embedding changes in a way that makes existing chunks stale.
+//   1 - fixed 1200 character chunks, no embeddings
+//   2 - per-page PDF text, configurable chunking, chunk embeddings
+//   3 - real text of Word 97-2003 .doc files, binary noise rejected
+//   4 - Markdown, HTML and RTF structure; section titles on chunks of every strategy
+//   5 - CSV and XLSX sheets stored as rows, chunked by row groups under the header
+//   6 - OCR of PDF pages without a text layer
+export const INDEX_VERSION = 6;
+
+const EMBED_BATCH_SIZE = 64;
+
+// Chunks and sheet rows are stored inside the Document, which MongoDB caps at 16 MB; the rest of
+// the document needs far less than the margin left here
+const MAX_STORED_INDEX_BYTES = 15 * 1024 * 1024;
+
+// Indexing runs inside the server process. One that has not finished after this long was cut off by a
+// restart or crash, and no longer blocks re-indexing
+export const INDEXING_TIMEOUT_MS = 30 * 60 * 1000;
+
+export function isIndexing(indexing, now = new Date()) {
+  return indexing?.status === 'indexing' && indexing.startedAt > now - INDEXING_TIMEOUT_MS;
+}
+
+// Filter for documents that are not being indexed right now
+export function notIndexingFilter(now = new Date()) {
+  return {
+    $or: [
+      { 'indexing.status': { $ne: 'indexing' } },
+      { 'indexing.startedAt': { $not: { $gt: new Date(now - INDEXING_TIMEOUT_MS) } } }
+    ]
+  };
+}
+
+// Extracted text with fewer readable characters than this is binary noise and is not indexed;
+// below FLAG_PRINTABLE_RATIO it is indexed but flagged in metadata.textQuality
+const MIN_PRINTABLE_RATIO = 0.75;
+const FLAG_PRINTABLE_RATIO = 0.95;
+
+// Returns { text } plus page structure, headings, sheets and document info where the format provides them.
+// Slide decks have a page per slide, OpenDocument text and EPUB books a page per chapter.
+// Images and scanned PDF pages are read by OCR, which adds { ocr } with the per-page confidence
+export async function extractText(filePath, mimeType) {
+  const extension = path.extname(filePath).toLowerCase();
+  if (mimeType === 'application/pdf' || filePath.toLowerCase().endsWith('.pdf')) {
+    return await extractPdfText(filePath);
+  }
+  if (
+    mimeType === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' ||
+    filePath.toLowerCase().endsWith('.docx')
+  ) {
+    return await extractDocxText(filePath);
+  }
+  if (mimeType === 'application/msword' || filePath.toLowerCase().endsWith('.doc')) {
+    return await extractDocText(filePath);
+  }
+  if (mimeType === 'text/markdown' || ['.md', '.markdown'].includes(extension)) {
+    return await extractMarkdownText(filePath);
+  }
+  if (mimeType === 'text/html' || ['.html', '.htm'].includes(extension)) {
+    return await extractHtmlText(filePath);
+  }
+  if (mimeType === 'application/rtf' || extension === '.rtf') {
+    return await extractRtfText(filePath);
+  }
+  if (mimeType === 'text/csv' || extension === '.csv') {
+    return await extractCsvText(filePath);
+  }
+  if (mimeType === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' || extension === '.xlsx') {
+    return await extractXlsxText(filePath);
+  }
+  if (mimeType === 'application/vnd.openxmlformats-officedocument.presentationml.presentation' || extension === '.pptx') {
+    return await extractPptxText(filePath);
+  }
+  if (mimeType?.startsWith('application/vnd.oasis.opendocument.') || ['.odt', '.odp'].includes(extension)) {
+    return await extractOpenDocumentText(filePath);
+  }
+  if (mimeType === 'application/epub+zip' || extension === '.epub') {
+    return await extractEpubText(filePath);
+  }
+  if (mimeType?.startsWith('image/') || ['.png', '.jpg', '.jpeg', '.tif', '.tiff'].includes(extension)) {
+    return await extractImageText(filePath);
+  }
+  // Fallback for txt and code files
+  const content = await fs.readFile(filePath, 'utf8');
+  return { text: content };
+}
+
+// Share of the text that is readable: everything but control characters (other than whitespace),
+// unassigned and private-use code points, and the replacement character left by invalid UTF-8
+export function measureTextQuality(text) {
+  if (!text) return { printableRatio: 1, flagged: false };
+  const unreadable = text.match(/(?![\t\n\r])[\p{Cc}\p{Cs}\p{Co}\p{Cn}\uFFFD]/gu)?.length || 0;
+  const printableRatio = Math.round((1 - unreadable / text.length) * 1000) / 1000;
+  return { printableRatio, flagged: printableRatio < FLAG_PRINTABLE_RATIO };
+}
+
+// Embed every chunk, returning the vectors in chunk order; the document stays usable without them if
+// the backend fails
+async function embedChunks(chunks, onProgress) {
+  try {
+    let info = null;
+    const vectors = [];
+    for (let i = 0; i < chunks.length; i += EMBED_BATCH_SIZE) {
+      const batch = chunks.slice(i, i + EMBED_BATCH_SIZE);
+      const result = await embedTexts(batch.map(chunk => chunk.text), info ? { provider: info.provider } : {});
+      vectors.push(...result.vectors);
+      info = info || result;
+      onProgress({ stage: 'embedding', processed: i + batch.length, total: chunks.length });
+    }
+
+    if (!info) return { embeddings: null, indexing: {} };
+    console.log(`🧮 Embedded ${chunks.length} chunks with ${info.provider} (${info.model}, ${info.dimensions} dims)`);
+    return {
+      embeddings: vectors,
+      indexing: {
+        embeddingProvider: info.provider,
+        embeddingModel: info.model,
+        embeddingDimensions: info.dimensions
+      }
+    };
+  } catch (error) {
+    console.warn('⚠️ Chunk embedding failed, document will use positional retrieval:', error.message);
+    return { embeddings: null, indexing: { embeddingProvider: null, embeddingModel: null, embeddingDimensions: 0 } };
+  }
+}
+
+// SHA-256 of the original upload, so a document can be recognized again (e.g. when importing chats)
+export async function hashFile(filePath) {
+  const content = await fs.readFile(filePath);
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+// Extract, chunk and embed a stored upload; used at upload time and when re-indexing
+export async function buildDocumentIndex(filePath, { mimeType, originalName, chunking = {}, onProgress = () => {} }) {
+  onProgress({ stage: 'extracting' });
+  const extracted = await extractText(filePath, mimeType);
+  const { text } = extracted;
+
+  // A scan OCR found nothing in (or could not read) would only produce an empty, unsearchable document
+  if (extracted.ocr && !text.trim()) {
+    const error = new Error(extracted.ocr.skippedPages.length
+      ? 'This file is a scan without a text layer, and text recognition (OCR) could not read it'
+      : 'No text was found in this scan');
+    error.status = 422;
+    error.code = 'UNREADABLE_DOCUMENT';
+    throw error;
+  }
+
+  const textQuality = measureTextQuality(text);
+  if (textQuality.printableRatio < MIN_PRINTABLE_RATIO) {
+    const error = new Error(`No readable text could be extracted from this file (${Math.round(textQuality.printableRatio * 100)}% printable characters). It may be corrupted or in an unsupported format.`);
+    error.status = 422;
+    error.code = 'UNREADABLE_DOCUMENT';
+    throw error;
+  }
+  if (textQuality.flagged) {
+    console.warn(`⚠️ ${originalName}: only ${Math.round(textQuality.printableRatio * 100)}% of the extracted text is printable`);
+  }
+
+  onProgress({ stage: 'chunking' });
+  const { chunks, settings } = chunkDocument(extracted, originalName, chunking);
+
+  const storedBytes = mongoose.mongo.BSON.calculateObjectSize({ chunks, sheets: extracted.sheets });
+  if (storedBytes > MAX_STORED_INDEX_BYTES) {
+    const error = new Error(`This file holds too much text to be stored (${Math.round(storedBytes / 1024 / 1024)} MB once indexed, at most ${MAX_STORED_INDEX_BYTES / 1024 / 1024} MB). Split it into smaller files.`);
+    error.status = 413;
+    error.code = 'DOCUMENT_TOO_LARGE';
+    throw error;
+  }
+
+  onProgress({ stage: 'embedding', processed: 0, total: chunks.length });
+  const { embeddings, indexing } = await embedChunks(chunks, onProgress);
+
+  const wordCount = text ? text.split(/\s+/).filter(Boolean).length : 0;
+
+  return {
+    chunks,
+    // Vectors aligned with the chunks, stored in the ChunkEmbedding collection; null without embeddings
+    embeddings,
+    sheets: extracted.sheets,
+    contentHash: await hashFile(filePath),
+    indexing: {
+      ...indexing,
+      chunking: settings,
+      version: INDEX_VERSION,
+      status: 'ready',
+      error: null,
+      indexedAt: new Date()
+    },
+    metadata: {
+      pages: extracted.pageCount || Math.max(1, Math.ceil(text.length / 2500)), // Rough estimate for formats without pages
+      wordCount,
+      summary: text.substring(0, 200) + '...',
+      title: extracted.info?.title || null,
+      author: extracted.info?.author || null,
+      creationDate: extracted.info?.creationDate || null,
+      textQuality,
+      ocr: extracted.ocr || null
+    }
+  };
+}
@@ -0,0 +1,102 @@
+import { getLlmProviderName, getLlmSettings } from '../config/llm.js';
+
+// Registered LLM providers, selected with LLM_PROVIDER. Each loader is only run on first use,
+// so an unused SDK is never imported and a missing key for it never blocks startup.
+// A provider implements:
+//   generate(prompt, options)  -> { response, model, responseTime, tokensUsed, attempts }
+//   stream(input, options)     -> { stream: async iterable of text, response: Promise<{ model, tokensUsed }> }
+//                                 input is a prompt string or chat messages; options.signal cancels it
+//   chat(messages, options)    -> { response, model, responseTime, tokensUsed, attempts }
+//   embed(texts, options)      -> number[][]
+//   countTokens(text)          -> number
+//   testConnection()           -> true, or throws
+const loaders = new Map();
+const loaded = new Map();
+
+export function registerLlmProvider(name, load) {
+  if (typeof load !== 'function') {
+    throw new Error(`LLM provider "${name}" must be registered with a loader function`);
+  }
+  loaders.set(name, load);
+  loaded.delete(name);
+}
+
+registerLlmProvider('gemini', async () => {
+  const gemini = await import('./gemini.js');
+  return {
+    generate: gemini.generateWithGemini,
+    stream: gemini.generateStreamWithGemini,
+    chat: gemini.chatWithGemini,
+    embed: gemini.embedWithGemini,
+    countTokens: gemini.countTokensWithGemini,
+    testConnection: gemini.testGeminiConnection
+  };
+});
+
+registerLlmProvider('openai', async () => {
+  const openai = await import('./openai.js');
+  return {
+    generate: openai.generateWithOpenAI,
+    stream: openai.generateStreamWithOpenAI,
+    chat: openai.chatWithOpenAI,
+    embed: openai.embedWithOpenAI,
+    countTokens: openai.countTokensWithOpenAI,
+    testConnection: openai.testOpenAIConnection
+  };
+});
+
+registerLlmProvider('mock', async () => {
+  const mock = await import('./mockLlm.js');
+  return {
+    generate: mock.generateWithMock,
+    stream: mock.generateStreamWithMock,
+    chat: mock.chatWithMock,
+    embed: mock.embedWithMock,
+    countTokens: mock.countTokensWithMock,
+    testConnection: mock.testMockConnection
+  };
+});
+
+export async function getLlmProvider(name = getLlmProviderName()) {
+  if (!loaded.has(name)) {
+    const load = loaders.get(name);
+    if (!load) {
+      throw new Error(`Unknown LLM provider "${name}". Available: ${[...loaders.keys()].join(', ')}`);
+    }
+    // Cache the promise so concurrent first requests share one import
+    const provider = load();
+    provider.catch(() => loaded.delete(name));
+    loaded.set(name, provider);
+  }
+  return loaded.get(name);
+}
+
+// What /api and the health routes report; does not load the provider
+export function getLlmInfo(name = getLlmProviderName()) {
+  const { provider, label, model, embeddingModel } = getLlmSettings(name);
+  return { provider, label, model, embeddingModel };
+}
+
+export async function generateWithLlm(prompt, options = {}) {
+  return (await getLlmProvider()).generate(prompt, options);
+}
+
+export async function streamWithLlm(prompt, options = {}) {
+  return (await getLlmProvider()).stream(prompt, options);
+}
+
+export async function chatWithLlm(messages, options = {}) {
+  return (await getLlmProvider()).chat(messages, options);
+}
+
+export async function embedWithLlm(texts, options = {}, name = getLlmProviderName()) {
+  return (await getLlmProvider(name)).embed(texts, options);
+}
+
+export async function countLlmTokens(text) {
+  return (await getLlmProvider()).countTokens(text);
+}
+
+export async function testLlmConnection() {
+  return (await getLlmProvider()).testConnection();
+}
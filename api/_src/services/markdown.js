@@ -0,0 +1,146 @@
+import fs from 'fs/promises';
+import { createStructuredText } from './structuredText.js';
+import { decodeHtmlEntities } from './html.js';
+
+// Text of Markdown (CommonMark and GitHub tables): markup is removed, headings, lists, pipe tables
+// and fenced code become structure, and a YAML front matter title becomes the document title
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})/;
+const ATX_HEADING = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const SETEXT_UNDERLINE = /^ {0,3}(=+|-+)[ \t]*$/;
+const THEMATIC_BREAK = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const LIST_ITEM = /^([ \t]*)([-*+]|\d{1,9}[.)])[ \t]+(.*)$/;
+const TABLE_DELIMITER = /^[ \t]*\|?[ \t]*:?-+:?[ \t]*(\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+const LINK_DEFINITION = /^ {0,3}\[[^\]]+\]:[ \t]+\S+/;
+
+// Strip inline markup: emphasis, code spans, links, images and raw HTML tags
+function inlineText(text) {
+  return decodeHtmlEntities(text
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\[[^\]]*\]/g, '$1')
+    .replace(/<((?:https?|mailto):[^>\s]+)>/g, '$1')
+    .replace(/<\/?[a-zA-Z][^>]*>/g, '')
+    .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, '$2')
+    .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '$2')
+    .replace(/\*(?=[^\s*])([^*]*?[^\s*])\*/g, '$1')
+    .replace(/(^|[^\w])_(?=[^\s_])([^_]*?[^\s_])_(?!\w)/g, '$1$2')
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '$1')
+    .replace(/\\([\\`*_{}[\]()#+\-.!|>~])/g, '$1'));
+}
+
+function tableCells(line) {
+  return line.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '').split(/(?<!\\)\|/).map(cell => inlineText(cell.trim()));
+}
+
+export async function extractMarkdownText(filePath) {
+  return markdownToStructuredText(await fs.readFile(filePath, 'utf8'));
+}
+
+export function markdownToStructuredText(markdown) {
+  const lines = markdown.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split('\n');
+  const output = createStructuredText();
+  const info = {};
+  let paragraph = [];
+  let item = null;
+  let i = 0;
+
+  // YAML front matter
+  if (lines[0] === '---') {
+    const end = lines.findIndex((line, index) => index > 0 && (line === '---' || line === '...'));
+    if (end > 0) {
+      for (const line of lines.slice(1, end)) {
+        const field = line.match(/^(title|author):\s*["']?(.*?)["']?\s*$/i);
+        if (field?.[2]) info[field[1].toLowerCase()] = field[2];
+      }
+      i = end + 1;
+    }
+  }
+
+  const flushParagraph = () => {
+    if (paragraph.length) output.paragraph(inlineText(paragraph.join('\n')));
+    paragraph = [];
+  };
+  const flushItem = () => {
+    if (item) output.line('list', `${item.marker} ${inlineText(item.text)}`, item.depth);
+    item = null;
+  };
+  const flush = () => {
+    flushParagraph();
+    flushItem();
+  };
+
+  for (; i < lines.length; i++) {
+    const line = lines[i];
+
+    const fence = line.match(FENCE);
+    if (fence) {
+      flush();
+      const code = [];
+      const closing = new RegExp(`^ {0,3}${fence[1][0] === '`' ? '`' : '~'}{${fence[1].length},}[ \\t]*$`);
+      for (i++; i < lines.length && !closing.test(lines[i]); i++) code.push(lines[i]);
+      output.preformatted(code.join('\n'));
+      continue;
+    }
+
+    if (!line.trim()) {
+      flush();
+      continue;
+    }
+
+    const heading = line.match(ATX_HEADING);
+    if (heading) {
+      flush();
+      output.heading(heading[1].length, inlineText(heading[2] || ''));
+      continue;
+    }
+
+    // "Title" underlined with === or --- (before "---" can be read as a horizontal rule)
+    const underline = paragraph.length && line.match(SETEXT_UNDERLINE);
+    if (underline) {
+      output.heading(underline[1][0] === '=' ? 1 : 2, inlineText(paragraph.join(' ')));
+      paragraph = [];
+      continue;
+    }
+
+    if (THEMATIC_BREAK.test(line) || LINK_DEFINITION.test(line)) {
+      flush();
+      continue;
+    }
+
+    if (line.includes('|') && TABLE_DELIMITER.test(lines[i + 1] || '') && lines[i + 1].includes('-')) {
+      flush();
+      output.line('table', tableCells(line).join(' | '));
+      for (i += 2; i < lines.length && lines[i].trim() && lines[i].includes('|'); i++) {
+        output.line('table', tableCells(lines[i]).join(' | '));
+      }
+      i--;
+      continue;
+    }
+
+    const listItem = line.match(LIST_ITEM);
+    if (listItem) {
+      flush();
+      const indent = listItem[1].replace(/\t/g, '    ').length;
+      const ordered = /\d/.test(listItem[2]);
+      item = {
+        depth: Math.floor(indent / 2),
+        marker: ordered ? `${parseInt(listItem[2])}.` : '•',
+        // Task list checkboxes
+        text: listItem[3].replace(/^\[([ xX])\][ \t]+/, (_, done) => done === ' ' ? '☐ ' : '☑ ')
+      };
+      continue;
+    }
+
+    // Lazy continuation of a list item
+    if (item && !paragraph.length) {
+      item.text += ' ' + line.trim();
+      continue;
+    }
+
+    paragraph.push(line.replace(/^ {0,3}>[ \t]?/, '').trim());
+  }
+  flush();
+
+  return { ...output.finish(), info };
+}
@@ -0,0 +1,165 @@
+import path from 'path';
+import ChatHistory from '../models/ChatHistory.js';
+import ChunkEmbedding from '../models/ChunkEmbedding.js';
+import Document from '../models/Document.js';
+import { UPLOAD_DIR } from '../config/uploads.js';
+import { INDEXING_TIMEOUT_MS, hashFile } from './indexing.js';
+import { getPersonalWorkspace } from './workspaces.js';
+
+// Data migrations run once the database is connected. Each one must be safe to run on every start:
+// it only touches records still in the old shape.
+
+// Chats used to reference a single documentId; they now keep a set of documentIds
+async function migrateChatDocuments() {
+  // The raw collection, because documentId is no longer part of the schema
+  const result = await ChatHistory.collection.updateMany(
+    { documentId: { $exists: true } },
+    [
+      {
+        $set: {
+          documentIds: {
+            $cond: [
+              { $gt: [{ $size: { $ifNull: ['$documentIds', []] } }, 0] },
+              '$documentIds',
+              ['$documentId']
+            ]
+          }
+        }
+      },
+      { $unset: 'documentId' }
+    ]
+  );
+
+  if (result.modifiedCount > 0) {
+    console.log(`🛠️ Migrated ${result.modifiedCount} chats to document sets`);
+  }
+
+  try {
+    await ChatHistory.collection.dropIndex('userId_1_documentId_1');
+    console.log('🛠️ Dropped the old chat history documentId index');
+  } catch {
+    // Already gone
+  }
+}
+
+// History search matches document names, which chats now keep a copy of
+async function backfillChatDocumentNames() {
+  const chats = ChatHistory.collection.find(
+    { documentNames: { $exists: false } },
+    { projection: { documentIds: 1 } }
+  );
+
+  let updated = 0;
+  for await (const chat of chats) {
+    const documents = await Document.find({ _id: { $in: chat.documentIds || [] } }).select('originalName');
+    await ChatHistory.collection.updateOne(
+      { _id: chat._id },
+      { $set: { documentNames: documents.map(doc => doc.originalName) } }
+    );
+    updated++;
+  }
+
+  if (updated > 0) {
+    console.log(`🛠️ Added document names to ${updated} chats for history search`);
+  }
+}
+
+// Chat imports re-link documents by content hash; hash the uploads that are still stored
+async function backfillDocumentHashes() {
+  const documents = Document.find({ contentHash: { $exists: false }, isActive: true }).select('filename').cursor();
+
+  let hashed = 0;
+  for await (const doc of documents) {
+    try {
+      const contentHash = await hashFile(path.join(UPLOAD_DIR, doc.filename));
+      await Document.updateOne({ _id: doc._id }, { $set: { contentHash } });
+      hashed++;
+    } catch {
+      // Upload no longer stored; it can only be matched by id
+    }
+  }
+
+  if (hashed > 0) {
+    console.log(`🛠️ Added content hashes to ${hashed} documents`);
+  }
+}
+
+// Documents and chats from before workspaces move into their owner's personal workspace
+async function assignPersonalWorkspaces() {
+  const [documentOwners, chatOwners] = await Promise.all([
+    Document.distinct('userId', { workspaceId: { $exists: false }, userId: { $ne: null } }),
+    ChatHistory.distinct('userId', { workspaceId: { $exists: false } })
+  ]);
+  const userIds = [...new Set([...documentOwners, ...chatOwners].map(String))];
+
+  for (const userId of userIds) {
+    const workspace = await getPersonalWorkspace(userId);
+    await Document.updateMany({ userId, workspaceId: { $exists: false } }, { $set: { workspaceId: workspace._id } });
+    await ChatHistory.updateMany({ userId, workspaceId: { $exists: false } }, { $set: { workspaceId: workspace._id } });
+  }
+
+  if (userIds.length > 0) {
+    console.log(`🛠️ Moved the documents and chats of ${userIds.length} users into personal workspaces`);
+  }
+}
+
+// Indexing runs cut off by a restart or crash would otherwise show as running until they time out.
+// Runs younger than the timeout may belong to another server instance and are left alone
+async function failInterruptedIndexing() {
+  const result = await Document.updateMany(
+    { 'indexing.status': 'indexing', 'indexing.startedAt': { $not: { $gt: new Date(Date.now() - INDEXING_TIMEOUT_MS) } } },
+    {
+      $set: {
+        'indexing.status': 'failed',
+        'indexing.error': 'Indexing was interrupted; re-index the document',
+        'indexing.progress': null,
+        'indexing.startedAt': null
+      }
+    }
+  );
+
+  if (result.modifiedCount > 0) {
+    console.log(`🛠️ Marked ${result.modifiedCount} interrupted indexing runs as failed`);
+  }
+}
+
+// Chunk embeddings used to be stored on the chunks themselves, which pushed large documents past
+// MongoDB's document size limit; they move to the ChunkEmbedding collection
+async function moveChunkEmbeddings() {
+  // The raw collection, because chunks no longer have an embedding in the schema
+  const documents = Document.collection.find(
+    { 'chunks.embedding': { $exists: true } },
+    { projection: { 'chunks.embedding': 1 } }
+  );
+
+  let moved = 0;
+  for await (const doc of documents) {
+    await ChunkEmbedding.replaceForDocument(doc._id, doc.chunks.map(chunk => chunk.embedding));
+    await Document.collection.updateOne({ _id: doc._id }, { $unset: { 'chunks.$[].embedding': '' } });
+    moved++;
+  }
+
+  if (moved > 0) {
+    console.log(`🛠️ Moved the chunk embeddings of ${moved} documents to their own collection`);
+  }
+}
+
+const migrations = [
+  migrateChatDocuments,
+  backfillChatDocumentNames,
+  backfillDocumentHashes,
+  assignPersonalWorkspaces,
+  failInterruptedIndexing,
+  moveChunkEmbeddings
+];
+
+export async function runMigrations() {
+  for (const migrate of migrations) {
+    try {
+      await migrate();
+    } catch (error) {
+      // A failed migration is retried on the next start; the app keeps running meanwhile
+      console.error(`❌ Migration ${migrate.name} failed:`, error.message);
+    }
+  }
+}
@@ -0,0 +1,149 @@
+import { getLlmSettings } from '../config/llm.js';
+import { countTokens } from './chunking.js';
+import { embedTexts } from './embeddings.js';
+import { createCircuitBreaker, resetCircuitBreaker, withRetry } from './retry.js';
+
+// Deterministic offline provider (LLM_PROVIDER=mock). Each call takes the next scripted entry,
+// and echoes the question back once the script is used up. Script entries are strings or:
+//   { response: 'text' }               - reply with this text
+//   { error: '503' }                   - fail the call (503, quota, invalid_key or any message)
+//   { response: 'text', failAfter: 2 } - stream two chunks, then drop the stream
+
+const SIMULATED_ERRORS = {
+  503: '[503 Service Unavailable] The model is overloaded. Please try again later.',
+  quota: '[429 Too Many Requests] QUOTA_EXCEEDED: Quota exceeded for this project.',
+  invalid_key: '[400 Bad Request] API_KEY_INVALID: API key not valid. Please pass a valid API key.'
+};
+
+const circuitBreaker = createCircuitBreaker();
+const calls = [];
+let script = null;
+
+// Replace the script from env (MOCK_LLM_FAILURES, MOCK_LLM_RESPONSES) for in-process tests
+export function setMockScript(entries = []) {
+  script = [...entries];
+}
+
+export function resetMockLlm() {
+  script = null;
+  calls.length = 0;
+  resetCircuitBreaker(circuitBreaker);
+}
+
+// Every prompt the mock has received, oldest first
+export function getMockCalls() {
+  return calls.slice();
+}
+
+function nextEntry(kind, prompt) {
+  if (!script) {
+    const { failures, responses } = getLlmSettings('mock');
+    script = [...failures.map(error => ({ error })), ...responses];
+  }
+  calls.push({ kind, prompt, timestamp: new Date() });
+
+  const entry = script.shift();
+  if (entry === undefined) return { response: echo(prompt) };
+  return typeof entry === 'string' ? { response: entry } : entry;
+}
+
+function simulatedError(entry) {
+  return new Error(SIMULATED_ERRORS[entry.error] || entry.error);
+}
+
+// Answer the "Q:" line of a document prompt (citing the first excerpt if there is one), else the first line
+function echo(prompt) {
+  const question = prompt.match(/^Q: (.+)$/m)?.[1] || prompt.trim().split('\n')[0];
+  const citation = /^\[1\] /m.test(prompt) ? ' [1]' : '';
+  return `Mock answer to: ${question.substring(0, 200)}${citation}`;
+}
+
+function usage(prompt, response) {
+  return countTokens(prompt) + countTokens(response);
+}
+
+export async function generateWithMock(prompt, options = {}) {
+  const { model, retryDelay } = getLlmSettings('mock');
+
+  return withRetry(async () => {
+    const entry = nextEntry('generate', prompt);
+    if (entry.error) throw simulatedError(entry);
+
+    return {
+      response: entry.response,
+      model,
+      responseTime: 0,
+      tokensUsed: usage(prompt, entry.response)
+    };
+  }, {
+    ...options,
+    service: 'Mock LLM',
+    circuitBreaker,
+    // Real backoff timings would only slow down offline runs
+    baseDelay: retryDelay,
+    jitter: 0
+  });
+}
+
+export async function chatWithMock(messages, options = {}) {
+  const transcript = messages.map(msg => `${msg.role}: ${msg.content}`).join('\n');
+  const lastMessage = messages[messages.length - 1]?.content || '';
+  const result = await generateWithMock(lastMessage, options);
+  return { ...result, tokensUsed: usage(transcript, result.response) };
+}
+
+// Streams word by word to a prompt or chat messages; returns { stream, response } like generateStreamWithGemini
+export async function generateStreamWithMock(input, options = {}) {
+  const { model, chunkDelay } = getLlmSettings('mock');
+  const prompt = typeof input === 'string' ? input : input[input.length - 1]?.content || '';
+  const entry = nextEntry('stream', prompt);
+  if (entry.error) {
+    throw new Error(`AI streaming failed: ${simulatedError(entry).message}`);
+  }
+
+  let resolveUsage;
+  let rejectUsage;
+  const response = new Promise((resolve, reject) => {
+    resolveUsage = resolve;
+    rejectUsage = reject;
+  });
+  response.catch(() => {});
+
+  async function* emit() {
+    const pieces = entry.response.match(/\S+\s*/g) || [];
+    for (const [i, piece] of pieces.entries()) {
+      if (entry.failAfter !== undefined && i >= entry.failAfter) {
+        const error = new Error('Mock stream interrupted');
+        rejectUsage(error);
+        throw error;
+      }
+      if (chunkDelay) {
+        await new Promise(resolve => setTimeout(resolve, chunkDelay));
+      }
+      if (options.signal?.aborted) {
+        const error = new Error('This operation was aborted');
+        error.name = 'AbortError';
+        rejectUsage(error);
+        throw error;
+      }
+      yield piece;
+    }
+    resolveUsage({ model, tokensUsed: usage(prompt, entry.response) });
+  }
+
+  return { stream: emit(), response };
+}
+
+export async function embedWithMock(texts) {
+  const { vectors } = await embedTexts(texts, { provider: 'local' });
+  return vectors;
+}
+
+export async function countTokensWithMock(text) {
+  return countTokens(text);
+}
+
+export async function testMockConnection() {
+  console.log('✅ Mock LLM ready (offline responses)');
+  return true;
+}
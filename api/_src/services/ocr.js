@@ -0,0 +1,91 @@
+import fs from 'fs/promises';
+import { createRequire } from 'module';
+import { createWorker, OEM } from 'tesseract.js';
+
+// Local OCR for scanned PDF pages and image uploads. tesseract.js runs Tesseract as WebAssembly and
+// reads its language data from the @tesseract.js-data/<language> package, so nothing is downloaded.
+
+const require = createRequire(import.meta.url);
+
+// Pages rendered for OCR at this resolution; Tesseract reads body text best at 200-300 dpi
+export const OCR_RENDER_DPI = 200;
+const DEFAULT_MAX_PAGES = 50;
+
+export function ocrSettings() {
+  return {
+    enabled: process.env.OCR_ENABLED !== 'false',
+    language: process.env.OCR_LANGUAGE || 'eng',
+    // Each page takes seconds of CPU, so very long scans are only recognized up to this page count
+    maxPages: Math.max(parseInt(process.env.OCR_MAX_PAGES) || DEFAULT_MAX_PAGES, 1)
+  };
+}
+
+function ocrUnavailable(message) {
+  const error = new Error(message);
+  error.status = 422;
+  error.code = 'OCR_UNAVAILABLE';
+  return error;
+}
+
+// Run `task` with a recognize(image) function backed by one Tesseract worker, which is shut down after
+export async function withOcr(task) {
+  const { enabled, language } = ocrSettings();
+  if (!enabled) throw ocrUnavailable('Text recognition (OCR) is turned off on this server');
+
+  let langPath;
+  try {
+    langPath = require(`@tesseract.js-data/${language}`).langPath;
+  } catch {
+    throw ocrUnavailable(`OCR language data for "${language}" is not installed (npm install @tesseract.js-data/${language})`);
+  }
+
+  const worker = await createWorker(language, OEM.LSTM_ONLY, {
+    langPath,
+    gzip: true,
+    cacheMethod: 'none',
+    // Failed jobs already reject their promise; without a handler tesseract.js also throws the error
+    // outside of it, which would crash the server
+    errorHandler: () => {}
+  });
+  try {
+    return await task(async (image) => {
+      const { data } = await worker.recognize(image);
+      return {
+        text: data.text.replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim(),
+        confidence: Math.round(data.confidence)
+      };
+    });
+  } finally {
+    await worker.terminate();
+  }
+}
+
+// Summary stored in metadata.ocr: confidence (0-100) of every recognized page
+export function describeOcr(pages, skippedPages = []) {
+  const total = pages.reduce((sum, page) => sum + page.confidence, 0);
+  return {
+    engine: 'tesseract.js',
+    language: ocrSettings().language,
+    pages,
+    averageConfidence: pages.length ? Math.round(total / pages.length) : null,
+    skippedPages
+  };
+}
+
+// PNG, JPEG and TIFF uploads are a single recognized page
+export async function extractImageText(filePath) {
+  const image = await fs.readFile(filePath);
+  const { text, confidence } = await withOcr(recognize => recognize(image).catch((error) => {
+    console.warn('⚠️ OCR failed on image upload:', error.message || error);
+    const unreadable = new Error('This image could not be read. Upload it as PNG, JPEG or TIFF.');
+    unreadable.status = 422;
+    unreadable.code = 'UNREADABLE_DOCUMENT';
+    throw unreadable;
+  }));
+  return {
+    text,
+    pages: [{ page: 1, text, start: 0, end: text.length }],
+    pageCount: 1,
+    ocr: describeOcr([{ page: 1, confidence }])
+  };
+}
@@ -0,0 +1,206 @@
+import { getLlmSettings } from '../config/llm.js';
+import { countTokens } from './chunking.js';
+import { createCircuitBreaker, withRetry } from './retry.js';
+
+// Chat, streaming and embeddings against an OpenAI-compatible HTTP API (OpenAI, Ollama, llama.cpp, vLLM)
+
+const RETRYABLE_STATUS = [429, 500, 502, 503, 504];
+const circuitBreaker = createCircuitBreaker();
+
+function buildGenerationBody(options, settings) {
+  return {
+    model: options.model || settings.model,
+    temperature: options.temperature ?? 0.2,
+    top_p: options.topP ?? 0.8,
+    max_tokens: options.maxTokens || 800
+  };
+}
+
+// OpenAI roles: assistant instead of Gemini's model
+function toOpenAIMessages(messages) {
+  return messages.map(msg => ({
+    role: msg.role === 'model' ? 'assistant' : msg.role,
+    content: msg.content
+  }));
+}
+
+async function request(path, { method = 'POST', body, signal } = {}) {
+  const { baseUrl, apiKey } = getLlmSettings('openai');
+
+  let response;
+  try {
+    response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+      },
+      body: body ? JSON.stringify(body) : undefined,
+      signal
+    });
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
+    // fetch reports refused connections as a bare "fetch failed"
+    const unreachable = new Error(`LLM server is not running at ${baseUrl} (${error.cause?.code || error.message})`);
+    unreachable.retryable = true;
+    throw unreachable;
+  }
+
+  if (!response.ok) {
+    const detail = (await response.text().catch(() => '')).slice(0, 300);
+    const messages = {
+      404: `Model or endpoint not found at ${baseUrl}${path}`,
+      429: 'Rate limit or quota exceeded',
+      503: 'The model is overloaded (503 Service Unavailable)'
+    };
+    const error = new Error(`${messages[response.status] || `HTTP ${response.status}`}${detail ? `: ${detail}` : ''}`);
+    error.status = response.status;
+    error.retryable = RETRYABLE_STATUS.includes(response.status);
+    throw error;
+  }
+
+  return response;
+}
+
+// Test that the server is up and the configured model is served
+export async function testOpenAIConnection() {
+  const settings = getLlmSettings('openai');
+  try {
+    const response = await request('/models', { method: 'GET' });
+    const { data = [] } = await response.json();
+    if (data.length && !data.some(entry => entry.id === settings.model || entry.id === `${settings.model}:latest`)) {
+      console.warn(`⚠️ Model ${settings.model} is not listed by ${settings.baseUrl}`);
+    }
+    console.log('✅ OpenAI-compatible connection test successful');
+    return true;
+  } catch (error) {
+    console.error('❌ OpenAI-compatible connection failed:', error.message);
+    throw new Error(`LLM service unavailable: ${error.message}`);
+  }
+}
+
+// Chat with conversation context support, retrying overloads and rate limits with backoff
+export async function chatWithOpenAI(messages, options = {}) {
+  const settings = getLlmSettings('openai');
+
+  return withRetry(async () => {
+    const startTime = Date.now();
+    const response = await request('/chat/completions', {
+      body: {
+        ...buildGenerationBody(options, settings),
+        messages: toOpenAIMessages(messages),
+        stream: false
+      },
+      signal: options.signal
+    });
+    const data = await response.json();
+    const text = data.choices?.[0]?.message?.content || '';
+
+    if (!text.trim()) {
+      throw new Error('Empty response from model');
+    }
+
+    return {
+      response: text.trim(),
+      model: data.model || settings.model,
+      responseTime: Date.now() - startTime,
+      tokensUsed: data.usage?.total_tokens || 0
+    };
+  }, { ...options, service: settings.label, circuitBreaker });
+}
+
+export async function generateWithOpenAI(prompt, options = {}) {
+  const settings = getLlmSettings('openai');
+  console.log(`🤖 Generating response with ${settings.model} via ${settings.baseUrl}...`);
+  console.log(`📏 Prompt size: ${prompt.length} characters`);
+  return chatWithOpenAI([{ role: 'user', content: prompt }], options);
+}
+
+// Streams a reply to a prompt or chat messages; returns { stream, response } like generateStreamWithGemini
+export async function generateStreamWithOpenAI(prompt, options = {}) {
+  const settings = getLlmSettings('openai');
+  console.log(`🌊 Starting streaming response with ${settings.model}...`);
+
+  let response;
+  try {
+    response = await request('/chat/completions', {
+      body: {
+        ...buildGenerationBody(options, settings),
+        messages: toOpenAIMessages(typeof prompt === 'string' ? [{ role: 'user', content: prompt }] : prompt),
+        stream: true,
+        stream_options: { include_usage: true }
+      },
+      signal: options.signal
+    });
+  } catch (error) {
+    console.error('❌ OpenAI-compatible streaming failed:', error.message);
+    throw new Error(`AI streaming failed: ${error.message}`);
+  }
+
+  let resolveUsage;
+  let rejectUsage;
+  const usage = new Promise((resolve, reject) => {
+    resolveUsage = resolve;
+    rejectUsage = reject;
+  });
+  usage.catch(() => {});
+
+  async function* readEvents() {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let model = settings.model;
+    let tokensUsed = 0;
+
+    try {
+      for await (const bytes of response.body) {
+        buffer += decoder.decode(bytes, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+          const payload = line.startsWith('data:') ? line.slice(5).trim() : '';
+          if (!payload || payload === '[DONE]') continue;
+
+          const event = JSON.parse(payload);
+          model = event.model || model;
+          tokensUsed = event.usage?.total_tokens || tokensUsed;
+          const text = event.choices?.[0]?.delta?.content;
+          if (text) yield text;
+        }
+      }
+      resolveUsage({ model, tokensUsed });
+    } catch (error) {
+      rejectUsage(error);
+      throw error;
+    }
+  }
+
+  return { stream: readEvents(), response: usage };
+}
+
+// Embed a batch of texts with the server's /embeddings endpoint
+export async function embedWithOpenAI(texts, options = {}) {
+  const settings = getLlmSettings('openai');
+  try {
+    const batchSize = options.batchSize || 100;
+    const vectors = [];
+
+    for (let i = 0; i < texts.length; i += batchSize) {
+      const response = await request('/embeddings', {
+        body: { model: options.model || settings.embeddingModel, input: texts.slice(i, i + batchSize) }
+      });
+      const { data } = await response.json();
+      vectors.push(...data.sort((a, b) => a.index - b.index).map(entry => entry.embedding));
+    }
+
+    return vectors;
+  } catch (error) {
+    console.error('❌ OpenAI-compatible embedding failed:', error.message);
+    throw new Error(`AI embedding failed: ${error.message}`);
+  }
+}
+
+// The OpenAI API has no tokenizer endpoint, so use the chunker's estimate
+export async function countTokensWithOpenAI(text) {
+  return countTokens(text);
+}
@@ -0,0 +1,148 @@
+import { createStructuredText } from './structuredText.js';
+import { openPackage, readDublinCore, readXmlAttribute, unreadable, xmlText } from './packages.js';
+
+// Text of OpenDocument text (.odt) and presentation (.odp) files from content.xml. Text documents
+// get one page per chapter (level 1 heading); presentations one page per slide, opening with the
+// slide title and ending with the speaker notes.
+
+// Annotations, tracked deletions, footnotes and drawing descriptions are not part of the running text
+const SKIPPED = new Set(['office:annotation', 'text:tracked-changes', 'text:note', 'text:sequence-decls', 'svg:title', 'svg:desc', 'presentation:notes', 'office:forms']);
+// Presentation frames that only repeat the slide number, date or footer
+const SKIPPED_CLASSES = new Set(['page-number', 'date-time', 'footer', 'header', 'page']);
+
+// Headings, paragraphs, lists and tables of an OpenDocument body fragment
+function writeBody(output, xml) {
+  const tokens = /<(\/?)([\w.-]+:[\w.-]+)((?:"[^"]*"|'[^']*'|[^'">])*)>|([^<]+)/g;
+  let buffer = '';
+  let heading = null;
+  let listDepth = -1;
+  let row = null;
+  let cell = null;
+  let match;
+
+  while ((match = tokens.exec(xml))) {
+    const [, closing, name, attributes, textRun] = match;
+    if (textRun !== undefined) {
+      buffer += xmlText(textRun);
+      continue;
+    }
+    const selfClosing = attributes.trim().endsWith('/');
+
+    const frameClass = name === 'draw:frame' && !closing ? readXmlAttribute(attributes, 'presentation:class') : null;
+    if (!closing && !selfClosing && (SKIPPED.has(name) || SKIPPED_CLASSES.has(frameClass))) {
+      // Jump past the element's closing tag
+      const end = new RegExp(`</${name}\\s*>`, 'g');
+      end.lastIndex = tokens.lastIndex;
+      tokens.lastIndex = end.exec(xml) ? end.lastIndex : xml.length;
+      continue;
+    }
+
+    switch (name) {
+      case 'text:h':
+        if (closing) {
+          output.heading(heading, buffer);
+          heading = null;
+        } else {
+          heading = parseInt(readXmlAttribute(attributes, 'text:outline-level')) || 1;
+        }
+        buffer = '';
+        break;
+      case 'text:p':
+        if (!closing) {
+          if (cell === null) buffer = '';
+          break;
+        }
+        if (cell !== null) {
+          cell += buffer + ' ';
+        } else if (listDepth >= 0) {
+          output.line('list', `• ${buffer}`, listDepth);
+        } else {
+          output.paragraph(buffer);
+        }
+        buffer = '';
+        break;
+      case 'text:list':
+        listDepth += closing ? -1 : 1;
+        break;
+      case 'table:table-row':
+        if (closing && row?.some(Boolean)) output.line('table', row.join(' | '));
+        row = closing ? null : [];
+        break;
+      case 'table:table-cell':
+      case 'table:covered-table-cell':
+        if (selfClosing) {
+          row?.push('');
+        } else if (closing) {
+          row?.push((cell + buffer).replace(/\s+/g, ' ').trim());
+          cell = null;
+          buffer = '';
+        } else {
+          cell = '';
+          buffer = '';
+        }
+        break;
+      case 'text:tab':
+        buffer += '\t';
+        break;
+      case 'text:s':
+        buffer += ' '.repeat(parseInt(readXmlAttribute(attributes, 'text:c')) || 1);
+        break;
+      case 'text:line-break':
+        buffer += '\n';
+        break;
+    }
+  }
+}
+
+function writeText(output, body) {
+  writeBody(output, body);
+  const result = output.finish();
+
+  // Chapters start at level 1 headings; text before the first one belongs to chapter 1
+  const starts = result.headings.filter(h => h.level === 1).map(h => h.start);
+  const pages = starts.map((start, i) => ({ page: i + 1, start: i ? start : 0, end: starts[i + 1] ?? result.text.length }));
+  return { ...result, pages, pageCount: Math.max(pages.length, 1) };
+}
+
+function writePresentation(output, body) {
+  const pages = [];
+  const slides = [...body.matchAll(/<draw:page(\s[^>]*)?>([\s\S]*?)<\/draw:page>/g)];
+  for (const [index, [, attributes = '', slide]] of slides.entries()) {
+    const start = output.boundary();
+
+    // The title opens the slide even when its frame is not the first one
+    const titleFrame = slide.match(/<draw:frame\s[^>]*presentation:class="title"[^>]*>([\s\S]*?)<\/draw:frame>/);
+    const title = titleFrame ? xmlText(titleFrame[1].replace(/<text:line-break\s*\/>/g, ' ')).trim() : '';
+    // Slides the author did not name are called "page1", "page2", ...
+    const name = readXmlAttribute(attributes, 'draw:name');
+    output.heading(1, title || (name && !/^page\d+$/.test(name) ? name : `Slide ${index + 1}`));
+    writeBody(output, titleFrame ? slide.replace(titleFrame[0], '') : slide);
+
+    const notes = slide.match(/<presentation:notes(?:\s[^>]*)?>([\s\S]*?)<\/presentation:notes>/)?.[1];
+    const notesText = [...(notes || '').matchAll(/<text:p(?:\s[^>]*)?>([\s\S]*?)<\/text:p>/g)]
+      .map(([, paragraph]) => xmlText(paragraph).trim())
+      .filter(Boolean);
+    if (notesText.length) output.paragraph(`Speaker notes: ${notesText.join('\n')}`);
+
+    pages.push({ page: index + 1, start, end: output.boundary() });
+  }
+  return { ...output.finish(), pages, pageCount: slides.length };
+}
+
+export async function extractOpenDocumentText(filePath) {
+  const pkg = await openPackage(filePath, 'This file is not an OpenDocument file. Save it as .odt, .odp or PDF and upload it again.');
+  const content = await pkg.read('content.xml');
+  if (!content) throw unreadable('This OpenDocument file has no content');
+
+  const output = createStructuredText();
+  const presentation = content.match(/<office:presentation(?:\s[^>]*)?>([\s\S]*?)<\/office:presentation>/)?.[1];
+  const text = content.match(/<office:text(?:\s[^>]*)?>([\s\S]*?)<\/office:text>/)?.[1];
+  if (presentation === undefined && text === undefined) {
+    throw unreadable('Only OpenDocument text documents and presentations are supported');
+  }
+
+  return {
+    ...(presentation !== undefined ? writePresentation(output, presentation) : writeText(output, text)),
+    info: readDublinCore(await pkg.read('meta.xml'))
+  };
+}
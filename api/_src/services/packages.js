@@ -0,0 +1,76 @@
+import fs from 'fs/promises';
+import path from 'path';
+import JSZip from 'jszip';
+import { decodeHtmlEntities } from './html.js';
+
+// Helpers for the zip-based formats: Office Open XML (XLSX, PPTX), OpenDocument and EPUB
+
+export function unreadable(message) {
+  const error = new Error(message);
+  error.status = 422;
+  error.code = 'UNREADABLE_DOCUMENT';
+  return error;
+}
+
+// Open the zip, or fail with the given message when the file is not one
+export async function openPackage(filePath, message) {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(await fs.readFile(filePath));
+  } catch {
+    throw unreadable(message);
+  }
+  return {
+    read: async (name) => zip.file(name)?.async('string')
+  };
+}
+
+export function xmlText(xml) {
+  return decodeHtmlEntities(xml.replace(/<[^>]+>/g, ''));
+}
+
+export function readXmlAttribute(tag, name) {
+  const value = tag.match(new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`))?.slice(1).find(v => v !== undefined);
+  return value === undefined ? undefined : decodeHtmlEntities(value);
+}
+
+// Part path of a relationship or manifest target, which is relative to the part that refers to it
+export function resolvePartPath(fromPart, target) {
+  const decoded = decodeURIComponent(target.split('#')[0]);
+  if (decoded.startsWith('/')) return decoded.slice(1);
+  return path.posix.normalize(path.posix.join(path.posix.dirname(fromPart), decoded));
+}
+
+// Id -> part path of the relationships of an OOXML part, e.g. ppt/_rels/presentation.xml.rels
+export async function readRelationships(pkg, part) {
+  const relsPath = path.posix.join(path.posix.dirname(part), '_rels', `${path.posix.basename(part)}.rels`);
+  const relationships = {};
+  for (const [tag] of ((await pkg.read(relsPath)) || '').matchAll(/<Relationship\s[^>]*>/g)) {
+    if (readXmlAttribute(tag, 'TargetMode') === 'External') continue;
+    relationships[readXmlAttribute(tag, 'Id')] = {
+      type: readXmlAttribute(tag, 'Type')?.split('/').pop(),
+      path: resolvePartPath(part, readXmlAttribute(tag, 'Target') || '')
+    };
+  }
+  return relationships;
+}
+
+// Title, author and creation date from Dublin Core metadata, which OOXML (docProps/core.xml),
+// OpenDocument (meta.xml) and EPUB (the package document) all use
+export function readDublinCore(xml) {
+  const field = (...names) => {
+    for (const name of names) {
+      const value = xml?.match(new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`))?.[1];
+      if (value && xmlText(value).trim()) return xmlText(value).trim();
+    }
+    return undefined;
+  };
+
+  const info = {
+    title: field('dc:title'),
+    author: field('dc:creator', 'meta:initial-creator')
+  };
+  const created = new Date(field('dcterms:created', 'meta:creation-date', 'dc:date'));
+  if (!Number.isNaN(created.getTime())) info.creationDate = created;
+  return info;
+}
@@ -1,18 +1,125 @@
 import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { OCR_RENDER_DPI, describeOcr, ocrSettings, withOcr } from './ocr.js';
 
+// Pages with fewer visible characters have no real text layer: scans, sometimes with a stamped page number
+const MIN_TEXT_LAYER_CHARS = 10;
+// Huge pages (posters, drawings) are rendered at a lower resolution to keep memory bounded
+const MAX_RENDER_PIXELS = 4000 * 4000;
+// Glyphs of the 14 standard PDF fonts, which PDFs use without embedding them
+const STANDARD_FONT_DATA_URL = path.join(path.dirname(createRequire(import.meta.url).resolve('pdfjs-dist/package.json')), 'standard_fonts') + path.sep;
+
+// Extract text page by page, with offsets into the joined text and the PDF's document info
 export async function extractPdfText(filePath) {
   const data = new Uint8Array(fs.readFileSync(filePath));
-  // Use the main pdf.js build for Node.js compatibility
-  const pdfjsLib = await import('pdfjs-dist');
+  // The legacy build runs on Node.js, including the canvas support needed to render pages for OCR
+  const pdfjsLib = await import('pdfjs-dist/legacy/build/pdf.mjs');
   // Try to avoid workers in Node context
-  const loadingTask = pdfjsLib.getDocument({ data, useWorker: false });
+  const loadingTask = pdfjsLib.getDocument({ data, useWorker: false, standardFontDataUrl: STANDARD_FONT_DATA_URL });
   const pdf = await loadingTask.promise;
-  let fullText = '';
-  for (let i = 1; i <= pdf.numPages; i++) {
+  const pageCount = pdf.numPages;
+
+  const pageTexts = [];
+  for (let i = 1; i <= pageCount; i++) {
     const page = await pdf.getPage(i);
     const content = await page.getTextContent();
-    const strings = content.items.map((item) => item.str);
-    fullText += strings.join(' ') + '\n';
+    pageTexts.push(content.items
+      .map((item) => item.str + (item.hasEOL ? '\n' : ' '))
+      .join('')
+      .replace(/[ \t]+\n/g, '\n')
+      .trim());
   }
-  return fullText;
+
+  const scannedPages = pageTexts
+    .map((pageText, i) => (pageText.replace(/\s/g, '').length < MIN_TEXT_LAYER_CHARS ? i + 1 : null))
+    .filter(Boolean);
+  const ocr = scannedPages.length ? await recognizeScannedPages(pdf, scannedPages, pageTexts) : null;
+
+  const pages = [];
+  let fullText = '';
+  for (const [i, pageText] of pageTexts.entries()) {
+    pages.push({ page: i + 1, text: pageText, start: fullText.length, end: fullText.length + pageText.length });
+    fullText += pageText + '\n';
+  }
+
+  let info = {};
+  try {
+    const metadata = await pdf.getMetadata();
+    info = metadata?.info || {};
+  } catch (error) {
+    console.warn('⚠️ Could not read PDF metadata:', error.message);
+  }
+
+  await pdf.destroy();
+
+  return {
+    text: fullText,
+    pages,
+    pageCount,
+    ...(ocr && { ocr }),
+    info: {
+      title: info.Title || null,
+      author: info.Author || null,
+      subject: info.Subject || null,
+      creator: info.Creator || null,
+      producer: info.Producer || null,
+      creationDate: parsePdfDate(pdfjsLib, info.CreationDate),
+      modificationDate: parsePdfDate(pdfjsLib, info.ModDate)
+    }
+  };
+}
+
+// OCR the pages without a text layer in place. Pages past OCR_MAX_PAGES, or all of them when OCR is
+// off or fails, keep their (empty) text layer and are listed as skipped.
+async function recognizeScannedPages(pdf, pageNumbers, pageTexts) {
+  const { enabled, maxPages } = ocrSettings();
+  const recognized = [];
+  if (enabled) {
+    try {
+      await withOcr(async (recognize) => {
+        for (const number of pageNumbers.slice(0, maxPages)) {
+          const { text, confidence } = await recognize(await renderPage(pdf, number));
+          // Keep the text layer when OCR finds nothing better, e.g. a blank page with a page number
+          if (text.length > pageTexts[number - 1].length) pageTexts[number - 1] = text;
+          recognized.push({ page: number, confidence });
+        }
+      });
+    } catch (error) {
+      console.warn('⚠️ OCR of scanned PDF pages failed:', error.message || error);
+    }
+  }
+
+  const done = new Set(recognized.map(page => page.page));
+  const skippedPages = pageNumbers.filter(number => !done.has(number));
+  console.log(`🔍 OCR read ${recognized.length} of ${pageNumbers.length} PDF pages without a text layer`);
+  if (skippedPages.length) {
+    console.warn(`⚠️ ${skippedPages.length} PDF pages without a text layer were not read${enabled ? '' : ' (OCR is turned off)'}`);
+  }
+  return describeOcr(recognized, skippedPages);
+}
+
+// PNG image of a page at OCR_RENDER_DPI
+async function renderPage(pdf, number) {
+  const page = await pdf.getPage(number);
+  const { width, height } = page.getViewport({ scale: 1 });
+  const scale = Math.min(OCR_RENDER_DPI / 72, Math.sqrt(MAX_RENDER_PIXELS / (width * height)));
+  const viewport = page.getViewport({ scale });
+  const canvasAndContext = pdf.canvasFactory.create(Math.ceil(viewport.width), Math.ceil(viewport.height));
+  try {
+    const { canvas, context } = canvasAndContext;
+    // Scans without a background would otherwise render onto transparent pixels
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    await page.render({ canvasContext: context, viewport }).promise;
+    return canvas.toBuffer('image/png');
+  } finally {
+    pdf.canvasFactory.destroy(canvasAndContext);
+    page.cleanup();
+  }
+}
+
+function parsePdfDate(pdfjsLib, value) {
+  if (!value) return null;
+  return pdfjsLib.PDFDateString.toDateObject(value) || null;
 }
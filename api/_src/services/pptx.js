@@ -0,0 +1,97 @@
+import { createStructuredText } from './structuredText.js';
+import { openPackage, readDublinCore, readRelationships, readXmlAttribute, unreadable, xmlText } from './packages.js';
+
+// Text of PowerPoint .pptx decks, one page per slide: the slide title as a heading, text boxes and
+// bulleted placeholders, tables, and the speaker notes. Slide numbers, dates and footers are skipped.
+
+const TITLE_PLACEHOLDERS = new Set(['title', 'ctrTitle']);
+const SKIPPED_PLACEHOLDERS = new Set(['sldNum', 'dt', 'ftr', 'hdr', 'sldImg']);
+// Placeholders whose paragraphs are bullets unless they say otherwise
+const BODY_PLACEHOLDERS = new Set(['body', 'obj']);
+
+// Paragraphs of a text body: their text, outline level and whether they show a bullet
+function readParagraphs(xml, bulletedByDefault) {
+  return [...xml.matchAll(/<a:p>([\s\S]*?)<\/a:p>|<a:p\s[^>]*>([\s\S]*?)<\/a:p>/g)].map(([, a, b]) => {
+    const paragraph = a ?? b;
+    const properties = paragraph.match(/<a:pPr(?:\s[^>]*)?\/?>/)?.[0] || '';
+    const text = [...paragraph.matchAll(/<a:t>([\s\S]*?)<\/a:t>|<a:t\s[^>]*>([\s\S]*?)<\/a:t>|<a:br\/>|<a:br\s[^>]*\/>/g)]
+      .map(([tag, run, attributedRun]) => tag.startsWith('<a:br') ? '\n' : xmlText(run ?? attributedRun))
+      .join('');
+    const bullet = /<a:bu(Char|AutoNum)[\s/>]/.test(paragraph) || (bulletedByDefault && !paragraph.includes('<a:buNone'));
+    return { text, level: parseInt(readXmlAttribute(properties, 'lvl')) || 0, bullet };
+  }).filter(paragraph => paragraph.text.trim());
+}
+
+function writeSlide(output, xml, number) {
+  const shapes = [...xml.matchAll(/<p:sp(?:\s[^>]*)?>([\s\S]*?)<\/p:sp>|<a:tbl>([\s\S]*?)<\/a:tbl>/g)];
+
+  // The title opens the slide even when its shape is not the first one
+  let title = '';
+  for (const [, shape] of shapes) {
+    if (shape && TITLE_PLACEHOLDERS.has(readXmlAttribute(shape.match(/<p:ph\s[^>]*>/)?.[0] || '', 'type'))) {
+      title += ' ' + readParagraphs(shape, false).map(p => p.text).join(' ');
+    }
+  }
+  output.heading(1, title.trim() || `Slide ${number}`);
+
+  for (const [, shape, table] of shapes) {
+    if (table !== undefined) {
+      for (const [, row] of table.matchAll(/<a:tr(?:\s[^>]*)?>([\s\S]*?)<\/a:tr>/g)) {
+        const cells = [...row.matchAll(/<a:tc(?:\s[^>]*)?>([\s\S]*?)<\/a:tc>/g)]
+          .map(([, cell]) => readParagraphs(cell, false).map(p => p.text).join(' '));
+        output.line('table', cells.join(' | '));
+      }
+      continue;
+    }
+
+    const placeholder = shape.match(/<p:ph(?:\s[^>]*)?\/?>/)?.[0];
+    const type = placeholder ? readXmlAttribute(placeholder, 'type') || 'obj' : null;
+    if (TITLE_PLACEHOLDERS.has(type) || SKIPPED_PLACEHOLDERS.has(type)) continue;
+
+    for (const paragraph of readParagraphs(shape, BODY_PLACEHOLDERS.has(type))) {
+      if (paragraph.bullet) output.line('list', `• ${paragraph.text}`, paragraph.level);
+      else output.paragraph(paragraph.text);
+    }
+  }
+}
+
+export async function extractPptxText(filePath) {
+  const pkg = await openPackage(filePath, 'This file is not a PowerPoint presentation. Save it as .pptx or PDF and upload it again.');
+  const presentation = await pkg.read('ppt/presentation.xml');
+  if (!presentation) throw unreadable('This file is an Office document, but not a PowerPoint presentation');
+
+  const relationships = await readRelationships(pkg, 'ppt/presentation.xml');
+  const slidePaths = [...presentation.matchAll(/<p:sldId\s[^>]*>/g)]
+    .map(([tag]) => relationships[readXmlAttribute(tag, 'r:id')])
+    .filter(target => target?.type === 'slide')
+    .map(target => target.path);
+
+  const output = createStructuredText();
+  const pages = [];
+  for (const [index, slidePath] of slidePaths.entries()) {
+    const xml = await pkg.read(slidePath);
+    if (!xml) continue;
+
+    const start = output.boundary();
+    writeSlide(output, xml, index + 1);
+
+    const notesPath = Object.values(await readRelationships(pkg, slidePath)).find(target => target.type === 'notesSlide')?.path;
+    const notesXml = notesPath && await pkg.read(notesPath);
+    if (notesXml) {
+      // Only the notes placeholder; the others repeat the slide image and number
+      const notes = [...notesXml.matchAll(/<p:sp(?:\s[^>]*)?>([\s\S]*?)<\/p:sp>/g)]
+        .filter(([, shape]) => readXmlAttribute(shape.match(/<p:ph\s[^>]*>/)?.[0] || '', 'type') === 'body')
+        .flatMap(([, shape]) => readParagraphs(shape, false).map(p => p.text));
+      if (notes.length) output.paragraph(`Speaker notes: ${notes.join('\n')}`);
+    }
+
+    pages.push({ page: index + 1, start, end: output.boundary() });
+  }
+
+  return {
+    ...output.finish(),
+    pages,
+    pageCount: slidePaths.length,
+    info: readDublinCore(await pkg.read('docProps/core.xml'))
+  };
+}
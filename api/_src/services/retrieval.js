@@ -0,0 +1,139 @@
+import ChunkEmbedding from '../models/ChunkEmbedding.js';
+import { embedQuery, cosineSimilarity } from './embeddings.js';
+import { createBm25Index } from './bm25.js';
+
+const DEFAULT_TOP_K = 6;
+const MAX_TOP_K = 20;
+const DEFAULT_SEMANTIC_WEIGHT = 0.5;
+const DEFAULT_KEYWORD_WEIGHT = 0.5;
+
+export function resolveTopK(requested) {
+  const topK = parseInt(requested) || parseInt(process.env.RETRIEVAL_TOP_K) || DEFAULT_TOP_K;
+  return Math.min(Math.max(topK, 1), MAX_TOP_K);
+}
+
+function toWeight(value, fallback) {
+  const weight = parseFloat(value);
+  return Number.isFinite(weight) && weight >= 0 ? weight : fallback;
+}
+
+// Fusion weights from the request, falling back to env defaults
+export function resolveWeights(requested = {}) {
+  const semantic = toWeight(requested.semantic, toWeight(process.env.RETRIEVAL_SEMANTIC_WEIGHT, DEFAULT_SEMANTIC_WEIGHT));
+  const keyword = toWeight(requested.keyword, toWeight(process.env.RETRIEVAL_KEYWORD_WEIGHT, DEFAULT_KEYWORD_WEIGHT));
+
+  if (semantic + keyword === 0) {
+    return { semantic: DEFAULT_SEMANTIC_WEIGHT, keyword: DEFAULT_KEYWORD_WEIGHT };
+  }
+  return { semantic, keyword };
+}
+
+// Min-max normalize so cosine and BM25 scores are comparable before fusing
+function normalizeScores(candidates, key) {
+  const values = candidates.map(c => c[key]).filter(value => value !== null);
+  if (values.length === 0) return;
+
+  // A loop, not Math.min(...values): large selections have more chunks than a call takes arguments
+  let min = Infinity;
+  let max = -Infinity;
+  for (const value of values) {
+    if (value < min) min = value;
+    if (value > max) max = value;
+  }
+  candidates.forEach(c => {
+    if (c[key] === null) return;
+    c[`${key}Normalized`] = max > min ? (c[key] - min) / (max - min) : (max > 0 ? 1 : 0);
+  });
+}
+
+async function embedQuestion(question, docs) {
+  // Embed the question once per provider the documents were indexed with
+  const providers = [...new Set(docs.map(doc => doc.indexing?.embeddingProvider).filter(Boolean))];
+  const queryVectors = {};
+  for (const provider of providers) {
+    try {
+      queryVectors[provider] = await embedQuery(question, provider);
+    } catch (error) {
+      console.warn(`⚠️ Query embedding with ${provider} failed, using keyword ranking only:`, error.message);
+    }
+  }
+  return queryVectors;
+}
+
+// Stored chunk vectors of the documents that can be compared with a query vector, by document id and chunk index
+async function loadChunkVectors(docs, queryVectors) {
+  const documentIds = docs.filter(doc => queryVectors[doc.indexing?.embeddingProvider]).map(doc => doc._id);
+  const vectors = new Map();
+  if (documentIds.length === 0) return vectors;
+
+  const embeddings = await ChunkEmbedding.find({ documentId: { $in: documentIds } }).lean();
+  for (const { documentId, chunkIndex, vector } of embeddings) {
+    vectors.set(`${documentId}:${chunkIndex}`, vector);
+  }
+  return vectors;
+}
+
+// Rank chunks across all selected documents by fused semantic and BM25 keyword scores
+export async function retrieveRelevantChunks(question, docs, options = {}) {
+  const topK = resolveTopK(options.topK);
+  const weights = resolveWeights(options.weights);
+
+  const queryVectors = weights.semantic > 0 ? await embedQuestion(question, docs) : {};
+  const chunkVectors = await loadChunkVectors(docs, queryVectors);
+
+  const candidates = [];
+  docs.forEach((doc, docIndex) => {
+    const queryVector = queryVectors[doc.indexing?.embeddingProvider];
+    doc.chunks.forEach((chunk, chunkIndex) => {
+      const vector = chunkVectors.get(`${doc._id}:${chunkIndex}`);
+      candidates.push({
+        doc,
+        chunk,
+        docIndex,
+        chunkIndex,
+        semanticScore: queryVector && vector?.length
+          ? cosineSimilarity(queryVector, vector)
+          : null,
+        keywordScore: null
+      });
+    });
+  });
+
+  if (weights.keyword > 0) {
+    const keywordScores = createBm25Index(candidates.map(c => c.chunk.text)).score(question);
+    candidates.forEach((c, i) => {
+      c.keywordScore = keywordScores[i];
+    });
+  }
+
+  normalizeScores(candidates, 'semanticScore');
+  normalizeScores(candidates, 'keywordScore');
+
+  // Weighted fusion over whichever signals a chunk has; unscored chunks keep reading order
+  candidates.forEach(c => {
+    let total = 0;
+    let weightSum = 0;
+    if (c.semanticScoreNormalized !== undefined) {
+      total += weights.semantic * c.semanticScoreNormalized;
+      weightSum += weights.semantic;
+    }
+    if (c.keywordScoreNormalized !== undefined) {
+      total += weights.keyword * c.keywordScoreNormalized;
+      weightSum += weights.keyword;
+    }
+    c.score = weightSum > 0 ? total / weightSum : null;
+  });
+
+  candidates.sort((a, b) => {
+    if (a.score !== null && b.score !== null && a.score !== b.score) return b.score - a.score;
+    if (a.score !== null && b.score === null) return -1;
+    if (b.score !== null && a.score === null) return 1;
+    return a.chunkIndex - b.chunkIndex || a.docIndex - b.docIndex;
+  });
+
+  const selected = candidates.slice(0, topK).map(({ doc, chunk, docIndex, chunkIndex, score, semanticScore, keywordScore }) => ({
+    doc, chunk, docIndex, chunkIndex, score, semanticScore, keywordScore
+  }));
+  console.log(`🔎 Retrieved ${selected.length}/${candidates.length} chunks (weights: semantic ${weights.semantic}, keyword ${weights.keyword}; top score: ${selected[0]?.score?.toFixed(3) ?? 'n/a'})`);
+  return selected;
+}
@@ -0,0 +1,112 @@
+// Retry with exponential backoff and a simple circuit breaker, shared by the LLM providers
+
+export function createCircuitBreaker({ threshold = 3, resetTimeout = 60000 } = {}) {
+  return {
+    failureCount: 0,
+    lastFailureTime: null,
+    isOpen: false,
+    threshold,
+    resetTimeout // 1 minute by default
+  };
+}
+
+export function resetCircuitBreaker(circuitBreaker) {
+  circuitBreaker.failureCount = 0;
+  circuitBreaker.lastFailureTime = null;
+  circuitBreaker.isOpen = false;
+}
+
+function isOverloadError(message) {
+  return message.includes('503 Service Unavailable') || message.includes('The model is overloaded');
+}
+
+// Overloads, rate limits and transient network errors are worth another attempt
+function isRetryableError(error) {
+  if (error.retryable !== undefined) return error.retryable;
+  const message = error.message;
+  return (
+    isOverloadError(message) ||
+    message.includes('RATE_LIMIT_EXCEEDED') ||
+    message.includes('RESOURCE_EXHAUSTED') ||
+    message.includes('INTERNAL') ||
+    message.includes('UNAVAILABLE') ||
+    message.includes('DEADLINE_EXCEEDED') ||
+    message.includes('temporarily unavailable')
+  );
+}
+
+// Avoid hammering an overloaded service: refuse calls while the breaker is open
+function checkCircuitBreaker(circuitBreaker) {
+  if (!circuitBreaker?.isOpen) return;
+
+  const timeSinceLastFailure = Date.now() - circuitBreaker.lastFailureTime;
+  if (timeSinceLastFailure < circuitBreaker.resetTimeout) {
+    throw new Error(`Service temporarily unavailable. Circuit breaker is open. Try again in ${Math.round((circuitBreaker.resetTimeout - timeSinceLastFailure) / 1000)} seconds.`);
+  }
+  console.log('🔄 Circuit breaker reset - attempting to reconnect...');
+  resetCircuitBreaker(circuitBreaker);
+}
+
+// Run operation(attempt) until it succeeds; resolves with the operation's result plus `attempts`
+export async function withRetry(operation, options = {}) {
+  const {
+    service = 'AI',
+    circuitBreaker,
+    maxRetries = 3,
+    baseDelay = 1000,
+    jitter = 1000
+  } = options;
+
+  checkCircuitBreaker(circuitBreaker);
+
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    try {
+      const result = await operation(attempt);
+
+      // Reset circuit breaker on success
+      if (circuitBreaker?.failureCount > 0) {
+        console.log('✅ Circuit breaker reset after successful request');
+        resetCircuitBreaker(circuitBreaker);
+      }
+
+      return { ...result, attempts: attempt };
+    } catch (error) {
+      console.error(`❌ ${service} generation failed (Attempt ${attempt}/${maxRetries}):`, error.message);
+
+      // Handle specific error types that shouldn't be retried
+      if (error.message.includes('API_KEY_INVALID')) {
+        throw new Error(`Invalid ${service} API key. Please check your configuration.`);
+      }
+
+      if (error.message.includes('QUOTA_EXCEEDED')) {
+        throw new Error(`${service} API quota exceeded. Please try again later.`);
+      }
+
+      // Open circuit breaker after repeated overload errors
+      if (circuitBreaker && isOverloadError(error.message)) {
+        circuitBreaker.failureCount++;
+        circuitBreaker.lastFailureTime = Date.now();
+
+        if (circuitBreaker.failureCount >= circuitBreaker.threshold) {
+          circuitBreaker.isOpen = true;
+          console.log('🔴 Circuit breaker opened due to repeated overload errors');
+        }
+      }
+
+      if (isRetryableError(error) && attempt < maxRetries) {
+        const delay = baseDelay * Math.pow(2, attempt - 1); // Exponential backoff: 1s, 2s, 4s
+        const totalDelay = Math.min(delay + Math.random() * jitter, 10000); // Random jitter avoids thundering herd, cap at 10 seconds
+
+        console.log(`🔄 Service overloaded, retrying in ${Math.round(totalDelay)}ms... (${maxRetries - attempt} retries remaining)`);
+        await new Promise(resolve => setTimeout(resolve, totalDelay));
+        continue;
+      }
+
+      if (attempt === maxRetries) {
+        console.error(`❌ All retry attempts exhausted. The ${service} service may be experiencing high load.`);
+      }
+
+      throw new Error(`AI generation failed after ${attempt} attempt(s): ${error.message}`);
+    }
+  }
+}
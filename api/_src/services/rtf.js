@@ -0,0 +1,238 @@
+import fs from 'fs/promises';
+import { createStructuredText } from './structuredText.js';
+
+// Text of RTF documents. Paragraphs with an outline level or a "heading N" style become headings,
+// \listtext / \pntext paragraphs list items and \intbl paragraphs table rows. Font, colour, style
+// and list tables, pictures, objects, headers, footers and field instructions are skipped.
+
+const SKIPPED_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'listtable', 'listoverridetable', 'revtbl', 'rsidtbl', 'generator', 'xmlnstbl',
+  'themedata', 'colorschememapping', 'latentstyles', 'datastore', 'filetbl', 'pgdsctbl', 'mmathPr',
+  'pict', 'object', 'nonshppict', 'shp', 'shpinst', 'fldinst', 'pn', 'footnote', 'annotation', 'atnid', 'atnauthor',
+  'header', 'headerl', 'headerr', 'headerf', 'footer', 'footerl', 'footerr', 'footerf', 'bkmkstart', 'bkmkend',
+  'userprops', 'docvar', 'template', 'printim', 'revtim', 'buptim', 'operator', 'company', 'manager',
+  'category', 'keywords', 'comment', 'doccomm', 'subject', 'hlinkbase'
+]);
+const INFO_FIELDS = new Set(['title', 'author']);
+const SYMBOLS = {
+  emdash: '—', endash: '–', bullet: '•', lquote: '‘', rquote: '’', ldblquote: '“', rdblquote: '”',
+  emspace: ' ', enspace: ' ', qmspace: ' ', tab: '\t', line: '\n'
+};
+const CODE_PAGES = { 932: 'shift_jis', 936: 'gbk', 949: 'euc-kr', 950: 'big5', 10000: 'macintosh' };
+
+function unreadable(message) {
+  const error = new Error(message);
+  error.status = 422;
+  error.code = 'UNREADABLE_DOCUMENT';
+  return error;
+}
+
+function decoderFor(codePage) {
+  try {
+    return new TextDecoder(CODE_PAGES[codePage] || `windows-${codePage}`);
+  } catch {
+    return new TextDecoder('windows-1252');
+  }
+}
+
+export async function extractRtfText(filePath) {
+  const source = (await fs.readFile(filePath)).toString('latin1');
+  if (!source.trimStart().startsWith('{\\rtf')) {
+    throw unreadable('This file is not an RTF document');
+  }
+  return rtfToStructuredText(source);
+}
+
+export function rtfToStructuredText(source) {
+  const output = createStructuredText();
+  const info = {};
+  const headingStyles = {};
+  const newParagraph = () => ({ inTable: false, outline: null, style: 0, list: false, listLevel: 0 });
+
+  let state = { destination: 'body', skip: false, unicodeSkip: 1, paragraph: newParagraph() };
+  const stack = [];
+  let decoder = decoderFor(1252);
+  let pendingBytes = [];
+  let skipChars = 0;
+  let paragraph = '';
+  let marker = '';
+  let cells = null;
+  let groupStart = false;
+
+  // Characters go to the destination of the current group
+  const write = (text) => {
+    if (state.skip || !text) return;
+    if (state.destination === 'body') paragraph += text;
+    else if (state.destination === 'listtext') marker += text;
+    else if (state.destination === 'style') state.styleName = (state.styleName || '') + text;
+    else if (INFO_FIELDS.has(state.destination)) info[state.destination] = (info[state.destination] || '') + text;
+  };
+  const flushBytes = () => {
+    if (!pendingBytes.length) return;
+    write(decoder.decode(Buffer.from(pendingBytes)));
+    pendingBytes = [];
+  };
+
+  const endParagraph = () => {
+    flushBytes();
+    const text = paragraph;
+    const bullet = marker.replace(/\s+/g, ' ').trim();
+    paragraph = '';
+    marker = '';
+    const props = state.paragraph;
+
+    if (props.inTable) {
+      cells = cells || [''];
+      cells[cells.length - 1] += ' ' + text;
+      return;
+    }
+    const level = props.outline !== null ? props.outline + 1 : headingStyles[props.style];
+    if (level && level <= 6) {
+      output.heading(level, text);
+    } else if (bullet || props.list) {
+      // Symbol-font bullets arrive as "·", "o" or private-use characters
+      const shown = !bullet || /^[^\p{L}\p{N}]$|^o$/u.test(bullet) ? '•' : bullet;
+      output.line('list', `${shown} ${text}`, props.listLevel);
+    } else {
+      output.paragraph(text);
+    }
+  };
+  const endCell = () => {
+    endParagraph();
+    cells = cells || [''];
+    cells.push('');
+  };
+  const endRow = () => {
+    flushBytes();
+    if (paragraph.trim()) endCell();
+    if (cells) {
+      const row = cells.map(cell => cell.replace(/\s+/g, ' ').trim());
+      while (row.length && !row[row.length - 1]) row.pop();
+      if (row.some(Boolean)) output.line('table', row.join(' | '));
+    }
+    cells = null;
+  };
+
+  const controlWord = (word, param) => {
+    // The first control word of a group can name its destination
+    if (groupStart) {
+      groupStart = false;
+      if (SKIPPED_DESTINATIONS.has(word)) { state.skip = true; return; }
+      if (word === 'stylesheet') { state.destination = 'stylesheet'; return; }
+      if (word === 'info') { state.destination = 'info'; return; }
+      if (state.destination === 'info') {
+        if (INFO_FIELDS.has(word)) { info[word] = ''; state.destination = word; }
+        else if (word === 'creatim') state.destination = 'creatim';
+        else state.skip = true;
+        return;
+      }
+      if (state.destination === 'stylesheet') state.destination = 'style';
+      if (word === 'listtext' || word === 'pntext') { state.destination = 'listtext'; return; }
+    }
+
+    if (state.destination === 'creatim') {
+      const date = (info.creationParts = info.creationParts || { yr: 1970, mo: 1, dy: 1, hr: 0, min: 0 });
+      if (word in date) date[word] = param;
+      return;
+    }
+    if (state.destination === 'style') {
+      if (word === 's') state.styleNumber = param;
+      return;
+    }
+
+    switch (word) {
+      case 'ansicpg': decoder = decoderFor(param); break;
+      case 'mac': decoder = decoderFor(10000); break;
+      case 'uc': state.unicodeSkip = param ?? 1; break;
+      case 'u':
+        flushBytes();
+        write(String.fromCharCode(param < 0 ? param + 65536 : param));
+        skipChars = state.unicodeSkip;
+        break;
+      case 'pard': state.paragraph = newParagraph(); break;
+      case 'intbl': state.paragraph.inTable = true; break;
+      case 'outlinelevel': state.paragraph.outline = param < 9 ? param : null; break;
+      case 's': state.paragraph.style = param ?? 0; break;
+      case 'ls': state.paragraph.list = true; break;
+      case 'ilvl': state.paragraph.listLevel = param ?? 0; break;
+      case 'par': case 'sect': case 'page': endParagraph(); break;
+      case 'cell': case 'nestcell': endCell(); break;
+      case 'row': case 'nestrow': endRow(); break;
+      default:
+        if (SYMBOLS[word]) {
+          flushBytes();
+          write(SYMBOLS[word]);
+        }
+    }
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (char === '{' || char === '}') {
+      flushBytes();
+      skipChars = 0;
+      if (char === '{') {
+        stack.push(state);
+        state = { ...state, paragraph: { ...state.paragraph }, styleNumber: undefined, styleName: undefined };
+        groupStart = true;
+      } else {
+        // A style's name ends the group that defines it: "{\s1 ... heading 1;}"
+        const level = state.destination === 'style' && state.styleName?.match(/heading\s*(\d)/i)?.[1];
+        if (level && state.styleNumber !== undefined) headingStyles[state.styleNumber] = parseInt(level);
+        state = stack.pop() || state;
+        groupStart = false;
+      }
+      continue;
+    }
+
+    if (char === '\\') {
+      const next = source[i + 1];
+      if (/[a-zA-Z]/.test(next || '')) {
+        const match = /^([a-zA-Z]{1,32})(-?\d{1,10})? ?/.exec(source.slice(i + 1, i + 48));
+        i += match[0].length;
+        const param = match[2] !== undefined ? parseInt(match[2]) : null;
+        if (match[1] === 'bin') {
+          i += Math.max(param || 0, 0);
+          continue;
+        }
+        if (match[1] !== 'u') skipChars = 0;
+        controlWord(match[1], param);
+        continue;
+      }
+
+      i++;
+      groupStart = false;
+      if (next === "'") {
+        const byte = parseInt(source.substr(i + 1, 2), 16);
+        i += 2;
+        if (skipChars > 0) { skipChars--; continue; }
+        if (!Number.isNaN(byte) && !state.skip) pendingBytes.push(byte);
+      } else if (next === '*') {
+        state.skip = true;
+      } else if (next === '\n' || next === '\r') {
+        endParagraph();
+      } else {
+        flushBytes();
+        write({ '~': ' ', '-': '', '_': '-' }[next] ?? next);
+      }
+      continue;
+    }
+
+    if (char === '\n' || char === '\r') continue;
+    groupStart = false;
+    if (skipChars > 0) { skipChars--; continue; }
+    if (state.destination === 'style' && char === ';') continue;
+    flushBytes();
+    write(char);
+  }
+  endRow();
+  endParagraph();
+
+  const { creationParts, ...fields } = info;
+  for (const key of Object.keys(fields)) fields[key] = fields[key].trim() || undefined;
+  if (creationParts) {
+    fields.creationDate = new Date(Date.UTC(creationParts.yr, creationParts.mo - 1, creationParts.dy, creationParts.hr, creationParts.min));
+  }
+  return { ...output.finish(), info: fields };
+}
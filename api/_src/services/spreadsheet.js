@@ -0,0 +1,275 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { openPackage, readRelationships, unreadable, readXmlAttribute, xmlText } from './packages.js';
+
+// Sheets of CSV and XLSX files as structured data: { name, headers, rows: [{ row, cells }] } with
+// `row` the spreadsheet row number. The first non-empty row of a sheet is its header. The text
+// lists every sheet as "Sheet: name", the header and one " | "-joined line per row; `rowRanges`
+// gives each row's offsets in it so chunks of row groups can cite their range.
+
+// Rows kept on the Document per sheet; larger sheets are still fully chunked and searchable
+export const MAX_STORED_ROWS = 10000;
+
+const CSV_DELIMITERS = [',', ';', '\t', '|'];
+// Built-in number formats that show dates and times (ECMA-376 18.8.30)
+const DATE_FORMATS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47]);
+const PERCENT_FORMATS = new Set([9, 10]);
+
+// 0 -> "A", 27 -> "AB"
+export function columnLetter(index) {
+  let letters = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
+}
+
+// Excel's last column is XFD; cells are stored by column index, so refs past it are refused
+const MAX_COLUMNS = 16384;
+
+function columnIndex(ref) {
+  const letters = ref.replace(/\d+$/, '');
+  let index = 0;
+  if (/^[A-Z]{1,3}$/i.test(letters)) {
+    for (const char of letters.toUpperCase()) index = index * 26 + char.charCodeAt(0) - 64;
+  }
+  if (index < 1 || index > MAX_COLUMNS) {
+    throw unreadable(`This workbook is damaged: cell reference "${ref.slice(0, 20)}" is outside of the sheet`);
+  }
+  return index - 1;
+}
+
+// Header, rows and their layout in the text for each sheet
+function buildSheets(rawSheets) {
+  const sheets = [];
+  const rowRanges = [];
+  let text = '';
+
+  for (const raw of rawSheets) {
+    const rows = raw.rows
+      .map(({ row, cells }) => {
+        const trimmed = cells.map(cell => (cell ?? '').toString().replace(/\s+/g, ' ').trim());
+        while (trimmed.length && !trimmed[trimmed.length - 1]) trimmed.pop();
+        return { row, cells: trimmed };
+      })
+      .filter(({ cells }) => cells.length);
+    if (!rows.length) continue;
+
+    const [header, ...body] = rows;
+    // Not Math.max(...): a large CSV has more rows than a call takes arguments
+    const columnCount = rows.reduce((count, { cells }) => Math.max(count, cells.length), 0);
+    const headers = Array.from({ length: columnCount }, (_, i) => header.cells[i] || columnLetter(i));
+
+    if (text) text += '\n\n';
+    text += `Sheet: ${raw.name}\n${headers.join(' | ')}`;
+    for (const { row, cells } of body) {
+      text += '\n';
+      rowRanges.push({ sheet: raw.name, row, start: text.length, end: text.length + cells.join(' | ').length });
+      text += cells.join(' | ');
+    }
+
+    sheets.push({
+      name: raw.name,
+      headerRow: header.row,
+      headers,
+      rows: body.slice(0, MAX_STORED_ROWS),
+      rowCount: body.length,
+      columnCount,
+      truncated: body.length > MAX_STORED_ROWS
+    });
+  }
+
+  return { text, sheets, rowRanges, pageCount: Math.max(sheets.length, 1) };
+}
+
+// RFC 4180 fields: quoted fields may contain the delimiter, line breaks and doubled quotes
+export function parseCsv(text, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && !field.trim()) {
+      quoted = true;
+      field = '';
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+// The delimiter that splits the first lines into the same, largest number of fields
+export function detectDelimiter(text) {
+  const sample = text.split(/\r?\n/).filter(line => line.trim()).slice(0, 10).join('\n');
+  let best = { delimiter: ',', score: 0 };
+  for (const delimiter of CSV_DELIMITERS) {
+    const counts = parseCsv(sample, delimiter).map(row => row.length);
+    const consistent = counts.filter(count => count === counts[0]).length;
+    const score = counts[0] > 1 ? consistent * counts[0] : 0;
+    if (score > best.score) best = { delimiter, score };
+  }
+  return best.delimiter;
+}
+
+// UTF-8 unless it has a UTF-16 BOM or is not valid UTF-8, as with Excel's "CSV" (Windows-1252) export
+function decodeCsvFile(buffer) {
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) return new TextDecoder('utf-16le').decode(buffer);
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) return new TextDecoder('utf-16be').decode(buffer);
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch {
+    return new TextDecoder('windows-1252').decode(buffer);
+  }
+}
+
+export async function extractCsvText(filePath) {
+  let content = decodeCsvFile(await fs.readFile(filePath)).replace(/^\uFEFF/, '');
+
+  // Excel's "sep=;" first line names the delimiter
+  let delimiter = content.match(/^sep=(.)\r?\n/)?.[1];
+  if (delimiter) content = content.replace(/^sep=.\r?\n/, '');
+  delimiter = delimiter || detectDelimiter(content);
+
+  // Uploads keep their original name after the "<timestamp>-<random>-" prefix
+  const name = path.basename(filePath, path.extname(filePath)).replace(/^\d+-\d+-/, '') || 'Sheet1';
+  const rows = parseCsv(content, delimiter).map((cells, i) => ({ row: i + 1, cells }));
+  return buildSheets([{ name, rows }]);
+}
+
+// Shared strings; rich text is split into runs, phonetic guides (<rPh>) are not part of the value
+function readSharedStrings(xml) {
+  return [...(xml || '').matchAll(/<si>([\s\S]*?)<\/si>/g)].map(([, item]) =>
+    [...item.replace(/<rPh[\s\S]*?<\/rPh>/g, '').matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)].map(([, t]) => xmlText(t)).join('')
+  );
+}
+
+// Whether each cell style (index into cellXfs) shows its number as a date or a percentage
+function readCellStyles(xml) {
+  if (!xml) return [];
+  const customDates = new Set();
+  for (const [tag] of xml.matchAll(/<numFmt\s[^>]*>/g)) {
+    // A custom format is a date when it has day, month or year codes outside quoted text
+    const code = (readXmlAttribute(tag, 'formatCode') || '').replace(/"[^"]*"|\[[^\]]*\]/g, '');
+    if (/[dmy]/i.test(code)) customDates.add(parseInt(readXmlAttribute(tag, 'numFmtId')));
+  }
+  const cellXfs = xml.match(/<cellXfs[^>]*>([\s\S]*?)<\/cellXfs>/)?.[1] || '';
+  return [...cellXfs.matchAll(/<xf\s[^>]*>/g)].map(([tag]) => {
+    const id = parseInt(readXmlAttribute(tag, 'numFmtId')) || 0;
+    return DATE_FORMATS.has(id) || customDates.has(id) ? 'date' : PERCENT_FORMATS.has(id) ? 'percent' : null;
+  });
+}
+
+// Serial day numbers count from 1899-12-30 (or 1904-01-01 in Mac workbooks)
+function formatSerialDate(serial, date1904) {
+  const days = serial + (date1904 ? 1462 : 0);
+  const date = new Date(Math.round((days - 25569) * 86400000));
+  if (Number.isNaN(date.getTime())) return String(serial);
+  const iso = date.toISOString();
+  if (serial < 1) return iso.slice(11, 16);
+  return serial % 1 ? `${iso.slice(0, 10)} ${iso.slice(11, 16)}` : iso.slice(0, 10);
+}
+
+function formatNumber(value) {
+  // Drop floating point noise such as 0.30000000000000004
+  return String(parseFloat(value.toPrecision(15)));
+}
+
+function readCellValue(cell, sharedStrings, styles, date1904) {
+  const tag = cell.match(/^<c[^>]*>/)[0];
+  const type = readXmlAttribute(tag, 't');
+  const value = cell.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+
+  if (type === 'inlineStr') {
+    return [...cell.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)].map(([, t]) => xmlText(t)).join('');
+  }
+  if (value === undefined) return '';
+  if (type === 's') return sharedStrings[parseInt(value)] ?? '';
+  if (type === 'b') return value === '1' ? 'TRUE' : 'FALSE';
+  if (type === 'str' || type === 'e' || type === 'd') return xmlText(value);
+
+  const number = parseFloat(value);
+  if (Number.isNaN(number)) return xmlText(value);
+  const style = styles[parseInt(readXmlAttribute(tag, 's')) || 0];
+  if (style === 'date') return formatSerialDate(number, date1904);
+  if (style === 'percent') return `${formatNumber(number * 100)}%`;
+  return formatNumber(number);
+}
+
+function readWorksheet(xml, sharedStrings, styles, date1904) {
+  const rows = [];
+  for (const [, rowTag, rowXml = ''] of xml.matchAll(/<row(\s[^>]*?)?(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    const cells = [];
+    let next = 0;
+    for (const [cell] of rowXml.matchAll(/<c(?:\s[^>]*?)?(?:\/>|>[\s\S]*?<\/c>)/g)) {
+      const ref = readXmlAttribute(cell.match(/^<c[^>]*>/)[0], 'r');
+      const column = ref ? columnIndex(ref) : next;
+      if (column >= MAX_COLUMNS) throw unreadable('This workbook is damaged: a row has more cells than a sheet can hold');
+      cells[column] = readCellValue(cell, sharedStrings, styles, date1904);
+      next = column + 1;
+    }
+    const row = parseInt(readXmlAttribute(rowTag || '', 'r')) || (rows.length ? rows[rows.length - 1].row + 1 : 1);
+    rows.push({ row, cells: Array.from(cells, cell => cell ?? '') });
+  }
+  return rows;
+}
+
+export async function extractXlsxText(filePath) {
+  const pkg = await openPackage(filePath, 'This file is not an Excel workbook. Save it as .xlsx or CSV and upload it again.');
+
+  const workbook = await pkg.read('xl/workbook.xml');
+  if (!workbook) throw unreadable('This file is an Office document, but not an Excel workbook');
+
+  const [relationships, sharedStrings, styles] = await Promise.all([
+    readRelationships(pkg, 'xl/workbook.xml'),
+    pkg.read('xl/sharedStrings.xml').then(readSharedStrings),
+    pkg.read('xl/styles.xml').then(readCellStyles)
+  ]);
+  const date1904 = /<workbookPr[^>]*\sdate1904="(1|true)"/.test(workbook);
+
+  // Worksheets in workbook order; chart sheets have no cells
+  const rawSheets = [];
+  for (const [tag] of workbook.matchAll(/<sheet\s[^>]*>/g)) {
+    const target = relationships[readXmlAttribute(tag, 'r:id')];
+    if (target?.type !== 'worksheet') continue;
+    const xml = await pkg.read(target.path);
+    if (!xml) continue;
+    rawSheets.push({
+      name: readXmlAttribute(tag, 'name') || `Sheet${rawSheets.length + 1}`,
+      rows: readWorksheet(xml, sharedStrings, styles, date1904)
+    });
+  }
+
+  return buildSheets(rawSheets);
+}
+
+// The text the sheets were indexed from, for documents whose chunks repeat the header
+export function sheetsToText(sheets) {
+  return sheets
+    .map(sheet => [`Sheet: ${sheet.name}`, sheet.headers.join(' | '), ...sheet.rows.map(({ cells }) => cells.join(' | '))].join('\n'))
+    .join('\n\n');
+}
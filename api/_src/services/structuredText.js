@@ -0,0 +1,90 @@
+// Builds extracted text together with the structure the chunker uses: headings ({ level, title, start })
+// and list, table and code blocks ({ type, start, end }), all as offsets into the text. Used by the
+// Markdown, HTML, RTF, PowerPoint, OpenDocument and EPUB extractors so they produce the same
+// layout: paragraphs and blocks separated by a blank line, one list item or table row per line,
+// table cells joined with " | ".
+
+// Collapse runs of spaces but keep explicit line breaks
+export function normalizeInline(text) {
+  return text
+    .replace(/[ \t\f\r\u00a0]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .trim();
+}
+
+export function createStructuredText() {
+  let text = '';
+  const headings = [];
+  const blocks = [];
+  let block = null;
+
+  // Make the text end in `count` line breaks, so the next piece starts on a new line or paragraph
+  const breakLines = (count) => {
+    if (!text) return;
+    const trailing = text.length - text.replace(/\n+$/, '').length;
+    if (trailing < count) text += '\n'.repeat(count - trailing);
+  };
+
+  const closeBlock = () => {
+    if (!block) return;
+    block.end = text.length;
+    blocks.push(block);
+    block = null;
+  };
+
+  return {
+    paragraph(content) {
+      const value = normalizeInline(content);
+      if (!value) return;
+      closeBlock();
+      breakLines(2);
+      text += value;
+    },
+
+    heading(level, title) {
+      const value = normalizeInline(title).replace(/\n/g, ' ');
+      if (!value) return;
+      closeBlock();
+      breakLines(2);
+      headings.push({ level: Math.min(Math.max(level, 1), 6), title: value, start: text.length });
+      text += value;
+    },
+
+    // One list item or table row; consecutive lines of the same type form one block.
+    // depth indents nested list items
+    line(type, content, depth = 0) {
+      const value = normalizeInline(content).replace(/\n/g, ' ');
+      if (!value) return;
+      if (block?.type !== type) {
+        closeBlock();
+        breakLines(2);
+        block = { type, start: text.length };
+      } else {
+        breakLines(1);
+      }
+      text += '  '.repeat(depth) + value;
+    },
+
+    // Code and other preformatted text keeps its whitespace
+    preformatted(content) {
+      const value = content.replace(/\r\n?/g, '\n').replace(/^\n+|\s+$/g, '');
+      if (!value) return;
+      closeBlock();
+      breakLines(2);
+      blocks.push({ type: 'code', start: text.length, end: text.length + value.length });
+      text += value;
+    },
+
+    // Offset of the end of the text, for extractors that record page ranges (slides, chapters).
+    // Ends the open list or table block so no block spans two pages
+    boundary() {
+      closeBlock();
+      return text.length;
+    },
+
+    finish() {
+      closeBlock();
+      return { text, headings, blocks };
+    }
+  };
+}
@@ -0,0 +1,100 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Document from '../models/Document.js';
+import { DEFAULT_QUOTA_PLAN, QUOTA_PLANS } from '../config/quotas.js';
+
+export const QUOTA_LIMITS = ['maxDocuments', 'maxStorageBytes', 'monthlyTokens'];
+
+// "2025-09" for the calendar month (UTC) of a date
+export function tokenMonth(date = new Date()) {
+  return date.toISOString().slice(0, 7);
+}
+
+// The user's limits: their plan's, with the admin's overrides on top. null means unlimited
+export function resolveUserLimits(user) {
+  const plan = QUOTA_PLANS[user.quota?.plan] ? user.quota.plan : DEFAULT_QUOTA_PLAN;
+  const limits = { plan };
+  for (const key of QUOTA_LIMITS) {
+    const override = user.quota?.[key];
+    limits[key] = typeof override === 'number' ? override : QUOTA_PLANS[plan][key];
+  }
+  return limits;
+}
+
+// Tokens the user has used this month; usage from an earlier month no longer counts
+export function tokensUsedThisMonth(user, now = new Date()) {
+  return user.tokenUsage?.month === tokenMonth(now) ? user.tokenUsage.tokens || 0 : 0;
+}
+
+// Active documents the user uploaded and their bytes, across all workspaces
+export async function getUserStorageUsage(userId) {
+  const [usage] = await Document.aggregate([
+    { $match: { userId: new mongoose.Types.ObjectId(String(userId)), isActive: true } },
+    { $group: { _id: null, documents: { $sum: 1 }, storageBytes: { $sum: { $ifNull: ['$size', 0] } } } }
+  ]);
+  return { documents: usage?.documents || 0, storageBytes: usage?.storageBytes || 0 };
+}
+
+// Why one more upload of `size` bytes does not fit the user's plan, or null when it does
+export function checkUserUploadQuota(limits, usage, size) {
+  if (limits.maxDocuments !== null && usage.documents >= limits.maxDocuments) {
+    return `Your plan allows ${limits.maxDocuments} documents and you have uploaded ${usage.documents}. Delete a document or ask an admin for a larger plan.`;
+  }
+  if (limits.maxStorageBytes !== null && usage.storageBytes + size > limits.maxStorageBytes) {
+    const freeMb = Math.max(0, (limits.maxStorageBytes - usage.storageBytes) / 1024 / 1024).toFixed(1);
+    return `Your plan's storage is full: ${freeMb} MB left for this ${(size / 1024 / 1024).toFixed(1)} MB file.`;
+  }
+  return null;
+}
+
+// Why the user cannot ask the LLM anything more this month, or null when they can
+export function checkTokenBudget(limits, tokensUsed) {
+  if (limits.monthlyTokens !== null && tokensUsed >= limits.monthlyTokens) {
+    return `You have used your ${limits.monthlyTokens} AI tokens for this month. The budget resets on the 1st (UTC).`;
+  }
+  return null;
+}
+
+// Add tokens to the user's monthly usage, starting the count over in a new month
+export async function recordTokenUsage(userId, tokens) {
+  if (!userId || !tokens) return;
+  const month = tokenMonth();
+  const { matchedCount } = await User.updateOne(
+    { _id: userId, 'tokenUsage.month': month },
+    { $inc: { 'tokenUsage.tokens': tokens } }
+  );
+  if (matchedCount) return;
+
+  const reset = await User.updateOne(
+    { _id: userId, 'tokenUsage.month': { $ne: month } },
+    { $set: { tokenUsage: { month, tokens } } }
+  );
+  // Another request started the month first
+  if (!reset.matchedCount) {
+    await User.updateOne({ _id: userId, 'tokenUsage.month': month }, { $inc: { 'tokenUsage.tokens': tokens } });
+  }
+}
+
+const left = (limit, used) => limit === null ? null : Math.max(0, limit - used);
+
+// Limits, usage and what is left of a user's quota, as GET /api/profile/quota returns it
+export async function getUserQuota(user) {
+  const { plan, ...limits } = resolveUserLimits(user);
+  const storage = await getUserStorageUsage(user._id);
+  const tokensThisMonth = tokensUsedThisMonth(user);
+  const now = new Date();
+
+  return {
+    plan,
+    limits,
+    // What an admin set for this user; null where the plan's limit applies
+    overrides: Object.fromEntries(QUOTA_LIMITS.map(key => [key, user.quota?.[key] ?? null])),
+    usage: { ...storage, tokensThisMonth },
+    remaining: {
+      documents: left(limits.maxDocuments, storage.documents),
+      storageBytes: left(limits.maxStorageBytes, storage.storageBytes),
+      tokensThisMonth: left(limits.monthlyTokens, tokensThisMonth)
+    },
+    tokensResetAt: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1))
+  };
+}
@@ -0,0 +1,81 @@
+import mongoose from 'mongoose';
+import Workspace from '../models/Workspace.js';
+import Document from '../models/Document.js';
+import User from '../models/User.js';
+import { getUserStorageUsage, resolveUserLimits } from './userQuotas.js';
+
+export const WORKSPACE_ROLES = ['owner', 'admin', 'member'];
+export const INVITATION_DAYS = 14;
+
+// The user's personal workspace, created on first use
+export async function getPersonalWorkspace(userId) {
+  const existing = await Workspace.findOne({ ownerId: userId, isPersonal: true });
+  if (existing) return existing;
+  try {
+    return await Workspace.create({
+      name: 'Personal',
+      ownerId: userId,
+      isPersonal: true,
+      members: [{ userId, role: 'owner' }]
+    });
+  } catch (error) {
+    // Another request created it first
+    if (error.code === 11000) return Workspace.findOne({ ownerId: userId, isPersonal: true });
+    throw error;
+  }
+}
+
+export function getMemberRole(workspace, userId) {
+  return workspace.members.find(member => String(member.userId?._id || member.userId) === String(userId))?.role || null;
+}
+
+// Owners and admins manage members, invitations and every document of the workspace
+export function canManageWorkspace(role) {
+  return role === 'owner' || role === 'admin';
+}
+
+// Active documents and stored bytes of a workspace
+export async function getWorkspaceUsage(workspaceId) {
+  const [usage] = await Document.aggregate([
+    { $match: { workspaceId: new mongoose.Types.ObjectId(String(workspaceId)), isActive: true } },
+    { $group: { _id: null, documents: { $sum: 1 }, storageBytes: { $sum: { $ifNull: ['$size', 0] } } } }
+  ]);
+  return { documents: usage?.documents || 0, storageBytes: usage?.storageBytes || 0 };
+}
+
+// The quotas uploads into a workspace count against, and their usage. A personal workspace uses its
+// owner's plan (null = unlimited), which counts the owner's uploads in every workspace
+export async function getWorkspaceQuotaStatus(workspace) {
+  if (!workspace.isPersonal) {
+    return { quotas: workspace.quotas, usage: await getWorkspaceUsage(workspace._id) };
+  }
+  const owner = await User.findById(workspace.ownerId).select('quota');
+  const { maxDocuments, maxStorageBytes } = resolveUserLimits(owner || {});
+  return { quotas: { maxDocuments, maxStorageBytes }, usage: await getUserStorageUsage(workspace.ownerId) };
+}
+
+// Why one more upload of `size` bytes does not fit the quotas, or null when it does
+export function checkWorkspaceQuota(quotas, usage, size) {
+  if (usage.documents >= quotas.maxDocuments) {
+    return `Document limit reached. This workspace can hold a maximum of ${quotas.maxDocuments} documents.`;
+  }
+  if (usage.storageBytes + size > quotas.maxStorageBytes) {
+    const freeMb = Math.max(0, (quotas.maxStorageBytes - usage.storageBytes) / 1024 / 1024).toFixed(1);
+    return `Storage limit reached. This workspace has ${freeMb} MB left.`;
+  }
+  return null;
+}
+
+// A workspace as one of its members sees it
+export function serializeWorkspace(workspace, userId, { quotas, usage }) {
+  return {
+    id: workspace._id,
+    name: workspace.name,
+    isPersonal: workspace.isPersonal,
+    role: getMemberRole(workspace, userId),
+    memberCount: workspace.members.length,
+    quotas,
+    usage,
+    createdAt: workspace.createdAt
+  };
+}
@@ -10,7 +10,7 @@ const __dirname = path.dirname(__filename);
 dotenv.config({ path: path.join(__dirname, '.env') });
 
 // Verify critical environment variables
-if (!process.env.GEMINI_API_KEY) {
+if ((process.env.LLM_PROVIDER || 'gemini').toLowerCase() === 'gemini' && !process.env.GEMINI_API_KEY) {
     console.warn('⚠️  GEMINI_API_KEY not set. AI features will return degradation errors until you configure it.');
     console.warn('📝  Add GEMINI_API_KEY=your_key to api/.env for full functionality.');
     // Continue startup (degraded mode)
@@ -1,6 +1,7 @@
 import mongoose from 'mongoose';
 import app from './_src/app.js';
-import { testGeminiConnection } from './_src/services/gemini.js';
+import { testLlmConnection } from './_src/services/llm.js';
+import { runMigrations } from './_src/services/migrations.js';
 
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/document_app';
 
@@ -19,12 +20,13 @@ async function initializeServices() {
         socketTimeoutMS: 45000,
         family: 4
       });
+      await runMigrations();
     }
 
     try {
-      await testGeminiConnection();
+      await testLlmConnection();
     } catch (error) {
-      console.log('Gemini AI service unavailable during startup (continuing in degraded mode)');
+      console.log('AI service unavailable during startup (continuing in degraded mode)');
       console.log('Reason:', error.message);
     }
   })();
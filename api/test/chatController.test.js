@@ -0,0 +1,160 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Document from '../_src/models/Document.js';
+import ChatHistory from '../_src/models/ChatHistory.js';
+import User from '../_src/models/User.js';
+import { chat, chatStream, summarizeDocuments } from '../_src/controllers/chatController.js';
+import { resetMockLlm, setMockScript } from '../_src/services/mockLlm.js';
+
+// The chat endpoints against the mock provider. The models are stubbed, so no database is needed
+
+// Quiet the services' progress logs; on Node 20 they can garble the test runner's output
+for (const level of ['log', 'warn', 'error']) console[level] = () => {};
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.EMBEDDING_PROVIDER = 'local';
+
+const userId = new mongoose.Types.ObjectId();
+const workspace = { _id: new mongoose.Types.ObjectId(), isPersonal: true, ownerId: userId, role: 'owner' };
+const document = {
+  _id: new mongoose.Types.ObjectId(),
+  originalName: 'handbook.pdf',
+  chunks: [
+    { text: 'Employees get 25 days of paid vacation per year.', source: { filename: 'handbook.pdf', page: 3, start: 0, end: 48 } },
+    { text: 'The office is closed on public holidays.', source: { filename: 'handbook.pdf', page: 4, start: 48, end: 88 } }
+  ]
+};
+
+let savedChats;
+let tokenUpdates;
+
+Document.find = async () => [document];
+Document.findByIdAndUpdate = async () => null;
+User.findById = () => ({ select: async () => ({ quota: { plan: 'unlimited' } }) });
+User.findByIdAndUpdate = async () => null;
+User.updateOne = async (filter, update) => {
+  tokenUpdates.push(update);
+  return { matchedCount: 1 };
+};
+ChatHistory.create = async (fields) => {
+  savedChats.push(fields);
+  return { _id: new mongoose.Types.ObjectId(), ...fields };
+};
+
+beforeEach(() => {
+  resetMockLlm();
+  setMockScript([]);
+  savedChats = [];
+  tokenUpdates = [];
+});
+
+function request(body) {
+  return { body, user: { id: userId }, workspace };
+}
+
+function jsonResponse() {
+  return {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+function streamResponse() {
+  return {
+    events: [],
+    writableEnded: false,
+    writeHead(code) {
+      this.statusCode = code;
+    },
+    write(data) {
+      this.events.push(JSON.parse(data.replace(/^data: /, '')));
+    },
+    end() {
+      this.writableEnded = true;
+    },
+    on() {}
+  };
+}
+
+test('chat answers from the documents, cites them and saves the turn', async () => {
+  setMockScript(['You get 25 vacation days [1].']);
+  const res = jsonResponse();
+
+  await chat(request({ question: 'How many vacation days?', documentIds: [document._id] }), res);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.data.answer, 'You get 25 vacation days [1].');
+  assert.equal(res.body.data.citations[0].marker, 1);
+  assert.equal(String(res.body.data.citations[0].documentId), String(document._id));
+  assert.equal(savedChats.length, 1);
+  assert.deepEqual(savedChats[0].messages.map(msg => msg.role), ['user', 'assistant']);
+  assert.equal(tokenUpdates.length, 1);
+});
+
+test('chat retries overloads and answers 503 when they persist', async () => {
+  setMockScript([{ error: '503' }, { error: '503' }, { error: '503' }]);
+  const res = jsonResponse();
+
+  await chat(request({ question: 'How many vacation days?', documentIds: [document._id] }), res);
+
+  assert.equal(res.statusCode, 503);
+  assert.equal(res.body.code, 'SERVICE_OVERLOADED');
+  assert.equal(savedChats.length, 0);
+});
+
+test('chat answers 429 when the provider quota is used up', async () => {
+  setMockScript([{ error: 'quota' }]);
+  const res = jsonResponse();
+
+  await chat(request({ question: 'How many vacation days?', documentIds: [document._id] }), res);
+
+  assert.equal(res.statusCode, 429);
+  assert.equal(res.body.code, 'QUOTA_EXCEEDED');
+});
+
+test('summarizeDocuments runs a summary through the chat endpoint', async () => {
+  setMockScript(['The handbook covers vacation and holidays.']);
+  const res = jsonResponse();
+
+  await summarizeDocuments(request({ documentIds: [document._id] }), res);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.data.type, 'summary');
+  assert.equal(res.body.data.answer, 'The handbook covers vacation and holidays.');
+});
+
+test('chatStream streams the answer and ends with the full response', async () => {
+  setMockScript(['Twenty five days [1].']);
+  const res = streamResponse();
+
+  await chatStream(request({ question: 'How many vacation days?', documentIds: [document._id] }), res);
+
+  assert.equal(res.statusCode, 200);
+  const last = res.events.at(-1);
+  assert.equal(last.done, true);
+  assert.equal(last.fullResponse, 'Twenty five days [1].');
+  assert.equal(res.events.filter(event => !event.done).map(event => event.chunk).join(''), 'Twenty five days [1].');
+  assert.equal(savedChats[0].messages[1].partial, false);
+  assert.ok(res.writableEnded);
+});
+
+test('chatStream reports a broken stream and keeps the partial answer', async () => {
+  setMockScript([{ response: 'Twenty five days of vacation.', failAfter: 2 }]);
+  const res = streamResponse();
+
+  await chatStream(request({ question: 'How many vacation days?', documentIds: [document._id] }), res);
+
+  const last = res.events.at(-1);
+  assert.match(last.error, /Mock stream interrupted/);
+  assert.equal(last.partial, true);
+  assert.equal(savedChats[0].messages[1].content, 'Twenty five ');
+  assert.equal(savedChats[0].messages[1].partial, true);
+});
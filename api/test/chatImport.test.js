@@ -0,0 +1,121 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { buildImportedChat, validateChatExport, validateImportedChat } from '../_src/services/chatImport.js';
+
+// Validation of imported chat exports and the chat built from them
+
+const exported = (messages, extra = {}) => ({ format: 'document-app-chat', version: 1, messages, ...extra });
+
+const conversation = [
+  { id: 'm1', role: 'user', content: 'How many vacation days?' },
+  {
+    id: 'm2',
+    parentId: 'm1',
+    role: 'assistant',
+    content: 'You get 25 days [1].',
+    tokens: 12,
+    citations: [{ marker: 1, documentId: 'doc-a', documentName: 'handbook.pdf', page: 3 }]
+  }
+];
+
+test('a complete export has no problems', () => {
+  assert.deepEqual(validateChatExport(exported(conversation, { chat: { title: 'Leave', documents: [] } })), []);
+});
+
+test('format and version may be left out, messages may not', () => {
+  assert.deepEqual(validateChatExport({ messages: [{ role: 'user', content: 'Hi' }] }), []);
+  assert.deepEqual(validateChatExport([]), ['export: must be a JSON object']);
+  assert.deepEqual(validateChatExport({ messages: [] }), ['messages: must be a non-empty array']);
+});
+
+test('other formats and newer versions are refused', () => {
+  assert.deepEqual(validateChatExport(exported(conversation, { format: 'other-app', version: 2 })), [
+    'format: expected "document-app-chat"',
+    'version: only versions up to 1 are supported'
+  ]);
+  assert.deepEqual(validateChatExport(exported(conversation, { version: '1' })), ['version: only versions up to 1 are supported']);
+});
+
+test('chat fields must have the stored types', () => {
+  assert.deepEqual(validateChatExport(exported(conversation, { chat: 'Leave' })), ['chat: must be an object']);
+  assert.deepEqual(validateChatExport(exported(conversation, { chat: { documents: {}, title: 5, totalTokens: '12' } })), [
+    'chat.documents: must be an array',
+    'chat.title: must be a string',
+    'chat.totalTokens: must be a number'
+  ]);
+});
+
+test('message roles, content and fields are checked with their path', () => {
+  const problems = validateChatExport(exported([
+    'Hi',
+    { role: 'system', content: '  ' },
+    { role: 'user', content: 'Hi', timestamp: 'yesterday', tokens: -1, model: 4, partial: 'no' }
+  ]));
+  assert.deepEqual(problems, [
+    'messages[0]: must be an object',
+    'messages[1].role: "system" is not one of user, assistant',
+    'messages[1].content: must be a non-empty string',
+    'messages[2].timestamp: not a valid date',
+    'messages[2].tokens: must be a non-negative number',
+    'messages[2].model: must be a string',
+    'messages[2].partial: must be true or false'
+  ]);
+});
+
+test('parents must be earlier messages and ids unique', () => {
+  const problems = validateChatExport(exported([
+    { id: 'a', parentId: 'b', role: 'user', content: 'First' },
+    { id: 'b', role: 'assistant', content: 'Second' },
+    { id: 'a', parentId: 'a', role: 'user', content: 'Third' }
+  ]));
+  assert.deepEqual(problems, [
+    'messages[0].parentId: "b" is not the id of an earlier message',
+    'messages[2].id: "a" is used twice'
+  ]);
+});
+
+test('citations need an integer marker and typed fields', () => {
+  const problems = validateChatExport(exported([
+    { role: 'assistant', content: 'See [1].', citations: [{ marker: '1' }, { marker: 2, page: '3', excerpt: null }] },
+    { role: 'assistant', content: 'See [1].', citations: { marker: 1 } }
+  ]));
+  assert.deepEqual(problems, [
+    'messages[0].citations[0].marker: must be an integer',
+    'messages[0].citations[1].page: must be a number',
+    'messages[1].citations: must be an array'
+  ]);
+});
+
+test('imported chats get new ids, keep their branches and flag citations of documents left behind', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const messages = [
+    ...conversation,
+    { id: 'm3', parentId: 'm1', role: 'assistant', content: 'Twenty five.' },
+    { role: 'user', content: 'And sick days?' }
+  ];
+  const { chat, unresolved } = buildImportedChat(exported(messages), [], userId);
+
+  assert.equal(chat.title, 'How many vacation days?');
+  assert.equal(chat.totalTokens, 12);
+  const [question, answer, retry, followUp] = chat.messages;
+  assert.equal(question.parentId, null);
+  assert.equal(answer.parentId, question._id);
+  assert.equal(retry.parentId, question._id);
+  assert.equal(followUp.parentId, retry._id);
+  assert.equal(chat.activeLeafId, followUp._id);
+  assert.equal(answer.citations[0].documentId, undefined);
+  assert.equal(answer.citations[0].page, 3);
+  assert.deepEqual(unresolved.map(entry => [entry.type, entry.messageIndex, entry.documentId]), [['citation', 1, 'doc-a']]);
+  // The schema still wants a document to chat about
+  assert.deepEqual(validateImportedChat(chat), ['documentIds: A chat needs at least one document']);
+});
+
+test('citations of re-linked documents point at the matched document', () => {
+  const document = { _id: new mongoose.Types.ObjectId(), originalName: 'handbook.pdf' };
+  const { chat, unresolved } = buildImportedChat(exported(conversation), [{ exportedId: 'doc-a', document }], new mongoose.Types.ObjectId());
+  assert.deepEqual(chat.documentIds, [document._id]);
+  assert.equal(chat.messages[1].citations[0].documentId, document._id);
+  assert.deepEqual(unresolved, []);
+  assert.deepEqual(validateImportedChat(chat), []);
+});
@@ -0,0 +1,141 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { chunkDocument, countTokens, resolveChunkingOptions } from '../_src/services/chunking.js';
+
+// Chunking strategies, sizes and overlap windows
+
+const ENV_KEYS = ['CHUNK_STRATEGY', 'CHUNK_UNIT', 'CHUNK_SIZE', 'CHUNK_OVERLAP'];
+
+afterEach(() => {
+  for (const key of ENV_KEYS) delete process.env[key];
+});
+
+const sentences = count => Array.from({ length: count }, (_, i) => `Sentence number ${i + 1} ends here.`).join(' ');
+
+test('options default to sentence chunks of 1200 characters with 150 overlap', () => {
+  assert.deepEqual(resolveChunkingOptions(), { strategy: 'sentence', unit: 'chars', size: 1200, overlap: 150 });
+  assert.deepEqual(resolveChunkingOptions({ unit: 'tokens' }), { strategy: 'sentence', unit: 'tokens', size: 300, overlap: 40 });
+});
+
+test('options are clamped: size 50 up to the unit maximum, overlap at most half the size', () => {
+  assert.equal(resolveChunkingOptions({ size: 10 }).size, 50);
+  assert.equal(resolveChunkingOptions({ size: 100000 }).size, 8000);
+  assert.equal(resolveChunkingOptions({ unit: 'tokens', size: 100000 }).size, 2000);
+  assert.equal(resolveChunkingOptions({ size: 400, overlap: 300 }).overlap, 200);
+  assert.equal(resolveChunkingOptions({ overlap: -5 }).overlap, 0);
+  assert.equal(resolveChunkingOptions({ overlap: '0' }).overlap, 0);
+});
+
+test('unknown options fall back to the environment, then the defaults', () => {
+  process.env.CHUNK_STRATEGY = 'heading';
+  process.env.CHUNK_SIZE = '600';
+  process.env.CHUNK_OVERLAP = '0';
+  assert.deepEqual(resolveChunkingOptions({ strategy: 'paragraphs', unit: 'words' }), { strategy: 'heading', unit: 'chars', size: 600, overlap: 0 });
+  assert.equal(resolveChunkingOptions({ strategy: 'FIXED' }).strategy, 'fixed');
+});
+
+test('tokens count words and punctuation', () => {
+  assert.equal(countTokens('Hello, world! It costs $5.'), 9);
+  assert.equal(countTokens(''), 0);
+});
+
+test('fixed chunks are equal slices stepping by size minus overlap', () => {
+  const text = 'abcdefghij'.repeat(30);
+  const { chunks } = chunkDocument({ text }, 'a.txt', { strategy: 'fixed', size: 100, overlap: 20 });
+  assert.deepEqual(chunks.map(chunk => [chunk.source.start, chunk.source.end]), [[0, 100], [80, 180], [160, 260], [240, 300]]);
+  assert.equal(chunks[1].text, text.slice(80, 180));
+});
+
+test('fixed chunks sized in tokens use four characters per token', () => {
+  const { chunks } = chunkDocument({ text: 'x'.repeat(500) }, 'a.txt', { strategy: 'fixed', unit: 'tokens', size: 50, overlap: 0 });
+  assert.deepEqual(chunks.map(chunk => chunk.text.length), [200, 200, 100]);
+});
+
+test('sentence chunks end on sentence boundaries and stay within the size', () => {
+  const text = sentences(20);
+  const { chunks } = chunkDocument({ text }, 'a.txt', { size: 200, overlap: 0 });
+  assert.ok(chunks.length > 1);
+  for (const chunk of chunks) {
+    assert.ok(chunk.text.length <= 200);
+    assert.match(chunk.text, /^Sentence number \d+ ends here\.( Sentence number \d+ ends here\.)*$/);
+    assert.equal(chunk.text, text.slice(chunk.source.start, chunk.source.end));
+  }
+  // Without overlap every sentence is in exactly one chunk
+  assert.equal(chunks.map(chunk => chunk.text).join(' '), text);
+});
+
+test('overlap repeats the last sentences of a chunk that fit in the window', () => {
+  const { chunks } = chunkDocument({ text: sentences(20) }, 'a.txt', { size: 200, overlap: 70 });
+  for (let i = 1; i < chunks.length; i++) {
+    const previous = chunks[i - 1].source;
+    const current = chunks[i].source;
+    assert.ok(current.start < previous.end, `chunk ${i} overlaps the one before`);
+    assert.ok(previous.end - current.start <= 70, `chunk ${i} repeats at most the overlap`);
+    assert.match(chunks[i].text, /^Sentence number/);
+  }
+});
+
+test('an overlap smaller than a sentence repeats nothing', () => {
+  const { chunks } = chunkDocument({ text: sentences(20) }, 'a.txt', { size: 200, overlap: 10 });
+  for (let i = 1; i < chunks.length; i++) {
+    assert.ok(chunks[i].source.start > chunks[i - 1].source.end);
+  }
+});
+
+test('abbreviations do not end a sentence', () => {
+  const text = 'We met Dr. Smith at noon in the lobby. Then we left for lunch.';
+  const { chunks } = chunkDocument({ text }, 'a.txt', { size: 100, overlap: 0 });
+  assert.deepEqual(chunks.map(chunk => chunk.text), [text]);
+  const split = chunkDocument({ text }, 'a.txt', { size: 50, overlap: 0 }).chunks;
+  assert.deepEqual(split.map(chunk => chunk.text), ['We met Dr. Smith at noon in the lobby.', 'Then we left for lunch.']);
+});
+
+test('sentences longer than a chunk split between words, and overlong words by characters', () => {
+  const long = Array.from({ length: 40 }, (_, i) => `word${i}`).join(' ');
+  const { chunks } = chunkDocument({ text: long }, 'a.txt', { size: 60, overlap: 0 });
+  for (const chunk of chunks) {
+    assert.ok(chunk.text.length <= 60);
+    assert.match(chunk.text, /^word\d+( word\d+)*$/);
+  }
+
+  const url = 'https://example.com/' + 'a'.repeat(130);
+  const pieces = chunkDocument({ text: url }, 'a.txt', { size: 50, overlap: 0 }).chunks;
+  assert.deepEqual(pieces.map(chunk => chunk.text.length), [50, 50, 50]);
+  assert.equal(pieces.map(chunk => chunk.text).join(''), url);
+});
+
+test('chunks never cross pages and cite their page', () => {
+  const first = 'Page one text. More of page one.';
+  const second = 'Page two text.';
+  const text = `${first}\n${second}\n`;
+  const pages = [
+    { page: 1, start: 0, end: first.length },
+    { page: 2, start: first.length + 1, end: first.length + 1 + second.length }
+  ];
+  const { chunks } = chunkDocument({ text, pages }, 'a.pdf', { size: 1000 });
+  assert.deepEqual(chunks.map(chunk => [chunk.source.page, chunk.text]), [[1, first], [2, second]]);
+});
+
+test('list lines are segments of their own, so chunks break between items', () => {
+  const items = ['• a pen. a pencil and an eraser', '• paper, lined or squared'];
+  const text = `Bring:\n\n${items.join('\n')}`;
+  const blocks = [{ type: 'list', start: 8, end: text.length }];
+  const { chunks } = chunkDocument({ text, blocks }, 'a.md', { size: 50, overlap: 0 });
+  assert.deepEqual(chunks.map(chunk => chunk.text), [`Bring:\n\n${items[0]}`, items[1]]);
+  // Read as prose, the second item is cut between words
+  const prose = chunkDocument({ text }, 'a.md', { size: 50, overlap: 0 }).chunks;
+  assert.equal(prose.at(-1).text, 'squared');
+});
+
+test('heading chunks start at every Markdown heading of plain text', () => {
+  const text = '# Intro\nShort intro.\n## Details\nMore detail here.';
+  const { chunks } = chunkDocument({ text }, 'notes.txt', { strategy: 'heading', size: 1000 });
+  assert.deepEqual(chunks.map(chunk => [chunk.source.section, chunk.text]), [
+    ['Intro', '# Intro\nShort intro.'],
+    ['Details', '## Details\nMore detail here.']
+  ]);
+  // The sentence strategy keeps them together but still labels the section the chunk starts in
+  const together = chunkDocument({ text }, 'notes.txt', { strategy: 'sentence', size: 1000 }).chunks;
+  assert.equal(together.length, 1);
+  assert.equal(together[0].source.section, 'Intro');
+});
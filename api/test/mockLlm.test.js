@@ -0,0 +1,103 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateWithLlm, streamWithLlm } from '../_src/services/llm.js';
+import { getMockCalls, resetMockLlm, setMockScript } from '../_src/services/mockLlm.js';
+import { createCircuitBreaker, withRetry } from '../_src/services/retry.js';
+
+// The mock provider and the retry helper, offline
+
+// Quiet the services' progress logs; on Node 20 they can garble the test runner's output
+for (const level of ['log', 'warn', 'error']) console[level] = () => {};
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.EMBEDDING_PROVIDER = 'local';
+
+beforeEach(() => {
+  resetMockLlm();
+  setMockScript([]);
+});
+
+async function collect(stream) {
+  let text = '';
+  for await (const piece of stream) text += piece;
+  return text;
+}
+
+test('scripted responses are returned in order, then the question is echoed', async () => {
+  setMockScript(['First answer', { response: 'Second answer' }]);
+
+  assert.equal((await generateWithLlm('one')).response, 'First answer');
+  assert.equal((await generateWithLlm('two')).response, 'Second answer');
+  assert.equal((await generateWithLlm('Q: What is left?')).response, 'Mock answer to: What is left?');
+  assert.deepEqual(getMockCalls().map(call => call.prompt), ['one', 'two', 'Q: What is left?']);
+});
+
+test('503 overloads are retried until a response arrives', async () => {
+  setMockScript([{ error: '503' }, { error: '503' }, 'Recovered']);
+
+  const result = await generateWithLlm('question');
+  assert.equal(result.response, 'Recovered');
+  assert.equal(result.attempts, 3);
+});
+
+test('quota errors fail at once, without retries', async () => {
+  setMockScript([{ error: 'quota' }, 'never used']);
+
+  await assert.rejects(generateWithLlm('question'), /quota exceeded/);
+  assert.equal(getMockCalls().length, 1);
+});
+
+test('repeated overloads open the circuit breaker', async () => {
+  setMockScript([{ error: '503' }, { error: '503' }, { error: '503' }, 'not reached']);
+
+  await assert.rejects(generateWithLlm('question'), /after 3 attempt\(s\).*overloaded/);
+  await assert.rejects(generateWithLlm('question'), /Circuit breaker is open/);
+  assert.equal(getMockCalls().length, 3);
+});
+
+test('streams deliver the scripted answer word by word', async () => {
+  setMockScript(['Streamed answer in words']);
+
+  const { stream, response } = await streamWithLlm('question');
+  assert.equal(await collect(stream), 'Streamed answer in words');
+  assert.equal((await response).model, 'mock-llm');
+});
+
+test('an interrupted stream fails after the streamed part', async () => {
+  setMockScript([{ response: 'one two three four', failAfter: 2 }]);
+
+  const { stream, response } = await streamWithLlm('question');
+  let text = '';
+  await assert.rejects(async () => {
+    for await (const piece of stream) text += piece;
+  }, /Mock stream interrupted/);
+  assert.equal(text, 'one two ');
+  await assert.rejects(response, /Mock stream interrupted/);
+});
+
+test('withRetry does not retry errors that are not transient', async () => {
+  let attempts = 0;
+  await assert.rejects(
+    withRetry(async () => {
+      attempts++;
+      throw new Error('Bad request');
+    }, { baseDelay: 0, jitter: 0 }),
+    /after 1 attempt\(s\): Bad request/
+  );
+  assert.equal(attempts, 1);
+});
+
+test('withRetry gives up after maxRetries and counts overloads on the breaker', async () => {
+  const circuitBreaker = createCircuitBreaker({ threshold: 5 });
+  let attempts = 0;
+  await assert.rejects(
+    withRetry(async () => {
+      attempts++;
+      throw new Error('[503 Service Unavailable] The model is overloaded.');
+    }, { maxRetries: 2, baseDelay: 0, jitter: 0, circuitBreaker }),
+    /after 2 attempt\(s\)/
+  );
+  assert.equal(attempts, 2);
+  assert.equal(circuitBreaker.failureCount, 2);
+  assert.equal(circuitBreaker.isOpen, false);
+});
@@ -0,0 +1,109 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import JSZip from 'jszip';
+import { columnLetter, detectDelimiter, extractCsvText, extractXlsxText, parseCsv } from '../_src/services/spreadsheet.js';
+import { chunkDocument } from '../_src/services/chunking.js';
+
+// CSV parsing, delimiter detection and sheet structure of CSV and XLSX uploads
+
+let dir;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'spreadsheet-test-'));
+});
+
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+async function writeFile(name, content) {
+  const filePath = path.join(dir, name);
+  await fs.writeFile(filePath, content);
+  return filePath;
+}
+
+async function writeWorkbook(name, sheetXml) {
+  const zip = new JSZip();
+  zip.file('xl/workbook.xml', '<workbook xmlns:r="r"><sheets><sheet name="Budget" sheetId="1" r:id="rId1"/></sheets></workbook>');
+  zip.file('xl/_rels/workbook.xml.rels', '<Relationships><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/></Relationships>');
+  zip.file('xl/worksheets/sheet1.xml', `<worksheet><sheetData>${sheetXml}</sheetData></worksheet>`);
+  return writeFile(name, await zip.generateAsync({ type: 'nodebuffer' }));
+}
+
+test('quoted fields keep delimiters, line breaks and doubled quotes', () => {
+  const rows = parseCsv('name,note\n"Smith, Jane","said ""hi""\nthen left"\nBob,\n');
+  assert.deepEqual(rows, [
+    ['name', 'note'],
+    ['Smith, Jane', 'said "hi"\nthen left'],
+    ['Bob', '']
+  ]);
+});
+
+test('CRLF line ends and a last row without a line break', () => {
+  assert.deepEqual(parseCsv('a;b\r\n1;2\r\n3;4', ';'), [['a', 'b'], ['1', '2'], ['3', '4']]);
+});
+
+test('a quote inside an unquoted field is kept as text', () => {
+  assert.deepEqual(parseCsv('size,label\n12",Screen 12" wide\n'), [['size', 'label'], ['12"', 'Screen 12" wide']]);
+});
+
+test('the delimiter is the one that splits the first lines consistently', () => {
+  assert.equal(detectDelimiter('date;amount;note\n2024-01-01;10,50;coffee\n2024-01-02;3,20;tea'), ';');
+  assert.equal(detectDelimiter('a\tb\tc\n1\t2\t3'), '\t');
+  assert.equal(detectDelimiter('a|b\n1|2'), '|');
+  assert.equal(detectDelimiter('"x, y",z\n"1, 2",3'), ',');
+  assert.equal(detectDelimiter('one column\nonly'), ',');
+});
+
+test('column letters continue past Z', () => {
+  assert.deepEqual([0, 25, 26, 27, 701, 16383].map(columnLetter), ['A', 'Z', 'AA', 'AB', 'ZZ', 'XFD']);
+});
+
+test('CSV sheets skip blank lines, name untitled columns and keep row numbers', async () => {
+  const filePath = await writeFile('1700000000000-123-expenses.csv', 'sep=;\nItem;;Amount\n\nRent;;900;\nFood;x;120\n');
+  const { sheets, text, rowRanges } = await extractCsvText(filePath);
+
+  assert.equal(sheets.length, 1);
+  assert.equal(sheets[0].name, 'expenses');
+  assert.deepEqual(sheets[0].headers, ['Item', 'B', 'Amount']);
+  assert.equal(sheets[0].headerRow, 1);
+  assert.deepEqual(sheets[0].rows, [{ row: 3, cells: ['Rent', '', '900'] }, { row: 4, cells: ['Food', 'x', '120'] }]);
+  assert.equal(text.slice(rowRanges[1].start, rowRanges[1].end), 'Food | x | 120');
+});
+
+test('Windows-1252 CSV files are decoded', async () => {
+  const filePath = await writeFile('prices.csv', Buffer.from('name,price\ncaf\xe9,3\n', 'latin1'));
+  const { sheets } = await extractCsvText(filePath);
+  assert.equal(sheets[0].rows[0].cells[0], 'café');
+});
+
+test('sheet chunks repeat the header with column letters and cite their rows', async () => {
+  const lines = ['Item,Amount', ...Array.from({ length: 40 }, (_, i) => `Item number ${i + 1},${i * 10}`)];
+  const extracted = await extractCsvText(await writeFile('items.csv', lines.join('\n')));
+  const { chunks } = chunkDocument(extracted, 'items.csv', { size: 200 });
+
+  assert.ok(chunks.length > 1);
+  for (const chunk of chunks) {
+    assert.match(chunk.text, /^Sheet: items\nColumns: A Item \| B Amount\n/);
+  }
+  assert.equal(chunks[0].source.rowStart, 2);
+  assert.equal(chunks[1].source.rowStart, chunks[0].source.rowEnd + 1);
+  assert.equal(chunks.at(-1).source.rowEnd, 41);
+});
+
+test('XLSX cells are placed by their reference', async () => {
+  const filePath = await writeWorkbook('budget.xlsx',
+    '<row r="1"><c r="A1" t="inlineStr"><is><t>Item</t></is></c><c r="C1" t="inlineStr"><is><t>Total</t></is></c></row>' +
+    '<row r="2"><c r="A2" t="inlineStr"><is><t>Rent</t></is></c><c r="C2"><v>900</v></c></row>');
+  const { sheets } = await extractXlsxText(filePath);
+  assert.deepEqual(sheets[0].headers, ['Item', 'B', 'Total']);
+  assert.deepEqual(sheets[0].rows, [{ row: 2, cells: ['Rent', '', '900'] }]);
+});
+
+test('XLSX cell references past column XFD are refused', async () => {
+  const filePath = await writeWorkbook('damaged.xlsx', '<row r="1"><c r="ZZZZZZ1"><v>1</v></c></row>');
+  await assert.rejects(extractXlsxText(filePath), { status: 422, code: 'UNREADABLE_DOCUMENT' });
+});
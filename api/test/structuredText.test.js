@@ -0,0 +1,130 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { markdownToStructuredText } from '../_src/services/markdown.js';
+import { decodeHtmlEntities, htmlToStructuredText } from '../_src/services/html.js';
+import { rtfToStructuredText } from '../_src/services/rtf.js';
+import { chunkDocument } from '../_src/services/chunking.js';
+
+// Markdown, HTML and RTF converted to text with headings, lists and tables as structure
+
+// The text each heading and block covers, for comparing structure without offsets
+function describe({ text, headings, blocks }) {
+  return {
+    headings: headings.map(heading => [heading.level, heading.title, text.startsWith(heading.title, heading.start)]),
+    blocks: blocks.map(block => [block.type, text.slice(block.start, block.end)])
+  };
+}
+
+test('Markdown headings, lists, tables and code become structure', () => {
+  const result = markdownToStructuredText([
+    '---',
+    'title: "Handbook"',
+    'author: HR',
+    '---',
+    '# Leave',
+    'Employees get **25 days**, see [policy](https://example.com).',
+    '',
+    '- Annual leave',
+    '  - Carried over',
+    '1. Ask your manager',
+    '',
+    '| Type | Days |',
+    '| --- | ---: |',
+    '| Sick | 10 |',
+    '',
+    'Travel',
+    '======',
+    '```js',
+    'const days = 25;',
+    '```'
+  ].join('\n'));
+
+  assert.deepEqual(result.info, { title: 'Handbook', author: 'HR' });
+  assert.match(result.text, /^Leave\n\nEmployees get 25 days, see policy\./);
+  assert.deepEqual(describe(result).headings, [[1, 'Leave', true], [1, 'Travel', true]]);
+  const blocks = describe(result).blocks;
+  assert.equal(blocks[0][0], 'list');
+  assert.match(blocks[0][1], /^• Annual leave\n {2}• Carried over\n1\. Ask your manager$/);
+  assert.deepEqual(blocks[1], ['table', 'Type | Days\nSick | 10']);
+  assert.deepEqual(blocks[2], ['code', 'const days = 25;']);
+});
+
+test('HTML drops page furniture and keeps headings, lists and tables', () => {
+  const result = htmlToStructuredText(`<!doctype html>
+    <html><head><title>Leave &amp; travel</title><meta name="author" content="HR"><style>p { color: red }</style></head>
+    <body>
+      <nav><a href="/">Home</a></nav>
+      <script>document.write("<p>injected</p>")</script>
+      <h1>Leave</h1>
+      <p>Employees get&nbsp;25&#160;days&#x2014;more after <b>5 years</b>.<br>Ask HR.</p>
+      <ol start="3"><li>Plan</li><li>Ask<ul><li>Manager</li></ul></li></ol>
+      <table><tr><th>Type</th><th>Days</th></tr><tr><td>Sick<br>leave</td><td>10</td></tr></table>
+      <pre>  indented
+    code</pre>
+      <footer>Copyright</footer>
+    </body></html>`);
+
+  assert.deepEqual(result.info, { title: 'Leave & travel', author: 'HR' });
+  assert.doesNotMatch(result.text, /Home|injected|color|Copyright/);
+  assert.match(result.text, /Employees get 25 days—more after 5 years\.\nAsk HR\./);
+  const { headings, blocks } = describe(result);
+  assert.deepEqual(headings, [[1, 'Leave', true]]);
+  assert.deepEqual(blocks[0], ['list', '3. Plan\n4. Ask\n  • Manager']);
+  assert.deepEqual(blocks[1], ['table', 'Type | Days\nSick leave | 10']);
+  assert.deepEqual(blocks[2], ['code', '  indented\n    code']);
+});
+
+test('HTML entities decode, unknown ones stay as written', () => {
+  assert.equal(decodeHtmlEntities('&lt;b&gt; &eacute;t&#233; &#x1F600; &bogus; &#0;'), '<b> &eacute;té 😀 &bogus; &#0;');
+});
+
+test('RTF headings by outline level and style, with info fields', () => {
+  const result = rtfToStructuredText(String.raw`{\rtf1\ansi\ansicpg1252
+{\fonttbl{\f0 Calibri;}}
+{\stylesheet{\s0 Normal;}{\s2 heading 2;}}
+{\info{\title Handbook}{\author HR}{\creatim\yr2024\mo3\dy5\hr9\min30}}
+\pard\outlinelevel0 Leave\par
+\pard\s2 Annual\par
+\pard Employees get 25 days\par
+}`);
+
+  assert.equal(result.info.title, 'Handbook');
+  assert.equal(result.info.author, 'HR');
+  assert.equal(result.info.creationDate.toISOString(), '2024-03-05T09:30:00.000Z');
+  assert.doesNotMatch(result.text, /Calibri|Normal/);
+  assert.deepEqual(describe(result).headings, [[1, 'Leave', true], [2, 'Annual', true]]);
+  assert.match(result.text, /Employees get 25 days$/);
+});
+
+test('RTF \\u escapes skip their \\uc fallback characters', () => {
+  const { text } = rtfToStructuredText(String.raw`{\rtf1\ansi
+\pard caf\u233?\par
+\pard{\uc2 na\u239\'69\'ebve}\par
+\pard\uc0\u8364 5\par
+\pard \'e9t\'e9\par
+}`);
+  assert.equal(text, 'café\n\nnaïve\n\n€5\n\nété');
+});
+
+test('RTF list items and table rows', () => {
+  const result = rtfToStructuredText(String.raw`{\rtf1\ansi
+\pard{\listtext\f1 \'b7\tab}\ls1 First\par
+{\listtext 2.\tab}\ls1\ilvl1 Second\par
+\pard\intbl Type\cell Days\cell\row
+\pard\intbl Sick\cell 10\cell\row
+\pard After\par
+}`);
+  const { blocks } = describe(result);
+  assert.deepEqual(blocks[0], ['list', '• First\n  2. Second']);
+  assert.deepEqual(blocks[1], ['table', 'Type | Days\nSick | 10']);
+  assert.match(result.text, /After$/);
+});
+
+test('heading chunks carry the section they start in', () => {
+  const extracted = markdownToStructuredText('# Leave\nEmployees get 25 days.\n\n# Travel\nBook trains.');
+  const { chunks } = chunkDocument(extracted, 'handbook.md', { strategy: 'heading' });
+  assert.deepEqual(chunks.map(chunk => [chunk.source.section, chunk.text]), [
+    ['Leave', 'Leave\n\nEmployees get 25 days.'],
+    ['Travel', 'Travel\n\nBook trains.']
+  ]);
+});
@@ -1,5 +1,5 @@
 import React, { useEffect, useState, useCallback, useMemo, useRef } from 'react'
-import { api } from './apiClient'
+import { api, chatService } from './apiClient'
 import { AnimatePresence, motion } from 'framer-motion'
 import gsap from 'gsap'
 import { 
@@ -19,11 +19,19 @@ import {
   History,
   UserCircle,
   BarChart3,
-  AlertCircle
+  AlertCircle,
+  Quote,
+  MessageSquarePlus,
+  Square,
+  Users,
+  Pencil,
+  ScanText
 } from 'lucide-react'
 import DocumentViewer from './components/DocumentViewer'
 import Profile from './components/Profile'
 import ChatHistory from './components/ChatHistory'
+import DocumentSharing from './components/DocumentSharing'
+import WorkspaceSwitcher from './components/WorkspaceSwitcher'
 
 // Utility function to safely render any value
 function safeRender(value) {
@@ -323,6 +331,8 @@ function Uploader({ token, onUploaded }) {
   const [file, setFile] = useState()
   const [busy, setBusy] = useState(false)
   const [dragOver, setDragOver] = useState(false)
+  // Empty leaves the choice to the server's CHUNK_STRATEGY
+  const [chunkStrategy, setChunkStrategy] = useState('')
   const fileInputRef = useRef()
 
   // Prevent uploads if not authenticated
@@ -344,6 +354,7 @@ function Uploader({ token, onUploaded }) {
     setBusy(true)
     try {
       const form = new FormData()
+      if (chunkStrategy) form.append('chunkStrategy', chunkStrategy)
       form.append('file', file)
       console.log('📤 Uploading file:', file.name, 'Size:', file.size, 'Type:', file.type)
       console.log('📤 FormData contents:')
@@ -364,13 +375,13 @@ function Uploader({ token, onUploaded }) {
     } catch (error) {
       console.error('❌ Upload error:', error)
       // Handle specific error cases
-      if (error.response?.status === 400) {
-        const errorMsg = error.response.data.error || 'Upload failed: Bad request'
-        alert(errorMsg)
-        // If it's a limit error, refresh the document list
-        if (errorMsg.includes('limit')) {
-          window.location.reload()
-        }
+      const code = error.response?.data?.code
+      if (code === 'WORKSPACE_QUOTA_EXCEEDED' || code === 'USER_QUOTA_EXCEEDED') {
+        alert(error.response.data.error)
+        // Refresh the document list and its quota indicator
+        window.location.reload()
+      } else if (error.response?.status === 400) {
+        alert(error.response.data.error || 'Upload failed: Bad request')
       } else if (error.response?.status === 401) {
         alert('Please log in again to upload files')
       } else if (error.response?.status === 413) {
@@ -409,7 +420,7 @@ function Uploader({ token, onUploaded }) {
           type="file" 
           onChange={(e) => setFile(e.target.files?.[0])} 
           className="hidden" 
-          accept=".pdf,.doc,.docx,.txt"
+          accept=".pdf,.doc,.docx,.txt,.md,.markdown,.html,.htm,.rtf,.csv,.xlsx,.pptx,.odt,.odp,.epub,.png,.jpg,.jpeg,.tif,.tiff"
         />
         
         <motion.div
@@ -429,6 +440,22 @@ function Uploader({ token, onUploaded }) {
           </div>
         </motion.div>
       </motion.div>
+
+      <label className="flex items-center justify-between gap-3 text-sm text-gray-600 dark:text-gray-300">
+        <span>Chunking</span>
+        <select
+          value={chunkStrategy}
+          onChange={(e) => setChunkStrategy(e.target.value)}
+          disabled={busy}
+          className="input h-9 py-1 text-sm w-auto"
+          title="How the document is split for retrieval"
+        >
+          <option value="">Server default</option>
+          <option value="sentence">Sentence-aware</option>
+          <option value="heading">By headings (Word/Markdown)</option>
+          <option value="fixed">Fixed size</option>
+        </select>
+      </label>
       
       <motion.button 
         onClick={upload} 
@@ -459,19 +486,49 @@ function Uploader({ token, onUploaded }) {
   )
 }
 
+// User-facing message for a failed chat request (axios error or streaming error)
+function describeChatError(error) {
+  const status = error.response?.status || error.status
+  const code = error.response?.data?.code || error.code
+  const message = error.response?.data?.error || error.message || ''
+
+  if (status === 503 || message.includes('overloaded')) {
+    if (code === 'SERVICE_OVERLOADED' || message.includes('overloaded')) {
+      return `⚠️ The AI service is currently experiencing high demand. This is normal during peak hours.\n\n🔄 Please try again in a few moments. The system will automatically retry failed requests.\n\n💡 Tip: You can try asking a simpler question or selecting fewer documents to reduce processing time.`
+    }
+    return '⚠️ The AI service is temporarily unavailable. Please try again in a few moments.'
+  }
+  // The user's monthly token budget, not a rate limit: the server says when it resets
+  if (code === 'TOKEN_BUDGET_EXCEEDED') {
+    return '⚠️ ' + message
+  }
+  if (status === 429 || message.toLowerCase().includes('quota exceeded')) {
+    if (code === 'QUOTA_EXCEEDED' || message.toLowerCase().includes('quota exceeded')) {
+      return '⚠️ Daily AI usage limit reached. Please try again tomorrow or contact support for increased limits.'
+    }
+    return '⚠️ Rate limit exceeded. Please wait a moment before trying again.'
+  }
+  return 'Error: ' + message
+}
+
 function Chat({ token, lastUpload }) {
   const [docs, setDocs] = useState([])
   const [question, setQuestion] = useState('Summarize the latest upload.')
   const [answer, setAnswer] = useState('')
+  const [citations, setCitations] = useState([])
+  const [chatId, setChatId] = useState(null)
   const [busy, setBusy] = useState(false)
   const [selectedDocument, setSelectedDocument] = useState(null)
+  const [highlight, setHighlight] = useState(null)
   const [selectedDocuments, setSelectedDocuments] = useState([])
   const [isDocViewerOpen, setIsDocViewerOpen] = useState(false)
   const [isProfileOpen, setIsProfileOpen] = useState(false)
   const [isChatHistoryOpen, setIsChatHistoryOpen] = useState(false)
-  const [uploadLimit, setUploadLimit] = useState({ current: 0, max: 5 })
+  const [sharingDocument, setSharingDocument] = useState(null)
+  const [uploadLimit, setUploadLimit] = useState({ current: 0 })
   const [user, setUser] = useState(null)
   const chatRef = useRef()
+  const streamRef = useRef(null)
 
   useEffect(() => {
     const load = async () => {
@@ -485,9 +542,11 @@ function Chat({ token, lastUpload }) {
           // Auto-select all documents initially for convenience
           setSelectedDocuments(response.data.documents.map(doc => doc._id))
           setUploadLimit({ 
-            current: response.data.total, 
+            current: response.data.used ?? response.data.total, 
             max: response.data.limit, 
-            remaining: response.data.remaining 
+            remaining: response.data.remaining,
+            storageUsed: response.data.storageUsed,
+            storageLimit: response.data.storageLimit
           })
         } else {
           setDocs(response.data)
@@ -519,9 +578,11 @@ function Chat({ token, lastUpload }) {
               return [...existingSelected, ...newDocs]
             })
             setUploadLimit({ 
-              current: response.data.total, 
+              current: response.data.used ?? response.data.total, 
               max: response.data.limit, 
-              remaining: response.data.remaining 
+              remaining: response.data.remaining,
+              storageUsed: response.data.storageUsed,
+              storageLimit: response.data.storageLimit
             })
           } else {
             setDocs(response.data)
@@ -535,34 +596,87 @@ function Chat({ token, lastUpload }) {
     }
   }, [lastUpload, token])
 
+  // Uploads still indexing in the background (OCR of scans) are reloaded until they are ready
+  const hasIndexingDocs = docs.some(doc => doc.indexing?.status === 'indexing')
+  useEffect(() => {
+    if (!hasIndexingDocs) return
+    const timer = setInterval(async () => {
+      try {
+        const response = await api.get(`/api/files`, {
+          headers: { Authorization: `Bearer ${token}` }
+        })
+        if (response.data.documents) setDocs(response.data.documents)
+      } catch (error) {
+        console.error('Error refreshing documents:', error)
+      }
+    }, 5000)
+    return () => clearInterval(timer)
+  }, [hasIndexingDocs, token])
+
   // Delete document function
   const deleteDocument = async (docId) => {
     try {
       await api.delete(`/api/files/${docId}`, { 
         headers: { Authorization: `Bearer ${token}` }
       })
+      const deleted = docs.find(doc => doc._id === docId)
       setDocs(prev => prev.filter(doc => doc._id !== docId))
-      setUploadLimit(prev => ({ ...prev, current: prev.current - 1, remaining: prev.remaining + 1 }))
+      // Documents shared from other workspaces don't count towards this workspace's quota
+      if (!deleted?.sharedWithYou) {
+        setUploadLimit(prev => ({
+          ...prev,
+          current: prev.current - 1,
+          remaining: prev.remaining === null ? null : prev.remaining + 1,
+          storageUsed: prev.storageUsed === undefined ? undefined : Math.max(0, prev.storageUsed - (deleted?.size || 0))
+        }))
+      }
     } catch (error) {
       console.error('Error deleting document:', error)
     }
   }
 
+  // Owners and editors can rename a document
+  const renameDocument = async (doc) => {
+    const originalName = prompt('Rename document', doc.originalName)?.trim()
+    if (!originalName || originalName === doc.originalName) return
+    try {
+      await api.put(`/api/files/${doc._id}`, { originalName }, {
+        headers: { Authorization: `Bearer ${token}` }
+      })
+      setDocs(prev => prev.map(d => d._id === doc._id ? { ...d, originalName } : d))
+    } catch (error) {
+      console.error('Error renaming document:', error)
+    }
+  }
+
   // Open document viewer
-  const openDocumentViewer = (doc) => {
+  const openDocumentViewer = (doc, citation = null) => {
     setSelectedDocument(doc)
+    setHighlight(citation)
     setIsDocViewerOpen(true)
   }
 
+  // Open the cited document at the cited passage
+  const openCitation = (citation) => {
+    const doc = docs.find(d => d._id === citation.documentId)
+    if (doc) openDocumentViewer(doc, citation)
+  }
+
   // Handle chat history selection
   const handleChatHistorySelect = (chatData) => {
-    // Load the chat into the current interface
+    // Load the chat into the current interface; the next question continues it with its documents
+    setChatId(chatData._id || null)
+    const chatDocumentIds = (chatData.documentIds || []).map(doc => doc?._id || doc)
+    const available = chatDocumentIds.filter(id => docs.some(d => d._id === id))
+    if (available.length > 0) setSelectedDocuments(available)
     if (chatData.messages && chatData.messages.length > 0) {
       const lastAssistantMessage = chatData.messages
         .filter(msg => msg.role === 'assistant')
         .pop()
       if (lastAssistantMessage) {
-        setAnswer(safeRender(lastAssistantMessage.content));
+        setAnswer(safeRender(lastAssistantMessage.content) +
+          (lastAssistantMessage.partial ? '\n\n⚠️ This answer was interrupted before it finished.' : ''));
+        setCitations(lastAssistantMessage.citations || []);
       }
       // Optionally set the last user question
       const lastUserMessage = chatData.messages
@@ -592,6 +706,7 @@ function Chat({ token, lastUpload }) {
   const ask = async () => {
     setBusy(true)
     setAnswer('')
+    setCitations([])
     try {
       // Use selected documents or fall back to all documents if none selected
       const documentsToUse = selectedDocuments.length > 0 
@@ -604,40 +719,59 @@ function Chat({ token, lastUpload }) {
         return
       }
 
-      const response = await api.post(`/api/chat`, { 
-        question, 
-        documentIds: documentsToUse 
-      }, { 
-        headers: import.meta.env.VITE_MOCK_API === 'true' ? {} : { Authorization: `Bearer ${token}` } 
-      })
-      
-      console.log('🔍 Full API response:', response.data) // Debug log
-      
-      // Handle different response formats
-      const responseData = response.data.data?.answer || response.data.answer || response.data;
-      setAnswer(safeRender(responseData));
+      // The mock adapter only intercepts axios, so mock mode keeps the regular endpoint
+      if (import.meta.env.VITE_MOCK_API === 'true') {
+        const response = await api.post(`/api/chat`, { question, documentIds: documentsToUse, chatId })
+        setAnswer(safeRender(response.data.data?.answer || response.data.answer || response.data))
+        setCitations(response.data.data?.citations || [])
+        if (response.data.data?.chatId) setChatId(response.data.data.chatId)
+        return
+      }
+
+      let streamed = ''
+      const stream = chatService.startChatStream(
+        question,
+        documentsToUse,
+        (chunk) => {
+          streamed += chunk
+          setAnswer(streamed)
+        },
+        (data) => {
+          setAnswer(safeRender(data.fullResponse))
+          setCitations(data.citations || [])
+          if (data.chatId) setChatId(data.chatId)
+        },
+        (error) => {
+          console.error('❌ Chat error:', error)
+          if (error.chatId) setChatId(error.chatId)
+          // Keep whatever arrived before the failure
+          setAnswer(streamed ? `${streamed}\n\n${describeChatError(error)}` : describeChatError(error))
+        },
+        {
+          chatId,
+          onAbort: () => setAnswer(streamed ? `${streamed}\n\n⏹️ Generation stopped.` : '⏹️ Generation stopped.')
+        }
+      )
+      streamRef.current = stream
+      await stream.finished
     } catch (error) {
       console.error('❌ Chat error:', error)
-      
-      // Handle specific error types from the backend
-      if (error.response?.status === 503) {
-        const errorData = error.response.data;
-        if (errorData.code === 'SERVICE_OVERLOADED') {
-          setAnswer(`⚠️ The AI service is currently experiencing high demand. This is normal during peak hours.\n\n🔄 Please try again in a few moments. The system will automatically retry failed requests.\n\n💡 Tip: You can try asking a simpler question or selecting fewer documents to reduce processing time.`);
-        } else {
-          setAnswer('⚠️ The AI service is temporarily unavailable. Please try again in a few moments.');
-        }
-      } else if (error.response?.status === 429) {
-        const errorData = error.response.data;
-        if (errorData.code === 'QUOTA_EXCEEDED') {
-          setAnswer('⚠️ Daily AI usage limit reached. Please try again tomorrow or contact support for increased limits.');
-        } else {
-          setAnswer('⚠️ Rate limit exceeded. Please wait a moment before trying again.');
-        }
-      } else {
-        setAnswer('Error: ' + (error.response?.data?.error || error.message));
-      }
-    } finally { setBusy(false) }
+      setAnswer(describeChatError(error))
+    } finally {
+      streamRef.current = null
+      setBusy(false)
+    }
+  }
+
+  const stopGenerating = () => {
+    streamRef.current?.cancel()
+  }
+
+  const startNewChat = () => {
+    setChatId(null)
+    setAnswer('')
+    setCitations([])
+    setQuestion('')
   }
 
   return (
@@ -665,7 +799,7 @@ function Chat({ token, lastUpload }) {
         
         <div className="grid gap-3">
           {/* Upload Limit Indicator */}
-          {uploadLimit.max > 0 && (
+          {uploadLimit.max !== undefined && (
             <motion.div 
               className="flex items-center justify-between p-3 bg-gradient-to-r from-blue-50 to-purple-50 dark:from-blue-900/20 dark:to-purple-900/20 rounded-xl border border-blue-200 dark:border-blue-700 mb-4"
               initial={{ opacity: 0, y: -10 }}
@@ -674,9 +808,12 @@ function Chat({ token, lastUpload }) {
               <div className="flex items-center space-x-2">
                 <BarChart3 className="w-4 h-4 text-blue-600" />
                 <span className="text-sm font-medium text-blue-800 dark:text-blue-200">
-                  Storage: {safeRender(uploadLimit.current)}/{safeRender(uploadLimit.max)} documents
+                  Storage: {safeRender(uploadLimit.current)}{uploadLimit.max !== null && <>/{safeRender(uploadLimit.max)}</>} documents
+                  {uploadLimit.storageLimit > 0 && (
+                    <> · {(uploadLimit.storageUsed / (1024 * 1024)).toFixed(1)}/{Math.round(uploadLimit.storageLimit / (1024 * 1024))} MB</>
+                  )}
                 </span>
-                {uploadLimit.remaining <= 1 && (
+                {uploadLimit.remaining !== null && uploadLimit.remaining <= 1 && (
                   <div className="flex items-center space-x-1 text-orange-600">
                     <AlertCircle className="w-3 h-3" />
                     <span className="text-xs">Almost full!</span>
@@ -712,6 +849,45 @@ function Chat({ token, lastUpload }) {
                   <p className="font-semibold text-gray-900 dark:text-gray-100 truncate">
                     {safeRender(d.originalName)}
                   </p>
+                  {d.owner && (
+                    <p className="text-xs text-gray-500 dark:text-gray-400 truncate">
+                      {d.sharedWithYou
+                        ? <>Shared by {safeRender(d.owner.name || d.owner.email)} · {d.role === 'editor' ? 'Editor' : 'Viewer'}</>
+                        : <>Uploaded by {safeRender(d.owner.name || d.owner.email)}</>}
+                    </p>
+                  )}
+                  {d.metadata?.textQuality?.flagged && (
+                    <p className="text-xs text-orange-600 dark:text-orange-400 flex items-center gap-1" title="Parts of the extracted text look like binary data">
+                      <AlertCircle className="w-3 h-3" /> Some text could not be read
+                    </p>
+                  )}
+                  {d.indexing?.status === 'indexing' && (
+                    <p className="text-xs text-blue-600 dark:text-blue-400 flex items-center gap-1">
+                      <Loader2 className="w-3 h-3 animate-spin" /> Reading text{d.indexing.progress?.stage ? ` (${d.indexing.progress.stage})` : ''}…
+                    </p>
+                  )}
+                  {d.indexing?.status === 'failed' && (
+                    <p className="text-xs text-red-600 dark:text-red-400 flex items-center gap-1" title={d.indexing.error || ''}>
+                      <AlertCircle className="w-3 h-3" /> Indexing failed
+                    </p>
+                  )}
+                  {d.metadata?.ocr && (
+                    <p
+                      className={`text-xs flex items-center gap-1 ${d.metadata.ocr.skippedPages?.length ? 'text-orange-600 dark:text-orange-400' : 'text-gray-500 dark:text-gray-400'}`}
+                      title={d.metadata.ocr.skippedPages?.length ? `Scanned pages not read: ${d.metadata.ocr.skippedPages.join(', ')}` : 'Text recognized from scanned pages'}
+                    >
+                      <ScanText className="w-3 h-3" />
+                      {d.metadata.ocr.pages?.length
+                        ? <>OCR on {d.metadata.ocr.pages.length} {d.metadata.ocr.pages.length === 1 ? 'page' : 'pages'}, {d.metadata.ocr.averageConfidence}% confidence</>
+                        : <>Scanned pages were not read</>}
+                      {d.metadata.ocr.pages?.length > 0 && d.metadata.ocr.skippedPages?.length > 0 && <>, {d.metadata.ocr.skippedPages.length} not read</>}
+                    </p>
+                  )}
+                  {d.role === 'owner' && d.sharedWith?.length > 0 && (
+                    <p className="text-xs text-gray-500 dark:text-gray-400">
+                      Shared with {d.sharedWith.length} {d.sharedWith.length === 1 ? 'person' : 'people'}
+                    </p>
+                  )}
                 </div>
                 <div className="flex items-center space-x-2 opacity-0 group-hover:opacity-100 transition-opacity">
                   <button
@@ -724,18 +900,44 @@ function Chat({ token, lastUpload }) {
                   >
                     <Eye className="w-4 h-4" />
                   </button>
-                  <button
-                    onClick={(e) => {
-                      e.stopPropagation()
-                      if (confirm(`Are you sure you want to delete "${safeRender(d.originalName)}"`)) {
-                        deleteDocument(d._id)
-                      }
-                    }}
-                    className="p-2 text-red-600 hover:bg-red-100 dark:hover:bg-red-800/50 rounded-lg transition-colors"
-                    title="Delete Document"
-                  >
-                    <Trash2 className="w-4 h-4" />
-                  </button>
+                  {d.role === 'owner' && (
+                    <button
+                      onClick={(e) => {
+                        e.stopPropagation()
+                        setSharingDocument(d)
+                      }}
+                      className="p-2 text-purple-600 hover:bg-purple-100 dark:hover:bg-purple-800/50 rounded-lg transition-colors"
+                      title="Share Document"
+                    >
+                      <Users className="w-4 h-4" />
+                    </button>
+                  )}
+                  {d.role !== 'viewer' && (
+                    <>
+                      <button
+                        onClick={(e) => {
+                          e.stopPropagation()
+                          renameDocument(d)
+                        }}
+                        className="p-2 text-gray-600 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors"
+                        title="Rename Document"
+                      >
+                        <Pencil className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={(e) => {
+                          e.stopPropagation()
+                          if (confirm(`Are you sure you want to delete "${safeRender(d.originalName)}"`)) {
+                            deleteDocument(d._id)
+                          }
+                        }}
+                        className="p-2 text-red-600 hover:bg-red-100 dark:hover:bg-red-800/50 rounded-lg transition-colors"
+                        title="Delete Document"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </>
+                  )}
                 </div>
               </motion.div>
             ))
@@ -836,9 +1038,33 @@ function Chat({ token, lastUpload }) {
             </motion.div>
           </div>
           
-          <div className="flex justify-end">
-            <motion.button 
-              onClick={ask} 
+          <div className="flex items-center justify-end gap-3">
+            {chatId && (
+              <motion.button
+                onClick={startNewChat}
+                disabled={busy}
+                className="btn btn-outline h-12"
+                title="Follow-up questions continue the current conversation"
+                initial={{ opacity: 0, x: 10 }}
+                animate={{ opacity: 1, x: 0 }}
+              >
+                <MessageSquarePlus className="w-5 h-5 mr-2" />
+                New chat
+              </motion.button>
+            )}
+            {busy && import.meta.env.VITE_MOCK_API !== 'true' && (
+              <motion.button
+                onClick={stopGenerating}
+                className="btn btn-outline h-12"
+                initial={{ opacity: 0, x: 10 }}
+                animate={{ opacity: 1, x: 0 }}
+              >
+                <Square className="w-5 h-5 mr-2" />
+                Stop generating
+              </motion.button>
+            )}
+            <motion.button
+              onClick={ask}
               disabled={busy || docs.length === 0} 
               className="btn btn-primary min-w-32 h-12"
               whileHover={{ scale: busy || docs.length === 0 ? 1 : 1.05 }}
@@ -889,6 +1115,33 @@ function Chat({ token, lastUpload }) {
               >
                 {safeRender(answer)}
               </motion.pre>
+              {citations.length > 0 && (
+                <div className="mt-4 pt-4 border-t border-brand-200 dark:border-brand-700 space-y-2">
+                  <h5 className="text-xs font-semibold uppercase tracking-wide text-brand-700 dark:text-brand-300 flex items-center">
+                    <Quote className="w-3 h-3 mr-1" />
+                    Sources
+                  </h5>
+                  {citations.map(citation => {
+                    const available = docs.some(d => d._id === citation.documentId)
+                    return (
+                      <button
+                        key={citation.marker}
+                        onClick={() => openCitation(citation)}
+                        disabled={!available}
+                        className="w-full text-left p-2 rounded-lg bg-white/60 dark:bg-gray-800/60 hover:bg-white dark:hover:bg-gray-800 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                        title={available ? 'Open cited passage' : 'Document no longer available'}
+                      >
+                        <div className="text-xs font-medium text-gray-800 dark:text-gray-200">
+                          [{citation.marker}] {safeRender(citation.documentName)}{citation.sheet ? ` · ${safeRender(citation.sheet)} rows ${citation.rowStart}–${citation.rowEnd}` : citation.page ? ` · p.${citation.page}` : ''}
+                        </div>
+                        {citation.excerpt && (
+                          <p className="text-xs text-gray-500 dark:text-gray-400 line-clamp-2">{safeRender(citation.excerpt)}</p>
+                        )}
+                      </button>
+                    )
+                  })}
+                </div>
+              )}
             </motion.div>
           )}
         </AnimatePresence>
@@ -899,6 +1152,7 @@ function Chat({ token, lastUpload }) {
         document={selectedDocument} 
         isOpen={isDocViewerOpen} 
         onClose={() => setIsDocViewerOpen(false)} 
+        highlight={highlight}
       />
       
       <Profile 
@@ -911,6 +1165,14 @@ function Chat({ token, lastUpload }) {
         isOpen={isChatHistoryOpen} 
         onClose={() => setIsChatHistoryOpen(false)} 
         onSelectChat={handleChatHistorySelect} 
+        documents={docs}
+      />
+
+      <DocumentSharing
+        document={sharingDocument}
+        isOpen={!!sharingDocument}
+        onClose={() => setSharingDocument(null)}
+        onSharesChange={(shares) => setDocs(prev => prev.map(d => d._id === sharingDocument._id ? { ...d, sharedWith: shares } : d))}
       />
     </GlassCard>
   )
@@ -1025,6 +1287,7 @@ export default function App() {
           </motion.div>
           
           <div className="flex items-center gap-4">
+            <WorkspaceSwitcher />
             <ThemeToggle theme={theme.theme} onToggle={theme.toggle} />
             <motion.button
               onClick={() => setShowProfile(true)}
@@ -1070,10 +1333,11 @@ export default function App() {
                     </div>
                     <div>
                       <p className="text-sm font-medium text-green-800 dark:text-green-200">
-                        Successfully processed!
+                        {lastUpload.indexing?.status === 'indexing' ? 'Uploaded, still reading the text…' : 'Successfully processed!'}
                       </p>
                       <p className="text-xs text-green-600 dark:text-green-400">
-                        {safeRender(lastUpload.filename)} • {safeRender(lastUpload.chunks)} chunks
+                        {safeRender(lastUpload.filename)}
+                        {lastUpload.indexing?.status === 'indexing' ? ' • ready in a few minutes' : <> • {safeRender(lastUpload.chunks)} chunks</>}
                       </p>
                     </div>
                   </div>
@@ -81,13 +81,14 @@ if (import.meta.env.VITE_MOCK_API === 'true') {
 
 // Chat service functions
 export const chatService = {
-  // Regular chat with optimized settings
-  async chat(question, documentIds = null) {
+  // Regular chat with optimized settings; pass options.chatId to continue a conversation
+  async chat(question, documentIds = null, options = {}) {
     try {
       const token = localStorage.getItem('token')
       const response = await api.post('/api/chat', {
         question,
         documentIds,
+        chatId: options.chatId,
         type: 'question'
       }, {
         headers: {
@@ -103,8 +104,9 @@ export const chatService = {
     }
   },
 
-  // Streaming chat for real-time responses
-  async chatStream(question, documentIds = null, onChunk, onComplete, onError) {
+  // Streaming chat for real-time responses. options.signal (an AbortSignal) cancels the request,
+  // which also stops generation on the server; options.onAbort is called instead of onError then
+  async chatStream(question, documentIds = null, onChunk, onComplete, onError, options = {}) {
     try {
       const token = localStorage.getItem('token')
       const response = await fetch(`${API_BASE}/api/chat/stream`, {
@@ -115,12 +117,18 @@ export const chatService = {
         },
         body: JSON.stringify({
           question,
-          documentIds
-        })
+          documentIds,
+          chatId: options.chatId
+        }),
+        signal: options.signal
       })
 
       if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`)
+        const body = await response.json().catch(() => ({}))
+        const error = new Error(body.error || `HTTP error! status: ${response.status}`)
+        error.status = response.status
+        error.code = body.code
+        throw error
       }
 
       const reader = response.body.getReader()
@@ -140,7 +148,9 @@ export const chatService = {
             try {
               const data = JSON.parse(line.substring(6))
               if (data.error) {
-                onError(new Error(data.error))
+                const error = new Error(data.error)
+                error.chatId = data.chatId
+                onError(error)
               } else if (data.done) {
                 onComplete(data)
               } else if (data.chunk) {
@@ -153,11 +163,29 @@ export const chatService = {
         }
       }
     } catch (error) {
+      if (error.name === 'AbortError') {
+        console.log('⏹️ Streaming chat cancelled')
+        options.onAbort?.()
+        return
+      }
       console.error('❌ Streaming chat failed:', error)
       onError(error)
     }
   },
 
+  // Start a streaming chat that can be cancelled: returns { cancel, finished }
+  startChatStream(question, documentIds, onChunk, onComplete, onError, options = {}) {
+    const controller = new AbortController()
+    const finished = this.chatStream(question, documentIds, onChunk, onComplete, onError, {
+      ...options,
+      signal: controller.signal
+    })
+    return {
+      cancel: () => controller.abort(),
+      finished
+    }
+  },
+
   // Document summarization
   async summarize(documentIds = null) {
     try {
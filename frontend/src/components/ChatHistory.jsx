@@ -11,21 +11,74 @@ import {
   Bot,
   User,
   Search,
-  Filter
+  Filter,
+  ArrowLeft,
+  ChevronLeft,
+  ChevronRight,
+  RefreshCw,
+  Pencil,
+  Download,
+  Upload,
+  Share2,
+  Copy
 } from 'lucide-react'
 
-const ChatHistory = ({ isOpen, onClose, onSelectChat }) => {
+// Text with the [start, end) ranges the search matched wrapped in <mark>
+const Highlighted = ({ text = '', ranges = [] }) => {
+  const parts = []
+  let last = 0
+  ranges.forEach(([start, end], i) => {
+    if (start > last) parts.push(text.slice(last, start))
+    parts.push(
+      <mark key={i} className="bg-yellow-200 dark:bg-yellow-600/60 text-inherit rounded px-0.5">
+        {text.slice(start, end)}
+      </mark>
+    )
+    last = end
+  })
+  parts.push(text.slice(last))
+  return <>{parts}</>
+}
+
+// Start of the period picked in the time filter, or null for all time
+const periodStart = (filterBy) => {
+  const now = new Date()
+  if (filterBy === 'today') return new Date(now.getFullYear(), now.getMonth(), now.getDate())
+  if (filterBy === 'week') return new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000)
+  if (filterBy === 'month') return new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000)
+  return null
+}
+
+// Populated documents attached to a chat (deleted ones come back as null)
+const chatDocuments = (chat) => (chat.documentIds || []).filter(doc => doc && typeof doc === 'object')
+
+const ChatHistory = ({ isOpen, onClose, onSelectChat, documents = [] }) => {
   const [chatHistories, setChatHistories] = useState([])
   const [filteredChats, setFilteredChats] = useState([])
   const [isLoading, setIsLoading] = useState(false)
   const [searchTerm, setSearchTerm] = useState('')
   const [filterBy, setFilterBy] = useState('all')
+  const [documentFilter, setDocumentFilter] = useState('all')
+  const [searchResults, setSearchResults] = useState(null)
+  const [searchPagination, setSearchPagination] = useState({})
+  const [isSearching, setIsSearching] = useState(false)
+  const [exportFormat, setExportFormat] = useState('md')
+  const [isExporting, setIsExporting] = useState(false)
+  const [importReport, setImportReport] = useState(null)
   const [pagination, setPagination] = useState({})
+  const [selectedChat, setSelectedChat] = useState(null)
+  const [editing, setEditing] = useState(null)
+  const [pendingMessageId, setPendingMessageId] = useState(null)
+  const [actionError, setActionError] = useState('')
+  const [shares, setShares] = useState(null)
+  const [shareExpiry, setShareExpiry] = useState('')
   
   const historyRef = useRef()
+  const importInputRef = useRef()
 
   useEffect(() => {
     if (isOpen) {
+      setSelectedChat(null)
       fetchChatHistories()
     }
   }, [isOpen])
@@ -41,7 +94,17 @@ const ChatHistory = ({ isOpen, onClose, onSelectChat }) => {
 
   useEffect(() => {
     filterChats()
-  }, [chatHistories, searchTerm, filterBy])
+  }, [chatHistories, filterBy, documentFilter])
+
+  // Typing a query searches message contents on the server (debounced)
+  useEffect(() => {
+    if (!isOpen || searchTerm.trim().length < 2) {
+      setSearchResults(null)
+      return
+    }
+    const timer = setTimeout(() => searchChats(1), 300)
+    return () => clearTimeout(timer)
+  }, [isOpen, searchTerm, filterBy, documentFilter])
 
   const fetchChatHistories = async () => {
     setIsLoading(true)
@@ -61,35 +124,54 @@ const ChatHistory = ({ isOpen, onClose, onSelectChat }) => {
     }
   }
 
+  const searchChats = async (page) => {
+    setIsSearching(true)
+    try {
+      const params = new URLSearchParams({ q: searchTerm.trim(), page, limit: 20 })
+      const from = periodStart(filterBy)
+      if (from) params.set('from', from.toISOString())
+      if (documentFilter !== 'all') params.set('documentId', documentFilter)
+
+      const response = await fetch(`/api/chat-history/search?${params}`, {
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        }
+      })
+      const data = await response.json()
+      setSearchResults(prev => page > 1 ? [...(prev || []), ...(data.results || [])] : (data.results || []))
+      setSearchPagination(data.pagination || {})
+    } catch (error) {
+      console.error('Error searching chat history:', error)
+    } finally {
+      setIsSearching(false)
+    }
+  }
+
   const filterChats = () => {
     let filtered = chatHistories
 
-    // Search filter
-    if (searchTerm) {
-      const q = searchTerm.toLowerCase();
-      filtered = filtered.filter(chat => {
-        const title = typeof chat.title === 'string' ? chat.title.toLowerCase() : '';
-        const docName = typeof chat.documentId?.originalName === 'string' ? chat.documentId.originalName.toLowerCase() : '';
-        return title.includes(q) || docName.includes(q);
-      });
+    // Document filter
+    if (documentFilter !== 'all') {
+      filtered = filtered.filter(chat => chatDocuments(chat).some(doc => doc._id === documentFilter))
     }
 
     // Time filter
-    const now = new Date()
-    if (filterBy === 'today') {
-      const today = new Date(now.getFullYear(), now.getMonth(), now.getDate())
-      filtered = filtered.filter(chat => new Date(chat.updatedAt) >= today)
-    } else if (filterBy === 'week') {
-      const weekAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000)
-      filtered = filtered.filter(chat => new Date(chat.updatedAt) >= weekAgo)
-    } else if (filterBy === 'month') {
-      const monthAgo = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000)
-      filtered = filtered.filter(chat => new Date(chat.updatedAt) >= monthAgo)
+    const from = periodStart(filterBy)
+    if (from) {
+      filtered = filtered.filter(chat => new Date(chat.updatedAt) >= from)
     }
 
     setFilteredChats(filtered)
   }
 
+  // Every document that appears in a chat, for the document filter
+  const chatDocumentOptions = Object.values(
+    chatHistories.reduce((all, chat) => {
+      chatDocuments(chat).forEach(doc => { all[doc._id] = doc })
+      return all
+    }, {})
+  )
+
   const deleteChatHistory = async (chatId) => {
     try {
       const response = await fetch(`/api/chat-history/${chatId}`, {
@@ -107,6 +189,7 @@ const ChatHistory = ({ isOpen, onClose, onSelectChat }) => {
     }
   }
 
+  // The chat comes back with its active branch as messages, each listing its alternatives
   const loadChat = async (chatId) => {
     try {
       const response = await fetch(`/api/chat-history/${chatId}`, {
@@ -115,13 +198,224 @@ const ChatHistory = ({ isOpen, onClose, onSelectChat }) => {
         }
       })
       const chatData = await response.json()
-      onSelectChat(chatData)
-      onClose()
+      setSelectedChat(chatData)
+      setEditing(null)
+      setActionError('')
+      setShares(null)
     } catch (error) {
       console.error('Error loading chat:', error)
     }
   }
 
+  // Attach or detach documents; the next questions in this chat search the new set
+  const updateChatDocuments = async (documentIds) => {
+    setActionError('')
+    try {
+      const response = await fetch(`/api/chat-history/${selectedChat._id}/documents`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        },
+        body: JSON.stringify({ documentIds })
+      })
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || `Request failed (${response.status})`)
+      }
+      setSelectedChat(data)
+      setChatHistories(prev => prev.map(chat => chat._id === data._id ? { ...chat, documentIds: data.documentIds } : chat))
+    } catch (error) {
+      console.error('Error updating chat documents:', error)
+      setActionError(error.message)
+    }
+  }
+
+  // Download one chat, or every chat as a zip when chatId is omitted
+  const downloadExport = async (chatId) => {
+    setIsExporting(true)
+    try {
+      const url = chatId
+        ? `/api/chat-history/${chatId}/export?format=${exportFormat}`
+        : `/api/chat-history/export?format=${exportFormat}`
+      const response = await fetch(url, {
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        }
+      })
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}))
+        throw new Error(data.error || `Export failed (${response.status})`)
+      }
+      const fileName = response.headers.get('Content-Disposition')?.match(/filename="(.+)"/)?.[1] || `chat.${exportFormat}`
+      const link = document.createElement('a')
+      link.href = URL.createObjectURL(await response.blob())
+      link.download = fileName
+      link.click()
+      URL.revokeObjectURL(link.href)
+    } catch (error) {
+      console.error('Error exporting chat:', error)
+      setActionError(error.message)
+    } finally {
+      setIsExporting(false)
+    }
+  }
+
+  // Import chats from a JSON export; the report lists what could not be linked to your documents
+  const importChats = async (file) => {
+    setActionError('')
+    setImportReport(null)
+    try {
+      const body = await file.text()
+      JSON.parse(body)
+      const response = await fetch('/api/chat-history/import', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        },
+        body
+      })
+      const data = await response.json()
+      const notes = (data.results || []).flatMap(result => [
+        ...(result.error ? [`Chat ${result.index + 1}: ${result.error}`] : []),
+        ...(result.problems || []).map(problem => `Chat ${result.index + 1}: ${problem}`),
+        ...(result.unresolved || []).map(ref => `${ref.type === 'document' ? 'Document' : `Citation [${ref.marker}]`} ${ref.name || ref.id || ''}: ${ref.reason}`)
+      ])
+      setImportReport({
+        success: response.ok,
+        message: response.ok ? `Imported ${data.imported} of ${data.results.length} chats` : data.error,
+        notes
+      })
+      if (response.ok) fetchChatHistories()
+    } catch (error) {
+      console.error('Error importing chats:', error)
+      setImportReport({ success: false, message: error instanceof SyntaxError ? 'The file is not valid JSON' : error.message, notes: [] })
+    }
+  }
+
+  // Public read-only links to the selected chat; shares is null while the panel is closed
+  const loadShares = async () => {
+    try {
+      const response = await fetch(`/api/chat-history/${selectedChat._id}/shares`, {
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        }
+      })
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || `Request failed (${response.status})`)
+      }
+      setShares(data)
+    } catch (error) {
+      console.error('Error loading share links:', error)
+      setActionError(error.message)
+    }
+  }
+
+  const createShare = async () => {
+    setActionError('')
+    try {
+      const response = await fetch(`/api/chat-history/${selectedChat._id}/shares`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        },
+        body: JSON.stringify({ expiresInDays: shareExpiry || null })
+      })
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || `Request failed (${response.status})`)
+      }
+      setShares(prev => [data, ...(prev || [])])
+      copyShareLink(data)
+    } catch (error) {
+      console.error('Error creating share link:', error)
+      setActionError(error.message)
+    }
+  }
+
+  const revokeShare = async (share) => {
+    try {
+      const response = await fetch(`/api/chat-history/${selectedChat._id}/shares/${share.id}`, {
+        method: 'DELETE',
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        }
+      })
+      if (response.ok) {
+        setShares(prev => prev.filter(s => s.id !== share.id))
+      }
+    } catch (error) {
+      console.error('Error revoking share link:', error)
+    }
+  }
+
+  const copyShareLink = (share) => {
+    navigator.clipboard?.writeText(`${window.location.origin}${share.path}`)
+      .catch(error => console.error('Error copying share link:', error))
+  }
+
+  const continueChat = () => {
+    onSelectChat(selectedChat)
+    onClose()
+  }
+
+  // Show another variant of a message (and the newest branch below it)
+  const switchBranch = async (messageId) => {
+    try {
+      const response = await fetch(`/api/chat-history/${selectedChat._id}/branch`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        },
+        body: JSON.stringify({ messageId })
+      })
+      if (response.ok) {
+        setSelectedChat(await response.json())
+      }
+    } catch (error) {
+      console.error('Error switching branch:', error)
+    }
+  }
+
+  // Regenerate an answer or resend an edited question; either creates a new branch
+  const runBranchAction = async (path, messageId, body = {}) => {
+    setPendingMessageId(messageId)
+    setActionError('')
+    try {
+      const response = await fetch(`/api/chat/${path}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        },
+        body: JSON.stringify({ chatId: selectedChat._id, messageId, ...body })
+      })
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}))
+        throw new Error(data.error || `Request failed (${response.status})`)
+      }
+      await loadChat(selectedChat._id)
+      fetchChatHistories()
+    } catch (error) {
+      console.error('Error updating chat:', error)
+      setActionError(error.message)
+    } finally {
+      setPendingMessageId(null)
+    }
+  }
+
+  const regenerate = (message) => runBranchAction('regenerate', message._id)
+
+  const resendEdit = () => {
+    if (!editing?.text.trim()) return
+    runBranchAction('edit', editing.messageId, { question: editing.text.trim() })
+    setEditing(null)
+  }
+
   const formatDate = (dateString) => {
     const date = new Date(dateString)
     const now = new Date()
@@ -173,8 +467,20 @@ const ChatHistory = ({ isOpen, onClose, onSelectChat }) => {
           <div className="bg-gradient-to-r from-green-600 to-teal-600 p-6 text-white">
             <div className="flex items-center justify-between mb-4">
               <div className="flex items-center space-x-3">
-                <MessageCircle className="w-6 h-6" />
-                <h2 className="text-xl font-bold">Chat History</h2>
+                {selectedChat ? (
+                  <button
+                    onClick={() => setSelectedChat(null)}
+                    className="p-1 hover:bg-white/20 rounded-full transition-colors"
+                    title="Back to all chats"
+                  >
+                    <ArrowLeft className="w-6 h-6" />
+                  </button>
+                ) : (
+                  <MessageCircle className="w-6 h-6" />
+                )}
+                <h2 className="text-xl font-bold line-clamp-1">
+                  {selectedChat ? selectedChat.title : 'Chat History'}
+                </h2>
               </div>
               <button
                 onClick={onClose}
@@ -185,12 +491,12 @@ const ChatHistory = ({ isOpen, onClose, onSelectChat }) => {
             </div>
 
             {/* Search and Filter */}
-            <div className="flex space-x-4">
+            {!selectedChat && <div className="flex space-x-4">
               <div className="flex-1 relative">
                 <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 w-4 h-4 text-white/60" />
                 <input
                   type="text"
-                  placeholder="Search chats..."
+                  placeholder="Search messages, titles and documents..."
                   value={searchTerm}
                   onChange={(e) => setSearchTerm(e.target.value)}
                   className="w-full pl-10 pr-4 py-2 bg-white/20 border border-white/30 rounded-lg text-white placeholder-white/60 focus:outline-none focus:ring-2 focus:ring-white/50"
@@ -209,12 +515,296 @@ const ChatHistory = ({ isOpen, onClose, onSelectChat }) => {
                 </select>
                 <Filter className="absolute right-2 top-1/2 transform -translate-y-1/2 w-4 h-4 text-white/60 pointer-events-none" />
               </div>
-            </div>
+              {chatDocumentOptions.length > 1 && (
+                <div className="relative">
+                  <select
+                    value={documentFilter}
+                    onChange={(e) => setDocumentFilter(e.target.value)}
+                    className="appearance-none bg-white/20 border border-white/30 rounded-lg px-4 py-2 text-white focus:outline-none focus:ring-2 focus:ring-white/50 pr-8 max-w-40 truncate"
+                  >
+                    <option value="all">All Documents</option>
+                    {chatDocumentOptions.map(doc => (
+                      <option key={doc._id} value={doc._id}>{doc.originalName}</option>
+                    ))}
+                  </select>
+                  <FileText className="absolute right-2 top-1/2 transform -translate-y-1/2 w-4 h-4 text-white/60 pointer-events-none" />
+                </div>
+              )}
+            </div>}
           </div>
 
           {/* Content */}
           <div className="p-6 max-h-[60vh] overflow-y-auto">
-            {isLoading ? (
+            {selectedChat ? (
+              <div className="space-y-4">
+                {/* Documents this chat searches */}
+                <div className="flex flex-wrap items-center gap-2">
+                  {chatDocuments(selectedChat).map(doc => (
+                    <span
+                      key={doc._id}
+                      className="flex items-center space-x-1 px-2 py-1 text-xs rounded-full bg-gray-100 dark:bg-gray-800 text-gray-700 dark:text-gray-300"
+                    >
+                      <FileText className="w-3 h-3" />
+                      <span className="truncate max-w-40">{doc.originalName}</span>
+                      {chatDocuments(selectedChat).length > 1 && (
+                        <button
+                          onClick={() => updateChatDocuments(chatDocuments(selectedChat).filter(d => d._id !== doc._id).map(d => d._id))}
+                          className="hover:text-red-500"
+                          title="Remove from this chat"
+                        >
+                          <X className="w-3 h-3" />
+                        </button>
+                      )}
+                    </span>
+                  ))}
+                  {documents.some(doc => !chatDocuments(selectedChat).some(d => d._id === doc._id)) && (
+                    <select
+                      value=""
+                      onChange={(e) => e.target.value && updateChatDocuments([...chatDocuments(selectedChat).map(d => d._id), e.target.value])}
+                      className="px-2 py-1 text-xs rounded-full border border-dashed border-gray-300 dark:border-gray-600 bg-transparent text-gray-500 dark:text-gray-400 focus:outline-none"
+                    >
+                      <option value="">+ Add document</option>
+                      {documents
+                        .filter(doc => !chatDocuments(selectedChat).some(d => d._id === doc._id))
+                        .map(doc => (
+                          <option key={doc._id} value={doc._id}>{doc.originalName}</option>
+                        ))}
+                    </select>
+                  )}
+                </div>
+                {actionError && (
+                  <p className="text-sm text-red-600 dark:text-red-400">{actionError}</p>
+                )}
+                {/* Share links: anyone with the link can read the chat and its cited excerpts */}
+                {shares && (
+                  <div className="rounded-xl border border-gray-200 dark:border-gray-700 p-4 space-y-3 text-sm">
+                    <div className="flex items-center justify-between">
+                      <span className="font-medium text-gray-800 dark:text-gray-200">Share a read-only link</span>
+                      <div className="flex items-center space-x-2">
+                        <select
+                          value={shareExpiry}
+                          onChange={(e) => setShareExpiry(e.target.value)}
+                          className="px-2 py-1 text-xs rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-700 dark:text-gray-200 focus:outline-none"
+                        >
+                          <option value="">Never expires</option>
+                          <option value="1">Expires in 1 day</option>
+                          <option value="7">Expires in 7 days</option>
+                          <option value="30">Expires in 30 days</option>
+                        </select>
+                        <button
+                          onClick={createShare}
+                          className="px-3 py-1 text-xs rounded-lg bg-green-600 text-white hover:bg-green-700"
+                        >
+                          Create link
+                        </button>
+                      </div>
+                    </div>
+                    {shares.length === 0 ? (
+                      <p className="text-xs text-gray-500 dark:text-gray-400">This chat has no active share links.</p>
+                    ) : (
+                      shares.map(share => (
+                        <div key={share.id} className="flex items-center justify-between text-xs text-gray-600 dark:text-gray-400">
+                          <span className="truncate">
+                            {window.location.origin}{share.path}
+                            <span className="ml-2 text-gray-400">
+                              {share.views} views · {share.expiresAt ? `expires ${new Date(share.expiresAt).toLocaleDateString()}` : 'no expiry'}
+                            </span>
+                          </span>
+                          <span className="flex items-center space-x-1 ml-2">
+                            <button
+                              onClick={() => copyShareLink(share)}
+                              className="p-1 rounded hover:bg-gray-200 dark:hover:bg-gray-700"
+                              title="Copy link"
+                            >
+                              <Copy className="w-3 h-3" />
+                            </button>
+                            <button
+                              onClick={() => revokeShare(share)}
+                              className="p-1 rounded hover:bg-gray-200 dark:hover:bg-gray-700 hover:text-red-500"
+                              title="Revoke link"
+                            >
+                              <Trash2 className="w-3 h-3" />
+                            </button>
+                          </span>
+                        </div>
+                      ))
+                    )}
+                  </div>
+                )}
+                {(selectedChat.messages || []).map((message) => {
+                  const { index = 0, count = 1, messageIds = [] } = message.alternatives || {}
+                  const isUser = message.role === 'user'
+                  const isEditing = editing?.messageId === message._id
+                  const isPending = pendingMessageId === message._id
+
+                  return (
+                    <div
+                      key={message._id}
+                      className={`rounded-xl p-4 ${isUser ? 'bg-green-50 dark:bg-green-900/20' : 'bg-gray-50 dark:bg-gray-800'}`}
+                    >
+                      <div className="flex items-center justify-between mb-2 text-xs text-gray-500 dark:text-gray-400">
+                        <span className="flex items-center space-x-1">
+                          {isUser ? <User className="w-3 h-3" /> : <Bot className="w-3 h-3" />}
+                          <span>{isUser ? 'You' : 'Assistant'}</span>
+                        </span>
+                        <div className="flex items-center space-x-2">
+                          {count > 1 && (
+                            <span className="flex items-center space-x-1">
+                              <button
+                                onClick={() => switchBranch(messageIds[index - 1])}
+                                disabled={index === 0 || !!pendingMessageId}
+                                className="p-0.5 rounded hover:bg-gray-200 dark:hover:bg-gray-700 disabled:opacity-30"
+                                title={isUser ? 'Previous version' : 'Previous answer'}
+                              >
+                                <ChevronLeft className="w-3 h-3" />
+                              </button>
+                              <span>{index + 1}/{count}</span>
+                              <button
+                                onClick={() => switchBranch(messageIds[index + 1])}
+                                disabled={index === count - 1 || !!pendingMessageId}
+                                className="p-0.5 rounded hover:bg-gray-200 dark:hover:bg-gray-700 disabled:opacity-30"
+                                title={isUser ? 'Next version' : 'Next answer'}
+                              >
+                                <ChevronRight className="w-3 h-3" />
+                              </button>
+                            </span>
+                          )}
+                          {isUser ? (
+                            <button
+                              onClick={() => setEditing({ messageId: message._id, text: message.content })}
+                              disabled={!!pendingMessageId}
+                              className="p-1 rounded hover:bg-gray-200 dark:hover:bg-gray-700 disabled:opacity-30"
+                              title="Edit and resend"
+                            >
+                              <Pencil className="w-3 h-3" />
+                            </button>
+                          ) : (
+                            <button
+                              onClick={() => regenerate(message)}
+                              disabled={!!pendingMessageId}
+                              className="p-1 rounded hover:bg-gray-200 dark:hover:bg-gray-700 disabled:opacity-30"
+                              title="Regenerate answer"
+                            >
+                              <RefreshCw className={`w-3 h-3 ${isPending ? 'animate-spin' : ''}`} />
+                            </button>
+                          )}
+                        </div>
+                      </div>
+
+                      {isEditing ? (
+                        <div className="space-y-2">
+                          <textarea
+                            value={editing.text}
+                            onChange={(e) => setEditing({ ...editing, text: e.target.value })}
+                            rows={3}
+                            className="w-full p-2 text-sm rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-200 focus:outline-none focus:ring-2 focus:ring-green-500"
+                          />
+                          <div className="flex justify-end space-x-2">
+                            <button
+                              onClick={() => setEditing(null)}
+                              className="px-3 py-1 text-sm rounded-lg text-gray-600 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-700"
+                            >
+                              Cancel
+                            </button>
+                            <button
+                              onClick={resendEdit}
+                              disabled={!editing.text.trim()}
+                              className="px-3 py-1 text-sm rounded-lg bg-green-600 text-white hover:bg-green-700 disabled:opacity-50"
+                            >
+                              Save & resend
+                            </button>
+                          </div>
+                        </div>
+                      ) : (
+                        <p className={`text-sm text-gray-800 dark:text-gray-200 whitespace-pre-wrap ${isPending && isUser ? 'opacity-50' : ''}`}>
+                          {message.content}
+                          {message.partial && (
+                            <span className="block mt-1 text-xs text-amber-600">⚠️ This answer was interrupted before it finished.</span>
+                          )}
+                        </p>
+                      )}
+                    </div>
+                  )
+                })}
+              </div>
+            ) : importReport || actionError ? (
+              <div className={`rounded-xl p-4 text-sm ${importReport?.success ? 'bg-green-50 dark:bg-green-900/20 text-green-800 dark:text-green-300' : 'bg-red-50 dark:bg-red-900/20 text-red-700 dark:text-red-300'}`}>
+                <div className="flex items-start justify-between">
+                  <p className="font-medium">{importReport?.message || actionError}</p>
+                  <button
+                    onClick={() => { setImportReport(null); setActionError('') }}
+                    className="p-1 rounded hover:bg-black/5"
+                  >
+                    <X className="w-4 h-4" />
+                  </button>
+                </div>
+                {importReport?.notes.length > 0 && (
+                  <ul className="mt-2 space-y-1 text-xs list-disc pl-4">
+                    {importReport.notes.map((note, i) => <li key={i}>{note}</li>)}
+                  </ul>
+                )}
+              </div>
+            ) : searchResults !== null ? (
+              isSearching && searchResults.length === 0 ? (
+                <div className="flex items-center justify-center py-12">
+                  <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-green-600"></div>
+                  <span className="ml-3 text-gray-600 dark:text-gray-400">Searching...</span>
+                </div>
+              ) : searchResults.length === 0 ? (
+                <div className="text-center py-12">
+                  <Search className="w-12 h-12 text-gray-300 dark:text-gray-600 mx-auto mb-4" />
+                  <p className="text-gray-500 dark:text-gray-400">No messages match your search</p>
+                  <p className="text-sm text-gray-400 dark:text-gray-500 mt-2">Try other words or a wider time range</p>
+                </div>
+              ) : (
+                <div className="space-y-3">
+                  {searchResults.map(result => (
+                    <div
+                      key={result._id}
+                      className="bg-gray-50 dark:bg-gray-800 rounded-xl p-4 hover:shadow-md transition-all duration-200 cursor-pointer border border-transparent hover:border-green-200 dark:hover:border-green-700"
+                      onClick={() => loadChat(result._id)}
+                    >
+                      <div className="flex items-start justify-between mb-2">
+                        <div className="flex-1 min-w-0">
+                          <h3 className="font-medium text-gray-800 dark:text-gray-200 mb-1 line-clamp-1">
+                            <Highlighted text={result.title} ranges={result.titleHighlights} />
+                          </h3>
+                          <div className="flex items-center space-x-2 text-sm text-gray-500 dark:text-gray-400">
+                            <FileText className="w-3 h-3 flex-shrink-0" />
+                            <span className="truncate">
+                              {chatDocuments(result).map(doc => doc.originalName).join(', ') || 'Unknown Document'}
+                            </span>
+                          </div>
+                        </div>
+                        <span className="flex items-center space-x-1 text-xs text-gray-500 dark:text-gray-400">
+                          <Clock className="w-3 h-3" />
+                          <span>{formatDate(result.updatedAt)}</span>
+                        </span>
+                      </div>
+                      {result.snippets?.map(snippet => (
+                        <div key={snippet.messageId} className="mt-2 p-2 bg-white dark:bg-gray-700 rounded-lg flex items-start space-x-2">
+                          {snippet.role === 'user'
+                            ? <User className="w-3 h-3 mt-0.5 flex-shrink-0 text-gray-400" />
+                            : <Bot className="w-3 h-3 mt-0.5 flex-shrink-0 text-gray-400" />}
+                          <p className="text-xs text-gray-600 dark:text-gray-300">
+                            <Highlighted text={snippet.text} ranges={snippet.highlights} />
+                          </p>
+                        </div>
+                      ))}
+                    </div>
+                  ))}
+                  {searchPagination.current < searchPagination.total && (
+                    <button
+                      onClick={() => searchChats(searchPagination.current + 1)}
+                      disabled={isSearching}
+                      className="w-full py-2 text-sm text-green-700 dark:text-green-400 hover:bg-green-50 dark:hover:bg-green-900/20 rounded-lg disabled:opacity-50"
+                    >
+                      {isSearching ? 'Loading...' : 'Show more results'}
+                    </button>
+                  )}
+                </div>
+              )
+            ) : isLoading ? (
               <div className="flex items-center justify-center py-12">
                 <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-green-600"></div>
                 <span className="ml-3 text-gray-600 dark:text-gray-400">Loading chat history...</span>
@@ -223,10 +813,10 @@ const ChatHistory = ({ isOpen, onClose, onSelectChat }) => {
               <div className="text-center py-12">
                 <MessageCircle className="w-12 h-12 text-gray-300 dark:text-gray-600 mx-auto mb-4" />
                 <p className="text-gray-500 dark:text-gray-400">
-                  {searchTerm || filterBy !== 'all' ? 'No chats match your search' : 'No chat history yet'}
+                  {filterBy !== 'all' || documentFilter !== 'all' ? 'No chats match your filters' : 'No chat history yet'}
                 </p>
                 <p className="text-sm text-gray-400 dark:text-gray-500 mt-2">
-                  {searchTerm || filterBy !== 'all' ? 'Try adjusting your search or filter' : 'Start a conversation with your documents to see history here'}
+                  {filterBy !== 'all' || documentFilter !== 'all' ? 'Try adjusting your filters' : 'Start a conversation with your documents to see history here'}
                 </p>
               </div>
             ) : (
@@ -246,8 +836,10 @@ const ChatHistory = ({ isOpen, onClose, onSelectChat }) => {
                           }
                         </h3>
                         <div className="flex items-center space-x-2 text-sm text-gray-500 dark:text-gray-400">
-                          <FileText className="w-3 h-3" />
-                          <span className="truncate">{chat.documentId?.originalName || 'Unknown Document'}</span>
+                          <FileText className="w-3 h-3 flex-shrink-0" />
+                          <span className="truncate">
+                            {chatDocuments(chat).map(doc => doc.originalName).join(', ') || 'Unknown Document'}
+                          </span>
                         </div>
                       </div>
                       <button
@@ -298,14 +890,82 @@ const ChatHistory = ({ isOpen, onClose, onSelectChat }) => {
           {/* Footer */}
           <div className="bg-gray-50 dark:bg-gray-800 px-6 py-4 flex justify-between items-center border-t border-gray-200 dark:border-gray-700">
             <div className="text-sm text-gray-500 dark:text-gray-400">
-              {filteredChats.length} of {pagination.count || 0} conversations
+              {selectedChat
+                ? `${selectedChat.messages?.length || 0} messages on this branch${selectedChat.branchCount > 1 ? ` · ${selectedChat.branchCount} branches` : ''}`
+                : searchResults !== null
+                  ? `${searchPagination.count || 0} matching conversations`
+                  : `${filteredChats.length} of ${pagination.count || 0} conversations`}
+            </div>
+            <div className="flex items-center space-x-2">
+              <select
+                value={exportFormat}
+                onChange={(e) => setExportFormat(e.target.value)}
+                className="px-2 py-2 text-sm rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-700 dark:text-gray-200 focus:outline-none"
+                title="Export format"
+              >
+                <option value="md">Markdown</option>
+                <option value="html">HTML</option>
+                <option value="pdf">PDF</option>
+                <option value="json">JSON</option>
+              </select>
+              <button
+                onClick={() => downloadExport(selectedChat?._id)}
+                disabled={isExporting || (!selectedChat && chatHistories.length === 0)}
+                className="flex items-center px-3 py-2 text-sm rounded-lg text-gray-700 dark:text-gray-200 hover:bg-gray-200 dark:hover:bg-gray-700 disabled:opacity-50"
+                title={selectedChat ? 'Download this conversation' : 'Download all conversations as a zip archive'}
+              >
+                <Download className="w-4 h-4 mr-1" />
+                {selectedChat ? 'Export' : 'Export all'}
+              </button>
+              {selectedChat && (
+                <button
+                  onClick={() => shares ? setShares(null) : loadShares()}
+                  className="flex items-center px-3 py-2 text-sm rounded-lg text-gray-700 dark:text-gray-200 hover:bg-gray-200 dark:hover:bg-gray-700"
+                  title="Share a read-only link to this conversation"
+                >
+                  <Share2 className="w-4 h-4 mr-1" />
+                  Share
+                </button>
+              )}
+              {!selectedChat && (
+                <>
+                  <input
+                    ref={importInputRef}
+                    type="file"
+                    accept=".json,application/json"
+                    className="hidden"
+                    onChange={(e) => {
+                      if (e.target.files[0]) importChats(e.target.files[0])
+                      e.target.value = ''
+                    }}
+                  />
+                  <button
+                    onClick={() => importInputRef.current?.click()}
+                    className="flex items-center px-3 py-2 text-sm rounded-lg text-gray-700 dark:text-gray-200 hover:bg-gray-200 dark:hover:bg-gray-700"
+                    title="Import chats from a JSON export"
+                  >
+                    <Upload className="w-4 h-4 mr-1" />
+                    Import
+                  </button>
+                </>
+              )}
+              {selectedChat ? (
+                <button
+                  onClick={continueChat}
+                  disabled={!!pendingMessageId}
+                  className="px-4 py-2 bg-gradient-to-r from-green-600 to-teal-600 text-white rounded-lg font-medium hover:shadow-lg transition-all duration-200 disabled:opacity-50"
+                >
+                  Continue this chat
+                </button>
+              ) : (
+                <button
+                  onClick={onClose}
+                  className="px-4 py-2 bg-gradient-to-r from-green-600 to-teal-600 text-white rounded-lg font-medium hover:shadow-lg transition-all duration-200"
+                >
+                  Close
+                </button>
+              )}
             </div>
-            <button
-              onClick={onClose}
-              className="px-4 py-2 bg-gradient-to-r from-green-600 to-teal-600 text-white rounded-lg font-medium hover:shadow-lg transition-all duration-200"
-            >
-              Close
-            </button>
           </div>
         </motion.div>
       </motion.div>
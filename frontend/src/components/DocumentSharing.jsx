@@ -0,0 +1,155 @@
+import React, { useState, useEffect } from 'react'
+import { motion, AnimatePresence } from 'framer-motion'
+import { Users, X, Trash2 } from 'lucide-react'
+
+// Owner's dialog for sharing a document with other registered users as viewer or editor
+const DocumentSharing = ({ document, isOpen, onClose, onSharesChange }) => {
+  const [shares, setShares] = useState([])
+  const [email, setEmail] = useState('')
+  const [role, setRole] = useState('viewer')
+  const [error, setError] = useState('')
+  const [busy, setBusy] = useState(false)
+
+  useEffect(() => {
+    if (isOpen && document) {
+      setError('')
+      setEmail('')
+      request('GET')
+    }
+  }, [isOpen, document])
+
+  // Every share endpoint answers with the current list of shares
+  const request = async (method, path = '', body) => {
+    setBusy(true)
+    try {
+      const response = await fetch(`/api/files/${document._id}/shares${path}`, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        },
+        body: body ? JSON.stringify(body) : undefined
+      })
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || `Request failed (${response.status})`)
+      }
+      setShares(data.shares)
+      if (method !== 'GET') onSharesChange?.(data.shares)
+      return true
+    } catch (error) {
+      console.error('Error updating document shares:', error)
+      setError(error.message)
+      return false
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const addShare = async (e) => {
+    e.preventDefault()
+    if (!email.trim()) return
+    setError('')
+    if (await request('POST', '', { email: email.trim(), role })) setEmail('')
+  }
+
+  if (!isOpen || !document) return null
+
+  return (
+    <AnimatePresence>
+      <motion.div
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        exit={{ opacity: 0 }}
+        className="fixed inset-0 z-50 bg-black/60 backdrop-blur-sm flex items-center justify-center p-4"
+        onClick={onClose}
+      >
+        <motion.div
+          initial={{ opacity: 0, scale: 0.9, y: 20 }}
+          animate={{ opacity: 1, scale: 1, y: 0 }}
+          exit={{ opacity: 0, scale: 0.9, y: 20 }}
+          transition={{ type: 'spring', duration: 0.5 }}
+          className="bg-white dark:bg-gray-900 rounded-2xl shadow-2xl w-full max-w-lg overflow-hidden"
+          onClick={(e) => e.stopPropagation()}
+        >
+          <div className="bg-gradient-to-r from-blue-600 to-purple-600 p-6 text-white flex items-center justify-between">
+            <div className="flex items-center space-x-3 min-w-0">
+              <Users className="w-6 h-6 flex-shrink-0" />
+              <h2 className="text-xl font-bold truncate">Share "{document.originalName}"</h2>
+            </div>
+            <button onClick={onClose} className="p-2 hover:bg-white/20 rounded-full transition-colors">
+              <X className="w-5 h-5" />
+            </button>
+          </div>
+
+          <div className="p-6 space-y-4">
+            <form onSubmit={addShare} className="flex space-x-2">
+              <input
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                placeholder="Email of a registered user"
+                className="flex-1 px-3 py-2 text-sm rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <select
+                value={role}
+                onChange={(e) => setRole(e.target.value)}
+                className="px-2 py-2 text-sm rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 focus:outline-none"
+              >
+                <option value="viewer">Viewer</option>
+                <option value="editor">Editor</option>
+              </select>
+              <button
+                type="submit"
+                disabled={busy || !email.trim()}
+                className="px-4 py-2 text-sm rounded-lg bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+              >
+                Share
+              </button>
+            </form>
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+              Viewers can read and chat with the document. Editors can also rename, re-index and delete it.
+            </p>
+            {error && <p className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+
+            {shares.length === 0 ? (
+              <p className="text-sm text-gray-500 dark:text-gray-400 text-center py-4">Only you have access to this document.</p>
+            ) : (
+              <div className="space-y-2">
+                {shares.map(share => (
+                  <div key={share.userId} className="flex items-center justify-between bg-gray-50 dark:bg-gray-800 rounded-lg px-3 py-2">
+                    <div className="min-w-0">
+                      <p className="text-sm font-medium truncate">{share.name || share.email}</p>
+                      <p className="text-xs text-gray-500 truncate">{share.email}</p>
+                    </div>
+                    <div className="flex items-center space-x-2">
+                      <select
+                        value={share.role}
+                        onChange={(e) => request('POST', '', { email: share.email, role: e.target.value })}
+                        disabled={busy}
+                        className="px-2 py-1 text-xs rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 focus:outline-none"
+                      >
+                        <option value="viewer">Viewer</option>
+                        <option value="editor">Editor</option>
+                      </select>
+                      <button
+                        onClick={() => request('DELETE', `/${share.userId}`)}
+                        disabled={busy}
+                        className="p-1 rounded text-red-600 hover:bg-red-100 dark:hover:bg-red-800/50"
+                        title="Stop sharing"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </motion.div>
+      </motion.div>
+    </AnimatePresence>
+  )
+}
+
+export default DocumentSharing
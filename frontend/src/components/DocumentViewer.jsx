@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react'
+import React, { useState, useEffect, useRef } from 'react'
 import { motion, AnimatePresence } from 'framer-motion'
 import {
   X,
@@ -6,13 +6,17 @@ import {
   Calendar,
   Eye,
   Download,
-  ArrowLeft
+  ArrowLeft,
+  Quote,
+  User
 } from 'lucide-react'
 
-const DocumentViewer = ({ document: doc, isOpen, onClose }) => {
+// highlight: optional cited passage { page, start, end, excerpt } to jump to
+const DocumentViewer = ({ document: doc, isOpen, onClose, highlight = null }) => {
   const [isLoading, setIsLoading] = useState(false)
   const [documentContent, setDocumentContent] = useState(null)
   const [showCloseHint, setShowCloseHint] = useState(false)
+  const highlightRef = useRef()
 
   useEffect(() => {
     if (isOpen && doc) {
@@ -24,6 +28,13 @@ const DocumentViewer = ({ document: doc, isOpen, onClose }) => {
     }
   }, [isOpen, doc])
 
+  // Scroll the cited passage into view once the text is rendered
+  useEffect(() => {
+    if (highlightRef.current) {
+      highlightRef.current.scrollIntoView({ behavior: 'smooth', block: 'center' })
+    }
+  }, [documentContent, highlight])
+
   const fetchDocumentContent = async () => {
     setIsLoading(true)
     try {
@@ -69,6 +80,23 @@ const DocumentViewer = ({ document: doc, isOpen, onClose }) => {
 
   const isPDF = doc?.mimeType === 'application/pdf' || doc?.filename?.toLowerCase().endsWith('.pdf')
   const totalPages = documentContent?.metadata?.pages || doc?.metadata?.pages || 1
+  const pdfUrl = `/uploads/${doc?.filename}${highlight?.page ? `#page=${highlight.page}` : ''}`
+
+  const renderText = (text) => {
+    const { start, end } = highlight || {}
+    if (typeof start !== 'number' || typeof end !== 'number' || end <= start || start >= text.length) {
+      return text
+    }
+    return (
+      <>
+        {text.slice(0, start)}
+        <mark ref={highlightRef} className="bg-yellow-200 dark:bg-yellow-700/60 text-inherit rounded px-0.5">
+          {text.slice(start, end)}
+        </mark>
+        {text.slice(end)}
+      </>
+    )
+  }
 
   const handleDownload = () => {
     if (doc?.filename) {
@@ -139,7 +167,7 @@ const DocumentViewer = ({ document: doc, isOpen, onClose }) => {
                     <span className="text-sm font-medium hidden sm:inline">Back</span>
                   </button>
                   <div className="flex-1">
-                    <h2 className="text-lg font-bold mb-1 truncate">{doc.originalName}</h2>
+                    <h2 className="text-lg font-bold mb-1 truncate" title={documentContent?.metadata?.title || undefined}>{doc.originalName}</h2>
                     <div className="flex items-center space-x-3 text-blue-100 text-sm">
                       <span className="flex items-center">
                         <FileText className="w-3 h-3 mr-1" />
@@ -155,6 +183,12 @@ const DocumentViewer = ({ document: doc, isOpen, onClose }) => {
                           PDF Document
                         </span>
                       )}
+                      {documentContent?.metadata?.author && (
+                        <span className="flex items-center truncate">
+                          <User className="w-3 h-3 mr-1" />
+                          {documentContent.metadata.author}
+                        </span>
+                      )}
                     </div>
                   </div>
                 </div>
@@ -215,14 +249,25 @@ const DocumentViewer = ({ document: doc, isOpen, onClose }) => {
                         </button>
                       </div>
                       
+                      {highlight?.excerpt && (
+                        <div className="absolute bottom-4 left-4 right-4 z-10 bg-black/80 text-white p-3 rounded-lg shadow-lg text-xs max-h-32 overflow-y-auto">
+                          <div className="flex items-center font-medium mb-1">
+                            <Quote className="w-3 h-3 mr-1" />
+                            Cited passage{highlight.sheet ? ` (${highlight.sheet}, rows ${highlight.rowStart}–${highlight.rowEnd})` : highlight.page ? ` (page ${highlight.page})` : ''}
+                          </div>
+                          <p className="text-white/80">{highlight.excerpt}</p>
+                        </div>
+                      )}
+
                       <object
-                        data={`/uploads/${doc.filename}`}
+                        key={pdfUrl}
+                        data={pdfUrl}
                         type="application/pdf"
                         className="w-full h-full border-0"
                         title={doc.originalName}
                       >
                         <embed
-                          src={`/uploads/${doc.filename}`}
+                          src={pdfUrl}
                           type="application/pdf"
                           className="w-full h-full border-0"
                           title={doc.originalName}
@@ -258,7 +303,7 @@ const DocumentViewer = ({ document: doc, isOpen, onClose }) => {
                           </h3>
                           <div className="prose prose-sm max-w-none dark:prose-invert">
                             <pre className="whitespace-pre-wrap text-sm leading-relaxed font-mono text-gray-800 dark:text-gray-200 bg-gray-50 dark:bg-gray-800 p-4 rounded border overflow-x-auto">
-                              {documentContent.fullText || 'No content available'}
+                              {documentContent.fullText ? renderText(documentContent.fullText) : 'No content available'}
                             </pre>
                           </div>
                           {documentContent.fullText?.length > 5000 && (
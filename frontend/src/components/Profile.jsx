@@ -18,7 +18,11 @@ import {
   Sparkles,
   Clock,
   Target,
-  LogOut
+  LogOut,
+  Link2,
+  Copy,
+  Trash2,
+  Gauge
 } from 'lucide-react'
 
 const Profile = ({ isOpen, onClose, user, onLogout }) => {
@@ -29,6 +33,8 @@ const Profile = ({ isOpen, onClose, user, onLogout }) => {
   const [activeTab, setActiveTab] = useState('profile')
   const [isLoading, setIsLoading] = useState(false)
   const [analytics, setAnalytics] = useState(null)
+  const [shares, setShares] = useState([])
+  const [quota, setQuota] = useState(null)
   
   const fileInputRef = useRef()
   const profileRef = useRef()
@@ -37,6 +43,8 @@ const Profile = ({ isOpen, onClose, user, onLogout }) => {
     if (isOpen) {
       fetchProfileData()
       fetchAnalytics()
+      fetchQuota()
+      fetchShares()
     }
   }, [isOpen])
 
@@ -86,6 +94,50 @@ const Profile = ({ isOpen, onClose, user, onLogout }) => {
     }
   }
 
+  const fetchQuota = async () => {
+    try {
+      const response = await fetch('/api/profile/quota', {
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        }
+      })
+      if (response.ok) setQuota(await response.json())
+    } catch (error) {
+      console.error('Error fetching quota:', error)
+    }
+  }
+
+  const fetchShares = async () => {
+    try {
+      const response = await fetch('/api/profile/shares', {
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        }
+      })
+      if (response.ok) {
+        setShares(await response.json())
+      }
+    } catch (error) {
+      console.error('Error fetching shares:', error)
+    }
+  }
+
+  const revokeShare = async (share) => {
+    try {
+      const response = await fetch(`/api/chat-history/${share.chatId}/shares/${share.id}`, {
+        method: 'DELETE',
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        }
+      })
+      if (response.ok) {
+        setShares(prev => prev.filter(s => s.id !== share.id))
+      }
+    } catch (error) {
+      console.error('Error revoking share:', error)
+    }
+  }
+
   const handleAvatarChange = (e) => {
     const file = e.target.files[0]
     if (file) {
@@ -303,7 +355,8 @@ const Profile = ({ isOpen, onClose, user, onLogout }) => {
               {[
                 { id: 'profile', label: 'Profile Settings', icon: Settings },
                 { id: 'stats', label: 'Statistics', icon: BarChart3 },
-                { id: 'activity', label: 'Recent Activity', icon: Clock }
+                { id: 'activity', label: 'Recent Activity', icon: Clock },
+                { id: 'shares', label: 'Shared Links', icon: Link2 }
               ].map(tab => (
                 <button
                   key={tab.id}
@@ -458,6 +511,46 @@ const Profile = ({ isOpen, onClose, user, onLogout }) => {
                       </div>
                     )}
 
+                    {/* Plan & Quota */}
+                    {quota && (
+                      <div className="bg-gray-50 dark:bg-gray-800 rounded-lg p-4">
+                        <h4 className="font-medium text-gray-800 dark:text-gray-200 mb-3 flex items-center justify-between">
+                          <span className="flex items-center">
+                            <Gauge className="w-4 h-4 mr-2" />
+                            Plan & Quota
+                          </span>
+                          <span className="text-xs px-2 py-0.5 rounded-full bg-blue-100 text-blue-700 dark:bg-blue-900/40 dark:text-blue-300 capitalize">
+                            {quota.plan}
+                          </span>
+                        </h4>
+                        <div className="space-y-3 text-sm">
+                          {[
+                            { label: 'Documents', used: quota.usage.documents, limit: quota.limits.maxDocuments, format: n => n },
+                            { label: 'Storage', used: quota.usage.storageBytes, limit: quota.limits.maxStorageBytes, format: n => `${(n / 1024 / 1024).toFixed(1)} MB` },
+                            { label: 'AI tokens this month', used: quota.usage.tokensThisMonth, limit: quota.limits.monthlyTokens, format: n => n.toLocaleString() }
+                          ].map(({ label, used, limit, format }) => (
+                            <div key={label}>
+                              <div className="flex justify-between mb-1 text-gray-600 dark:text-gray-400">
+                                <span>{label}</span>
+                                <span className="font-medium">{format(used)} / {limit === null ? 'Unlimited' : format(limit)}</span>
+                              </div>
+                              {limit !== null && (
+                                <div className="h-2 rounded-full bg-gray-200 dark:bg-gray-700 overflow-hidden">
+                                  <div
+                                    className={`h-full rounded-full ${used >= limit ? 'bg-red-500' : used / limit > 0.8 ? 'bg-orange-500' : 'bg-blue-500'}`}
+                                    style={{ width: `${limit > 0 ? Math.min(100, (used / limit) * 100) : 100}%` }}
+                                  />
+                                </div>
+                              )}
+                            </div>
+                          ))}
+                          <p className="text-xs text-gray-500 dark:text-gray-400">
+                            Token budget resets {formatDate(quota.tokensResetAt)}. Your documents count across all workspaces.
+                          </p>
+                        </div>
+                      </div>
+                    )}
+
                     {/* Account Information */}
                     {profileData && (
                       <div className="bg-gray-50 dark:bg-gray-800 rounded-lg p-4">
@@ -577,6 +670,52 @@ const Profile = ({ isOpen, onClose, user, onLogout }) => {
                   </div>
                 )}
 
+                {/* Shared Links Tab */}
+                {activeTab === 'shares' && (
+                  <div className="space-y-3">
+                    {shares.length > 0 ? (
+                      shares.map(share => (
+                        <div key={share.id} className="bg-gray-50 dark:bg-gray-800 rounded-lg p-3 flex items-center justify-between">
+                          <div className="min-w-0">
+                            <p className="font-medium text-sm truncate">{share.chatTitle}</p>
+                            <p className="text-xs text-gray-500 truncate">{window.location.origin}{share.path}</p>
+                            <p className="text-xs text-gray-600 dark:text-gray-400 mt-1 flex items-center">
+                              <Eye className="w-3 h-3 mr-1" />
+                              {share.views} views · created {formatDate(share.createdAt)} · {share.expiresAt ? `expires ${formatDate(share.expiresAt)}` : 'no expiry'}
+                            </p>
+                          </div>
+                          <div className="flex items-center space-x-1 ml-3">
+                            <button
+                              onClick={() => navigator.clipboard?.writeText(`${window.location.origin}${share.path}`)}
+                              className="p-2 rounded-lg hover:bg-gray-200 dark:hover:bg-gray-700"
+                              title="Copy link"
+                            >
+                              <Copy className="w-4 h-4" />
+                            </button>
+                            <button
+                              onClick={() => revokeShare(share)}
+                              className="p-2 rounded-lg hover:bg-gray-200 dark:hover:bg-gray-700 text-red-500"
+                              title="Revoke link"
+                            >
+                              <Trash2 className="w-4 h-4" />
+                            </button>
+                          </div>
+                        </div>
+                      ))
+                    ) : (
+                      <div className="text-center py-12">
+                        <div className="w-16 h-16 mx-auto bg-gradient-to-br from-gray-100 to-gray-200 dark:from-gray-700 dark:to-gray-800 rounded-full flex items-center justify-center mb-4">
+                          <Link2 className="w-8 h-8 text-gray-400" />
+                        </div>
+                        <h3 className="font-medium text-gray-800 dark:text-gray-200 mb-2">No Shared Links</h3>
+                        <p className="text-sm text-gray-600 dark:text-gray-400">
+                          Share a conversation from the chat history to give others a read-only link
+                        </p>
+                      </div>
+                    )}
+                  </div>
+                )}
+
                 {/* Settings Tab */}
                 {activeTab === 'settings' && (
                   <div className="space-y-6">
@@ -0,0 +1,114 @@
+import React, { useState, useEffect } from 'react'
+import { motion } from 'framer-motion'
+import { Bot, User, FileText, Link2Off } from 'lucide-react'
+
+// Read-only view of a chat shared with /share/:token; works without an account
+const SharedChat = ({ token }) => {
+  const [chat, setChat] = useState(null)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    const loadSharedChat = async () => {
+      try {
+        const response = await fetch(`/api/share/${encodeURIComponent(token)}`)
+        const data = await response.json()
+        if (!response.ok) {
+          throw new Error(data.error || `Request failed (${response.status})`)
+        }
+        setChat(data)
+        document.title = data.title
+      } catch (error) {
+        console.error('Error loading shared chat:', error)
+        setError(error.message)
+      }
+    }
+    loadSharedChat()
+  }, [token])
+
+  const formatDate = (dateString) => new Date(dateString).toLocaleString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  })
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-950 text-gray-800 dark:text-gray-200">
+      <div className="max-w-3xl mx-auto px-4 py-10">
+        {error ? (
+          <div className="text-center py-24">
+            <Link2Off className="w-10 h-10 mx-auto mb-4 text-gray-400" />
+            <p className="text-gray-600 dark:text-gray-400">{error}</p>
+          </div>
+        ) : !chat ? (
+          <div className="flex items-center justify-center py-24">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-green-600"></div>
+          </div>
+        ) : (
+          <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} className="space-y-4">
+            <div>
+              <h1 className="text-2xl font-bold">{chat.title}</h1>
+              <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
+                Shared conversation · last updated {formatDate(chat.updatedAt)}
+              </p>
+              {chat.documents.length > 0 && (
+                <div className="mt-3 flex flex-wrap gap-2">
+                  {chat.documents.map(name => (
+                    <span key={name} className="flex items-center space-x-1 px-2 py-1 text-xs rounded-full bg-gray-100 dark:bg-gray-800">
+                      <FileText className="w-3 h-3" />
+                      <span>{name}</span>
+                    </span>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            {chat.messages.map((message, i) => {
+              const isUser = message.role === 'user'
+              return (
+                <div
+                  key={i}
+                  className={`rounded-xl p-4 ${isUser ? 'bg-green-50 dark:bg-green-900/20' : 'bg-white dark:bg-gray-800'}`}
+                >
+                  <div className="flex items-center justify-between mb-2 text-xs text-gray-500 dark:text-gray-400">
+                    <span className="flex items-center space-x-1">
+                      {isUser ? <User className="w-3 h-3" /> : <Bot className="w-3 h-3" />}
+                      <span>{isUser ? 'Question' : 'Answer'}</span>
+                    </span>
+                    <span>{formatDate(message.timestamp)}{message.partial ? ' · interrupted' : ''}</span>
+                  </div>
+                  <p className="text-sm whitespace-pre-wrap">{message.content}</p>
+                  {message.citations.length > 0 && (
+                    <div className="mt-3 space-y-2 border-t border-gray-200 dark:border-gray-700 pt-3">
+                      {message.citations.map(citation => (
+                        <div key={citation.marker} className="text-xs">
+                          <span className="font-medium text-gray-700 dark:text-gray-300">
+                            [{citation.marker}] {citation.documentName}{citation.sheet ? ` · ${citation.sheet} rows ${citation.rowStart}–${citation.rowEnd}` : citation.page ? ` · p.${citation.page}` : ''}
+                          </span>
+                          {citation.excerpt && (
+                            <p className="mt-0.5 pl-2 border-l-2 border-gray-300 dark:border-gray-600 text-gray-500 dark:text-gray-400">
+                              {citation.excerpt}
+                            </p>
+                          )}
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              )
+            })}
+
+            {chat.expiresAt && (
+              <p className="text-center text-xs text-gray-400">
+                This link expires on {formatDate(chat.expiresAt)}
+              </p>
+            )}
+          </motion.div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default SharedChat
@@ -0,0 +1,390 @@
+import React, { useState, useEffect } from 'react'
+import { motion, AnimatePresence } from 'framer-motion'
+import { Building2, ChevronDown, Check, Plus, Settings, Mail, X, Trash2, LogOut } from 'lucide-react'
+
+const formatBytes = (bytes = 0) => {
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+}
+
+const roleLabel = role => role ? role[0].toUpperCase() + role.slice(1) : ''
+
+// Calls a workspace endpoint and returns the parsed body; throws with the server's error message
+const workspaceRequest = async (method, path = '', body) => {
+  const response = await fetch(`/api/workspaces${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${localStorage.getItem('token')}`
+    },
+    body: body ? JSON.stringify(body) : undefined
+  })
+  const data = await response.json()
+  if (!response.ok) {
+    throw new Error(data.error || `Request failed (${response.status})`)
+  }
+  return data
+}
+
+// Header menu for switching between the personal and team workspaces, creating one and answering invitations.
+// Documents, chats and quotas all belong to the current workspace, so switching reloads the app
+const WorkspaceSwitcher = () => {
+  const [workspaces, setWorkspaces] = useState([])
+  const [invitations, setInvitations] = useState([])
+  const [isOpen, setIsOpen] = useState(false)
+  const [newName, setNewName] = useState('')
+  const [managing, setManaging] = useState(null)
+  const [error, setError] = useState('')
+
+  const load = async () => {
+    try {
+      const [list, pending] = await Promise.all([
+        workspaceRequest('GET'),
+        workspaceRequest('GET', '/invitations')
+      ])
+      setWorkspaces(list.workspaces)
+      setInvitations(pending)
+    } catch (error) {
+      console.error('Error loading workspaces:', error)
+    }
+  }
+
+  useEffect(() => { load() }, [])
+
+  const current = workspaces.find(ws => ws.current)
+
+  const switchTo = async (workspaceId) => {
+    try {
+      await workspaceRequest('PUT', '/current', { workspaceId })
+      window.location.reload()
+    } catch (error) {
+      setError(error.message)
+    }
+  }
+
+  const createWorkspace = async (e) => {
+    e.preventDefault()
+    if (!newName.trim()) return
+    try {
+      const workspace = await workspaceRequest('POST', '', { name: newName.trim() })
+      setNewName('')
+      await switchTo(workspace.id)
+    } catch (error) {
+      setError(error.message)
+    }
+  }
+
+  const answerInvitation = async (invitation, action) => {
+    try {
+      await workspaceRequest('POST', `/invitations/${invitation.id}/${action}`)
+      if (action === 'accept') return switchTo(invitation.workspaceId)
+      setInvitations(prev => prev.filter(i => i.id !== invitation.id))
+    } catch (error) {
+      setError(error.message)
+    }
+  }
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => { setIsOpen(open => !open); setError('') }}
+        className="flex items-center gap-2 px-3 py-2 rounded-full border border-gray-200 dark:border-gray-700 bg-white/70 dark:bg-gray-800/70 hover:bg-white dark:hover:bg-gray-800 transition-colors"
+        title="Switch workspace"
+      >
+        <Building2 className="w-4 h-4 text-indigo-600" />
+        <span className="text-sm font-medium max-w-[10rem] truncate">{current?.name || 'Workspace'}</span>
+        {invitations.length > 0 && (
+          <span className="w-5 h-5 text-xs rounded-full bg-orange-500 text-white flex items-center justify-center">{invitations.length}</span>
+        )}
+        <ChevronDown className="w-4 h-4 text-gray-500" />
+      </button>
+
+      <AnimatePresence>
+        {isOpen && (
+          <motion.div
+            initial={{ opacity: 0, y: -10 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -10 }}
+            className="absolute right-0 mt-2 w-80 bg-white dark:bg-gray-900 rounded-xl shadow-2xl border border-gray-200 dark:border-gray-700 p-3 space-y-3 z-20"
+          >
+            <div className="space-y-1">
+              {workspaces.map(ws => (
+                <div key={ws.id} className="flex items-center gap-1">
+                  <button
+                    onClick={() => !ws.current && switchTo(ws.id)}
+                    className={`flex-1 flex items-center justify-between px-3 py-2 rounded-lg text-left text-sm transition-colors ${
+                      ws.current ? 'bg-indigo-50 dark:bg-indigo-900/30' : 'hover:bg-gray-100 dark:hover:bg-gray-800'
+                    }`}
+                  >
+                    <div className="min-w-0">
+                      <p className="font-medium truncate">{ws.name}</p>
+                      <p className="text-xs text-gray-500 dark:text-gray-400">
+                        {ws.isPersonal ? 'Personal' : `${roleLabel(ws.role)} · ${ws.memberCount} ${ws.memberCount === 1 ? 'member' : 'members'}`}
+                        {' · '}{ws.usage.documents}{ws.quotas.maxDocuments !== null && `/${ws.quotas.maxDocuments}`} docs · {formatBytes(ws.usage.storageBytes)}{ws.quotas.maxStorageBytes !== null && `/${formatBytes(ws.quotas.maxStorageBytes)}`}
+                      </p>
+                    </div>
+                    {ws.current && <Check className="w-4 h-4 text-indigo-600 flex-shrink-0" />}
+                  </button>
+                  {!ws.isPersonal && (
+                    <button
+                      onClick={() => { setManaging(ws); setIsOpen(false) }}
+                      className="p-2 rounded-lg text-gray-500 hover:bg-gray-100 dark:hover:bg-gray-800"
+                      title="Members and invitations"
+                    >
+                      <Settings className="w-4 h-4" />
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+
+            {invitations.length > 0 && (
+              <div className="border-t border-gray-200 dark:border-gray-700 pt-3 space-y-2">
+                <p className="text-xs font-semibold text-gray-500 uppercase">Invitations</p>
+                {invitations.map(invitation => (
+                  <div key={invitation.id} className="flex items-center justify-between gap-2 text-sm">
+                    <div className="min-w-0">
+                      <p className="font-medium truncate">{invitation.workspaceName}</p>
+                      <p className="text-xs text-gray-500 truncate">
+                        {roleLabel(invitation.role)}{invitation.invitedBy ? ` · from ${invitation.invitedBy.name || invitation.invitedBy.email}` : ''}
+                      </p>
+                    </div>
+                    <div className="flex gap-1">
+                      <button onClick={() => answerInvitation(invitation, 'accept')} className="px-2 py-1 text-xs rounded-lg bg-indigo-600 text-white hover:bg-indigo-700">Join</button>
+                      <button onClick={() => answerInvitation(invitation, 'decline')} className="px-2 py-1 text-xs rounded-lg bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600">Decline</button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            <form onSubmit={createWorkspace} className="border-t border-gray-200 dark:border-gray-700 pt-3 flex gap-2">
+              <input
+                value={newName}
+                onChange={(e) => setNewName(e.target.value)}
+                maxLength={80}
+                placeholder="New team workspace"
+                className="flex-1 px-3 py-1.5 text-sm rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+              />
+              <button type="submit" disabled={!newName.trim()} className="p-2 rounded-lg bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50" title="Create workspace">
+                <Plus className="w-4 h-4" />
+              </button>
+            </form>
+            {error && <p className="text-xs text-red-600 dark:text-red-400">{error}</p>}
+          </motion.div>
+        )}
+      </AnimatePresence>
+
+      <WorkspaceMembers
+        workspace={managing}
+        onClose={() => setManaging(null)}
+        onLeft={() => { setManaging(null); load() }}
+      />
+    </div>
+  )
+}
+
+// Members and pending invitations of a team workspace. Owners and admins invite and remove members,
+// the owner changes roles, and everyone else can leave
+const WorkspaceMembers = ({ workspace, onClose, onLeft }) => {
+  const [details, setDetails] = useState(null)
+  const [email, setEmail] = useState('')
+  const [role, setRole] = useState('member')
+  const [error, setError] = useState('')
+  const [busy, setBusy] = useState(false)
+
+  const load = async () => {
+    try {
+      setDetails(await workspaceRequest('GET', `/${workspace.id}`))
+    } catch (error) {
+      setError(error.message)
+    }
+  }
+
+  useEffect(() => {
+    if (workspace) {
+      setDetails(null)
+      setError('')
+      setEmail('')
+      load()
+    }
+  }, [workspace])
+
+  // Runs a change and reloads the details; returns whether it succeeded
+  const change = async (method, path, body) => {
+    setBusy(true)
+    setError('')
+    try {
+      await workspaceRequest(method, `/${workspace.id}${path}`, body)
+      await load()
+      return true
+    } catch (error) {
+      setError(error.message)
+      return false
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const invite = async (e) => {
+    e.preventDefault()
+    if (!email.trim()) return
+    if (await change('POST', '/invitations', { email: email.trim(), role })) setEmail('')
+  }
+
+  const leave = async (userId) => {
+    if (!confirm(`Leave "${workspace.name}"? You will lose access to its documents and chats.`)) return
+    try {
+      await workspaceRequest('DELETE', `/${workspace.id}/members/${userId}`)
+      if (workspace.current) return window.location.reload()
+      onLeft()
+    } catch (error) {
+      setError(error.message)
+    }
+  }
+
+  if (!workspace) return null
+
+  const canManage = details && (details.role === 'owner' || details.role === 'admin')
+
+  return (
+    <AnimatePresence>
+      <motion.div
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        exit={{ opacity: 0 }}
+        className="fixed inset-0 z-50 bg-black/60 backdrop-blur-sm flex items-center justify-center p-4"
+        onClick={onClose}
+      >
+        <motion.div
+          initial={{ opacity: 0, scale: 0.9, y: 20 }}
+          animate={{ opacity: 1, scale: 1, y: 0 }}
+          exit={{ opacity: 0, scale: 0.9, y: 20 }}
+          transition={{ type: 'spring', duration: 0.5 }}
+          className="bg-white dark:bg-gray-900 rounded-2xl shadow-2xl w-full max-w-lg overflow-hidden"
+          onClick={(e) => e.stopPropagation()}
+        >
+          <div className="bg-gradient-to-r from-indigo-600 to-purple-600 p-6 text-white flex items-center justify-between">
+            <div className="flex items-center space-x-3 min-w-0">
+              <Building2 className="w-6 h-6 flex-shrink-0" />
+              <h2 className="text-xl font-bold truncate">{workspace.name}</h2>
+            </div>
+            <button onClick={onClose} className="p-2 hover:bg-white/20 rounded-full transition-colors">
+              <X className="w-5 h-5" />
+            </button>
+          </div>
+
+          <div className="p-6 space-y-4 max-h-[70vh] overflow-y-auto">
+            {canManage && (
+              <form onSubmit={invite} className="flex space-x-2">
+                <input
+                  type="email"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  placeholder="Email to invite"
+                  className="flex-1 px-3 py-2 text-sm rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                />
+                <select
+                  value={role}
+                  onChange={(e) => setRole(e.target.value)}
+                  className="px-2 py-2 text-sm rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 focus:outline-none"
+                >
+                  <option value="member">Member</option>
+                  <option value="admin">Admin</option>
+                </select>
+                <button
+                  type="submit"
+                  disabled={busy || !email.trim()}
+                  className="px-4 py-2 text-sm rounded-lg bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50"
+                >
+                  Invite
+                </button>
+              </form>
+            )}
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+              Members see every document and upload into the shared library. Admins can also manage all documents and invite people.
+            </p>
+            {error && <p className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+
+            {!details ? (
+              <p className="text-sm text-gray-500 text-center py-4">Loading…</p>
+            ) : (
+              <>
+                <div className="space-y-2">
+                  {details.members.map(member => (
+                    <div key={member.userId} className="flex items-center justify-between bg-gray-50 dark:bg-gray-800 rounded-lg px-3 py-2">
+                      <div className="min-w-0">
+                        <p className="text-sm font-medium truncate">{member.name || member.email}</p>
+                        <p className="text-xs text-gray-500 truncate">{member.email}</p>
+                      </div>
+                      <div className="flex items-center space-x-2">
+                        {details.role === 'owner' && member.role !== 'owner' ? (
+                          <select
+                            value={member.role}
+                            onChange={(e) => change('PUT', `/members/${member.userId}`, { role: e.target.value })}
+                            disabled={busy}
+                            className="px-2 py-1 text-xs rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 focus:outline-none"
+                          >
+                            <option value="member">Member</option>
+                            <option value="admin">Admin</option>
+                          </select>
+                        ) : (
+                          <span className="text-xs text-gray-500">{roleLabel(member.role)}</span>
+                        )}
+                        {member.role !== 'owner' && (details.role === 'owner' || (details.role === 'admin' && member.role === 'member')) && (
+                          <button
+                            onClick={() => change('DELETE', `/members/${member.userId}`)}
+                            disabled={busy}
+                            className="p-1 rounded text-red-600 hover:bg-red-100 dark:hover:bg-red-800/50"
+                            title="Remove member"
+                          >
+                            <Trash2 className="w-4 h-4" />
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+
+                {details.invitations?.length > 0 && (
+                  <div className="space-y-2">
+                    <p className="text-xs font-semibold text-gray-500 uppercase">Pending invitations</p>
+                    {details.invitations.map(invitation => (
+                      <div key={invitation.id} className="flex items-center justify-between bg-gray-50 dark:bg-gray-800 rounded-lg px-3 py-2">
+                        <div className="flex items-center space-x-2 min-w-0">
+                          <Mail className="w-4 h-4 text-gray-400 flex-shrink-0" />
+                          <p className="text-sm truncate">{invitation.email}</p>
+                          <span className="text-xs text-gray-500">{roleLabel(invitation.role)}</span>
+                        </div>
+                        <button
+                          onClick={() => change('DELETE', `/invitations/${invitation.id}`)}
+                          disabled={busy}
+                          className="p-1 rounded text-red-600 hover:bg-red-100 dark:hover:bg-red-800/50"
+                          title="Withdraw invitation"
+                        >
+                          <X className="w-4 h-4" />
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                )}
+
+                {details.role !== 'owner' && details.currentUserId && (
+                  <button
+                    onClick={() => leave(details.currentUserId)}
+                    className="flex items-center space-x-2 text-sm text-red-600 hover:underline"
+                  >
+                    <LogOut className="w-4 h-4" />
+                    <span>Leave workspace</span>
+                  </button>
+                )}
+              </>
+            )}
+          </div>
+        </motion.div>
+      </motion.div>
+    </AnimatePresence>
+  )
+}
+
+export default WorkspaceSwitcher
@@ -1,8 +1,12 @@
 import React from 'react'
 import { createRoot } from 'react-dom/client'
 import App from './App'
+import SharedChat from './components/SharedChat'
 import './styles.css'
 
+// Shared chats (/share/:token) are public and render without the app or a login
+const shareToken = window.location.pathname.match(/^\/share\/([^/]+)\/?$/)?.[1]
+
 createRoot(document.getElementById('root')).render(
-  <App />
+  shareToken ? <SharedChat token={shareToken} /> : <App />
 )